@@ -29,17 +29,26 @@ class BuilderHeader {
       onSaveAsNewVersion: options.onSaveAsNewVersion || null,
       onSave: options.onSave || null,
       onActivate: options.onActivate || null,
+      onDebugStep: options.onDebugStep || null,
+      onDebugStepOverLoop: options.onDebugStepOverLoop || null,
+      onDebugContinue: options.onDebugContinue || null,
+      onDebugStop: options.onDebugStop || null,
+      debugState: options.debugState || null, // FlowCanvas.getDebugState() while debugging: shows the debug controls
       toolboxOpen: options.toolboxOpen || false,
       errorsOpen: options.errorsOpen || false,
+      errorCount: options.errorCount || { errors: 0, warnings: 0 }, // Shown as a badge on the Errors and Warnings button
       layoutMode: options.layoutMode || 'auto-layout', // 'auto-layout' or 'free-form'
       onLayoutChange: options.onLayoutChange || null,
       saveButtonDisabled: options.saveButtonDisabled !== undefined ? options.saveButtonDisabled : true, // Default to disabled
+      undoDisabled: options.undoDisabled !== undefined ? options.undoDisabled : true, // Nothing to undo until an edit is made
+      redoDisabled: options.redoDisabled !== undefined ? options.redoDisabled : true,
       lastSavedDate: options.lastSavedDate || null, // Last saved date (Date object or null)
       status: options.status || 'Inactive' // Status badge text (default: 'Inactive')
     };
     
-    // Bind the click handler so we can remove it later
+    // Bind the click and change handlers so we can remove them later
     this.clickHandler = this.handleClick.bind(this);
+    this.changeHandler = this.handleChange.bind(this);
     
     // ResizeObserver for detecting toolbar width changes
     this.resizeObserver = null;
@@ -173,6 +182,7 @@ class BuilderHeader {
                 <use href="#error"></use>
               </svg>
               <span class="slds-assistive-text">Errors and Warnings</span>
+              ${this.renderErrorCount()}
             </button>
           </div>
           <div class="slds-builder-toolbar__item-group builder-toolbar__canvas-group" aria-label="Canvas Actions">
@@ -183,13 +193,13 @@ class BuilderHeader {
             <span class="slds-assistive-text">Select Elements</span>
           </button>
           <div class="slds-button-group">
-            <button class="slds-button slds-button_icon slds-button_icon-border" title="Undo" tabindex="0" data-action="undo">
+            <button class="slds-button slds-button_icon slds-button_icon-border" title="Undo" tabindex="0" data-action="undo" ${this.config.undoDisabled ? 'disabled' : ''}>
               <svg class="slds-button__icon" aria-hidden="true">
                 <use href="#undo"></use>
               </svg>
               <span class="slds-assistive-text">Undo</span>
             </button>
-            <button class="slds-button slds-button_icon slds-button_icon-border" title="Redo" tabindex="-1" data-action="redo">
+            <button class="slds-button slds-button_icon slds-button_icon-border" title="Redo" tabindex="-1" data-action="redo" ${this.config.redoDisabled ? 'disabled' : ''}>
               <svg class="slds-button__icon" aria-hidden="true">
                 <use href="#redo"></use>
               </svg>
@@ -213,6 +223,7 @@ class BuilderHeader {
             </div>
           </div>
           </div>
+          ${this.renderDebugControls()}
         </div>
         <div class="slds-builder-toolbar__actions" aria-label="Document actions">
           <div class="builder-header-status-info" style="display: flex; align-items: center; gap: 0.75rem; margin-right: 4px;">
@@ -237,6 +248,50 @@ class BuilderHeader {
     `;
   }
   
+  // Step, Step Over Loop, Continue and Stop, only while debugging. Only Stop is
+  // enabled once the run has finished; Step Over Loop needs a loop to finish
+  renderDebugControls() {
+    const state = this.config.debugState;
+    if (!state) return '';
+    const button = (action, icon, label, disabled) => `
+      <button class="slds-button slds-button_icon slds-button_icon-border" title="${label}" data-action="${action}" ${disabled ? 'disabled' : ''}>
+        <svg class="slds-button__icon" aria-hidden="true">
+          <use href="#${icon}"></use>
+        </svg>
+        <span class="slds-assistive-text">${label}</span>
+      </button>
+    `;
+    return `
+      <div class="slds-builder-toolbar__item-group builder-toolbar__debug-group" aria-label="Debug Actions">
+        <span class="builder-toolbar__debug-label">${state.finished ? 'Debug: finished' : 'Debugging'}</span>
+        <div class="slds-button-group" role="group">
+          ${button('debugstep', 'chevronright', 'Step', state.finished)}
+          ${button('debugstepoverloop', 'forward', 'Step Over Loop', state.finished || !state.loopId)}
+          ${button('debugcontinue', 'play', 'Continue', state.finished)}
+          ${button('debugstop', 'stop', 'Stop Debugging', false)}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Show, update or hide the debug controls (state: FlowCanvas.getDebugState(), or null)
+  setDebugState(state) {
+    this.config.debugState = state;
+    const leftGroup = this.container.querySelector('.builder-toolbar__left-group');
+    if (!leftGroup) return;
+    leftGroup.querySelector('.builder-toolbar__debug-group')?.remove();
+    leftGroup.insertAdjacentHTML('beforeend', this.renderDebugControls());
+    this.checkAndHideOverlappingButtons();
+  }
+  
+  // Badge with the number of errors (or, when there are none, warnings)
+  renderErrorCount() {
+    const { errors, warnings } = this.config.errorCount;
+    if (!errors && !warnings) return '';
+    const modifier = errors ? '' : 'builder-toolbar__error-count_warning';
+    return `<span class="builder-toolbar__error-count ${modifier}" aria-hidden="true">${errors || warnings}</span>`;
+  }
+  
   formatLastSavedDate(date) {
     // Memoize date formatting to avoid redundant calculations
     const dateTimestamp = date ? (date instanceof Date ? date.getTime() : new Date(date).getTime()) : null;
@@ -271,6 +326,9 @@ class BuilderHeader {
     const action = e.target.closest('[data-action]')?.dataset.action;
     if (!action) return;
     
+    // The layout select is handled by handleChange - let its clicks open the native dropdown
+    if (action === 'layoutchange') return;
+    
     e.preventDefault();
     
     switch(action) {
@@ -332,17 +390,30 @@ class BuilderHeader {
       case 'activate':
         this.config.onActivate?.();
         break;
-      case 'layoutchange':
-        // Layout mode select changed
-        const select = e.target;
-        if (select && select.tagName === 'SELECT') {
-          this.config.layoutMode = select.value;
-          this.config.onLayoutChange?.(select.value);
-        }
+      case 'debugstep':
+        this.config.onDebugStep?.();
+        break;
+      case 'debugstepoverloop':
+        this.config.onDebugStepOverLoop?.();
+        break;
+      case 'debugcontinue':
+        this.config.onDebugContinue?.();
+        break;
+      case 'debugstop':
+        this.config.onDebugStop?.();
         break;
     }
   }
   
+  handleChange(e) {
+    const select = e.target.closest('[data-action="layoutchange"]');
+    if (!select || select.tagName !== 'SELECT') return;
+    
+    // Layout mode select changed
+    this.config.layoutMode = select.value;
+    this.config.onLayoutChange?.(select.value);
+  }
+  
   attachEventListeners() {
     // Ensure clickHandler is bound
     if (!this.clickHandler) {
@@ -353,6 +424,13 @@ class BuilderHeader {
     // Add the listener
     this.container.addEventListener('click', this.clickHandler);
     
+    // The layout select reports its value on change, not click
+    if (!this.changeHandler) {
+      this.changeHandler = this.handleChange.bind(this);
+    }
+    this.container.removeEventListener('change', this.changeHandler);
+    this.container.addEventListener('change', this.changeHandler);
+    
     // Close dropdowns when clicking outside
     if (!this.outsideClickHandler) {
       this.outsideClickHandler = (e) => {
@@ -450,6 +528,40 @@ class BuilderHeader {
     }
   }
   
+  // Enable/disable Undo and Redo from the canvas history ({ canUndo, canRedo, undoLabel, redoLabel })
+  setUndoRedoState(state) {
+    this.config.undoDisabled = !state.canUndo;
+    this.config.redoDisabled = !state.canRedo;
+    [
+      ['undo', this.config.undoDisabled, state.undoLabel],
+      ['redo', this.config.redoDisabled, state.redoLabel]
+    ].forEach(([action, disabled, label]) => {
+      const button = this.container.querySelector(`[data-action="${action}"]`);
+      if (!button) return;
+      const title = action === 'undo' ? 'Undo' : 'Redo';
+      button.title = label ? `${title} ${label}` : title;
+      if (disabled) {
+        button.setAttribute('disabled', 'disabled');
+      } else {
+        button.removeAttribute('disabled');
+      }
+    });
+  }
+  
+  // Update the error count badge from the canvas validation ({ errors, warnings })
+  setErrorCount(counts) {
+    this.config.errorCount = { errors: counts.errors || 0, warnings: counts.warnings || 0 };
+    const errorsButton = this.container.querySelector('[data-action="errors"]');
+    if (!errorsButton) return;
+    
+    errorsButton.querySelector('.builder-toolbar__error-count')?.remove();
+    errorsButton.insertAdjacentHTML('beforeend', this.renderErrorCount());
+    const { errors, warnings } = this.config.errorCount;
+    errorsButton.title = errors || warnings
+      ? `Errors and Warnings (${errors} errors, ${warnings} warnings)`
+      : 'Errors and Warnings';
+  }
+  
   checkAndHideOverlappingButtons() {
     const toolbar = this.container.querySelector('.slds-builder-toolbar');
     if (!toolbar) return;
@@ -611,6 +723,10 @@ class BuilderHeader {
       this.container.removeEventListener('click', this.clickHandler);
     }
     
+    if (this.changeHandler) {
+      this.container.removeEventListener('change', this.changeHandler);
+    }
+    
     if (this.outsideClickHandler) {
       document.removeEventListener('click', this.outsideClickHandler);
     }
@@ -12,15 +12,29 @@ class FlowCanvas {
       console.error('FlowCanvas: Container not found', container);
     }
     
+    // Element types (icons, colors, labels, connectors, outputs); see FlowElementRegistry
+    this.elementRegistry = options.elementRegistry || FlowElementRegistry.default;
+    // Properties panel form, built from each type's property schema
+    this.propertiesEditor = new FlowPropertiesEditor({
+      recordSchema: options.recordSchema,
+      getResources: () => this.resources
+    });
+    
     this.config = {
-      nodes: options.nodes || this.getDefaultNodes(),
+      nodes: FlowGraph.normalizeNodes(options.nodes || this.getDefaultNodes()),
+      metadata: FlowDocument.createMetadata(options.metadata), // { label, apiName, description, ... }
       onNodeClick: options.onNodeClick || null,
       onNodeAdd: options.onNodeAdd || null,
       onConnectorClick: options.onConnectorClick || null,
       onNodeSelected: options.onNodeSelected || null,
       onNodeCopy: options.onNodeCopy || null, // Callback when node is copied
       onNodeCut: options.onNodeCut || null, // Callback when node is cut
+      onOutputsChange: options.onOutputsChange || null, // Callback with (nodeId, outputs, scenarioId) when an element's mocked outputs change; scenarioId is null for the flow default
+      onHistoryChange: options.onHistoryChange || null, // Callback with { canUndo, canRedo, undoLabel, redoLabel }
+      onValidate: options.onValidate || null, // Callback with (issues, { errors, warnings }) whenever the flow is re-validated
+      onDebugChange: options.onDebugChange || null, // Callback with getDebugState() whenever debugging moves on, starts or stops (null)
       selectedNodeId: null,
+      layoutMode: options.layoutMode || 'auto-layout', // 'auto-layout' or 'free-form'
       onChange: options.onChange || null // Callback when any changes are made (for Build mode Save button)
     };
     
@@ -31,6 +45,52 @@ class FlowCanvas {
     this.maxZoom = 3; // Maximum zoom level (300%)
     this.zoomFactor = 1.05; // Zoom factor (5% per step for symmetric zoom in/out)
     
+    // Free-form layout spacing (px) used when elements have no position yet
+    this.freeFormSpacing = { x: 340, y: 140, margin: 48 };
+    this.freeFormDrag = null;
+    
+    // Test run state
+    this.executionPath = []; // Connector ids of the legacy single execution path
+    this.pathHighlights = {}; // scenarioId -> { status, connectors: [connectorIds] }
+    this.runResults = {}; // scenarioId -> result of the run highlighted, for the element status overlays
+    this.coverageMode = false; // Shade by scenario coverage instead of path status (see setCoverageMode())
+    this.legendContent = ''; // Markup of the path highlight legend, to skip unchanged re-renders
+    this.outputs = {}; // nodeId -> mocked outputs, the flow default; a scenario's own are in scenario.outputs
+    this.outputsScope = 'scenario'; // What the Outputs tab edits while a scenario is open: 'scenario' or 'default'
+    this.activeTab = 'properties'; // Tab shown in the element panel: 'properties' or 'outputs'
+    this.outputsInputDebounce = {};
+    this.testScenarios = JSON.parse(JSON.stringify(options.testScenarios || [])); // [{ id, name, description, record, priorRecord, inputs }]
+    this.testScenarioPanel = null; // See setTestScenarioPanel()
+    this.breakpoints = new Set(); // Node ids the debugger pauses at; not part of the flow
+    this.debugSession = null; // { scenarioId, assertions, debugger, result } while debugging (see startDebugging())
+    this.runComparison = null; // { a, b, changes } while two runs are overlaid (see setRunComparison())
+    this.replay = null; // { scenarioId, player, state } while a run is replayed (see startReplay())
+    this.replaySpeed = 1; // Speed replays play at (see setReplaySpeed())
+    this.debugLog = null; // { fileName, flowName, interviewCount, result } of an imported debug log (see importDebugLog())
+    
+    // Variables, constants, formulas and record collections (see FlowResources)
+    this.resources = JSON.parse(JSON.stringify(options.resources || []));
+    
+    // Toolbox panel: the open tab ('elements' or 'manager'), the connector new
+    // elements go on, and the resource being edited in the Manager tab
+    this.toolboxTab = 'elements';
+    this.toolboxConnectorId = null;
+    this.resourceDraft = null; // { originalName, resource }
+    
+    // Clipboard: the last copied or cut element (see FlowClipboard) and, for a cut,
+    // the ids still waiting to be moved by the next paste
+    this.clipboard = null;
+    this.cutNodeIds = [];
+    
+    // Undo/redo: every edit is recorded as a before/after snapshot of the flow
+    this.history = new FlowHistory({
+      onChange: (state) => this.config.onHistoryChange?.(state)
+    });
+    
+    // Errors and warnings (see FlowValidator), re-computed after every edit
+    this.validator = new FlowValidator({ rules: options.validationRules });
+    this.validationIssues = [];
+    
     // Performance optimization: Cache DOM queries and prevent duplicate listeners
     this.cachedQueries = {};
     this.eventListenersAttached = false;
@@ -39,53 +99,43 @@ class FlowCanvas {
     if (this.container) {
       this.render();
       this.attachEventListeners();
+      this.validate();
     } else {
       console.error('FlowCanvas: Cannot render - container is missing');
     }
   }
   
   getDefaultNodes() {
+    const registry = this.elementRegistry;
     return [
-      {
+      registry.createNode('start', {
         id: 'start',
-        type: 'start',
-        title: 'Record-Triggered Flow',
-        subtitle: 'Start',
-        icon: 'play',
-        iconBg: '#0B827C', // SLDS Teal 60
-      },
-      {
+        connectors: [{ id: 'start-next', type: 'next', target: 'create-task' }]
+      }),
+      registry.createNode('create', {
         id: 'create-task',
-        type: 'create',
         title: 'Create Task',
-        subtitle: 'Create Records',
-        icon: 'record_create',
-        iconBg: '#ff538a'
-      },
-      {
+        connectors: [{ id: 'create-task-next', type: 'next', target: 'check-priority' }]
+      }),
+      registry.createNode('decision', {
+        id: 'check-priority',
+        title: 'Check Case Priority',
+        connectors: [
+          { id: 'check-priority-outcome-1', type: 'outcome', label: 'High Priority', target: 'update-case' },
+          { id: 'check-priority-default', type: 'default', label: 'Default Outcome', target: 'send-email' }
+        ]
+      }),
+      registry.createNode('update', {
         id: 'update-case',
-        type: 'update',
         title: 'Update Case to Escalated',
-        subtitle: 'Update Records',
-        icon: 'record_update',
-        iconBg: '#ff538a'
-      },
-      {
+        connectors: [{ id: 'update-case-next', type: 'next', target: 'send-email' }]
+      }),
+      registry.createNode('action', {
         id: 'send-email',
-        type: 'action',
         title: 'Send Email to User',
-        subtitle: 'Action',
-        icon: 'custom_notification',
-        iconBg: '#032d60'
-      },
-      {
-        id: 'end',
-        type: 'end',
-        title: 'End',
-        subtitle: '',
-        icon: 'stop',
-        iconBg: '#ea001e'
-      }
+        connectors: [{ id: 'send-email-next', type: 'next', target: 'end' }]
+      }),
+      registry.createNode('end', { id: 'end', subtitle: '', connectors: [] })
     ];
   }
   
@@ -147,6 +197,9 @@ class FlowCanvas {
       }
     }
     
+    // Free-form connector paths depend on the rendered element sizes
+    this.updateFreeFormConnectors();
+    
     // Ensure zoom controls exist and are positioned correctly
     this.attachZoomListeners();
     this.updateZoomControlsPosition();
@@ -158,26 +211,132 @@ class FlowCanvas {
     }
   }
   
+  getGraph() {
+    // The graph wraps config.nodes directly, so edits through it update the canvas model
+    return new FlowGraph(this.config.nodes);
+  }
+  
   renderNodes() {
+    if (this.config.layoutMode === 'free-form') {
+      return this.renderFreeForm();
+    }
+    
+    const graph = this.getGraph();
+    const rendered = new Set();
+    const startNode = graph.getStartNode();
+    
     let html = '<div class="flow-nodes-container">';
     
-    this.config.nodes.forEach((node, index) => {
-      const isLast = index === this.config.nodes.length - 1;
-      const isSelected = this.config.selectedNodeId === node.id;
+    if (startNode) {
+      html += this.renderSequence(graph, startNode.id, null, rendered);
+    }
+    
+    // Elements that can't be reached from Start are still drawn so they aren't lost
+    this.config.nodes.forEach(node => {
+      if (!rendered.has(node.id)) {
+        html += `<div class="flow-disconnected-sequence">${this.renderSequence(graph, node.id, null, rendered)}</div>`;
+      }
+    });
+    
+    html += '</div>';
+    return html;
+  }
+  
+  // Render nodes and connectors from nodeId down the graph until stopId is reached
+  renderSequence(graph, nodeId, stopId, rendered) {
+    let html = '';
+    let currentId = nodeId;
+    
+    while (currentId && currentId !== stopId) {
+      const node = graph.getNode(currentId);
+      if (!node) break;
+      
+      if (rendered.has(currentId)) {
+        // Already drawn elsewhere (e.g. an unstructured jump) - show where the path goes instead
+        html += `<div class="flow-connector-goto" data-goto-node-id="${node.id}">Go to ${FlowPropertiesEditor.escape(node.title)}</div>`;
+        break;
+      }
+      rendered.add(currentId);
       
-      html += this.renderNode(node, isSelected);
+      html += this.renderNode(node, this.config.selectedNodeId === node.id);
       
-      if (!isLast) {
-        html += this.renderConnector(index);
+      if (node.type === 'decision') {
+        const mergeId = graph.findMergeNode(node.id);
+        html += this.renderBranches(graph, node, mergeId, rendered);
+        currentId = mergeId;
+        continue;
       }
+      
+      if (node.type === 'loop') {
+        html += this.renderLoopBody(graph, node, rendered);
+      }
+      
+      const connector = graph.getContinuationConnector(node.id);
+      if (!connector) break;
+      
+      html += this.renderConnector(connector, node.id);
+      currentId = connector.target;
+    }
+    
+    return html;
+  }
+  
+  // Render the outcome branches of a decision side by side, merging at mergeId
+  renderBranches(graph, node, mergeId, rendered) {
+    const connectors = graph.getConnectors(node.id);
+    const merges = connectors.map(connector => {
+      if (!mergeId || !connector.target) return false;
+      return connector.target === mergeId || 
+        graph.getReachableNodeIds(connector.target, { exclude: node.id }).includes(mergeId);
+    });
+    const firstMerge = merges.indexOf(true);
+    const lastMerge = merges.lastIndexOf(true);
+    
+    let html = `<div class="flow-branch-stem"></div><div class="flow-branches" data-decision-id="${node.id}">`;
+    
+    connectors.forEach((connector, index) => {
+      const classes = ['flow-branch'];
+      if (merges[index]) classes.push('flow-branch-merges');
+      if (firstMerge >= 0 && index >= firstMerge && index <= lastMerge) classes.push('flow-branch-merge-bar');
+      if (index === firstMerge) classes.push('flow-branch-merge-first');
+      if (index === lastMerge) classes.push('flow-branch-merge-last');
+      
+      html += `<div class="${classes.join(' ')}" data-connector-id="${connector.id}">`;
+      html += this.renderConnector(connector, node.id);
+      html += this.renderSequence(graph, connector.target, mergeId, rendered);
+      html += '</div>';
     });
     
     html += '</div>';
+    
+    if (mergeId) {
+      html += '<div class="flow-merge-line"></div>';
+    }
+    
     return html;
   }
   
+  // Render a loop's "For Each" body with the back-edge to the loop element;
+  // the "After Last" connector is drawn by renderSequence as the continuation
+  renderLoopBody(graph, node, rendered) {
+    const bodyConnector = graph.getLoopBodyConnector(node.id);
+    if (!bodyConnector) return '';
+    
+    return `
+      <div class="flow-loop" data-loop-id="${node.id}">
+        <div class="flow-loop-back-edge" title="Back to ${FlowPropertiesEditor.escape(node.title)}"></div>
+        <div class="flow-loop-body">
+          ${this.renderConnector(bodyConnector, node.id)}
+          ${this.renderSequence(graph, bodyConnector.target, node.id, rendered)}
+        </div>
+      </div>
+    `;
+  }
+  
   renderNode(node, isSelected) {
+    const escape = FlowPropertiesEditor.escape;
     const selectedClass = isSelected ? 'selected' : '';
+    const cutClass = this.cutNodeIds.includes(node.id) ? 'flow-node-cut' : '';
     
     // Build mode menu items
     const menuItems = `
@@ -216,146 +375,358 @@ class FlowCanvas {
       </div>
     `;
     
+    // In test mode, the mocked outputs of the open scenario (or the flow default) are badged
+    const badges = [node.badge].filter(Boolean);
+    const mockedOutputs = this.config.buildMode === 'test' ? this.getEffectiveOutputs(node.id) : null;
+    if (mockedOutputs && mockedOutputs.mockOutputs) {
+      badges.push('Output Mocked');
+    }
+    
+    // In test mode, breakpoints, the element the debugger is paused before, while
+    // comparing runs the elements whose path or outputs changed, the elements an
+    // imported debug log says failed, the element a replay is on, and dimmed, the elements
+    // outside the test scope. After a run each element shows how it went (see getNodeRunStatus())
+    const isTestMode = this.config.buildMode === 'test';
+    const hasBreakpoint = isTestMode && this.breakpoints.has(node.id);
+    const testClasses = [
+      hasBreakpoint ? 'flow-node-breakpoint' : '',
+      isTestMode && this.getDebugNodeId() === node.id ? 'flow-node-debug-current' : '',
+      isTestMode && this.getRunChange(node.id) ? 'flow-node-run-changed' : '',
+      isTestMode && this.getDebugLogFailedNodeIds().includes(node.id) ? 'flow-node-log-error' : '',
+      isTestMode && this.getReplayNodeId() === node.id ? 'flow-node-replay-current' : '',
+      isTestMode && (this.testStartPoint || this.testEndPoint) && !this.getTestScope().includes(node.id) ? 'flow-node-out-of-scope' : ''
+    ].join(' ');
+    const runStatus = isTestMode ? this.getNodeRunStatus(node) : null;
+    
     return `
-      <div class="flow-node ${selectedClass}" data-node-id="${node.id}">
-        <div class="flow-node-card">
+      <div class="flow-node ${selectedClass} ${cutClass}" data-node-id="${node.id}">
+        <div class="flow-node-card ${testClasses}">
+          ${hasBreakpoint ? '<span class="flow-node-breakpoint-marker" title="Breakpoint"><span class="slds-assistive-text">Breakpoint</span></span>' : ''}
           <div class="flow-node-header">
             <div class="flow-node-icon" style="background-color: ${node.iconBg}">
               ${this.getIconSVG(node.icon)}
             </div>
             <div class="flow-node-text">
-              <div class="flow-node-title">${node.title}</div>
-              ${node.subtitle ? `<div class="flow-node-subtitle">${node.subtitle}</div>` : ''}
+              <div class="flow-node-title">${escape(node.title)}</div>
+              ${node.subtitle ? `<div class="flow-node-subtitle">${escape(node.subtitle)}</div>` : ''}
             </div>
             ${menuButton}
           </div>
-          ${node.badge ? `<div class="flow-node-badges"><div class="flow-node-badge">${node.badge}</div></div>` : ''}
+          ${badges.length > 0 ? `<div class="flow-node-badges">${badges.map(badge => `<div class="flow-node-badge">${escape(badge)}</div>`).join('')}</div>` : ''}
+          ${runStatus ? this.renderRunStatus(runStatus) : ''}
         </div>
       </div>
     `;
   }
   
-  renderConnector(index) {
+  // The run status overlay on an element card: an icon, the iterations, times run or
+  // duration, and the outputs in the tooltip
+  renderRunStatus({ status, detail, title }) {
+    const escape = FlowPropertiesEditor.escape;
+    const icons = { passed: 'success', failed: 'error', skipped: 'dash' };
+    const labels = { passed: 'Passed', failed: 'Failed', skipped: 'Skipped' };
     return `
-      <div class="flow-connector" data-connector-index="${index}">
+      <div class="flow-node-run-status flow-node-run-status_${status}" title="${escape(title)}">
+        <svg class="slds-icon flow-node-run-status-icon" aria-hidden="true"><use href="#${icons[status]}"></use></svg>
+        <span class="slds-assistive-text">${labels[status]}</span>
+        ${detail ? `<span class="flow-node-run-status-detail">${escape(detail)}</span>` : ''}
+      </div>
+    `;
+  }
+  
+  
+  renderConnector(connector, sourceId) {
+    // Start point badge sits on connectors entering the start point,
+    // end point badge on connectors leaving the end point
+    let badgeType = null;
+    if (this.testStartPoint && connector.target === this.testStartPoint) {
+      badgeType = 'start';
+    } else if (this.testEndPoint && sourceId === this.testEndPoint) {
+      badgeType = 'end';
+    }
+    
+    const escape = FlowPropertiesEditor.escape;
+    const label = connector.label
+      ? `<div class="flow-connector-label" title="${escape(connector.label)}">${escape(connector.label)}</div>`
+      : '';
+    
+    const body = badgeType ? `
+        <div class="flow-connector-line flow-connector-line-above"></div>
+        <div class="flow-connector-badge flow-connector-badge-${badgeType}" data-badge-type="${badgeType}" title="Double-click to remove">
+          ${badgeType === 'start' ? 'Start Point' : 'End Point'}
+        </div>
+        <div class="flow-connector-line flow-connector-line-below"></div>
+      ` : `
         <div class="flow-connector-line"></div>
         <button class="flow-connector-button" title="Add Element">
           ${this.getIconSVG('add')}
         </button>
+      `;
+    
+    return `
+      <div class="flow-connector" data-connector-id="${connector.id}" data-source-id="${sourceId}" data-target-id="${connector.target || ''}" ${badgeType ? `data-badge-type="${badgeType}"` : ''}>
+        ${label}
+        ${body}
       </div>
     `;
   }
   
-  setExecutionPath(connectorIndices) {
-    // Set which connectors are part of the execution path
-    // Only apply success color when there are actual run results (connectorIndices provided)
-    let executionPath = connectorIndices || [];
+  // Free-form layout: elements are absolutely positioned at node.position
+  // and connectors are SVG paths between them
+  renderFreeForm() {
+    const escape = FlowPropertiesEditor.escape;
+    const graph = this.getGraph();
+    this.ensureFreeFormPositions(graph);
     
-    // Only automatically add connectors below Start/above End if we have run results
-    // (i.e., connectorIndices is provided and not empty)
-    if (connectorIndices && connectorIndices.length > 0) {
-      // Find Start and End badge positions
-      const connectors = this.container.querySelectorAll('.flow-connector');
-      let startConnectorIndex = -1;
-      let endConnectorIndex = -1;
-      
-      connectors.forEach((connector, index) => {
-        const badgeType = connector.dataset.badgeType;
-        if (badgeType === 'start') {
-          startConnectorIndex = index;
-        } else if (badgeType === 'end') {
-          endConnectorIndex = index;
-        }
-      });
-      
-      // Add connectors between Start and End badges to execution path
-      // If both Start and End are set, only include connectors between them
-      if (startConnectorIndex >= 0) {
-        // Determine the upper bound: if End is set, stop before End; otherwise include all after Start
-        const upperBound = endConnectorIndex >= 0 ? endConnectorIndex : connectors.length;
-        for (let i = startConnectorIndex + 1; i < upperBound; i++) {
-          // Don't include connector with End badge - it should be default color
-          if (i !== endConnectorIndex && !executionPath.includes(i)) {
-            executionPath.push(i);
-          }
-        }
-      }
-      
-      // Add all connectors above End badge to execution path (if End is set but Start is not)
-      // (but exclude the End badge connector itself)
-      if (endConnectorIndex >= 0 && startConnectorIndex < 0) {
-        for (let i = 0; i < endConnectorIndex; i++) {
-          // Don't include connector with End badge - it should be default color
-          if (i !== endConnectorIndex && !executionPath.includes(i)) {
-            executionPath.push(i);
-          }
-        }
+    const { margin } = this.freeFormSpacing;
+    const { width, height } = this.getFreeFormBounds();
+    
+    let paths = '';
+    let handles = '';
+    graph.getAllConnectors().forEach(({ connector, source }) => {
+      if (!connector.target || !graph.getNode(connector.target)) return;
+      paths += `
+        <g class="flow-connector flow-connector-freeform" data-connector-id="${connector.id}" data-source-id="${source}" data-target-id="${connector.target}">
+          <path class="flow-connector-line" marker-end="url(#flow-freeform-arrow)"></path>
+        </g>
+      `;
+      handles += `
+        <div class="flow-freeform-connector-handle" data-connector-id="${connector.id}">
+          ${connector.label ? `<div class="flow-connector-label" title="${escape(connector.label)}">${escape(connector.label)}</div>` : ''}
+          <button class="flow-connector-button" title="Add Element">
+            ${this.getIconSVG('add')}
+          </button>
+        </div>
+      `;
+    });
+    
+    const nodes = this.config.nodes.map(node => `
+      <div class="flow-freeform-node" data-freeform-node-id="${node.id}" style="left: ${node.position.x + margin}px; top: ${node.position.y + margin}px;">
+        ${this.renderNode(node, this.config.selectedNodeId === node.id)}
+      </div>
+    `).join('');
+    
+    return `
+      <div class="flow-freeform-canvas" style="width: ${width}px; height: ${height}px;">
+        <svg class="flow-freeform-connectors" width="${width}" height="${height}" aria-hidden="true">
+          <defs>
+            <marker id="flow-freeform-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z"></path>
+            </marker>
+          </defs>
+          ${paths}
+        </svg>
+        ${nodes}
+        ${handles}
+      </div>
+    `;
+  }
+  
+  getFreeFormBounds() {
+    const { margin } = this.freeFormSpacing;
+    const positions = this.config.nodes.map(n => n.position || { x: 0, y: 0 });
+    return {
+      width: Math.max(0, ...positions.map(p => p.x)) + 285 + margin * 2,
+      height: Math.max(0, ...positions.map(p => p.y)) + 120 + margin * 2
+    };
+  }
+  
+  // Give every element without a position one from a layered layout of the graph
+  ensureFreeFormPositions(graph = this.getGraph()) {
+    if (this.config.nodes.every(n => n.position)) return;
+    
+    const layout = this.computeFreeFormLayout(graph);
+    this.config.nodes.forEach(node => {
+      if (!node.position) {
+        node.position = layout[node.id];
       }
+    });
+  }
+  
+  // Layered layout: each element sits one row below its lowest predecessor,
+  // elements in the same row are spread horizontally around the center
+  computeFreeFormLayout(graph = this.getGraph()) {
+    const order = graph.getTopologicalOrder();
+    const backEdges = graph.getBackEdgeConnectorIds();
+    const levels = {};
+    
+    order.forEach(nodeId => {
+      const predecessorLevels = graph.getIncomingConnectors(nodeId)
+        .filter(({ connector }) => !backEdges.has(connector.id))
+        .map(({ source }) => levels[source])
+        .filter(level => level !== undefined);
+      levels[nodeId] = predecessorLevels.length > 0 ? Math.max(...predecessorLevels) + 1 : 0;
+    });
+    
+    const rows = {};
+    order.forEach(nodeId => {
+      (rows[levels[nodeId]] = rows[levels[nodeId]] || []).push(nodeId);
+    });
+    const widestRow = Math.max(1, ...Object.values(rows).map(row => row.length));
+    
+    const layout = {};
+    Object.entries(rows).forEach(([level, row]) => {
+      const offset = (widestRow - row.length) / 2;
+      row.forEach((nodeId, index) => {
+        layout[nodeId] = {
+          x: Math.round((offset + index) * this.freeFormSpacing.x),
+          y: Number(level) * this.freeFormSpacing.y
+        };
+      });
+    });
+    
+    return layout;
+  }
+  
+  // Recompute every connector path and handle position from the rendered elements
+  updateFreeFormConnectors() {
+    if (this.config.layoutMode !== 'free-form') return;
+    const content = this.getCanvasContent();
+    if (!content) return;
+    
+    const graph = this.getGraph();
+    const { margin } = this.freeFormSpacing;
+    
+    const getBox = (nodeId) => {
+      const node = graph.getNode(nodeId);
+      const element = content.querySelector(`[data-freeform-node-id="${nodeId}"] .flow-node-card`);
+      return {
+        x: node.position.x + margin,
+        y: node.position.y + margin,
+        width: (element && element.offsetWidth) || 285,
+        height: (element && element.offsetHeight) || 56
+      };
+    };
+    
+    content.querySelectorAll('.flow-connector-freeform[data-connector-id]').forEach(group => {
+      const sourceBox = getBox(group.dataset.sourceId);
+      const targetBox = getBox(group.dataset.targetId);
+      const { d, midpoint } = this.getFreeFormConnectorPath(sourceBox, targetBox, group.dataset.sourceId === group.dataset.targetId);
       
-      // Remove End badge connector from execution path (it should be default color)
-      // Only its line-above should be success, not the connector itself
-      if (endConnectorIndex >= 0) {
-        executionPath = executionPath.filter(index => index !== endConnectorIndex);
+      const path = group.querySelector('path');
+      if (path) {
+        path.setAttribute('d', d);
       }
       
-      // Remove any connectors that are after the End badge connector
-      // Connectors after End should never be marked as executed
-      if (endConnectorIndex >= 0) {
-        executionPath = executionPath.filter(index => index < endConnectorIndex);
+      const handle = content.querySelector(`.flow-freeform-connector-handle[data-connector-id="${group.dataset.connectorId}"]`);
+      if (handle) {
+        handle.style.left = `${midpoint.x}px`;
+        handle.style.top = `${midpoint.y}px`;
       }
+    });
+  }
+  
+  // Cubic bezier from the bottom center of the source to the top center of the target;
+  // connectors going back up (loop back-edges) bow out to the left
+  getFreeFormConnectorPath(sourceBox, targetBox, isSelfLoop = false) {
+    const start = { x: sourceBox.x + sourceBox.width / 2, y: sourceBox.y + sourceBox.height };
+    const end = { x: targetBox.x + targetBox.width / 2, y: targetBox.y };
+    
+    let c1;
+    let c2;
+    if (isSelfLoop || end.y <= start.y) {
+      const bow = Math.max(sourceBox.width, targetBox.width) * 0.75;
+      c1 = { x: start.x - bow, y: start.y + 80 };
+      c2 = { x: end.x - bow, y: end.y - 80 };
+    } else {
+      const dy = (end.y - start.y) / 2;
+      c1 = { x: start.x, y: start.y + dy };
+      c2 = { x: end.x, y: end.y - dy };
+    }
+    
+    const midpoint = {
+      x: (start.x + 3 * c1.x + 3 * c2.x + end.x) / 8,
+      y: (start.y + 3 * c1.y + 3 * c2.y + end.y) / 8
+    };
+    
+    return {
+      d: `M ${start.x} ${start.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${end.x} ${end.y}`,
+      midpoint
+    };
+  }
+  
+  setLayoutMode(mode) {
+    if (mode !== 'auto-layout' && mode !== 'free-form') return;
+    if (this.config.layoutMode === mode) return;
+    
+    // Positions are kept on the nodes, so switching back and forth never loses the graph
+    // or the free-form arrangement; auto-layout is always recomputed from the connectors
+    this.config.layoutMode = mode;
+    this.renderNodesOnly();
+  }
+  
+  // Move an element in free-form mode (position is in canvas coordinates)
+  moveNode(nodeId, x, y) {
+    const node = this.config.nodes.find(n => n.id === nodeId);
+    if (!node) return;
+    
+    node.position = { x: Math.max(0, Math.round(x)), y: Math.max(0, Math.round(y)) };
+    const element = this.getCanvasContent()?.querySelector(`[data-freeform-node-id="${nodeId}"]`);
+    if (element) {
+      element.style.left = `${node.position.x + this.freeFormSpacing.margin}px`;
+      element.style.top = `${node.position.y + this.freeFormSpacing.margin}px`;
     }
     
-    this.executionPath = executionPath;
+    // Grow the canvas so elements dragged past the edge stay reachable
+    const { width, height } = this.getFreeFormBounds();
+    const canvas = this.getCanvasContent()?.querySelector('.flow-freeform-canvas');
+    const svg = canvas ? canvas.querySelector('.flow-freeform-connectors') : null;
+    if (canvas && svg) {
+      canvas.style.width = `${width}px`;
+      canvas.style.height = `${height}px`;
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+    }
+    
+    this.updateFreeFormConnectors();
+  }
+  
+  setExecutionPath(connectorIds) {
+    // Set which connectors (by connector id) are part of the execution path
+    // Only apply success color when there are actual run results (connectorIds provided)
+    // Connectors outside the test scope (before Start / after End point) are never marked as executed
+    this.executionPath = connectorIds && connectorIds.length > 0
+      ? this.filterConnectorsByTestScope(connectorIds)
+      : [];
     // Re-render connectors to show execution path
     this.updateConnectorStyles();
   }
   
   updateConnectorStyles() {
     // Check if we have legacy execution path (for backward compatibility)
-    const hasLegacyPath = this.executionPath && this.executionPath.length > 0;
+    // Coverage mode replaces both (see updateCoverageStyles())
+    // A run comparison replaces both with its two runs (see getShownHighlights())
+    const hasLegacyPath = !this.isCoverageShown() && !this.runComparison && !this.debugLog && this.executionPath && this.executionPath.length > 0;
     
     // Check if we have path highlights from test scenarios
-    const hasPathHighlights = Object.keys(this.pathHighlights).length > 0;
+    const highlights = this.getShownHighlights();
+    const hasPathHighlights = !this.isCoverageShown() && Object.keys(highlights).length > 0;
     
-    // Find Start and End badge positions first
-    const connectors = this.container.querySelectorAll('.flow-connector');
-    let startConnectorIndex = -1;
-    let endConnectorIndex = -1;
-    
-    connectors.forEach((connector, index) => {
-      const badgeType = connector.dataset.badgeType;
-      if (badgeType === 'start') {
-        startConnectorIndex = index;
-      } else if (badgeType === 'end') {
-        endConnectorIndex = index;
-      }
-    });
+    const connectors = this.container.querySelectorAll('.flow-connector[data-connector-id]');
     
-    // Build map of connector indices to their path highlight statuses
+    // Build map of connector ids to their path highlight statuses
     // For overlapping paths, we track all statuses that apply to a connector
     const connectorStatusMap = {};
     
     if (hasPathHighlights) {
-      Object.entries(this.pathHighlights).forEach(([scenarioId, highlight]) => {
-        highlight.connectors.forEach(connectorIndex => {
-          if (!connectorStatusMap[connectorIndex]) {
-            connectorStatusMap[connectorIndex] = [];
+      Object.values(highlights).forEach(highlight => {
+        highlight.connectors.forEach(connectorId => {
+          if (!connectorStatusMap[connectorId]) {
+            connectorStatusMap[connectorId] = [];
           }
-          connectorStatusMap[connectorIndex].push(highlight.status);
+          connectorStatusMap[connectorId].push(highlight.status);
         });
       });
     }
     
     // Update connector line styles based on execution path and path highlights
-    connectors.forEach((connector, index) => {
+    connectors.forEach(connector => {
+      const connectorId = connector.dataset.connectorId;
       const badgeType = connector.dataset.badgeType;
-      
-      // Connectors after End badge should never be marked as executed
-      const isAfterEnd = endConnectorIndex >= 0 && index > endConnectorIndex;
-      const isLegacyExecuted = !isAfterEnd && hasLegacyPath && this.executionPath.includes(index);
+      const isLegacyExecuted = hasLegacyPath && this.executionPath.includes(connectorId);
       
       // Get path highlight statuses for this connector
-      const pathStatuses = connectorStatusMap[index] || [];
+      const pathStatuses = connectorStatusMap[connectorId] || [];
       
       if (badgeType) {
         // For connectors with badges, update both lines separately
@@ -365,7 +736,7 @@ class FlowCanvas {
         if (badgeType === 'start') {
           // Start badge: line below within this connector
           if (lineBelow) {
-            this.applyPathHighlightStyles(lineBelow, pathStatuses, isLegacyExecuted && hasLegacyPath);
+            this.applyPathHighlightStyles(lineBelow, pathStatuses, isLegacyExecuted);
           }
           // Line above Start badge is never executed
           if (lineAbove) {
@@ -374,7 +745,7 @@ class FlowCanvas {
         } else if (badgeType === 'end') {
           // End badge: line above within this connector
           if (lineAbove) {
-            this.applyPathHighlightStyles(lineAbove, pathStatuses, isLegacyExecuted && hasLegacyPath);
+            this.applyPathHighlightStyles(lineAbove, pathStatuses, isLegacyExecuted);
           }
           // Line below End badge is never executed
           if (lineBelow) {
@@ -385,19 +756,97 @@ class FlowCanvas {
         // For connectors without badges, update the single line
         const line = connector.querySelector('.flow-connector-line:not(.flow-connector-line-above):not(.flow-connector-line-below)');
         if (line) {
-          if (isAfterEnd) {
-            this.clearPathHighlightStyles(line);
-          } else {
-            this.applyPathHighlightStyles(line, pathStatuses, isLegacyExecuted && hasLegacyPath);
-          }
+          this.applyPathHighlightStyles(line, pathStatuses, isLegacyExecuted);
         }
       }
     });
     
+    this.updateLoopIterationBadges();
+    this.updateCoverageStyles();
+    this.updateReplayMarker();
+    
     // Always call renderLegend - it will handle showing/hiding based on test mode
     this.renderLegend();
   }
   
+  // Coverage mode: shade every element and connector line in the test scope by the
+  // share of scenarios whose path went through it. Other modes clear the shading
+  updateCoverageStyles() {
+    const coverage = this.isCoverageShown() ? this.getCoverage() : null;
+    const shade = (element, count) => {
+      if (!element) return;
+      element.classList.remove('flow-coverage-covered', 'flow-coverage-uncovered');
+      element.style.removeProperty('--flow-coverage');
+      element.removeAttribute('title');
+      if (!coverage || count === undefined) return;
+      
+      element.classList.add(count > 0 ? 'flow-coverage-covered' : 'flow-coverage-uncovered');
+      element.style.setProperty('--flow-coverage', coverage.scenarioCount > 0 ? count / coverage.scenarioCount : 0);
+      element.setAttribute('title', `Covered by ${count} of ${coverage.scenarioCount} ${coverage.scenarioCount === 1 ? 'scenario' : 'scenarios'}`);
+    };
+    
+    this.container.querySelectorAll('.flow-connector[data-connector-id]').forEach(connector => {
+      const count = coverage ? coverage.connectors[connector.dataset.connectorId] : undefined;
+      // Like path highlights, the line above a Start Point badge and below an End Point badge stay plain
+      const badgeType = connector.dataset.badgeType;
+      if (badgeType === 'start') {
+        shade(connector.querySelector('.flow-connector-line-below'), count);
+        shade(connector.querySelector('.flow-connector-line-above'), undefined);
+      } else if (badgeType === 'end') {
+        shade(connector.querySelector('.flow-connector-line-above'), count);
+        shade(connector.querySelector('.flow-connector-line-below'), undefined);
+      } else {
+        shade(connector.querySelector('.flow-connector-line:not(.flow-connector-line-above):not(.flow-connector-line-below)'), count);
+      }
+    });
+    
+    this.container.querySelectorAll('.flow-node[data-node-id]').forEach(node => {
+      shade(node.querySelector('.flow-node-card'), coverage ? coverage.nodes[node.dataset.nodeId] : undefined);
+    });
+  }
+  
+  // Scenario coverage of the test scope, from the current path highlights (see FlowCoverage)
+  getCoverage() {
+    return FlowCoverage.compute(this.config.nodes, this.pathHighlights, { scope: this.getTestScope() });
+  }
+  
+  // A run comparison or an imported debug log is shown over coverage shading
+  isCoverageShown() {
+    return this.coverageMode && !this.runComparison && !this.debugLog;
+  }
+  
+  // The path highlights on the canvas: the scenarios' last runs, while comparing runs
+  // the two runs as 'compare-a' and 'compare-b' (a connector both took gets both), an
+  // imported debug log's path as FlowCanvas.DEBUG_LOG_PATH, or while replaying a run the
+  // part of its path the replay went along so far. pathHighlights is kept meanwhile
+  getShownHighlights() {
+    if (this.replay) {
+      const result = this.getReplayResult();
+      return { replay: { status: result.status, connectors: this.filterConnectorsByTestScope(result.connectors), iterations: result.iterations } };
+    }
+    if (this.debugLog) {
+      const { result } = this.debugLog;
+      const connectors = this.filterConnectorsByTestScope(result.connectors);
+      return {
+        [FlowCanvas.DEBUG_LOG_PATH]: { status: result.status, connectors, iterations: this.countLoopIterations(connectors, result.iterations) }
+      };
+    }
+    const comparison = this.runComparison;
+    if (!comparison) return this.pathHighlights;
+    const highlight = (status, run) => ({ status, connectors: run.connectors, iterations: run.iterations });
+    return {
+      'compare-a': highlight('compare-a', comparison.a),
+      'compare-b': highlight('compare-b', comparison.b)
+    };
+  }
+  
+  // Switch the test-mode canvas between path highlights and coverage shading
+  setCoverageMode(enabled) {
+    this.coverageMode = !!enabled;
+    if (this.coverageMode) this.stopReplay();
+    this.updateConnectorStyles();
+  }
+  
   // Apply path highlight styles to a connector line
   applyPathHighlightStyles(lineElement, pathStatuses, hasLegacyExecuted) {
     // Clear all path highlight classes first
@@ -449,6 +898,8 @@ class FlowCanvas {
     lineElement.classList.remove('flow-connector-line-error');
     lineElement.classList.remove('flow-connector-line-not-run');
     lineElement.classList.remove('flow-connector-line-multi');
+    lineElement.classList.remove('flow-connector-line-compare-a');
+    lineElement.classList.remove('flow-connector-line-compare-b');
     
     // Remove data attribute
     if (lineElement.dataset.pathStatuses) {
@@ -486,10 +937,10 @@ class FlowCanvas {
       // Only show legend if Test Scenarios list view is active
       shouldShowLegend = hasTestScenarioList;
     } else if (skipContentQuery && leftPanel) {
-      // During panel opening, check window.testScenarioPanel to determine if it's Test Scenarios list view
+      // During panel opening, ask the test scenario panel whether it's the Test Scenarios list view
       // This avoids querying panel content while still determining the view
-      if (typeof window !== 'undefined' && window.testScenarioPanel) {
-        const currentView = window.testScenarioPanel.config?.view;
+      if (this.testScenarioPanel) {
+        const currentView = this.testScenarioPanel.config.view;
         // Only show legend if in 'list' view (Test Scenarios list view), not 'testflow' or 'testscenario'
         shouldShowLegend = currentView === 'list';
       } else {
@@ -499,9 +950,9 @@ class FlowCanvas {
       }
     } else if (!leftPanel || !leftPanel.classList.contains('flow-panel-open')) {
       // Panel is closed - check if we're in Test Scenarios view (not Test Flow view)
-      // Try to determine from window.testScenarioPanel if available
-      if (typeof window !== 'undefined' && window.testScenarioPanel) {
-        const currentView = window.testScenarioPanel.config?.view;
+      // Try to determine from the test scenario panel if there is one
+      if (this.testScenarioPanel) {
+        const currentView = this.testScenarioPanel.config.view;
         // Only show legend if in 'list' view (Test Scenarios list view), not 'testflow' or 'testscenario'
         shouldShowLegend = currentView === 'list';
       } else {
@@ -524,27 +975,17 @@ class FlowCanvas {
     const isPanelOpen = leftPanel && leftPanel.classList.contains('flow-panel-open');
     const panelWidth = isPanelOpen ? (leftPanel.offsetWidth || 400) : 0;
     
+    const legendContent = this.getLegendContent();
+    
     if (!legend) {
       // Create legend if it doesn't exist
       legend = document.createElement('div');
       legend.className = 'path-highlight-legend';
-      legend.innerHTML = `
-        <div class="path-highlight-legend-header">Path Highlight</div>
-        <div class="path-highlight-legend-items">
-          <div class="path-highlight-legend-item">
-            <div class="path-highlight-legend-line path-highlight-legend-not-run"></div>
-            <span class="path-highlight-legend-label">Not Run</span>
-          </div>
-          <div class="path-highlight-legend-item">
-            <div class="path-highlight-legend-line path-highlight-legend-passed"></div>
-            <span class="path-highlight-legend-label">Completed / Pass</span>
-          </div>
-          <div class="path-highlight-legend-item">
-            <div class="path-highlight-legend-line path-highlight-legend-failed"></div>
-            <span class="path-highlight-legend-label">Error / Fail</span>
-          </div>
-        </div>
-      `;
+      legend.innerHTML = `<div class="path-highlight-legend-content">${legendContent}</div>`;
+      this.legendContent = legendContent;
+      legend.addEventListener('click', (e) => this.handleLegendClick(e));
+      legend.addEventListener('input', (e) => this.handleLegendInput(e));
+      legend.addEventListener('change', (e) => this.handleLegendInput(e));
       canvasMain.appendChild(legend);
       
       // If panel is already open, set position immediately without animation
@@ -565,7 +1006,12 @@ class FlowCanvas {
         legend.style.left = '24px';
       }
     } else {
-      // Legend already exists - update position based on panel state
+      // Legend already exists - only replace its content when it changed (e.g. coverage after a run)
+      if (this.legendContent !== legendContent) {
+        legend.querySelector('.path-highlight-legend-content').innerHTML = legendContent;
+        this.legendContent = legendContent;
+      }
+      // Update position based on panel state
       // If panel is already open, set position immediately to avoid animation from left edge
       if (isPanelOpen && panelWidth > 0) {
         // Disable transition temporarily to avoid animation
@@ -587,77 +1033,878 @@ class FlowCanvas {
         this.updateLegendPosition();
       }
     }
+    
+    this.renderReplayControl(legend);
+  }
+  
+  // Path highlight statuses, or in coverage mode the coverage percentage and the
+  // Decision outcomes and loop paths that still need scenarios
+  getLegendContent() {
+    const escape = FlowPropertiesEditor.escape;
+    const toggle = `
+      <button class="slds-button path-highlight-legend-toggle" type="button" aria-pressed="${this.coverageMode}" data-legend-action="coverage">
+        ${this.coverageMode ? 'Show Paths' : 'Show Coverage'}
+      </button>
+    `;
+    const item = (lineClass, label) => `
+      <div class="path-highlight-legend-item">
+        <div class="path-highlight-legend-line ${lineClass}"></div>
+        <span class="path-highlight-legend-label">${label}</span>
+      </div>
+    `;
+    
+    if (!this.coverageMode) {
+      return `
+        <div class="path-highlight-legend-header">Path Highlight ${toggle}</div>
+        <div class="path-highlight-legend-items">
+          ${item('path-highlight-legend-not-run', 'Not Run')}
+          ${item('path-highlight-legend-passed', 'Completed / Pass')}
+          ${item('path-highlight-legend-failed', 'Error / Fail')}
+        </div>
+      `;
+    }
+    
+    const coverage = this.getCoverage();
+    const scenarios = `${coverage.scenarioCount} ${coverage.scenarioCount === 1 ? 'scenario' : 'scenarios'}`;
+    const gaps = coverage.gaps.map(gap => `
+      <li>
+        <a href="javascript:void(0);" class="path-coverage-gap" data-legend-node-id="${escape(gap.nodeId)}">${escape(gap.message)}</a>
+      </li>
+    `).join('');
+    
+    return `
+      <div class="path-highlight-legend-header">Coverage ${toggle}</div>
+      <div class="path-coverage-summary">
+        <span class="path-coverage-percent">${coverage.percent}%</span>
+        <span class="path-highlight-legend-label">of elements and connectors (${coverage.covered} of ${coverage.total}) run by ${scenarios}</span>
+      </div>
+      <div class="path-highlight-legend-items">
+        ${item('path-highlight-legend-uncovered', 'Not covered')}
+        ${item('path-highlight-legend-some', 'Some scenarios')}
+        ${item('path-highlight-legend-all', 'All scenarios')}
+      </div>
+      ${gaps ? `
+        <div class="path-coverage-gaps-header">Needs more tests</div>
+        <ul class="path-coverage-gaps">${gaps}</ul>
+      ` : ''}
+    `;
+  }
+  
+  handleLegendClick(e) {
+    if (e.target.closest('[data-legend-action="coverage"]')) {
+      this.setCoverageMode(!this.coverageMode);
+      return;
+    }
+    if (e.target.closest('[data-legend-action="replay"]')) {
+      if (this.replay && this.replay.state.playing) {
+        this.pauseReplay();
+      } else {
+        if (!this.replay) this.startReplay(this.container.querySelector('[data-replay-control="scenario"]')?.value);
+        this.playReplay();
+      }
+      return;
+    }
+    const gap = e.target.closest('[data-legend-node-id]');
+    if (gap) {
+      this.focusNode(gap.dataset.legendNodeId);
+    }
+  }
+  
+  // The replay's scenario, speed and scrubber
+  handleLegendInput(e) {
+    const control = e.target.closest('[data-replay-control]');
+    if (!control) return;
+    const kind = control.dataset.replayControl;
+    if (kind === 'scenario' && e.type === 'change') {
+      this.startReplay(control.value);
+    } else if (kind === 'speed' && e.type === 'change') {
+      this.setReplaySpeed(Number(control.value));
+    } else if (kind === 'scrub' && e.type === 'input') {
+      if (!this.replay) this.startReplay(this.container.querySelector('[data-replay-control="scenario"]')?.value);
+      this.seekReplay(Number(control.value));
+    }
+  }
+  
+  clearExecutionPath() {
+    this.stopReplay();
+    const hadResults = Object.keys(this.runResults).length > 0;
+    this.executionPath = [];
+    this.pathHighlights = {};
+    this.runResults = {};
+    this.updateConnectorStyles();
+    if (hadResults) this.updateAllNodeDisplays();
+  }
+  
+  // Set path highlights for multiple test scenarios
+  setPathHighlights(scenarioHighlights) {
+    // scenarioHighlights: Array of { scenarioId, status: 'passed'|'failed'|'error'|'not-run', connectors: [connectorIds], iterations? }
+    // A loop's "For Each" connector id appears once per iteration; iterations ({ loopId: count }) can also be given explicitly
+    this.pathHighlights = {};
+    
+    scenarioHighlights.forEach(({ scenarioId, status, connectors, iterations }) => {
+      if (scenarioId && connectors && connectors.length > 0) {
+        // Respect start/end points if set
+        const connectorsArray = this.filterConnectorsByTestScope(connectors);
+        this.pathHighlights[scenarioId] = {
+          status: status || 'not-run',
+          connectors: connectorsArray,
+          iterations: this.countLoopIterations(connectorsArray, iterations)
+        };
+      }
+    });
+    
+    this.updateConnectorStyles();
+    this.renderLegend();
+  }
+  
+  // Count how many times each loop body ran in a path (explicit counts win)
+  countLoopIterations(connectorIds, explicitIterations = {}) {
+    const iterations = { ...explicitIterations };
+    const graph = this.getGraph();
+    
+    this.config.nodes.filter(n => n.type === 'loop').forEach(loop => {
+      if (iterations[loop.id] !== undefined) return;
+      
+      const bodyConnector = graph.getLoopBodyConnector(loop.id);
+      const afterLast = graph.getContinuationConnector(loop.id);
+      const count = bodyConnector ? connectorIds.filter(id => id === bodyConnector.id).length : 0;
+      // Only report loops the path actually went through
+      if (count > 0 || (afterLast && connectorIds.includes(afterLast.id))) {
+        iterations[loop.id] = count;
+      }
+    });
+    
+    return iterations;
+  }
+  
+  // Show how many times each loop body ran next to the loop's back-edge
+  updateLoopIterationBadges() {
+    const loops = this.container.querySelectorAll('.flow-loop[data-loop-id]');
+    
+    loops.forEach(loopElement => {
+      const loopId = loopElement.dataset.loopId;
+      const counts = Object.values(this.getShownHighlights())
+        .map(highlight => highlight.iterations ? highlight.iterations[loopId] : undefined)
+        .filter(count => count !== undefined);
+      
+      let badge = loopElement.querySelector(':scope > .flow-loop-iterations');
+      if (counts.length === 0) {
+        if (badge) badge.remove();
+        return;
+      }
+      
+      if (!badge) {
+        badge = document.createElement('div');
+        badge.className = 'flow-loop-iterations';
+        loopElement.appendChild(badge);
+      }
+      
+      const min = Math.min(...counts);
+      const max = Math.max(...counts);
+      const times = (n) => `${n} ${n === 1 ? 'time' : 'times'}`;
+      badge.textContent = min === max ? `Ran ${times(max)}` : `Ran ${min}–${times(max)}`;
+    });
+  }
+  
+  // Filter connector ids by test scope (respecting start/end points)
+  filterConnectorsByTestScope(connectorIds) {
+    if (!this.testStartPoint && !this.testEndPoint) {
+      return [...connectorIds];
+    }
+    
+    const graph = this.getGraph();
+    const scope = new Set(this.getTestScope());
+    
+    return connectorIds.filter(connectorId => {
+      const found = graph.getConnector(connectorId);
+      if (!found) return false;
+      // Keep connectors leaving an in-scope node (this includes the End point connector,
+      // whose line-above is highlighted) and the Start point connector itself
+      return scope.has(found.source) || found.connector.target === this.testStartPoint;
+    });
+  }
+  
+  // Clear path highlights for specific scenarios (or all if no IDs provided)
+  clearPathHighlights(scenarioIds = null) {
+    if (this.replay && (scenarioIds === null || scenarioIds.includes(this.replay.scenarioId))) {
+      this.stopReplay();
+    }
+    if (scenarioIds === null) {
+      this.pathHighlights = {};
+      this.runResults = {};
+    } else {
+      scenarioIds.forEach(id => {
+        delete this.pathHighlights[id];
+        delete this.runResults[id];
+      });
+    }
+    this.updateConnectorStyles();
+    this.renderLegend();
+    this.updateAllNodeDisplays();
+  }
+
+  // Run the flow locally (see FlowInterpreter) once per scenario, within the test
+  // start and end points, check the scenario's assertions (see FlowAssertions) and
+  // highlight the paths the runs took. Highlights of other scenarios are kept.
+  // scenarios: [{ scenarioId, record, priorRecord, inputs, assertions }]. Returns
+  // { scenarioId: result } where result.status includes the assertions and
+  // result.runStatus is the run's own status
+  runTests(scenarios, options = {}) {
+    const results = {};
+
+    scenarios.forEach(({ scenarioId, record, priorRecord, inputs, outputs, assertions }) => {
+      // The scenario's own mocked outputs win over the flow default
+      const interpreter = new FlowInterpreter({
+        nodes: this.config.nodes,
+        resources: this.resources,
+        outputs: { ...this.outputs, ...(outputs || {}) }
+      });
+      const run = interpreter.run({
+        record,
+        priorRecord,
+        inputs,
+        now: options.now,
+        startNodeId: this.testStartPoint,
+        endNodeId: this.testEndPoint
+      });
+      results[scenarioId] = this.getTestResult(run, assertions);
+    });
+
+    this.highlightTestResults(results);
+    return results;
+  }
+  
+  // A run's result with the scenario's assertions checked: status includes them,
+  // runStatus is the run's own status
+  getTestResult(run, assertions) {
+    const assertionResults = FlowAssertions.evaluate(assertions, run, this.config.nodes);
+    return {
+      ...run,
+      runStatus: run.status,
+      status: FlowAssertions.getStatus(run.status, assertionResults),
+      assertions: assertionResults
+    };
+  }
+  
+  // Highlight the paths of { scenarioId: result } and show each element's status (see
+  // getNodeRunStatus()); scenarios that weren't run keep their highlights
+  highlightTestResults(results) {
+    if (this.replay && results[this.replay.scenarioId]) this.stopReplay();
+    Object.assign(this.runResults, results);
+    this.updateAllNodeDisplays();
+    const kept = Object.keys(this.pathHighlights)
+      .filter(scenarioId => !results[scenarioId])
+      .map(scenarioId => ({ scenarioId, ...this.pathHighlights[scenarioId] }));
+    this.setPathHighlights(kept.concat(Object.keys(results).map(scenarioId => ({
+      scenarioId,
+      status: results[scenarioId].status,
+      connectors: results[scenarioId].connectors,
+      iterations: results[scenarioId].iterations
+    }))));
+  }
+  
+  // The runs the element status overlays describe: an imported debug log, the run being
+  // debugged, Run B of a run comparison, the run being replayed as far as the replay got,
+  // the open scenario's last run, or in the list view the last run of every scenario
+  getRunOverlayResults() {
+    if (this.debugLog) return [this.debugLog.result];
+    if (this.debugSession) return [this.debugSession.result || this.debugSession.debugger.run.result];
+    if (this.runComparison) return [this.runComparison.b];
+    if (this.replay) return [this.getReplayResult()];
+    const panel = this.testScenarioPanel;
+    const scenarioId = panel && panel.isTestFlowOrScenarioView() ? panel.config.scenarioId : null;
+    if (scenarioId) return this.runResults[scenarioId] ? [this.runResults[scenarioId]] : [];
+    return Object.values(this.runResults);
+  }
+  
+  // An element's status overlay: { status: 'passed' | 'failed' | 'skipped', detail, title }.
+  // detail is a loop's iterations, how often the element ran or how long it took (debug
+  // logs); title has its outputs. Over several runs, how many of them went through it.
+  // Null when there's no run, and while debugging or replaying for the elements not reached yet
+  getNodeRunStatus(node) {
+    const results = this.getRunOverlayResults();
+    if (results.length === 0) return null;
+    const runs = results.map(result => result.steps.filter(step => step.nodeId === node.id && step.status !== 'not-run'));
+    const ranIn = runs.filter(steps => steps.length > 0).length;
+    const failed = runs.some(steps => steps.some(step => step.status === 'failed'));
+    const status = failed ? 'failed' : ranIn > 0 ? 'passed' : 'skipped';
+    if (status === 'skipped' && (this.replay || (this.debugSession && !this.debugSession.result))) return null;
+    
+    if (results.length > 1) {
+      return {
+        status,
+        detail: `${ranIn}/${results.length}`,
+        title: `Ran in ${ranIn} of ${results.length} scenarios${failed ? ', failed in at least one' : ''}.`
+      };
+    }
+    
+    const [result] = results;
+    const [steps] = runs;
+    if (status === 'skipped') {
+      return { status, detail: '', title: 'Not on the path this run took.' };
+    }
+    const times = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+    const durations = steps.filter(step => typeof step.duration === 'number');
+    const details = [];
+    if (node.type === 'loop' && result.iterations && result.iterations[node.id] !== undefined) {
+      details.push(times(result.iterations[node.id], 'iteration'));
+    } else if (steps.length > 1) {
+      details.push(times(steps.length, 'run'));
+    }
+    if (durations.length > 0) {
+      const total = durations.reduce((sum, step) => sum + step.duration, 0);
+      details.push(`${Math.round(total * 100) / 100} ms`);
+    }
+    
+    const failedStep = steps.find(step => step.status === 'failed');
+    const outputs = result.outputs ? result.outputs[node.id] : undefined;
+    const hasOutputs = outputs !== undefined && !(FlowFixtures.isPlainObject(outputs) && Object.keys(outputs).length === 0);
+    const changes = steps.filter(step => step.changes).map(step => step.changes).pop();
+    const title = [
+      failedStep ? `Failed: ${failedStep.message}` : 'Passed',
+      hasOutputs ? `Outputs: ${JSON.stringify(outputs, null, 2)}` : '',
+      changes ? `Fields set: ${JSON.stringify(changes, null, 2)}` : '',
+      !hasOutputs && !changes && !failedStep ? 'No outputs.' : ''
+    ].filter(Boolean).join('\n');
+    return { status, detail: details.join(' · '), title };
+  }
+  
+  // Breakpoints: the debugger pauses before these elements. Returns whether the element has one now
+  toggleBreakpoint(nodeId) {
+    if (!this.config.nodes.some(n => n.id === nodeId)) return false;
+    if (this.breakpoints.has(nodeId)) {
+      this.breakpoints.delete(nodeId);
+    } else {
+      this.breakpoints.add(nodeId);
+    }
+    this.invalidateMenuCache();
+    this.updateNodeDisplay(nodeId);
+    this.notifyDebugChange();
+    return this.breakpoints.has(nodeId);
+  }
+  
+  hasBreakpoint(nodeId) {
+    return this.breakpoints.has(nodeId);
+  }
+  
+  clearBreakpoints() {
+    const nodeIds = [...this.breakpoints];
+    this.breakpoints.clear();
+    this.invalidateMenuCache();
+    nodeIds.forEach(nodeId => this.updateNodeDisplay(nodeId));
+    this.notifyDebugChange();
+  }
+  
+  // Debug a scenario ({ id, record, priorRecord, inputs, outputs, assertions }) between the
+  // test start and end points, one element at a time (see FlowDebugger). The run is paused
+  // before its first element; move it on with debugStep(), debugStepOverLoop() and debugContinue()
+  startDebugging(scenario, options = {}) {
+    if (this.debugSession) this.stopDebugging();
+    const interpreter = new FlowInterpreter({
+      nodes: this.config.nodes,
+      resources: this.resources,
+      outputs: this.getScenarioOutputs(scenario)
+    });
+    this.debugSession = {
+      scenarioId: scenario.id,
+      assertions: scenario.assertions,
+      debugger: new FlowDebugger({
+        interpreter,
+        breakpoints: this.breakpoints,
+        runOptions: {
+          record: scenario.record,
+          priorRecord: scenario.priorRecord,
+          inputs: scenario.inputs,
+          now: options.now,
+          startNodeId: this.testStartPoint,
+          endNodeId: this.testEndPoint
+        }
+      }),
+      result: null
+    };
+    this.updateAllNodeDisplays();
+    this.updateDebugDisplay(null);
+    return this.getDebugState();
+  }
+  
+  isDebugging() {
+    return !!this.debugSession;
+  }
+  
+  debugStep() {
+    return this.runDebugCommand(debug => debug.step());
+  }
+  
+  debugStepOverLoop() {
+    return this.runDebugCommand(debug => debug.stepOverLoop());
+  }
+  
+  debugContinue() {
+    return this.runDebugCommand(debug => debug.continue());
+  }
+  
+  // Once the run finishes its assertions are checked and its path is highlighted like runTests()
+  runDebugCommand(command) {
+    const session = this.debugSession;
+    if (!session || session.debugger.isFinished()) return this.getDebugState();
+    
+    const previousNodeId = this.getDebugNodeId();
+    command(session.debugger);
+    if (session.debugger.isFinished()) {
+      session.result = this.getTestResult(session.debugger.run.result, session.assertions);
+      this.highlightTestResults({ [session.scenarioId]: session.result });
+    }
+    this.updateDebugDisplay(previousNodeId);
+    return this.getDebugState();
+  }
+  
+  stopDebugging() {
+    if (!this.debugSession) return;
+    this.debugSession = null;
+    this.setExecutionPath([]);
+    // The element status overlays go back to the runs
+    this.updateAllNodeDisplays();
+    this.notifyDebugChange();
+  }
+  
+  // Where debugging is: { scenarioId, nodeId, finished, loopId, result, variables, breakpoints }
+  // (see FlowDebugger.getState()). result has the assertions checked once the run finished.
+  // Null when not debugging
+  getDebugState() {
+    const session = this.debugSession;
+    if (!session) return null;
+    const state = session.debugger.getState();
+    return {
+      ...state,
+      scenarioId: session.scenarioId,
+      result: session.result || state.result,
+      breakpoints: [...this.breakpoints]
+    };
+  }
+  
+  getDebugNodeId() {
+    return this.debugSession ? this.debugSession.debugger.getCurrentNodeId() : null;
+  }
+  
+  // Mark the element the run is paused before and the path it took so far
+  updateDebugDisplay(previousNodeId) {
+    const session = this.debugSession;
+    const nodeId = this.getDebugNodeId();
+    [previousNodeId, nodeId].filter(Boolean).forEach(id => this.updateNodeDisplay(id));
+    this.setExecutionPath(session.result ? [] : session.debugger.run.result.connectors);
+    if (nodeId) {
+      const nodeElement = this.container.querySelector(`#flow-canvas-content [data-node-id="${nodeId}"]`);
+      nodeElement?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    }
+    this.notifyDebugChange();
+  }
+  
+  notifyDebugChange() {
+    const state = this.getDebugState();
+    if (this.testScenarioPanel) {
+      this.testScenarioPanel.handleDebugChange(state);
+    }
+    if (this.config.onDebugChange) {
+      this.config.onDebugChange(state);
+    }
+  }
+
+  // Overlay two runs of a scenario (FlowRunHistory entries, a the earlier) on the canvas
+  // and mark the elements whose path or outputs changed. Returns FlowRunHistory.compare()
+  setRunComparison(a, b) {
+    const { changes, assertions } = FlowRunHistory.compare(a, b);
+    this.runComparison = { a, b, changes };
+    this.updateAllNodeDisplays();
+    this.updateConnectorStyles();
+    return { changes, assertions };
+  }
+
+  clearRunComparison() {
+    if (!this.runComparison) return;
+    this.runComparison = null;
+    this.updateAllNodeDisplays();
+    this.updateConnectorStyles();
+  }
+
+  // The change to an element between the compared runs, or null
+  getRunChange(nodeId) {
+    if (!this.runComparison) return null;
+    return this.runComparison.changes.find(change => change.nodeId === nodeId) || null;
+  }
+
+  // The version of the flow runs are made against (see FlowRunHistory.getVersion())
+  getFlowVersion() {
+    return FlowRunHistory.getVersion({ nodes: this.config.nodes, resources: this.resources, outputs: this.outputs });
+  }
+
+  // Show the path a flow interview in a Salesforce debug log took (see FlowDebugLog): it is
+  // highlighted instead of the scenarios' runs as FlowCanvas.DEBUG_LOG_PATH (see
+  // getShownHighlights()), the failing element is marked and the test scenario panel shows the log. The interview of this flow is used when
+  // the log has several. Returns this.debugLog; throws when the log has no flow elements
+  importDebugLog(text, options = {}) {
+    const interviews = FlowDebugLog.parse(text);
+    const metadata = this.config.metadata;
+    const interview = FlowDebugLog.findInterview(interviews, [metadata.apiName, metadata.label]);
+    const result = FlowDebugLog.toRun(interview, { nodes: this.config.nodes, resources: this.resources });
+
+    this.debugLog = {
+      fileName: options.fileName || '',
+      flowName: interview.flowName,
+      interviewCount: interviews.length,
+      result
+    };
+    this.stopReplay();
+    this.updateConnectorStyles();
+    this.updateAllNodeDisplays();
+    if (this.testScenarioPanel) {
+      this.testScenarioPanel.showDebugLog();
+    }
+    return this.debugLog;
+  }
+
+  // A dropped log that can't be read is reported in the panel
+  handleDebugLogDrop(text, fileName) {
+    try {
+      this.importDebugLog(text, { fileName });
+    } catch (e) {
+      this.clearDebugLog();
+      if (this.testScenarioPanel) {
+        this.testScenarioPanel.showDebugLog(`${fileName}: ${e.message}`);
+      }
+    }
+  }
+
+  clearDebugLog() {
+    if (!this.debugLog) return;
+    this.debugLog = null;
+    this.updateConnectorStyles();
+    this.updateAllNodeDisplays();
+  }
+
+  getDebugLogFailedNodeIds() {
+    if (!this.debugLog) return [];
+    return this.debugLog.result.steps.filter(step => step.status === 'failed').map(step => step.nodeId);
+  }
+
+  // Replay a scenario's last run (see FlowReplay): a marker moves along the connectors it
+  // took, in order, and stops on each element, whose outputs the replay control in the
+  // legend shows. The path is highlighted as far as the replay got. The replay starts
+  // paused on the first element. Returns getReplayState(), or null when the scenario has no run
+  startReplay(scenarioId = Object.keys(this.runResults)[0]) {
+    const result = this.runResults[scenarioId];
+    if (!result || !result.steps || result.steps.length === 0) return null;
+    if (this.replay) this.replay.player.stop();
+    const player = new FlowReplay(result, {
+      speed: this.replaySpeed,
+      onChange: (state) => this.updateReplayDisplay(state)
+    });
+    this.replay = { scenarioId, player, state: player.getState() };
+    this.updateAllNodeDisplays();
+    this.updateConnectorStyles();
+    return this.getReplayState();
+  }
+
+  playReplay() {
+    if (this.replay) this.replay.player.play();
+    return this.getReplayState();
+  }
+
+  pauseReplay() {
+    if (this.replay) this.replay.player.pause();
+    return this.getReplayState();
+  }
+
+  // Go to the element of the run's step at index
+  seekReplay(index) {
+    if (this.replay) this.replay.player.seek(index);
+    return this.getReplayState();
+  }
+
+  // 1 is normal speed; the speed is kept for the next replay
+  setReplaySpeed(speed) {
+    this.replaySpeed = speed > 0 ? speed : 1;
+    if (this.replay) this.replay.player.setSpeed(this.replaySpeed);
+    return this.getReplayState();
+  }
+
+  // The path highlights and element statuses go back to the runs
+  stopReplay() {
+    if (!this.replay) return;
+    this.replay.player.stop();
+    this.replay = null;
+    this.updateAllNodeDisplays();
+    this.updateConnectorStyles();
+  }
+
+  // Where the replay is: { scenarioId, index, count, step, nodeId, connectorId, connectors,
+  // playing, moving, speed, moveTime } (see FlowReplay.getState()). Null when not replaying
+  getReplayState() {
+    if (!this.replay) return null;
+    return { ...this.replay.state, scenarioId: this.replay.scenarioId };
+  }
+
+  getReplayNodeId() {
+    return this.replay ? this.replay.state.nodeId : null;
+  }
+
+  // The replayed run as far as the replay got
+  getReplayResult() {
+    const { player, state } = this.replay;
+    return {
+      ...player.result,
+      steps: player.steps.slice(0, state.index + 1),
+      connectors: state.connectors,
+      iterations: this.countLoopIterations(state.connectors)
+    };
+  }
+
+  // Mark the element the replay is on and the path so far, and keep the element in view
+  updateReplayDisplay(state) {
+    const previous = this.replay.state;
+    this.replay.state = state;
+    if (Math.abs(state.index - previous.index) > 1) {
+      this.updateAllNodeDisplays();
+    } else {
+      [previous.step, state.step].filter(Boolean).forEach(step => this.updateNodeDisplay(step.nodeId));
+    }
+    this.updateConnectorStyles();
+    if (state.nodeId && state.playing) {
+      const nodeElement = this.container.querySelector(`#flow-canvas-content [data-node-id="${state.nodeId}"]`);
+      nodeElement?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    }
+  }
+
+  // The marker moving along the connector the replay is on. It is drawn in the connector's
+  // own element: its line, the loop's back-edge when it goes back to a loop, or on the
+  // free-form canvas its SVG path. A marker already moving along it is left alone
+  updateReplayMarker() {
+    const state = this.getReplayState();
+    const key = state && state.connectorId ? `${state.scenarioId}:${state.index}` : '';
+    const existing = this.container.querySelector('.flow-replay-marker');
+    if (existing && existing.getAttribute('data-replay-step') === key) return;
+    this.container.querySelectorAll('.flow-replay-marker').forEach(marker => marker.remove());
+    if (!key) return;
+
+    const duration = `${Math.round(state.moveTime)}ms`;
+    const connector = this.container.querySelector(`.flow-connector[data-connector-id="${state.connectorId}"]`);
+    if (connector && connector.classList.contains('flow-connector-freeform')) {
+      const path = connector.querySelector('path.flow-connector-line');
+      if (!path) return;
+      const svg = 'http://www.w3.org/2000/svg';
+      const marker = document.createElementNS(svg, 'circle');
+      marker.setAttribute('class', 'flow-replay-marker');
+      marker.setAttribute('data-replay-step', key);
+      marker.setAttribute('r', '6');
+      const motion = document.createElementNS(svg, 'animateMotion');
+      motion.setAttribute('path', path.getAttribute('d') || '');
+      motion.setAttribute('dur', duration);
+      motion.setAttribute('begin', 'indefinite');
+      motion.setAttribute('fill', 'freeze');
+      marker.appendChild(motion);
+      connector.appendChild(marker);
+      motion.beginElement?.();
+      return;
+    }
+
+    let track = connector;
+    if (!track) {
+      const found = this.getGraph().getConnector(state.connectorId);
+      track = found ? this.container.querySelector(`.flow-loop[data-loop-id="${found.connector.target}"] > .flow-loop-back-edge`) : null;
+    }
+    if (!track) return;
+    const marker = document.createElement('div');
+    marker.className = track === connector ? 'flow-replay-marker' : 'flow-replay-marker flow-replay-marker-back';
+    marker.setAttribute('data-replay-step', key);
+    marker.style.animationDuration = duration;
+    track.appendChild(marker);
+  }
+
+  // The replay control under the legend's content: the scenario to replay, play/pause,
+  // the scrubber, the speed and the element the replay is on. It is only rebuilt when the
+  // scenarios or the replayed run change, so dragging the scrubber isn't interrupted
+  renderReplayControl(legend) {
+    const escape = FlowPropertiesEditor.escape;
+    const scenarioIds = this.coverageMode ? [] : Object.keys(this.runResults)
+      .filter(scenarioId => (this.runResults[scenarioId].steps || []).length > 0);
+    let control = legend.querySelector(':scope > .path-replay');
+    if (scenarioIds.length === 0) {
+      if (control) control.remove();
+      return;
+    }
+
+    const state = this.getReplayState();
+    const scenarioId = state ? state.scenarioId : scenarioIds[0];
+    const count = state ? state.count : this.runResults[scenarioId].steps.length;
+    const key = `${scenarioIds.join(',')}|${scenarioId}|${count}`;
+    if (!control || control.dataset.replayKey !== key) {
+      if (!control) {
+        control = document.createElement('div');
+        control.className = 'path-replay';
+        legend.appendChild(control);
+      }
+      control.dataset.replayKey = key;
+      const options = scenarioIds.map(id => `
+        <option value="${escape(id)}" ${id === scenarioId ? 'selected' : ''}>${escape(this.getTestScenario(id)?.name || id)}</option>
+      `).join('');
+      const speeds = [0.5, 1, 2, 4].map(speed => `
+        <option value="${speed}" ${speed === this.replaySpeed ? 'selected' : ''}>${speed}×</option>
+      `).join('');
+      control.innerHTML = `
+        <div class="path-highlight-legend-header">
+          Replay
+          <div class="slds-select_container">
+            <select class="slds-select path-replay-scenario" aria-label="Scenario to replay" data-replay-control="scenario">${options}</select>
+          </div>
+        </div>
+        <div class="path-replay-controls">
+          <button class="slds-button slds-button_icon slds-button_icon-border" type="button" title="Play" data-legend-action="replay" ${count < 2 ? 'disabled' : ''}>
+            <svg class="slds-button__icon" aria-hidden="true"><use href="#play"></use></svg>
+            <span class="slds-assistive-text">Play</span>
+          </button>
+          <input class="path-replay-scrub" type="range" min="0" max="${count - 1}" step="1" value="0" aria-label="Step" data-replay-control="scrub">
+          <div class="slds-select_container">
+            <select class="slds-select path-replay-speed" aria-label="Speed" data-replay-control="speed">${speeds}</select>
+          </div>
+        </div>
+        <div class="path-replay-step" aria-live="polite"></div>
+      `;
+    }
+
+    const playing = !!(state && state.playing);
+    const label = playing ? 'Pause' : 'Play';
+    const toggle = control.querySelector('[data-legend-action="replay"]');
+    toggle.title = label;
+    toggle.querySelector('use').setAttribute('href', `#${playing ? 'pause' : 'play'}`);
+    toggle.querySelector('.slds-assistive-text').textContent = label;
+    control.querySelector('[data-replay-control="scrub"]').value = String(state ? state.index : 0);
+    control.querySelector('[data-replay-control="speed"]').value = String(this.replaySpeed);
+    control.querySelector('.path-replay-step').innerHTML = state
+      ? this.getReplayStepContent(state)
+      : `<div class="path-highlight-legend-label">${count} ${count === 1 ? 'step' : 'steps'}</div>`;
   }
-  
-  clearExecutionPath() {
-    this.executionPath = [];
-    this.pathHighlights = {};
-    this.updateConnectorStyles();
+
+  // The element the replay is on, how it went and its outputs; while moving, where to
+  getReplayStepContent(state) {
+    const escape = FlowPropertiesEditor.escape;
+    const getTitle = (step) => {
+      const node = step ? this.config.nodes.find(n => n.id === step.nodeId) : null;
+      return node ? node.title : (step ? step.nodeId : '');
+    };
+    const position = `<div class="path-highlight-legend-label">Step ${state.index + 1} of ${state.count}</div>`;
+    if (state.moving) {
+      const next = this.replay.player.steps[state.index + 1];
+      return `${position}<div class="path-replay-element">${escape(getTitle(state.step))} → ${escape(getTitle(next))}</div>`;
+    }
+
+    const { step } = state;
+    const { player } = this.replay;
+    const node = this.config.nodes.find(n => n.id === step.nodeId);
+    // A run keeps an element's last outputs; a loop's are its last item, so say which item this is
+    let loop = '';
+    if (node && node.type === 'loop') {
+      const bodyConnector = this.getGraph().getLoopBodyConnector(node.id);
+      const isItem = !!bodyConnector && step.connectorId === bodyConnector.id;
+      const item = player.steps.slice(0, state.index + 1).filter(taken => isItem && taken.connectorId === step.connectorId).length;
+      loop = isItem ? `Item ${item} of ${(player.result.iterations || {})[node.id] || item}` : 'After the last item';
+    }
+    const outputs = !loop && player.result.outputs ? player.result.outputs[step.nodeId] : undefined;
+    const hasOutputs = outputs !== undefined && !(FlowFixtures.isPlainObject(outputs) && Object.keys(outputs).length === 0);
+    const details = [
+      step.status === 'failed' ? `Failed: ${step.message}` : '',
+      step.status === 'not-run' && step.message ? step.message : '',
+      loop,
+      step.changes ? `Fields set: ${JSON.stringify(step.changes, null, 2)}` : '',
+      hasOutputs ? `Outputs: ${JSON.stringify(outputs, null, 2)}` : ''
+    ].filter(Boolean).join('\n');
+    return `
+      ${position}
+      <div class="path-replay-element">${escape(getTitle(step))}</div>
+      ${details ? `<pre class="path-replay-outputs">${escape(details)}</pre>` : '<div class="path-highlight-legend-label">No outputs.</div>'}
+    `;
   }
-  
-  // Set path highlights for multiple test scenarios
-  setPathHighlights(scenarioHighlights) {
-    // scenarioHighlights: Array of { scenarioId, status: 'passed'|'failed'|'error'|'not-run', connectors: [indices] }
-    this.pathHighlights = {};
-    
-    scenarioHighlights.forEach(({ scenarioId, status, connectors }) => {
-      if (scenarioId && connectors && connectors.length > 0) {
-        // Respect start/end points if set
-        const connectorsArray = this.filterConnectorsByTestScope(connectors);
-        this.pathHighlights[scenarioId] = {
-          status: status || 'not-run',
-          connectors: connectorsArray
-        };
-      }
-    });
-    
-    this.updateConnectorStyles();
+
+  // The panel that lists and runs test scenarios (see TestScenarioPanel). The canvas
+  // asks it which view is open and sends it back to Setup when the test points change
+  setTestScenarioPanel(panel) {
+    this.testScenarioPanel = panel;
     this.renderLegend();
   }
-  
-  // Filter connector indices by test scope (respecting start/end points)
-  filterConnectorsByTestScope(connectorIndices) {
-    const allConnectors = this.container.querySelectorAll('.flow-connector');
-    let startConnectorIndex = -1;
-    let endConnectorIndex = -1;
-    
-    allConnectors.forEach((connector, index) => {
-      const badgeType = connector.dataset.badgeType;
-      if (badgeType === 'start') {
-        startConnectorIndex = index;
-      } else if (badgeType === 'end') {
-        endConnectorIndex = index;
-      }
-    });
-    
-    let filtered = [...connectorIndices];
-    
-    // Remove connectors before start point
-    if (startConnectorIndex >= 0) {
-      filtered = filtered.filter(index => index >= startConnectorIndex);
+
+  // The isTestFlowOrScenarioView option wins; otherwise the test scenario panel decides
+  isTestFlowOrScenarioView() {
+    if (typeof this.config.isTestFlowOrScenarioView === 'function') {
+      return this.config.isTestFlowOrScenarioView();
     }
-    
-    // Remove connectors after end point (but keep the end connector itself - its line-above should be highlighted)
-    if (endConnectorIndex >= 0) {
-      filtered = filtered.filter(index => index <= endConnectorIndex);
+    return this.testScenarioPanel ? this.testScenarioPanel.isTestFlowOrScenarioView() : false;
+  }
+
+  getTestScenarios() {
+    return this.testScenarios;
+  }
+
+  getTestScenario(scenarioId) {
+    return this.testScenarios.find(scenario => scenario.id === scenarioId) || null;
+  }
+
+  // Add a test scenario, or replace the one with the same id. Names are unique (ignoring case)
+  saveTestScenario(scenario) {
+    const name = scenario && typeof scenario.name === 'string' ? scenario.name.trim() : '';
+    if (!scenario || !scenario.id || name === '') {
+      console.warn('FlowCanvas: Cannot save test scenario - id and name are required', scenario);
+      return false;
+    }
+    const clash = this.testScenarios.find(other => other.id !== scenario.id && other.name.toLowerCase() === name.toLowerCase());
+    if (clash) {
+      console.warn('FlowCanvas: Cannot save test scenario - name already used', name);
+      return false;
     }
     
-    return filtered;
-  }
-  
-  // Clear path highlights for specific scenarios (or all if no IDs provided)
-  clearPathHighlights(scenarioIds = null) {
-    if (scenarioIds === null) {
-      this.pathHighlights = {};
+    const before = this.captureState();
+    const saved = JSON.parse(JSON.stringify({ ...scenario, name }));
+    const index = this.testScenarios.findIndex(other => other.id === scenario.id);
+    if (index >= 0) {
+      this.testScenarios.splice(index, 1, saved);
     } else {
-      scenarioIds.forEach(id => {
-        delete this.pathHighlights[id];
-      });
+      this.testScenarios.push(saved);
     }
-    this.updateConnectorStyles();
-    this.renderLegend();
+    this.commitChange(index >= 0 ? 'Edit Test Scenario' : 'New Test Scenario', before);
+    return true;
+  }
+
+  // Add several scenarios as one change that can be undone (e.g. generated ones).
+  // Returns false, adding none, when an id or name is missing or already used
+  addTestScenarios(scenarios, label = 'Add Test Scenarios') {
+    const ids = new Set(this.testScenarios.map(scenario => scenario.id));
+    const names = new Set(this.testScenarios.map(scenario => scenario.name.toLowerCase()));
+    for (const scenario of scenarios) {
+      const name = typeof scenario.name === 'string' ? scenario.name.trim() : '';
+      if (!scenario.id || name === '' || ids.has(scenario.id) || names.has(name.toLowerCase())) {
+        console.warn('FlowCanvas: Cannot add test scenarios - each needs a new id and an unused name', scenario);
+        return false;
+      }
+      ids.add(scenario.id);
+      names.add(name.toLowerCase());
+    }
+    if (scenarios.length === 0) return true;
+    
+    const before = this.captureState();
+    scenarios.forEach(scenario => {
+      this.testScenarios.push(JSON.parse(JSON.stringify({ ...scenario, name: scenario.name.trim() })));
+    });
+    this.commitChange(label, before);
+    return true;
   }
   
+  deleteTestScenario(scenarioId) {
+    const index = this.testScenarios.findIndex(scenario => scenario.id === scenarioId);
+    if (index < 0) return false;
+    const before = this.captureState();
+    this.testScenarios.splice(index, 1);
+    this.commitChange('Delete Test Scenario', before);
+    this.clearPathHighlights([scenarioId]);
+    return true;
+  }
+
   getNodePropertiesContent(nodeId) {
     const selectedNode = this.config.nodes.find(n => n.id === nodeId);
     
@@ -673,31 +1920,31 @@ class FlowCanvas {
       return div.innerHTML;
     };
     
-    const titleValue = escapeHtml(selectedNode.title);
     const nodeIdAttr = escapeHtml(selectedNode.id);
     
+    // Elements the interpreter doesn't run itself get an Outputs tab in the test views
+    const hasOutputs = this.isTestFlowOrScenarioView() && !FlowInterpreter.BUILT_IN_TYPES.includes(selectedNode.type);
+    const activeTab = hasOutputs && this.activeTab === 'outputs' ? 'outputs' : 'properties';
+    const tab = (name, label) => `
+            <li class="slds-tabs_default__item ${activeTab === name ? 'slds-is-active' : ''}" title="${label}" role="presentation">
+              <a class="slds-tabs_default__link flow-node-properties-tab" href="javascript:void(0);" role="tab" tabindex="${activeTab === name ? 0 : -1}" aria-selected="${activeTab === name}" aria-controls="tab-${name}-${nodeIdAttr}" id="tab-${name}-${nodeIdAttr}__item" data-tab="${name}">${label}</a>
+            </li>
+    `;
+    const panel = (name, content) => `
+          <div id="tab-${name}-${nodeIdAttr}" class="slds-tabs_default__content" role="tabpanel" aria-labelledby="tab-${name}-${nodeIdAttr}__item" ${activeTab === name ? '' : 'style="display: none;"'}>
+            ${content}
+          </div>
+    `;
+    
     return `
       <div class="flow-sidebar-content">
         <div class="slds-tabs_default">
           <ul class="slds-tabs_default__nav" role="tablist">
-            <li class="slds-tabs_default__item slds-is-active" title="Properties" role="presentation">
-              <a class="slds-tabs_default__link flow-node-properties-tab" href="javascript:void(0);" role="tab" tabindex="0" aria-selected="true" aria-controls="tab-properties-${nodeIdAttr}" id="tab-properties-${nodeIdAttr}__item" data-tab="properties">Properties</a>
-            </li>
+            ${tab('properties', 'Properties')}
+            ${hasOutputs ? tab('outputs', 'Outputs') : ''}
           </ul>
-          <div id="tab-properties-${nodeIdAttr}" class="slds-tabs_default__content" role="tabpanel" aria-labelledby="tab-properties-${nodeIdAttr}__item">
-            <div class="slds-form-element">
-              <label class="slds-form-element__label" for="node-title-${nodeIdAttr}">
-                <span class="slds-form-element__label-text">Label</span>
-              </label>
-              <div class="slds-form-element__control">
-                <input type="text" 
-                       id="node-title-${nodeIdAttr}"
-                       class="slds-input" 
-                       value="${titleValue}" 
-                       data-property="title" />
-              </div>
-            </div>
-          </div>
+          ${panel('properties', this.propertiesEditor.render(selectedNode, this.elementRegistry.get(selectedNode.type)))}
+          ${hasOutputs ? panel('outputs', this.renderOutputsTab(selectedNode)) : ''}
         </div>
       </div>
     `;
@@ -705,20 +1952,22 @@ class FlowCanvas {
   
   renderOutputsTab(node) {
     // Outputs tab content - shows available outputs from the element
-    // Load saved outputs if available
-    const nodeOutputs = this.outputs[node.id] || {};
+    // Load saved outputs if available: the open scenario's own, or the flow default
+    const nodeOutputs = this.getEditedOutputs(node.id);
     const mockOutputsEnabled = nodeOutputs.mockOutputs !== undefined ? nodeOutputs.mockOutputs : false;
     const viewMode = nodeOutputs.viewMode || 'resource'; // 'resource' or 'code'
-    const outputsValue = nodeOutputs.value || '';
+    const outputsValue = FlowPropertiesEditor.escape(nodeOutputs.value || '');
     const isOverridden = nodeOutputs.overridden || false;
     
-    // Resource view fields
-    const resourceFields = [
-      { id: 'text', label: 'Text', value: nodeOutputs.text || '' },
-      { id: 'record', label: 'Record', value: nodeOutputs.record || '' },
-      { id: 'recordCollection', label: 'RecordCollection', value: nodeOutputs.recordCollection || '' },
-      { id: 'httpCalloutResponse', label: 'HTTPCalloutResponse', value: nodeOutputs.httpCalloutResponse || '' }
-    ];
+    // Resource view fields: the outputs the element type declares
+    const shape = this.elementRegistry.getOutputs(node);
+    if (shape.length === 0 && Object.keys(FlowMockOutputs.getValues({ ...nodeOutputs, viewMode: 'resource' })).length === 0) {
+      return `
+        <div class="flow-node-outputs">
+          <p class="flow-outputs-empty">${FlowPropertiesEditor.escape(node.title || node.id)} has no outputs to mock.</p>
+        </div>
+      `;
+    }
     
     const resourceViewSelected = viewMode === 'resource' ? 'slds-is-selected' : '';
     const codeViewSelected = viewMode === 'code' ? 'slds-is-selected' : '';
@@ -770,6 +2019,8 @@ class FlowCanvas {
             </div>
           </div>
           
+          ${this.renderOutputsScope(node)}
+          
           ${isOverridden ? `
           <div class="slds-scoped-notification slds-scoped-notification_light slds-m-bottom_medium" role="status">
             <div class="slds-media">
@@ -783,23 +2034,7 @@ class FlowCanvas {
           ${viewMode === 'resource' ? `
           <!-- Resource View -->
           <div class="flow-outputs-resource-view">
-            ${resourceFields.map(field => `
-              <div class="slds-form-element slds-m-bottom_small">
-                <label class="slds-form-element__label" for="output-${field.id}-${node.id}">
-                  <span class="slds-form-element__label-text">${field.label}</span>
-                </label>
-                <div class="slds-form-element__control">
-                  <input type="text" 
-                         id="output-${field.id}-${node.id}" 
-                         class="slds-input" 
-                         data-node-outputs-field="${node.id}"
-                         data-field-name="${field.id}"
-                         value="${field.value}"
-                         placeholder="Enter ${field.label}..."
-                         ${!mockOutputsEnabled ? 'disabled' : ''} />
-                </div>
-              </div>
-            `).join('')}
+            ${shape.map(output => this.renderOutputField(node, output, nodeOutputs[output.name], mockOutputsEnabled)).join('')}
           </div>
           ` : `
           <!-- Code View -->
@@ -809,27 +2044,183 @@ class FlowCanvas {
                 <textarea id="node-outputs-code-${node.id}" 
                           class="slds-textarea" 
                           rows="12" 
-                          placeholder="Enter code..."
+                          placeholder="${FlowPropertiesEditor.escape(FlowMockOutputs.getExample(shape))}"
                           data-node-outputs-code="${node.id}"
                           ${!mockOutputsEnabled ? 'disabled' : ''}>${outputsValue}</textarea>
               </div>
             </div>
           </div>
           `}
+          
+          <div class="flow-outputs-errors" data-node-outputs-errors="${node.id}" aria-live="polite">${this.renderOutputsErrors(node)}</div>
         </div>
       </div>
     `;
   }
   
-  updateNodeOutputs(nodeId, outputsData) {
+  // A resource view input for one output, by its type: records, lists and Apex values are JSON
+  renderOutputField(node, output, value, enabled) {
+    const escape = FlowPropertiesEditor.escape;
+    const id = `output-${output.name}-${node.id}`;
+    const label = escape(output.label || output.name);
+    const attributes = `id="${escape(id)}" data-node-outputs-field="${escape(node.id)}" data-field-name="${escape(output.name)}" ${enabled ? '' : 'disabled'}`;
+    const text = escape(FlowFixtures.formatValue(value));
+    
+    let input;
+    if (output.type === 'Boolean') {
+      input = `
+        <select class="slds-select" ${attributes}>
+          <option value="" ${value === undefined || value === null || value === '' ? 'selected' : ''}>--None--</option>
+          <option value="true" ${value === true || value === 'true' ? 'selected' : ''}>True</option>
+          <option value="false" ${value === false || value === 'false' ? 'selected' : ''}>False</option>
+        </select>
+      `;
+    } else if (FlowMockOutputs.isJsonType(output.type)) {
+      input = `<textarea class="slds-textarea" rows="3" ${attributes} placeholder="${escape(FlowMockOutputs.getExample([output]))}">${text}</textarea>`;
+    } else {
+      const inputType = { Number: 'number', Currency: 'number', Date: 'date' }[output.type] || 'text';
+      const step = inputType === 'number' ? 'step="any"' : '';
+      input = `<input type="${inputType}" ${step} class="slds-input" ${attributes} value="${text}" placeholder="Enter ${label}..." />`;
+    }
+    
+    return `
+      <div class="slds-form-element slds-m-bottom_small">
+        <label class="slds-form-element__label" for="${escape(id)}">
+          <span class="slds-form-element__label-text">${label}</span>
+          <span class="flow-outputs-type">${escape(FlowCanvas.OUTPUT_TYPE_LABELS[output.type] || output.type)}</span>
+        </label>
+        <div class="slds-form-element__control">${input}</div>
+      </div>
+    `;
+  }
+  
+  // The problems of the edited outputs against the element's output shape (see FlowMockOutputs.validate())
+  renderOutputsErrors(node, extraErrors = {}) {
+    const shape = this.elementRegistry.getOutputs(node);
+    const errors = { ...FlowMockOutputs.validate(this.getEditedOutputs(node.id), shape), ...extraErrors };
+    const messages = Object.keys(errors).filter(name => errors[name]).map(name => {
+      const output = shape.find(candidate => candidate.name === name);
+      const label = name === '' ? '' : `${output ? output.label || output.name : name}: `;
+      return `<li>${FlowPropertiesEditor.escape(label + errors[name])}</li>`;
+    });
+    return messages.length > 0
+      ? `<ul class="slds-form-element__help slds-text-color_error">${messages.join('')}</ul>`
+      : '';
+  }
+  
+  // Refresh the Outputs tab's problems in place, so inputs keep their focus while typing
+  showOutputsErrors(nodeId, extraErrors = {}) {
+    const node = this.config.nodes.find(n => n.id === nodeId);
+    const container = node && document.querySelector(`#flow-panel-right-container [data-node-outputs-errors="${CSS.escape(nodeId)}"]`);
+    if (container) {
+      container.innerHTML = this.renderOutputsErrors(node, extraErrors);
+    }
+  }
+  
+  // Which mocked outputs the Outputs tab edits: the open scenario's (it falls back to
+  // the flow default until it has its own) or the flow default
+  renderOutputsScope(node) {
+    const escape = FlowPropertiesEditor.escape;
+    const scenario = this.getActiveTestScenario();
+    const editing = this.getOutputsScenario();
+    const hasOwn = !!(editing && editing.outputs && editing.outputs[node.id]);
+    
+    let text;
+    if (!editing) {
+      text = scenario
+        ? 'Editing the flow default, used by every scenario that doesn\'t mock this element itself.'
+        : 'Editing the flow default. Open a test scenario to mock this element for that scenario only.';
+    } else if (hasOwn) {
+      text = `Editing the outputs of "${escape(editing.name)}" only; other scenarios use the flow default.`;
+    } else {
+      text = `"${escape(editing.name)}" uses the flow default. Changes here apply to this scenario only.`;
+    }
+    const scopeButton = (scope, label) => `
+      <button class="slds-button slds-button_neutral ${this.outputsScope === scope ? 'slds-is-selected' : ''}" type="button"
+              aria-pressed="${this.outputsScope === scope}" data-node-outputs-scope="${scope}">${label}</button>
+    `;
+    
+    return `
+      <div class="flow-outputs-scope slds-m-bottom_medium">
+        ${scenario ? `
+          <div class="slds-button-group" role="group" aria-label="Mocked Outputs Scope">
+            ${scopeButton('scenario', 'This Scenario')}
+            ${scopeButton('default', 'Flow Default')}
+          </div>
+        ` : ''}
+        <p class="flow-outputs-scope-text">${text}</p>
+        ${hasOwn ? `<button class="slds-button" type="button" data-node-outputs-reset="${escape(node.id)}">Use Flow Default</button>` : ''}
+      </div>
+    `;
+  }
+  
+  // Saves an element's mocked outputs in the scope the Outputs tab edits. field names the
+  // Outputs tab field being typed into: the saves made while typing are undone together
+  updateNodeOutputs(nodeId, outputsData, field = null) {
     if (!nodeId) return;
-    this.outputs[nodeId] = outputsData;
+    const before = this.captureState();
+    const scenario = this.getOutputsScenario();
+    if (scenario) {
+      scenario.outputs = { ...(scenario.outputs || {}), [nodeId]: outputsData };
+    } else {
+      this.outputs[nodeId] = outputsData;
+    }
+    const mergeKey = field ? `outputs:${scenario ? scenario.id : ''}:${nodeId}:${field}` : null;
+    this.commitChange(scenario ? 'Change Scenario Outputs' : 'Change Outputs', before, mergeKey);
     // Notify parent about outputs change
     if (this.config.onOutputsChange) {
-      this.config.onOutputsChange(nodeId, outputsData);
+      this.config.onOutputsChange(nodeId, outputsData, scenario ? scenario.id : null);
+    }
+  }
+  
+  // Drop the open scenario's own mocked outputs for an element, so it uses the flow default again
+  resetNodeOutputs(nodeId) {
+    const scenario = this.getOutputsScenario();
+    if (!scenario || !scenario.outputs || !scenario.outputs[nodeId]) return;
+    const before = this.captureState();
+    const outputs = { ...scenario.outputs };
+    delete outputs[nodeId];
+    scenario.outputs = outputs;
+    this.commitChange('Reset Scenario Outputs', before);
+    if (this.config.onOutputsChange) {
+      this.config.onOutputsChange(nodeId, this.outputs[nodeId] || null, scenario.id);
     }
   }
   
+  setOutputsScope(scope) {
+    if (scope !== 'scenario' && scope !== 'default') return;
+    this.outputsScope = scope;
+    this.refreshPanel();
+  }
+  
+  // The scenario open in the test scenario panel, whose mocked outputs apply
+  getActiveTestScenario() {
+    if (!this.testScenarioPanel || !this.isTestFlowOrScenarioView()) return null;
+    return this.getTestScenario(this.testScenarioPanel.config.scenarioId);
+  }
+  
+  // The scenario whose outputs the Outputs tab edits, or null for the flow default
+  getOutputsScenario() {
+    return this.outputsScope === 'scenario' ? this.getActiveTestScenario() : null;
+  }
+  
+  // The outputs the Outputs tab shows: the edited scenario's own, else the flow default
+  getEditedOutputs(nodeId) {
+    const scenario = this.getOutputsScenario();
+    return (scenario && scenario.outputs && scenario.outputs[nodeId]) || this.outputs[nodeId] || {};
+  }
+  
+  // The mocked outputs a run of the scenario uses for an element (the active one by default)
+  getEffectiveOutputs(nodeId, scenario = this.getActiveTestScenario()) {
+    return (scenario && scenario.outputs && scenario.outputs[nodeId]) || this.outputs[nodeId] || null;
+  }
+  
+  // The flow default with the scenario's own mocked outputs on top, by element
+  getScenarioOutputs(scenario) {
+    return { ...this.outputs, ...((scenario && scenario.outputs) || {}) };
+  }
+  
+  // The flow default (see getEffectiveOutputs() for what a scenario uses)
   getNodeOutputs(nodeId) {
     return this.outputs[nodeId] || null;
   }
@@ -895,30 +2286,13 @@ class FlowCanvas {
   }
   
   getIconClass(icon) {
-    const iconMap = {
-      'play': 'utility:play',
-      'stop': 'utility:stop',
-      'record_create': 'standard:record_create',
-      'record_update': 'standard:record_update',
-      'custom_notification': 'standard:custom_notification'
-    };
-    return iconMap[icon] || icon;
+    const definition = this.elementRegistry.findByIcon(icon);
+    return (definition && definition.iconClass) || icon;
   }
   
   getIconSVG(icon) {
     // Use SLDS icon references
-    const iconMap = {
-      'play': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#play"></use></svg>',
-      'stop': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#stop"></use></svg>',
-      'record_create': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#record_create"></use></svg>',
-      'record_update': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#record_update"></use></svg>',
-      'custom_notification': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#custom_notification"></use></svg>',
-      'add': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#add"></use></svg>',
-      'variable': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#variable"></use></svg>',
-      'apex': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#apex"></use></svg>',
-      'info': '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#info"></use></svg>'
-    };
-    return iconMap[icon] || '<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#' + icon + '"></use></svg>';
+    return `<svg class="slds-icon slds-icon_default" aria-hidden="true"><use href="#${icon}"></use></svg>`;
   }
   
   attachEventListeners() {
@@ -929,8 +2303,73 @@ class FlowCanvas {
     }
     this.eventListenersAttached = true;
     
+    // In test mode, a Salesforce debug log dropped on the canvas shows the path it took
+    this.container.addEventListener('dragover', (e) => {
+      if (this.config.buildMode !== 'test' || !e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    });
+    this.container.addEventListener('drop', (e) => {
+      const file = e.dataTransfer && e.dataTransfer.files[0];
+      if (this.config.buildMode !== 'test' || !file) return;
+      e.preventDefault();
+      file.text().then(text => this.handleDebugLogDrop(text, file.name));
+    });
+    
     // Node click handlers
     this.container.addEventListener('click', (e) => {
+      // Connector menu (Add Element / Paste) closes on any click outside it
+      if (!e.target.closest('.flow-connector-menu') && !e.target.closest('.flow-connector-button')) {
+        this.closeConnectorMenus();
+      }
+      
+      const connectorMenuItem = e.target.closest('[data-connector-action]');
+      if (connectorMenuItem) {
+        e.preventDefault();
+        e.stopPropagation();
+        const connectorId = connectorMenuItem.dataset.connectorId;
+        this.closeConnectorMenus();
+        if (connectorMenuItem.dataset.connectorAction === 'paste') {
+          this.pasteNodes(connectorId);
+        } else {
+          this.config.onConnectorClick?.(connectorId);
+        }
+        return;
+      }
+      
+      // Toolbox tabs and Manager tab actions
+      const toolboxTab = e.target.closest('[data-toolbox-tab]');
+      if (toolboxTab) {
+        e.preventDefault();
+        this.toolboxTab = toolboxTab.dataset.toolboxTab;
+        this.refreshToolbox();
+        return;
+      }
+      const resourceAction = e.target.closest('[data-resource-action]');
+      if (resourceAction) {
+        e.preventDefault();
+        if (!resourceAction.disabled) {
+          this.handleResourceAction(resourceAction);
+        }
+        return;
+      }
+      
+      // Toolbox entry: add an element of that type
+      const toolboxItem = e.target.closest('[data-toolbox-type]');
+      if (toolboxItem) {
+        e.preventDefault();
+        this.addElement(toolboxItem.dataset.toolboxType, toolboxItem.dataset.connectorId || null);
+        return;
+      }
+      
+      // Errors and Warnings panel entry: go to the offending element
+      const validationItem = e.target.closest('[data-validation-node-id]');
+      if (validationItem) {
+        e.preventDefault();
+        this.focusNode(validationItem.dataset.validationNodeId);
+        return;
+      }
+      
       // Handle node menu button clicks FIRST (before node click handler)
       // This prevents the node click from firing when clicking the menu button
       const menuButton = e.target.closest('[data-node-menu]');
@@ -959,9 +2398,7 @@ class FlowCanvas {
           const hasItems = list && list.children.length > 0;
           
           // Check what the view state is
-          const isTestFlowOrScenarioView = typeof this.config.isTestFlowOrScenarioView === 'function' 
-            ? this.config.isTestFlowOrScenarioView() 
-            : false;
+          const isTestFlowOrScenarioView = this.isTestFlowOrScenarioView();
           const enableSelectiveTesting = this.config.enableSelectiveTesting === true;
           const isBuildMode = this.config.buildMode === 'build';
           
@@ -969,10 +2406,11 @@ class FlowCanvas {
           // Only refresh if menu is empty or if we're in test mode with selective testing enabled
           // In build mode, only populate if empty (menu items don't change)
           // Include testEndPoint in cache key so menu updates when end point changes
-          const menuCacheKey = `menu-${nodeId}-${this.config.buildMode}-${isTestFlowOrScenarioView}-${this.testEndPoint || 'none'}`;
+          // Breakpoints are toggled from the test mode menu, so they're part of the key too
+          const menuCacheKey = `menu-${nodeId}-${this.config.buildMode}-${isTestFlowOrScenarioView}-${this.testEndPoint || 'none'}-${this.breakpoints.has(nodeId)}`;
           const cachedMenuState = this.cachedQueries[menuCacheKey];
           const shouldRefreshMenu = !hasItems || 
-            (this.config.buildMode === 'test' && enableSelectiveTesting && !cachedMenuState);
+            (this.config.buildMode === 'test' && !cachedMenuState);
           
           if (shouldRefreshMenu) {
             // Dynamically populate menu items
@@ -996,7 +2434,7 @@ class FlowCanvas {
                     </a>
                   </li>
                 `;
-              } else if (this.config.buildMode === 'test' && enableSelectiveTesting) {
+              } else if (this.config.buildMode === 'test') {
                 // Test mode menu items - show context-aware options based on current start/end point status
                 const isTestStartPoint = this.testStartPoint === nodeId;
                 const isTestEndPoint = this.testEndPoint === nodeId;
@@ -1005,18 +2443,19 @@ class FlowCanvas {
                 const endPointAction = isTestEndPoint ? 'remove-end-point' : 'set-end-point';
                 const endPointLabel = isTestEndPoint ? 'Remove End Point After' : 'Set an End Point After';
                 
-                // Check if current node is right before the end point or the End element - if so, disable "Set an End Point After"
-                const currentNodeIndex = this.config.nodes.findIndex(n => n.id === nodeId);
-                const endPointIndex = this.testEndPoint ? this.config.nodes.findIndex(n => n.id === this.testEndPoint) : -1;
-                const nextNode = currentNodeIndex >= 0 && currentNodeIndex < this.config.nodes.length - 1 
-                  ? this.config.nodes[currentNodeIndex + 1] 
-                  : null;
-                // Check if next node is the End element (type === 'end') or if current node is right before the test end point
-                const isRightBeforeEndElement = !isTestEndPoint && nextNode && nextNode.type === 'end';
-                const isRightBeforeEndPoint = !isTestEndPoint && this.testEndPoint && currentNodeIndex >= 0 && endPointIndex >= 0 && currentNodeIndex + 1 === endPointIndex;
-                const endPointDisabled = (isRightBeforeEndElement || isRightBeforeEndPoint) ? 'aria-disabled="true" class="slds-is-disabled"' : '';
+                // Disable "Set an End Point After" when the node leads straight into the End element or the current end point
+                const endPointDisabled = !isTestEndPoint && !this.canSetTestEndPoint(nodeId) ? 'aria-disabled="true" class="slds-is-disabled"' : '';
+                const breakpointLabel = this.breakpoints.has(nodeId) ? 'Remove Breakpoint' : 'Add Breakpoint';
+                const breakpointItem = `
+                  <li class="slds-dropdown__item" role="presentation">
+                    <a href="javascript:void(0);" role="menuitem" data-action="toggle-breakpoint" data-node-id="${nodeId}">
+                      <span class="slds-truncate" title="${breakpointLabel}">${breakpointLabel}</span>
+                    </a>
+                  </li>
+                `;
                 
-                list.innerHTML = `
+                // Test start and end points only with selective testing
+                list.innerHTML = !enableSelectiveTesting ? breakpointItem : `
                   <li class="slds-dropdown__item" role="presentation">
                     <a href="javascript:void(0);" role="menuitem" data-action="${startPointAction}" data-node-id="${nodeId}">
                       <span class="slds-truncate" title="${startPointLabel}">${startPointLabel}</span>
@@ -1027,6 +2466,7 @@ class FlowCanvas {
                       <span class="slds-truncate" title="${endPointLabel}">${endPointLabel}</span>
                     </a>
                   </li>
+                  ${breakpointItem}
                 `;
                 // Cache menu state
                 this.cachedQueries[menuCacheKey] = true;
@@ -1153,38 +2593,26 @@ class FlowCanvas {
             return; // Menu item is disabled, don't proceed
           }
           
-          // Check if current node is right before the End element or the end point node
-          const currentNodeIndex = this.config.nodes.findIndex(n => n.id === nodeId);
-          
-          if (currentNodeIndex >= 0 && currentNodeIndex < this.config.nodes.length - 1) {
-            const nextNode = this.config.nodes[currentNodeIndex + 1];
-            
-            // Check if the next node is the End element (type === 'end')
-            if (nextNode && nextNode.type === 'end') {
-              return; // Don't set the end point if the next element is the End element
-            }
-            
-            // Also check if the next node is the current test end point
-            if (this.testEndPoint) {
-              const endPointIndex = this.config.nodes.findIndex(n => n.id === this.testEndPoint);
-              if (endPointIndex >= 0 && currentNodeIndex + 1 === endPointIndex) {
-                return; // Don't set the end point if current element is right above the End element
-              }
-            }
+          // Don't set the end point if the element leads straight into the End element or the end point
+          if (!this.canSetTestEndPoint(nodeId)) {
+            return;
           }
           this.setTestEndPoint(nodeId);
           return;
         } else if (action === 'remove-end-point') {
           this.removeTestEndPoint(nodeId);
           return;
+        } else if (action === 'toggle-breakpoint') {
+          this.toggleBreakpoint(nodeId);
+          return;
         }
         
         // Handle Build mode actions
         if (action === 'copy-element') {
-          this.config.onNodeCopy?.(nodeId);
+          this.copyNode(nodeId);
           return;
         } else if (action === 'cut-element') {
-          this.config.onNodeCut?.(nodeId);
+          this.cutNode(nodeId);
           return;
         } else if (action === 'delete-element') {
           if (confirm('Are you sure you want to delete this element?')) {
@@ -1204,6 +2632,11 @@ class FlowCanvas {
       
       // Node click handlers
       const nodeElement = e.target.closest('.flow-node');
+      if (nodeElement && this._suppressNodeClick) {
+        // The mouse went up at the end of a free-form drag, not a click
+        this._suppressNodeClick = false;
+        return;
+      }
       if (nodeElement) {
         const nodeId = nodeElement.dataset.nodeId;
         this.selectNode(nodeId);
@@ -1214,22 +2647,21 @@ class FlowCanvas {
       // Connector button click
       const connectorButton = e.target.closest('.flow-connector-button');
       if (connectorButton) {
-        const connector = e.target.closest('.flow-connector');
-        const index = parseInt(connector.dataset.connectorIndex);
-        this.config.onConnectorClick?.(index);
+        const connector = e.target.closest('[data-connector-id]');
+        // With something on the clipboard the button offers Paste next to Add Element
+        if (this.clipboard && this.config.buildMode !== 'test') {
+          this.toggleConnectorMenu(connector);
+        } else {
+          this.config.onConnectorClick?.(connector.dataset.connectorId);
+        }
         return;
       }
       
-      // Property input changes (delegated from panel)
-      const input = e.target.closest('[data-property]');
-      if (input) {
-        if (input.tagName === 'INPUT' || input.tagName === 'SELECT') {
-          const property = input.dataset.property;
-          const value = input.value;
-          if (this.config.selectedNodeId) {
-            this.updateNodeProperty(this.config.selectedNodeId, property, value);
-          }
-        }
+      // Add/remove rows and conditions in the properties panel
+      const propertyAction = e.target.closest('[data-property-action]');
+      if (propertyAction) {
+        this.handlePropertyAction(propertyAction);
+        return;
       }
       
       // Handle tab clicks
@@ -1264,6 +2696,31 @@ class FlowCanvas {
       }
     });
     
+    // Keyboard copy/cut/paste act on the selected element. The system clipboard
+    // carries the entry as JSON so elements can be moved between browser tabs
+    ['copy', 'cut', 'paste'].forEach(type => {
+      document.addEventListener(type, (e) => this.handleClipboardEvent(e));
+    });
+    
+    // Ctrl+Z undoes, Ctrl+Shift+Z redoes (Cmd on Mac); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+      if (this.isEditingText() || !this.container.isConnected) return;
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+    });
+    
+    // Typing into an Outputs tab field is one undo step until another field is focused
+    document.addEventListener('focusin', (e) => {
+      if (e.target.closest && e.target.closest('[data-node-outputs-code], [data-node-outputs-field]')) {
+        this.history.endMerge();
+      }
+    });
+    
     // Listen for outputs changes (textarea, inputs, toggle, view mode)
     // Performance: Debounce input handlers to avoid excessive updates
     document.addEventListener('input', (e) => {
@@ -1286,14 +2743,30 @@ class FlowCanvas {
               this.cachedQueries[cacheKey] = nodeExists;
             }
             if (nodeExists) {
-              const currentOutputs = this.outputs[nodeId] || {};
-              this.updateNodeOutputs(nodeId, { ...currentOutputs, value: value });
+              const currentOutputs = this.getEditedOutputs(nodeId);
+              this.updateNodeOutputs(nodeId, { ...currentOutputs, value: value }, 'code');
+              this.showOutputsErrors(nodeId);
             }
           }, 300); // 300ms debounce for textarea
         }
         return;
       }
       
+      // Properties panel: show validation messages while typing, save on change
+      const propertyInput = e.target.closest('[data-property]');
+      if (propertyInput && propertyInput.closest('[data-resource-form]')) {
+        this.handleResourceFormChange(propertyInput, false);
+        return;
+      }
+      if (propertyInput && this.container.contains(propertyInput)) {
+        const node = this.config.nodes.find(n => n.id === this.config.selectedNodeId);
+        const change = node && this.propertiesEditor.readInput(node, this.elementRegistry.get(node.type), propertyInput);
+        if (change) {
+          this.showPropertyError(node, change.property, change.value);
+        }
+        return;
+      }
+      
       // Resource view input fields
       const outputsField = e.target.closest('[data-node-outputs-field]');
       if (outputsField) {
@@ -1315,8 +2788,22 @@ class FlowCanvas {
               this.cachedQueries[cacheKey] = nodeExists;
             }
             if (nodeExists) {
-              const currentOutputs = this.outputs[nodeId] || {};
-              this.updateNodeOutputs(nodeId, { ...currentOutputs, [fieldName]: value });
+              // Values are stored by output type; input that isn't valid JSON isn't saved
+              const node = this.config.nodes.find(n => n.id === nodeId);
+              const output = this.elementRegistry.getOutputs(node).find(candidate => candidate.name === fieldName);
+              let parsed = value;
+              try {
+                parsed = output ? FlowMockOutputs.parseValue(value, output) : value;
+              } catch (error) {
+                this.showOutputsErrors(nodeId, { [fieldName]: `Enter valid JSON: ${error.message}` });
+                return;
+              }
+              const updatedOutputs = { ...this.getEditedOutputs(nodeId), [fieldName]: parsed };
+              if (parsed === undefined) {
+                delete updatedOutputs[fieldName];
+              }
+              this.updateNodeOutputs(nodeId, updatedOutputs, `field-${fieldName}`);
+              this.showOutputsErrors(nodeId);
             }
           }, 200); // 200ms debounce for input fields
         }
@@ -1331,7 +2818,7 @@ class FlowCanvas {
         const nodeId = toggleCheckbox.dataset.nodeOutputsToggle;
         const checked = toggleCheckbox.checked;
         if (nodeId && this.container.querySelector(`[data-node-id="${nodeId}"]`)) {
-          const currentOutputs = this.outputs[nodeId] || {};
+          const currentOutputs = this.getEditedOutputs(nodeId);
           // Update outputs: set mockOutputs to true if checked, remove it if unchecked
           const updatedOutputs = { ...currentOutputs };
           if (checked) {
@@ -1375,6 +2862,23 @@ class FlowCanvas {
     // Users can switch between resource view and code view in both enabled and disabled states
     // Use document.addEventListener for event delegation since buttons are in dynamically generated panel content
     document.addEventListener('click', (e) => {
+      // Outputs tab scope: the open scenario's own outputs or the flow default
+      const scopeButton = e.target.closest('[data-node-outputs-scope]');
+      if (scopeButton) {
+        e.preventDefault();
+        this.setOutputsScope(scopeButton.dataset.nodeOutputsScope);
+        return;
+      }
+      const resetButton = e.target.closest('[data-node-outputs-reset]');
+      if (resetButton) {
+        e.preventDefault();
+        const nodeId = resetButton.dataset.nodeOutputsReset;
+        this.resetNodeOutputs(nodeId);
+        this.refreshPanel();
+        this.updateNodeDisplay(nodeId);
+        return;
+      }
+      
       // Handle clicks on the button or any of its children (SVG, use elements, etc.)
       const viewButton = e.target.closest('[data-node-outputs-view]');
       if (viewButton && !viewButton.disabled) {
@@ -1386,9 +2890,14 @@ class FlowCanvas {
         if (nodeId && viewMode && (viewMode === 'resource' || viewMode === 'code')) {
           // Verify the node exists
           if (this.container && this.container.querySelector(`[data-node-id="${nodeId}"]`)) {
-            const currentOutputs = this.outputs[nodeId] || {};
-            // Update the view mode
-            const updatedOutputs = { ...currentOutputs, viewMode: viewMode };
+            // Convert the values to the other view; code view JSON that can't be read keeps the view
+            let updatedOutputs;
+            try {
+              updatedOutputs = FlowMockOutputs.convert(this.getEditedOutputs(nodeId), viewMode);
+            } catch (error) {
+              this.showOutputsErrors(nodeId, { '': `Fix the outputs before switching to the resource view. ${error instanceof SyntaxError ? `The JSON isn't valid: ${error.message}` : error.message}` });
+              return;
+            }
             this.updateNodeOutputs(nodeId, updatedOutputs);
             
             // Refresh the panel to show the new view
@@ -1427,17 +2936,17 @@ class FlowCanvas {
     
     // Listen for property changes from the panel (event delegation)
     document.addEventListener('change', (e) => {
+      const picker = e.target.closest('[data-resource-picker]');
+      if (picker && this.container.contains(picker)) {
+        this.insertResourceReference(picker);
+        return;
+      }
       const input = e.target.closest('[data-property]');
-      if (input && this.container.contains(input) || 
-          (this.container.querySelector('.flow-canvas-wrapper') && 
-           document.querySelector('#flow-panel-container')?.contains(input))) {
-        if (input.tagName === 'INPUT' || input.tagName === 'SELECT') {
-          const property = input.dataset.property;
-          const value = input.value;
-          if (this.config.selectedNodeId) {
-            this.updateNodeProperty(this.config.selectedNodeId, property, value);
-          }
-        }
+      if (input && input.closest('[data-resource-form]')) {
+        this.handleResourceFormChange(input, true);
+      } else if (input && (this.container.contains(input) ||
+          document.querySelector('#flow-panel-container')?.contains(input))) {
+        this.handlePropertyChange(input);
       }
     });
     
@@ -1456,6 +2965,69 @@ class FlowCanvas {
         }
       }
     });
+    
+    this.attachFreeFormDragListeners();
+  }
+  
+  attachFreeFormDragListeners() {
+    // Drag elements around in free-form mode; a small threshold keeps plain clicks working
+    const dragThreshold = 3;
+    
+    this.container.addEventListener('mousedown', (e) => {
+      if (this.config.layoutMode !== 'free-form' || e.button !== 0) return;
+      if (e.target.closest('.flow-node-menu-trigger') || e.target.closest('.flow-node-menu-dropdown')) return;
+      
+      const nodeElement = e.target.closest('.flow-freeform-node');
+      if (!nodeElement) return;
+      
+      const node = this.config.nodes.find(n => n.id === nodeElement.dataset.freeformNodeId);
+      if (!node || !node.position) return;
+      
+      this.freeFormDrag = {
+        nodeId: node.id,
+        startX: e.clientX,
+        startY: e.clientY,
+        originX: node.position.x,
+        originY: node.position.y,
+        before: this.captureState(),
+        moved: false
+      };
+      e.preventDefault();
+    });
+    
+    document.addEventListener('mousemove', (e) => {
+      const drag = this.freeFormDrag;
+      if (!drag) return;
+      
+      // Mouse deltas are in screen pixels; divide by zoom to get canvas coordinates
+      const dx = (e.clientX - drag.startX) / this.zoomLevel;
+      const dy = (e.clientY - drag.startY) / this.zoomLevel;
+      if (!drag.moved && Math.abs(dx) < dragThreshold && Math.abs(dy) < dragThreshold) return;
+      
+      if (!drag.moved) {
+        drag.moved = true;
+        this.getCanvasContent()?.querySelector(`[data-freeform-node-id="${drag.nodeId}"]`)?.classList.add('dragging');
+      }
+      this.moveNode(drag.nodeId, drag.originX + dx, drag.originY + dy);
+    });
+    
+    document.addEventListener('mouseup', () => {
+      const drag = this.freeFormDrag;
+      if (!drag) return;
+      this.freeFormDrag = null;
+      
+      if (drag.moved) {
+        // Swallow the click that follows this mouseup, but never a later one
+        this._suppressNodeClick = true;
+        setTimeout(() => { this._suppressNodeClick = false; }, 0);
+        this.getCanvasContent()?.querySelector(`[data-freeform-node-id="${drag.nodeId}"]`)?.classList.remove('dragging');
+        this.commitChange('Move Element', drag.before);
+        // Notify of change (for Build mode Save button)
+        if (this.config.onChange && this.config.buildMode === 'build') {
+          this.config.onChange();
+        }
+      }
+    });
   }
   
   switchPropertiesTab(tabName) {
@@ -1515,12 +3087,14 @@ class FlowCanvas {
   
   selectNode(nodeId) {
     this.config.selectedNodeId = nodeId;
+    this.history.endMerge();
     this.updateSelection();
     this.notifyNodeSelected(nodeId);
   }
   
   deselectNode() {
     this.config.selectedNodeId = null;
+    this.history.endMerge();
     this.updateSelection();
   }
   
@@ -1535,17 +3109,63 @@ class FlowCanvas {
     });
   }
   
-  notifyNodeSelected(nodeId) {
-    // This will be handled by the parent component that manages the panel
-    if (this.config.onNodeSelected) {
-      this.config.onNodeSelected(nodeId);
+  notifyNodeSelected(nodeId) {
+    // This will be handled by the parent component that manages the panel
+    if (this.config.onNodeSelected) {
+      this.config.onNodeSelected(nodeId);
+    }
+  }
+  
+  // Saves a properties panel edit to the selected node
+  handlePropertyChange(input) {
+    const node = this.config.nodes.find(n => n.id === this.config.selectedNodeId);
+    if (!node) return;
+    const change = this.propertiesEditor.readInput(node, this.elementRegistry.get(node.type), input);
+    if (!change) return;
+    
+    this.updateNodeProperty(node.id, change.property, change.value);
+    // Picklists can change what else the form shows (object fields, custom logic, unary operators)
+    if (input.tagName === 'SELECT') {
+      this.refreshPanel();
+    } else {
+      this.showPropertyError(node, change.property, node[change.property]);
+    }
+  }
+  
+  handlePropertyAction(button) {
+    const node = this.config.nodes.find(n => n.id === this.config.selectedNodeId);
+    if (!node) return;
+    const change = this.propertiesEditor.applyAction(node, this.elementRegistry.get(node.type), button);
+    if (!change) return;
+    
+    this.updateNodeProperty(node.id, change.property, change.value);
+    this.refreshPanel();
+  }
+  
+  // Updates one field's inline validation message for the given value. properties:
+  // the schema the form was built from (the node's element type by default)
+  showPropertyError(node, property, value, properties = null) {
+    const definition = properties ? { properties } : this.elementRegistry.get(node.type);
+    const field = this.propertiesEditor.getField(definition, property);
+    const panel = properties ? '#flow-panel-left-container' : '#flow-panel-right-container';
+    const formElement = this.container.querySelector(`${panel} [data-property-field="${property}"]`);
+    if (!field || !formElement) return;
+    
+    const message = this.propertiesEditor.validateField(field, value ?? this.propertiesEditor.getValue(node, field), node);
+    formElement.classList.toggle('slds-has-error', !!message);
+    const help = formElement.querySelector(`[data-property-error="${property}"]`);
+    if (help) {
+      help.textContent = message;
+      help.hidden = !message;
     }
   }
   
   updateNodeProperty(nodeId, property, value) {
     const node = this.config.nodes.find(n => n.id === nodeId);
     if (node) {
+      const before = this.captureState();
       node[property] = value;
+      this.commitChange('Change Property', before);
       // Re-render the node
       this.updateNodeDisplay(nodeId);
       // Notify of change (for Build mode Save button)
@@ -1592,6 +3212,8 @@ class FlowCanvas {
         oldCard.replaceWith(newCard);
         // Invalidate cache since DOM changed
         delete this.cachedQueries[cacheKey];
+        // Card size may have changed, so free-form connectors need to follow
+        this.updateFreeFormConnectors();
       }
     }
   }
@@ -1610,41 +3232,824 @@ class FlowCanvas {
     });
   }
   
-  addNode(node, index) {
-    this.config.nodes.splice(index + 1, 0, node);
+  addNode(node, connectorId) {
+    const before = this.captureState();
+    const graph = this.getGraph();
+    // Legacy callers pass an array index: insert on the connector leaving the node at that index
+    if (typeof connectorId === 'number') {
+      const source = this.config.nodes[connectorId];
+      const connector = source ? graph.getContinuationConnector(source.id) : null;
+      connectorId = connector ? connector.id : null;
+    }
+    if (this.config.layoutMode === 'free-form' && !node.position) {
+      const position = this.getFreeFormInsertPosition(graph, connectorId);
+      if (position) {
+        node.position = position;
+      }
+    }
+    // Fill in what the element type declares: icon, color, labels and starting connectors
+    Object.assign(node, { ...this.elementRegistry.createNode(node.type), ...node });
+    const found = graph.getConnector(connectorId);
+    if (found && (!Array.isArray(node.connectors) || node.connectors.length === 0)) {
+      const connectors = this.elementRegistry.createConnectors(node, found.connector.target);
+      if (connectors && connectors.length > 0) {
+        node.connectors = connectors;
+      }
+    }
+    if (!graph.insertNode(node, connectorId)) {
+      console.warn('FlowCanvas: Cannot add node - connector not found', connectorId);
+      return false;
+    }
+    this.commitChange('Add Element', before);
     // Performance: Only re-render canvas content, not entire structure
     this.renderNodesOnly();
     // Notify of change (for Build mode Save button)
     if (this.config.onChange && this.config.buildMode === 'build') {
       this.config.onChange();
     }
+    return true;
+  }
+  
+  // Add a new element of a registered type on a connector - by default the one
+  // leaving the selected element, or Start. Returns the new element's id, or null
+  addElement(type, connectorId = null) {
+    if (!this.elementRegistry.get(type)) {
+      console.warn('FlowCanvas: Cannot add element - unknown element type', type);
+      return null;
+    }
+    
+    const graph = this.getGraph();
+    if (!connectorId) {
+      const anchor = graph.getNode(this.config.selectedNodeId) || graph.getStartNode();
+      const connector = anchor ? graph.getContinuationConnector(anchor.id) : null;
+      connectorId = connector ? connector.id : null;
+    }
+    
+    const taken = new Set(this.config.nodes.map(n => n.id));
+    let id = `new-${type}`;
+    for (let counter = 2; taken.has(id); counter++) {
+      id = `new-${type}-${counter}`;
+    }
+    
+    if (!this.addNode(this.elementRegistry.createNode(type, { id }), connectorId)) {
+      return null;
+    }
+    this.selectNode(id);
+    return id;
+  }
+  
+  // Toolbox panel content: an Elements tab with the registered element types by
+  // category and a Manager tab with the flow's resources. With a connectorId,
+  // picking a type adds it on that connector
+  getToolboxContent(connectorId = null) {
+    this.toolboxConnectorId = connectorId;
+    if (connectorId) {
+      this.toolboxTab = 'elements';
+    }
+    const tabs = [
+      { id: 'elements', label: 'Elements' },
+      { id: 'manager', label: 'Manager' }
+    ];
+    
+    return `
+      <div class="flow-sidebar-content">
+        <div class="slds-tabs_default flow-toolbox-tabs">
+          <ul class="slds-tabs_default__nav" role="tablist">
+            ${tabs.map(tab => `
+              <li class="slds-tabs_default__item ${tab.id === this.toolboxTab ? 'slds-is-active' : ''}" title="${tab.label}" role="presentation">
+                <a class="slds-tabs_default__link" href="javascript:void(0);" role="tab" tabindex="0" aria-selected="${tab.id === this.toolboxTab}" data-toolbox-tab="${tab.id}">${tab.label}</a>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+        <div class="flow-sidebar-body flow-toolbox">
+          ${this.toolboxTab === 'manager' ? this.getResourceManagerContent() : this.getToolboxElementsContent()}
+        </div>
+      </div>
+    `;
+  }
+  
+  getToolboxElementsContent() {
+    const connectorAttribute = this.toolboxConnectorId ? `data-connector-id="${this.toolboxConnectorId}"` : '';
+    return this.elementRegistry.getToolboxGroups().map(({ category, types }) => `
+      <div class="flow-toolbox-group">
+        <h4 class="flow-toolbox-category">${category}</h4>
+        <ul class="flow-toolbox-list">
+          ${types.map(definition => `
+            <li class="flow-toolbox-item" data-toolbox-type="${definition.type}" ${connectorAttribute} title="Add ${definition.label}">
+              <span class="flow-toolbox-icon" style="background-color: ${definition.iconBg}">
+                ${this.getIconSVG(definition.icon)}
+              </span>
+              <span class="flow-toolbox-label">${definition.label}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+  }
+  
+  // Manager tab: the resources by type, or the form for the one being edited
+  getResourceManagerContent() {
+    const escape = FlowPropertiesEditor.escape;
+    if (this.resourceDraft) {
+      const { originalName, resource } = this.resourceDraft;
+      const properties = this.getResources().getProperties(resource, originalName);
+      return `
+        <div class="flow-resource-form" data-resource-form>
+          <h4 class="flow-toolbox-category">${originalName ? `Edit "${escape(originalName)}"` : 'New Resource'}</h4>
+          ${this.propertiesEditor.render(resource, { properties })}
+          <div class="flow-resource-form-actions">
+            <button class="slds-button slds-button_neutral" type="button" data-resource-action="cancel">Cancel</button>
+            <button class="slds-button slds-button_brand" type="button" data-resource-action="save">Done</button>
+          </div>
+        </div>
+      `;
+    }
+    
+    const referenced = this.getReferencedResourceNames();
+    const groups = this.getResources().getGroups().map(group => `
+      <div class="flow-toolbox-group">
+        <h4 class="flow-toolbox-category">${group.label}</h4>
+        <ul class="flow-resource-list">
+          ${group.resources.map(resource => {
+            const dataType = FlowResources.DATA_TYPES.find(type => type.value === resource.dataType);
+            const detail = resource.objectType || (dataType ? dataType.label : resource.dataType);
+            const inUse = referenced.has(resource.name.toLowerCase());
+            return `
+              <li class="flow-resource-item" data-resource-action="edit" data-resource-name="${escape(resource.name)}" title="Edit ${escape(resource.name)}">
+                <span class="flow-resource-name">${escape(resource.name)}</span>
+                <span class="flow-resource-type">${escape(detail)}</span>
+                <button class="slds-button slds-button_icon slds-button_icon-border-filled" type="button"
+                        data-resource-action="delete" data-resource-name="${escape(resource.name)}"
+                        title="${inUse ? 'Used in the flow - remove its references first' : 'Delete'}" ${inUse ? 'disabled' : ''}>
+                  <svg class="slds-button__icon" aria-hidden="true"><use href="#delete"></use></svg>
+                  <span class="slds-assistive-text">Delete ${escape(resource.name)}</span>
+                </button>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </div>
+    `).join('');
+    
+    return `
+      <div class="flow-resource-manager">
+        <button class="slds-button slds-button_neutral flow-resource-new" type="button" data-resource-action="new">New Resource</button>
+        ${groups || '<p class="flow-validation-summary">No resources yet</p>'}
+      </div>
+    `;
+  }
+  
+  // Re-render an open Toolbox panel, e.g. after switching tabs or editing a resource
+  refreshToolbox() {
+    const panelBody = this.container?.querySelector('#flow-panel-left-container .flow-panel-body');
+    if (panelBody && panelBody.querySelector('.flow-toolbox')) {
+      panelBody.innerHTML = this.getToolboxContent(this.toolboxConnectorId);
+    }
+  }
+  
+  handleResourceAction(button) {
+    const action = button.dataset.resourceAction;
+    const name = button.dataset.resourceName;
+    
+    if (action === 'new') {
+      this.resourceDraft = {
+        originalName: null,
+        resource: FlowResources.normalize({ resourceType: 'variable', name: '', description: '', dataType: 'String' })
+      };
+    } else if (action === 'edit') {
+      const resource = this.getResources().get(name);
+      if (!resource) return;
+      this.resourceDraft = { originalName: resource.name, resource: JSON.parse(JSON.stringify(resource)) };
+    } else if (action === 'delete') {
+      this.deleteResource(name);
+    } else if (action === 'cancel') {
+      this.resourceDraft = null;
+    } else if (action === 'save') {
+      const { originalName, resource } = this.resourceDraft;
+      const properties = this.getResources().getProperties(resource, originalName);
+      const errors = this.propertiesEditor.validate(resource, { properties });
+      if (Object.keys(errors).length === 0 && this.saveResource(resource, originalName)) {
+        this.resourceDraft = null;
+      }
+    }
+    this.refreshToolbox();
+  }
+  
+  // Edits in the resource form change the draft; it is saved with "Done"
+  handleResourceFormChange(input, commit) {
+    if (!this.resourceDraft) return;
+    const { originalName } = this.resourceDraft;
+    const properties = this.getResources().getProperties(this.resourceDraft.resource, originalName);
+    const change = this.propertiesEditor.readInput(this.resourceDraft.resource, { properties }, input);
+    if (!change) return;
+    
+    if (!commit) {
+      this.showPropertyError(this.resourceDraft.resource, change.property, change.value, properties);
+      return;
+    }
+    this.resourceDraft.resource = FlowResources.normalize({ ...this.resourceDraft.resource, [change.property]: change.value });
+    // Picklists change which fields apply (data type, object, value)
+    if (input.tagName === 'SELECT') {
+      this.refreshToolbox();
+    } else {
+      this.showPropertyError(this.resourceDraft.resource, change.property, change.value, properties);
+    }
+  }
+  
+  getResources() {
+    return new FlowResources(this.resources, {
+      elementNames: this.config.nodes.map(node => node.apiName || node.id)
+    });
+  }
+  
+  // Add a resource, or replace the one called originalName. Renaming a resource
+  // rewrites every {!reference} to it in elements, other resources and metadata, and
+  // the test scenarios' input values set for it
+  saveResource(resource, originalName = null) {
+    if (!resource || typeof resource.name !== 'string' || !new RegExp(FlowResources.NAME_PATTERN).test(resource.name)) {
+      console.warn('FlowCanvas: Cannot save resource - invalid API name', resource && resource.name);
+      return false;
+    }
+    
+    const before = this.captureState();
+    const resources = this.getResources();
+    if (!resources.save(resource, originalName)) {
+      console.warn('FlowCanvas: Cannot save resource - name already used', resource.name);
+      return false;
+    }
+    
+    if (originalName && originalName !== resource.name) {
+      const rename = (value) => FlowResources.renameReferences(value, originalName, resource.name);
+      this.config.nodes.splice(0, this.config.nodes.length, ...rename(this.config.nodes));
+      this.resources.splice(0, this.resources.length, ...rename(this.resources));
+      this.config.metadata = rename(this.config.metadata);
+      this.testScenarios.forEach(scenario => {
+        if (!scenario.inputs) return;
+        // Input keys match resource names case-insensitively; the key order is kept
+        const inputs = {};
+        Object.keys(scenario.inputs).forEach(key => {
+          inputs[key.toLowerCase() === originalName.toLowerCase() ? resource.name : key] = scenario.inputs[key];
+        });
+        scenario.inputs = inputs;
+      });
+      this.renderNodesOnly();
+      if (this.config.selectedNodeId) {
+        this.notifyNodeSelected(this.config.selectedNodeId);
+      }
+    }
+    
+    this.commitChange(originalName ? 'Edit Resource' : 'New Resource', before);
+    if (this.config.onChange && this.config.buildMode === 'build') {
+      this.config.onChange();
+    }
+    return true;
+  }
+  
+  // Resources still referenced in the flow can't be deleted
+  deleteResource(name) {
+    if (this.getReferencedResourceNames().has(String(name).toLowerCase())) {
+      console.warn('FlowCanvas: Cannot delete resource - it is still referenced', name);
+      return false;
+    }
+    const before = this.captureState();
+    if (!this.getResources().remove(name)) return false;
+    this.commitChange('Delete Resource', before);
+    if (this.config.onChange && this.config.buildMode === 'build') {
+      this.config.onChange();
+    }
+    return true;
+  }
+  
+  // Lower-cased names of the resources referenced by elements, other resources or metadata
+  getReferencedResourceNames() {
+    const names = new Set();
+    this.resources.forEach(resource => {
+      const others = this.resources.filter(other => other !== resource);
+      if (FlowResources.hasReferences([this.config.nodes, others, this.config.metadata], resource.name)) {
+        names.add(resource.name.toLowerCase());
+      }
+    });
+    return names;
+  }
+  
+  // Insert a picked {!resource} at the cursor of the picker's text input and save it
+  insertResourceReference(picker) {
+    const input = picker.closest('.flow-resource-input')?.querySelector('[data-property]');
+    const reference = picker.value;
+    picker.value = '';
+    if (!input || !reference) return;
+    
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    input.value = input.value.slice(0, start) + reference + input.value.slice(end);
+    input.focus();
+    input.setSelectionRange?.(start + reference.length, start + reference.length);
+    input.dispatchEvent(new Event('change', { bubbles: true }));
   }
   
   removeNode(nodeId) {
-    this.config.nodes = this.config.nodes.filter(n => n.id !== nodeId);
-    if (this.config.selectedNodeId === nodeId) {
+    // Incoming connectors are re-linked to the node's kept path (default outcome for decisions)
+    const before = this.captureState();
+    const removedIds = this.getGraph().removeNode(nodeId);
+    if (removedIds.includes(this.config.selectedNodeId)) {
       this.config.selectedNodeId = null;
     }
+    if (removedIds.includes(this.testStartPoint)) {
+      this.testStartPoint = null;
+    }
+    if (removedIds.includes(this.testEndPoint)) {
+      this.testEndPoint = null;
+    }
+    this.cutNodeIds = this.cutNodeIds.filter(id => !removedIds.includes(id));
+    // Mocked outputs of a deleted element would make the exported flow invalid (see FlowDocument)
+    removedIds.forEach(id => {
+      delete this.outputs[id];
+      this.testScenarios.forEach(scenario => {
+        if (scenario.outputs) delete scenario.outputs[id];
+      });
+    });
+    this.commitChange('Delete Element', before);
+    // Performance: Only re-render canvas content, not entire structure
+    this.renderNodesOnly();
+    // Notify of change (for Build mode Save button)
+    if (this.config.onChange && this.config.buildMode === 'build') {
+      this.config.onChange();
+    }
+    return removedIds;
+  }
+  
+  // In free-form mode a new element is dropped halfway along the connector it was added to
+  getFreeFormInsertPosition(graph, connectorId) {
+    const found = graph.getConnector(connectorId);
+    if (!found) return null;
+    
+    const source = graph.getNode(found.source);
+    const target = graph.getNode(found.connector.target);
+    if (!source || !source.position) return null;
+    
+    const targetPosition = target && target.position ? target.position : { x: source.position.x, y: source.position.y + this.freeFormSpacing.y * 2 };
+    return {
+      x: Math.round((source.position.x + targetPosition.x) / 2),
+      y: Math.round((source.position.y + targetPosition.y) / 2)
+    };
+  }
+  
+  // Copy an element (with its loop body or decision branches) to the clipboard
+  copyNode(nodeId) {
+    const entry = this.captureClipboard(nodeId, false);
+    if (entry) {
+      this.writeSystemClipboard(entry);
+    }
+    return entry;
+  }
+  
+  // Cut keeps the element in place, dimmed, until the next paste succeeds
+  cutNode(nodeId) {
+    const entry = this.captureClipboard(nodeId, true);
+    if (entry) {
+      this.writeSystemClipboard(entry);
+    }
+    return entry;
+  }
+  
+  captureClipboard(nodeId, isCut) {
+    const entry = FlowClipboard.createEntry(this.getGraph(), nodeId);
+    if (!entry) return null;
+    
+    this.clipboard = entry;
+    this.setCutNodeIds(isCut ? entry.nodes.map(n => n.id) : []);
+    if (isCut) {
+      this.config.onNodeCut?.(nodeId);
+    } else {
+      this.config.onNodeCopy?.(nodeId);
+    }
+    return entry;
+  }
+  
+  // Paste the clipboard on a connector. Pasted elements get fresh ids; a cut
+  // element is removed from its old place only once the paste has succeeded,
+  // and then the moved elements take back their original ids
+  pasteNodes(connectorId, entry = this.clipboard) {
+    if (!entry) return null;
+    
+    const graph = this.getGraph();
+    const found = graph.getConnector(connectorId);
+    if (!found) {
+      console.warn('FlowCanvas: Cannot paste - connector not found', connectorId);
+      return null;
+    }
+    
+    const isCut = entry === this.clipboard && this.cutNodeIds.length > 0;
+    if (isCut && this.cutNodeIds.includes(found.source)) {
+      console.warn('FlowCanvas: Cannot paste a cut element inside itself', connectorId);
+      return null;
+    }
+    
+    const before = this.captureState();
+    const { nodes, idMap } = FlowClipboard.instantiate(entry, this.config.nodes.map(n => n.id));
+    this.positionPastedNodes(graph, nodes, connectorId);
+    if (!graph.insertSubgraph(nodes, connectorId)) {
+      console.warn('FlowCanvas: Cannot paste - connector not found', connectorId);
+      return null;
+    }
+    
+    let rootId = nodes[0].id;
+    if (isCut) {
+      graph.extractSubgraph(entry.rootId);
+      Object.keys(idMap).forEach(originalId => {
+        graph.renameNode(idMap[originalId], originalId);
+      });
+      rootId = entry.rootId;
+      // Further pastes of the same entry are copies
+      this.cutNodeIds = [];
+    }
+    this.commitChange('Paste', before);
+    
     // Performance: Only re-render canvas content, not entire structure
     this.renderNodesOnly();
     // Notify of change (for Build mode Save button)
     if (this.config.onChange && this.config.buildMode === 'build') {
       this.config.onChange();
     }
+    return rootId;
+  }
+  
+  // Free-form: the pasted group keeps its shape, anchored at the connector midpoint
+  // Auto-layout: stale positions are dropped so free-form lays the group out afresh
+  positionPastedNodes(graph, nodes, connectorId) {
+    const anchor = this.config.layoutMode === 'free-form' ? this.getFreeFormInsertPosition(graph, connectorId) : null;
+    const rootPosition = nodes[0].position;
+    
+    nodes.forEach(node => {
+      if (anchor && rootPosition && node.position) {
+        node.position = {
+          x: anchor.x + node.position.x - rootPosition.x,
+          y: anchor.y + node.position.y - rootPosition.y
+        };
+      } else if (anchor && node === nodes[0]) {
+        node.position = anchor;
+      } else {
+        delete node.position;
+      }
+    });
+  }
+  
+  // Accept clipboard text (e.g. from another tab). Returns the entry, or null
+  // when the text is not a flow clipboard entry
+  loadClipboard(text) {
+    const entry = FlowClipboard.parse(text);
+    if (!entry) return null;
+    // Our own entry coming back keeps its cut state
+    if (this.clipboard && this.clipboard.id === entry.id) {
+      return this.clipboard;
+    }
+    this.clipboard = entry;
+    this.setCutNodeIds([]);
+    return entry;
+  }
+  
+  writeSystemClipboard(entry) {
+    if (!navigator.clipboard || !navigator.clipboard.writeText) {
+      return Promise.resolve(false);
+    }
+    return navigator.clipboard.writeText(FlowClipboard.stringify(entry)).then(() => true, () => false);
+  }
+  
+  // Pull an entry copied in another tab. Browsers may ask the user for permission
+  readSystemClipboard() {
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+      return Promise.resolve(null);
+    }
+    return navigator.clipboard.readText().then(text => this.loadClipboard(text), () => null);
+  }
+  
+  hasClipboardContent() {
+    return !!this.clipboard;
+  }
+  
+  clearClipboard() {
+    this.clipboard = null;
+    this.setCutNodeIds([]);
+  }
+  
+  setCutNodeIds(nodeIds) {
+    this.cutNodeIds = nodeIds;
+    if (!this.container) return;
+    this.container.querySelectorAll('.flow-node').forEach(el => {
+      el.classList.toggle('flow-node-cut', this.cutNodeIds.includes(el.dataset.nodeId));
+    });
+  }
+  
+  handleClipboardEvent(e) {
+    // Leave text fields and text selections to the browser
+    if (this.isEditingText()) return;
+    if (this.config.buildMode === 'test' || !this.container || !this.container.isConnected) return;
+    
+    if (e.type === 'paste') {
+      const entry = this.loadClipboard(e.clipboardData ? e.clipboardData.getData('text/plain') : '');
+      if (!entry) return;
+      e.preventDefault();
+      // Paste after the selected element; otherwise the entry waits for a connector's Paste option
+      const connector = this.config.selectedNodeId ? this.getGraph().getContinuationConnector(this.config.selectedNodeId) : null;
+      if (connector) {
+        this.pasteNodes(connector.id);
+      }
+      return;
+    }
+    
+    const selection = window.getSelection ? window.getSelection() : null;
+    if (!this.config.selectedNodeId || (selection && !selection.isCollapsed)) return;
+    
+    const entry = this.captureClipboard(this.config.selectedNodeId, e.type === 'cut');
+    if (entry && e.clipboardData) {
+      e.clipboardData.setData('text/plain', FlowClipboard.stringify(entry));
+      e.preventDefault();
+    }
+  }
+  
+  isEditingText() {
+    const active = document.activeElement;
+    return !!active && (active.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(active.tagName));
+  }
+  
+  // Snapshot of everything undo/redo restores. `data` is compared to tell
+  // whether an action changed anything; the selection is restored but isn't an edit
+  captureState() {
+    return {
+      data: JSON.stringify({
+        nodes: this.config.nodes,
+        resources: this.resources,
+        metadata: this.config.metadata,
+        outputs: this.outputs,
+        testStartPoint: this.testStartPoint || null,
+        testEndPoint: this.testEndPoint || null,
+        testScenarios: this.testScenarios
+      }),
+      selectedNodeId: this.config.selectedNodeId
+    };
+  }
+  
+  // Record the edit made since `before` was captured. Edits replayed by undo/redo
+  // and actions that changed nothing are not recorded. Consecutive edits with the
+  // same mergeKey are undone together (see FlowHistory.push())
+  commitChange(label, before, mergeKey = null) {
+    if (this.history.applying) return;
+    const after = this.captureState();
+    if (after.data === before.data) return;
+    this.history.push({
+      label,
+      mergeKey,
+      undo: () => this.restoreState(before),
+      redo: () => this.restoreState(after)
+    });
+    this.validate();
+  }
+  
+  restoreState(state) {
+    const data = JSON.parse(state.data);
+    const previousOutputs = this.outputs;
+    const testPointsChanged = data.testStartPoint !== (this.testStartPoint || null) ||
+                              data.testEndPoint !== (this.testEndPoint || null);
+    
+    // Keep the nodes array itself: the host may hold a reference to it
+    this.config.nodes.splice(0, this.config.nodes.length, ...data.nodes);
+    this.resources.splice(0, this.resources.length, ...data.resources);
+    this.testScenarios.splice(0, this.testScenarios.length, ...data.testScenarios);
+    this.config.metadata = data.metadata;
+    this.outputs = data.outputs;
+    if (testPointsChanged) {
+      this.handleStartEndPointChange();
+    }
+    this.testStartPoint = data.testStartPoint;
+    this.testEndPoint = data.testEndPoint;
+    
+    const nodeIds = this.config.nodes.map(n => n.id);
+    this.config.selectedNodeId = nodeIds.includes(state.selectedNodeId) ? state.selectedNodeId : null;
+    this.cutNodeIds = this.cutNodeIds.filter(id => nodeIds.includes(id));
+    
+    this.invalidateMenuCache();
+    this.renderNodesOnly();
+    this.validate();
+    if (this.config.selectedNodeId) {
+      this.notifyNodeSelected(this.config.selectedNodeId);
+    }
+    this.resourceDraft = null;
+    this.refreshToolbox();
+    if (this.testScenarioPanel) {
+      this.testScenarioPanel.refresh();
+    }
+    
+    if (this.config.onOutputsChange) {
+      new Set([...Object.keys(previousOutputs), ...Object.keys(this.outputs)]).forEach(nodeId => {
+        if (JSON.stringify(previousOutputs[nodeId]) !== JSON.stringify(this.outputs[nodeId])) {
+          this.config.onOutputsChange(nodeId, this.outputs[nodeId] || null);
+        }
+      });
+    }
+    // Notify of change (for Build mode Save button)
+    if (this.config.onChange && this.config.buildMode === 'build') {
+      this.config.onChange();
+    }
+  }
+  
+  undo() {
+    return this.history.undo();
+  }
+  
+  redo() {
+    return this.history.redo();
+  }
+  
+  canUndo() {
+    return this.history.canUndo();
+  }
+  
+  canRedo() {
+    return this.history.canRedo();
+  }
+  
+  clearHistory() {
+    this.history.clear();
+  }
+  
+  // Run the validation rules on the current flow and report the result through onValidate
+  validate() {
+    this.validationIssues = this.validator.validate(this.config.nodes, this.resources);
+    this.config.onValidate?.(this.validationIssues, FlowValidator.getCounts(this.validationIssues));
+    return this.validationIssues;
+  }
+  
+  getValidationIssues() {
+    return this.validationIssues;
+  }
+  
+  // Content for the Errors and Warnings panel; entries with an element select it when clicked
+  getValidationContent() {
+    const issues = this.validationIssues;
+    const { errors, warnings } = FlowValidator.getCounts(issues);
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const escape = FlowPropertiesEditor.escape;
+    
+    const items = issues.map(issue => {
+      const icon = issue.severity === 'error' ? 'error' : 'warning';
+      const nodeAttribute = issue.nodeId ? `data-validation-node-id="${escape(issue.nodeId)}"` : '';
+      return `
+        <li class="flow-validation-item flow-validation-item_${issue.severity} ${issue.nodeId ? 'flow-validation-item_linked' : ''}" ${nodeAttribute}>
+          <span class="slds-icon_container slds-icon-utility-${icon}" title="${issue.severity === 'error' ? 'Error' : 'Warning'}">
+            <svg class="slds-icon slds-icon_x-small" aria-hidden="true">
+              <use href="#${icon}"></use>
+            </svg>
+          </span>
+          <span class="flow-validation-message">${escape(issue.message)}</span>
+        </li>
+      `;
+    }).join('');
+    
+    return `
+      <div class="flow-sidebar-content">
+        <div class="flow-sidebar-body flow-validation">
+          <p class="flow-validation-summary">${issues.length === 0 ? 'No errors or warnings found' : `${plural(errors, 'error')}, ${plural(warnings, 'warning')}`}</p>
+          ${issues.length > 0 ? `<ul class="flow-validation-list">${items}</ul>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  
+  // Select an element and scroll it into view
+  focusNode(nodeId) {
+    if (!this.config.nodes.some(n => n.id === nodeId)) return false;
+    this.selectNode(nodeId);
+    const nodeElement = this.container.querySelector(`#flow-canvas-content [data-node-id="${nodeId}"]`);
+    nodeElement?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+    return true;
+  }
+  
+  toggleConnectorMenu(connectorElement) {
+    const existing = connectorElement.querySelector('.flow-connector-menu');
+    this.closeConnectorMenus();
+    if (existing) return;
+    
+    const connectorId = connectorElement.dataset.connectorId;
+    const count = this.clipboard.nodes.length;
+    const pasteLabel = count === 1 ? 'Paste Element' : `Paste ${count} Elements`;
+    connectorElement.insertAdjacentHTML('beforeend', `
+      <div class="slds-dropdown flow-connector-menu">
+        <ul class="slds-dropdown__list" role="menu">
+          <li class="slds-dropdown__item" role="presentation">
+            <a href="javascript:void(0);" role="menuitem" data-connector-action="add" data-connector-id="${connectorId}">
+              <span class="slds-truncate" title="Add Element">Add Element</span>
+            </a>
+          </li>
+          <li class="slds-dropdown__item" role="presentation">
+            <a href="javascript:void(0);" role="menuitem" data-connector-action="paste" data-connector-id="${connectorId}">
+              <span class="slds-truncate" title="${pasteLabel}">${pasteLabel}</span>
+            </a>
+          </li>
+        </ul>
+      </div>
+    `);
+    connectorElement.classList.add('menu-open');
+  }
+  
+  closeConnectorMenus() {
+    if (!this.container) return;
+    this.container.querySelectorAll('.flow-connector-menu').forEach(menu => {
+      const connectorElement = menu.parentElement;
+      menu.remove();
+      connectorElement.classList.remove('menu-open');
+    });
   }
   
   updateConfig(newConfig) {
+    if (newConfig.nodes !== undefined) {
+      this.resetTestSession();
+    }
     this.config = { ...this.config, ...newConfig };
     // Re-render if nodes changed
     if (newConfig.nodes !== undefined) {
+      FlowGraph.normalizeNodes(this.config.nodes);
+      // A different flow: earlier edits can't be undone into it
+      this.history.clear();
       this.render();
+      this.validate();
+      if (this.testScenarioPanel) {
+        this.testScenarioPanel.reset();
+      }
+    }
+  }
+  
+  // Before loading a different flow: the debug session, breakpoints, replay, compared runs,
+  // imported debug log and the scenarios' last runs are about the old one's elements
+  resetTestSession() {
+    this.stopDebugging();
+    this.clearBreakpoints();
+    this.stopReplay();
+    this.clearRunComparison();
+    this.clearDebugLog();
+    this.clearPathHighlights();
+  }
+  
+  // The current flow as a versioned document (see FlowDocument)
+  exportFlow() {
+    return FlowDocument.create({
+      metadata: this.config.metadata,
+      nodes: this.config.nodes,
+      resources: this.resources,
+      outputs: this.outputs,
+      testStartPoint: this.testStartPoint,
+      testEndPoint: this.testEndPoint,
+      testScenarios: this.testScenarios
+    });
+  }
+  
+  // Load a document (object or JSON text), migrating older schema versions.
+  // Throws a FlowDocumentError and leaves the canvas untouched when it is invalid
+  importFlow(input) {
+    const doc = FlowDocument.parse(input);
+    
+    this.resetTestSession();
+    this.handleStartEndPointChange();
+    this.config.metadata = doc.metadata;
+    // Keep the nodes array itself: the host may hold a reference to it
+    this.config.nodes.splice(0, this.config.nodes.length, ...doc.nodes);
+    this.resources.splice(0, this.resources.length, ...doc.resources);
+    this.resourceDraft = null;
+    this.config.selectedNodeId = null;
+    this.testStartPoint = doc.test.startPoint || null;
+    this.testEndPoint = doc.test.endPoint || null;
+    this.testScenarios.splice(0, this.testScenarios.length, ...doc.test.scenarios);
+    this.cutNodeIds = [];
+    this.outputs = doc.outputs;
+    
+    // A different flow: earlier edits can't be undone into it
+    this.history.clear();
+    this.invalidateMenuCache();
+    this.render();
+    this.validate();
+    this.refreshToolbox();
+    if (this.testScenarioPanel) {
+      this.testScenarioPanel.reset();
     }
+    return doc;
+  }
+  
+  // Load a Salesforce .flow-meta.xml file (see FlowMetadataXml)
+  importFlowMetadata(xmlText, options = {}) {
+    return this.importFlow(FlowMetadataXml.parse(xmlText, options));
+  }
+  
+  exportFlowMetadata() {
+    return FlowMetadataXml.serialize(this.exportFlow());
   }
   
   setBuildMode(mode) {
     this.config.buildMode = mode;
     // Clear execution path when switching to build mode
     if (mode === 'build') {
+      this.stopDebugging();
+      this.clearRunComparison();
+      this.clearDebugLog();
       this.clearExecutionPath();
     }
     // Performance: Only re-render if mode actually changed
@@ -1671,9 +4076,7 @@ class FlowCanvas {
   
   updateTestViewState() {
     // Clear execution path if not in test flow or test scenario view
-    const isTestView = typeof this.config.isTestFlowOrScenarioView === 'function' 
-      ? this.config.isTestFlowOrScenarioView() 
-      : false;
+    const isTestView = this.isTestFlowOrScenarioView();
     
     if (!isTestView) {
       this.clearExecutionPath();
@@ -1694,6 +4097,7 @@ class FlowCanvas {
     const canvasContent = this.cachedQueries.canvasContent || this.container.querySelector('#flow-canvas-content');
     if (canvasContent) {
       canvasContent.innerHTML = this.renderNodes();
+      this.updateFreeFormConnectors();
       // Clear node-related caches since DOM changed
       Object.keys(this.cachedQueries).forEach(key => {
         if (key.startsWith('node-') || key.startsWith('node-exists-')) {
@@ -1718,7 +4122,9 @@ class FlowCanvas {
     this.handleStartEndPointChange();
     
     // If there's already a start point, it moves to the new node (only one start point allowed)
+    const before = this.captureState();
     this.testStartPoint = nodeId;
+    this.commitChange('Set Start Point', before);
     // Performance: Invalidate menu cache since start point affects menu items
     this.invalidateMenuCache();
     // Performance: Re-render nodes and connectors (badges are on connectors)
@@ -1733,7 +4139,9 @@ class FlowCanvas {
     this.handleStartEndPointChange();
     
     // If there's already an end point, it moves to the new node (only one end point allowed)
+    const before = this.captureState();
     this.testEndPoint = nodeId;
+    this.commitChange('Set End Point', before);
     // Performance: Invalidate menu cache since end point affects menu items
     // Also invalidate all menu caches to ensure disabled states are updated
     this.invalidateMenuCache();
@@ -1770,9 +4178,9 @@ class FlowCanvas {
     
     if (isInRunResult) {
       // Switch to Setup tab when in Run Result view
-      // Try to use TestScenarioPanel's switchTab method if available
-      if (typeof window !== 'undefined' && window.testScenarioPanel && typeof window.testScenarioPanel.switchTab === 'function') {
-        window.testScenarioPanel.switchTab('setup');
+      // Use the test scenario panel if there is one
+      if (this.testScenarioPanel) {
+        this.testScenarioPanel.switchTab('setup');
       } else {
         // Fallback: click the Setup tab directly
         const setupTab = document.querySelector('#tab-setup__item');
@@ -1788,7 +4196,9 @@ class FlowCanvas {
     this.handleStartEndPointChange();
     
     // Remove the start point
+    const before = this.captureState();
     this.testStartPoint = null;
+    this.commitChange('Remove Start Point', before);
     // Performance: Re-render nodes and connectors (badges are on connectors)
     this.renderNodesOnly();
     // Ensure connector styles are updated after re-render (removes execution path highlights)
@@ -1800,7 +4210,9 @@ class FlowCanvas {
     this.handleStartEndPointChange();
     
     // Remove the end point (only one allowed, so just clear it)
+    const before = this.captureState();
     this.testEndPoint = null;
+    this.commitChange('Remove End Point', before);
     // Performance: Re-render nodes and connectors (badges are on connectors)
     this.renderNodesOnly();
     // Ensure connector styles are updated after re-render (removes execution path highlights)
@@ -1808,21 +4220,27 @@ class FlowCanvas {
   }
   
   clearTestStartPoint() {
+    const before = this.captureState();
     this.testStartPoint = null;
+    this.commitChange('Remove Start Point', before);
     // Performance: Re-render nodes and connectors (badges are on connectors)
     this.renderNodesOnly();
   }
   
   clearTestEndPoint() {
     // Clear the end point
+    const before = this.captureState();
     this.testEndPoint = null;
+    this.commitChange('Remove End Point', before);
     // Performance: Re-render nodes and connectors (badges are on connectors)
     this.renderNodesOnly();
   }
   
   clearAllTestEndPoints() {
     // Clear the end point (only one allowed)
+    const before = this.captureState();
     this.testEndPoint = null;
+    this.commitChange('Remove End Point', before);
     this.render();
     this.attachEventListeners();
   }
@@ -1834,13 +4252,20 @@ class FlowCanvas {
       return this.config.nodes.map(n => n.id);
     }
     
-    // Find start index (default to 0 if no start point)
-    const startIndex = this.testStartPoint ? this.config.nodes.findIndex(n => n.id === this.testStartPoint) : 0;
-    
-    // Find the end point index (nodes from start to the end point are in scope)
-    const endIndex = this.testEndPoint ? this.config.nodes.findIndex(n => n.id === this.testEndPoint) : this.config.nodes.length - 1;
+    const graph = this.getGraph();
+    const startNode = graph.getStartNode();
+    const fromId = this.testStartPoint || (startNode ? startNode.id : null);
     
-    return this.config.nodes.slice(startIndex, endIndex + 1).map(n => n.id);
+    // Everything reachable from the start point, without following connectors past the end point
+    return graph.getReachableNodeIds(fromId, { stopAfter: this.testEndPoint });
+  }
+  
+  canSetTestEndPoint(nodeId) {
+    // An end point right before the End element or the existing end point would leave nothing to stop
+    const graph = this.getGraph();
+    const successors = graph.getSuccessorIds(nodeId).map(id => graph.getNode(id));
+    if (successors.length === 0) return true;
+    return !successors.every(next => next.type === 'end' || next.id === this.testEndPoint);
   }
   
   // Zoom methods
@@ -2137,7 +4562,7 @@ class FlowCanvas {
             
             // Render and position legend immediately when panel opens (no delay)
             // Pass skipContentQuery=true to avoid querying panel content during opening
-            // renderLegend will check window.testScenarioPanel to determine if it's Test Scenarios list view
+            // renderLegend will ask the test scenario panel whether it's the Test Scenarios list view
             if (this.config.buildMode === 'test') {
               // Render legend immediately - it will check if it's Test Scenarios list view
               this.renderLegend(true);
@@ -2253,6 +4678,18 @@ class FlowCanvas {
   }
 }
 
+// Output types as the Outputs tab shows them (see FlowElementRegistry.DEFAULTS.outputs)
+FlowCanvas.OUTPUT_TYPE_LABELS = {
+  String: 'Text',
+  SObject: 'Record',
+  'SObject[]': 'Record Collection',
+  Apex: 'Apex (JSON)',
+  Id: 'Record ID'
+};
+
+// Path highlight key of an imported debug log's path (see importDebugLog())
+FlowCanvas.DEBUG_LOG_PATH = 'debug-log';
+
 // Export for use in prototype
 if (typeof window !== 'undefined') {
   window.FlowCanvas = FlowCanvas;
@@ -12,6 +12,9 @@ class FlowPanel {
       console.error('FlowPanel: Container not found', container);
     }
     
+    // Element types supply the header icon and color (see FlowElementRegistry)
+    this.elementRegistry = options.elementRegistry || FlowElementRegistry.default;
+    
     this.config = {
       position: options.position || 'right', // 'left' or 'right'
       title: options.title || 'Panel',
@@ -35,50 +38,25 @@ class FlowPanel {
   }
   
   getIconForTitle(title) {
-    // Determine icon based on title if not explicitly set
+    // Use the explicit icon, else the icon of the element type with that label
     if (this.config.icon) {
       return this.config.icon;
     }
     
-    const titleLower = (title || '').toLowerCase();
-    if (titleLower.includes('create')) {
-      return 'record_create';
-    } else if (titleLower.includes('update')) {
-      return 'record_update';
-    } else if (titleLower.includes('start') || titleLower.includes('trigger')) {
-      return 'play';
-    } else if (titleLower.includes('end')) {
-      return 'stop';
-    } else if (titleLower.includes('action')) {
-      return 'custom_notification';
-    }
-    // Default icon
-    return 'add';
+    const definition = this.elementRegistry.getAll().find(d => d.label === title || d.defaultLabel === title);
+    return definition ? definition.icon : 'add';
   }
   
   getIconBgForIcon(icon) {
-    // Determine icon background color based on icon name if not explicitly set
+    const definition = this.elementRegistry.findByIcon(icon);
+    // Start elements are always drawn teal (see the override in FlowCanvas.css), whatever their iconBg
+    if (definition && definition.type === 'start') {
+      return definition.iconBg;
+    }
     if (this.config.iconBg) {
-      // Check if this is a start node - CSS overrides start nodes to teal
-      const titleLower = (this.config.title || '').toLowerCase();
-      if (titleLower.includes('start') || titleLower.includes('trigger') || titleLower.includes('record-triggered')) {
-        return '#0B827C'; // Teal for start nodes (matches CSS override)
-      }
       return this.config.iconBg;
     }
-    
-    const iconMap = {
-      'record_create': '#ff538a',
-      'record_update': '#ff538a',
-      'play': '#0B827C', // Teal for start nodes (matches CSS override in FlowCanvas.css)
-      'stop': '#ea001e',
-      'custom_notification': '#032d60',
-      'add': '#0176d3',
-      'variable': '#0176d3',
-      'apex': '#0176d3'
-    };
-    
-    return iconMap[icon] || '#0176d3'; // Default blue
+    return definition ? definition.iconBg : '#0176d3'; // Default blue
   }
   
   render() {
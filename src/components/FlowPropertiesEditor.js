@@ -0,0 +1,448 @@
+/**
+ * Flow Properties Editor
+ * Builds the element properties form from the element type's property schema
+ * (see FlowElementRegistry) and turns panel input back into node property values.
+ * Field types: text, picklist, checkbox, record-field, condition and rows.
+ * Fields with `resources: true` also offer the flow's resources as {!name} references
+ */
+class FlowPropertiesEditor {
+  constructor(options = {}) {
+    // Object name -> field names offered by record-field pickers
+    this.recordSchema = options.recordSchema || FlowPropertiesEditor.DEFAULT_RECORD_SCHEMA;
+    // Returns the flow's resources (see FlowResources) for resource pickers
+    this.getResources = options.getResources || (() => []);
+  }
+
+  // The form for a node; every field shows its current validation message
+  render(node, definition) {
+    const fields = definition ? definition.properties : FlowElementRegistry.DEFAULTS.properties;
+    if (fields.length === 0) {
+      return '<p class="slds-text-color_weak">This element has no properties.</p>';
+    }
+    return fields.map(field => this.renderField(field, node)).join('');
+  }
+
+  renderField(field, node) {
+    const value = this.getValue(node, field);
+    const error = this.validateField(field, value, node);
+    const escape = FlowPropertiesEditor.escape;
+    const inputId = `property-${escape(node.id || 'resource')}-${field.name}`;
+    const required = field.required ? '<abbr class="slds-required" title="required">* </abbr>' : '';
+
+    let control;
+    if (field.type === 'checkbox') {
+      control = `
+        <div class="slds-checkbox">
+          <input type="checkbox" id="${inputId}" data-property="${field.name}" ${value ? 'checked' : ''} />
+          <label class="slds-checkbox__label" for="${inputId}">
+            <span class="slds-checkbox_faux"></span>
+            <span class="slds-form-element__label">${escape(field.label)}</span>
+          </label>
+        </div>
+      `;
+    } else if (field.type === 'condition' && field.perConnector) {
+      // One condition builder per connector of that type, e.g. per Decision outcome
+      const connectors = (node.connectors || []).filter(c => c.type === field.perConnector);
+      control = connectors.map(connector => `
+        <div class="flow-property-group">
+          <div class="flow-property-group-label">${escape(connector.label || connector.id)}</div>
+          ${this.renderConditionBuilder(field, (value || {})[connector.id], node, `${connector.id}.`)}
+        </div>
+      `).join('') || '<p class="slds-text-color_weak">No outcomes to configure.</p>';
+    } else if (field.type === 'condition') {
+      control = this.renderConditionBuilder(field, value, node, '');
+    } else if (field.type === 'rows') {
+      control = this.renderRows(field, value, node);
+    } else {
+      control = this.renderControl(field, value, node, { id: inputId, property: field.name });
+    }
+
+    const label = field.type === 'checkbox' ? '' : `
+      <label class="slds-form-element__label" for="${inputId}">
+        ${required}<span class="slds-form-element__label-text">${escape(field.label)}</span>
+      </label>
+    `;
+
+    return `
+      <div class="slds-form-element flow-property ${error ? 'slds-has-error' : ''}" data-property-field="${field.name}">
+        ${label}
+        <div class="slds-form-element__control">
+          ${control}
+        </div>
+        ${field.help ? `<div class="slds-form-element__help flow-property-hint">${escape(field.help)}</div>` : ''}
+        <div class="slds-form-element__help" data-property-error="${field.name}" ${error ? '' : 'hidden'}>${escape(error)}</div>
+      </div>
+    `;
+  }
+
+  // A single input for text, picklist, checkbox and record-field values.
+  // target: { id, property, path } - path addresses a value inside the property
+  renderControl(field, value, node, target) {
+    const escape = FlowPropertiesEditor.escape;
+    const attributes = [
+      target.id ? `id="${target.id}"` : '',
+      `data-property="${target.property}"`,
+      target.path ? `data-property-path="${escape(target.path)}"` : '',
+      target.label ? `aria-label="${escape(target.label)}"` : ''
+    ].join(' ');
+
+    if (field.type === 'picklist') {
+      const options = this.getOptions(field);
+      return `
+        <div class="slds-select_container">
+          <select class="slds-select" ${attributes}>
+            ${value === '' || value === undefined || value === null ? '<option value="">--None--</option>' : ''}
+            ${value && !options.some(option => option.value === value) ? `<option value="${escape(value)}" selected>${escape(value)}</option>` : ''}
+            ${options.map(option => `
+              <option value="${escape(option.value)}" ${option.value === value ? 'selected' : ''}>${escape(option.label)}</option>
+            `).join('')}
+          </select>
+        </div>
+      `;
+    }
+
+    if (field.type === 'record-field') {
+      const objectName = field.objectProperty ? node[field.objectProperty] : null;
+      const objects = objectName ? [objectName] : Object.keys(this.recordSchema);
+      const groups = objects.map(object => `
+        <optgroup label="${escape(object)}">
+          ${(this.recordSchema[object] || []).map(name => {
+            const optionValue = `${object}.${name}`;
+            return `<option value="${escape(optionValue)}" ${optionValue === value ? 'selected' : ''}>${escape(objectName ? name : optionValue)}</option>`;
+          }).join('')}
+        </optgroup>
+      `).join('');
+      const resources = field.resources ? this.getResources().map(resource => FlowResources.createMergeField(resource.name)) : [];
+      const resourceGroup = resources.length > 0 ? `
+        <optgroup label="Resources">
+          ${resources.map(reference => `<option value="${escape(reference)}" ${reference === value ? 'selected' : ''}>${escape(reference)}</option>`).join('')}
+        </optgroup>
+      ` : '';
+      // Keep a value the schema doesn't know about (e.g. from an imported flow) selectable
+      const known = resources.includes(value) ||
+        objects.some(object => (this.recordSchema[object] || []).some(name => `${object}.${name}` === value));
+      return `
+        <div class="slds-select_container">
+          <select class="slds-select" ${attributes}>
+            <option value="">Select Field</option>
+            ${value && !known ? `<option value="${escape(value)}" selected>${escape(value)}</option>` : ''}
+            ${resourceGroup}
+            ${groups}
+          </select>
+        </div>
+      `;
+    }
+
+    if (field.type === 'checkbox') {
+      return `<input type="checkbox" ${attributes} ${value ? 'checked' : ''} />`;
+    }
+
+    const input = field.multiline
+      ? `<textarea class="slds-textarea" rows="3" ${attributes}>${escape(value)}</textarea>`
+      : `<input type="text" class="slds-input" ${attributes} value="${escape(value)}" ${field.placeholder ? `placeholder="${escape(field.placeholder)}"` : ''} />`;
+    return field.resources ? this.renderResourcePicker(input) : input;
+  }
+
+  // A text input with a picker that inserts {!name} at the cursor (see FlowCanvas.insertResourceReference)
+  renderResourcePicker(input) {
+    const resources = this.getResources();
+    if (resources.length === 0) return input;
+    const escape = FlowPropertiesEditor.escape;
+    return `
+      <div class="flow-resource-input">
+        ${input}
+        <div class="slds-select_container flow-resource-picker">
+          <select class="slds-select" data-resource-picker aria-label="Insert Resource" title="Insert Resource">
+            <option value="">{!}</option>
+            ${resources.map(resource => `
+              <option value="${escape(FlowResources.createMergeField(resource.name))}">${escape(resource.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+  }
+
+  renderConditionBuilder(field, value, node, pathPrefix) {
+    const condition = value || FlowPropertiesEditor.createConditionValue();
+    const escape = FlowPropertiesEditor.escape;
+    const property = field.name;
+    const leftField = { type: 'record-field', objectProperty: field.objectProperty, resources: true };
+    const operatorField = { type: 'picklist', options: FlowPropertiesEditor.OPERATORS };
+    const logicField = { type: 'picklist', options: FlowPropertiesEditor.CONDITION_LOGIC };
+
+    const rows = condition.conditions.map((row, index) => `
+      <div class="flow-condition-row">
+        <span class="flow-condition-index">${index + 1}</span>
+        <div class="flow-condition-cell">
+          ${this.renderControl(leftField, row.left, node, { property, path: `${pathPrefix}conditions.${index}.left`, label: `Condition ${index + 1} Resource` })}
+        </div>
+        <div class="flow-condition-cell">
+          ${this.renderControl(operatorField, row.operator, node, { property, path: `${pathPrefix}conditions.${index}.operator`, label: `Condition ${index + 1} Operator` })}
+        </div>
+        <div class="flow-condition-cell">
+          ${FlowPropertiesEditor.UNARY_OPERATORS.includes(row.operator) ? '' :
+            this.renderControl({ type: 'text', placeholder: 'Value', resources: true }, row.right, node, { property, path: `${pathPrefix}conditions.${index}.right`, label: `Condition ${index + 1} Value` })}
+        </div>
+        <button class="slds-button slds-button_icon slds-button_icon-border-filled" type="button" title="Remove Condition"
+                data-property-action="remove-item" data-property="${property}" data-property-path="${escape(`${pathPrefix}conditions.${index}`)}">
+          <svg class="slds-button__icon" aria-hidden="true"><use href="#delete"></use></svg>
+          <span class="slds-assistive-text">Remove Condition</span>
+        </button>
+      </div>
+    `).join('');
+
+    return `
+      <div class="flow-condition-builder">
+        <div class="flow-condition-logic">
+          ${this.renderControl(logicField, condition.logic, node, { property, path: `${pathPrefix}logic`, label: 'Condition Requirements' })}
+          ${condition.logic === 'custom' ? this.renderControl({ type: 'text', placeholder: '1 AND (2 OR 3)' }, condition.customLogic, node, { property, path: `${pathPrefix}customLogic`, label: 'Condition Logic' }) : ''}
+        </div>
+        ${rows}
+        <button class="slds-button slds-button_neutral" type="button"
+                data-property-action="add-item" data-property="${property}" data-property-path="${escape(`${pathPrefix}conditions`)}">
+          Add Condition
+        </button>
+      </div>
+    `;
+  }
+
+  renderRows(field, value, node) {
+    const rows = Array.isArray(value) ? value : [];
+    const escape = FlowPropertiesEditor.escape;
+
+    const rowsHtml = rows.map((row, index) => `
+      <div class="flow-property-row">
+        ${field.fields.map(subfield => `
+          <div class="flow-property-row-cell">
+            ${index === 0 ? `<span class="flow-property-row-label">${escape(subfield.label)}</span>` : ''}
+            ${this.renderControl(subfield, row[subfield.name], node, { property: field.name, path: `${index}.${subfield.name}`, label: `${subfield.label} ${index + 1}` })}
+          </div>
+        `).join('')}
+        <button class="slds-button slds-button_icon slds-button_icon-border-filled" type="button" title="Remove"
+                data-property-action="remove-item" data-property="${field.name}" data-property-path="${index}">
+          <svg class="slds-button__icon" aria-hidden="true"><use href="#delete"></use></svg>
+          <span class="slds-assistive-text">Remove</span>
+        </button>
+      </div>
+    `).join('');
+
+    return `
+      <div class="flow-property-rows">
+        ${rowsHtml}
+        <button class="slds-button slds-button_neutral" type="button"
+                data-property-action="add-item" data-property="${field.name}" data-property-path="">
+          ${escape(field.addLabel || 'Add Row')}
+        </button>
+      </div>
+    `;
+  }
+
+  getOptions(field) {
+    const options = field.options === 'objects' ? Object.keys(this.recordSchema) : (field.options || []);
+    return options.map(option => (typeof option === 'object' ? option : { value: option, label: option }));
+  }
+
+  getField(definition, property) {
+    const fields = definition ? definition.properties : FlowElementRegistry.DEFAULTS.properties;
+    return fields.find(field => field.name === property) || null;
+  }
+
+  getValue(node, field) {
+    const value = node[field.name];
+    if (value !== undefined && value !== null) return value;
+    if (field.default !== undefined) return field.default;
+    if (field.type === 'checkbox') return false;
+    if (field.type === 'rows') return [];
+    if (field.type === 'condition') return field.perConnector ? {} : FlowPropertiesEditor.createConditionValue();
+    return '';
+  }
+
+  // The new value of the property an input edits: { property, value }, or null
+  readInput(node, definition, input) {
+    const property = input.dataset.property;
+    const field = this.getField(definition, property);
+    if (!field) return null;
+
+    const inputValue = input.type === 'checkbox' ? input.checked : input.value;
+    const path = input.dataset.propertyPath;
+    if (!path) {
+      return { property, value: inputValue };
+    }
+
+    const value = JSON.parse(JSON.stringify(this.getValue(node, field)));
+    FlowPropertiesEditor.setPath(value, path, inputValue, () => FlowPropertiesEditor.createConditionValue());
+    return { property, value };
+  }
+
+  // Add or remove a row or condition: { property, value }, or null
+  applyAction(node, definition, button) {
+    const property = button.dataset.property;
+    const field = this.getField(definition, property);
+    if (!field) return null;
+
+    const value = JSON.parse(JSON.stringify(this.getValue(node, field)));
+    const path = button.dataset.propertyPath || '';
+    const action = button.dataset.propertyAction;
+
+    if (action === 'add-item') {
+      const item = field.type === 'rows'
+        ? Object.fromEntries(field.fields.map(subfield => [subfield.name, this.getValue({}, subfield)]))
+        : { left: '', operator: 'EqualTo', right: '' };
+      if (path === '') {
+        value.push(item);
+      } else {
+        const list = FlowPropertiesEditor.getPath(value, path);
+        if (Array.isArray(list)) {
+          list.push(item);
+        } else {
+          FlowPropertiesEditor.setPath(value, path, [item], () => FlowPropertiesEditor.createConditionValue());
+        }
+      }
+    } else if (action === 'remove-item') {
+      const segments = path.split('.');
+      const index = Number(segments.pop());
+      const list = segments.length > 0 ? FlowPropertiesEditor.getPath(value, segments.join('.')) : value;
+      if (!Array.isArray(list)) return null;
+      list.splice(index, 1);
+    } else {
+      return null;
+    }
+
+    return { property, value };
+  }
+
+  // Returns { property: message } for every invalid field
+  validate(node, definition) {
+    const errors = {};
+    const fields = definition ? definition.properties : FlowElementRegistry.DEFAULTS.properties;
+    fields.forEach(field => {
+      const message = this.validateField(field, this.getValue(node, field), node);
+      if (message) errors[field.name] = message;
+    });
+    return errors;
+  }
+
+  // Returns the first problem with a field's value, or ''
+  validateField(field, value, node) {
+    const isEmpty = (v) => v === undefined || v === null || (typeof v === 'string' && v.trim() === '');
+
+    if (field.type === 'rows') {
+      if (field.required && value.length === 0) return `Add at least one row to ${field.label}.`;
+      for (let i = 0; i < value.length; i++) {
+        const missing = field.fields.find(subfield => subfield.required && isEmpty(value[i][subfield.name]));
+        if (missing) return `Row ${i + 1}: ${missing.label} is required.`;
+      }
+    } else if (field.type === 'condition' && field.perConnector) {
+      const connectors = (node.connectors || []).filter(c => c.type === field.perConnector);
+      for (const connector of connectors) {
+        const message = this.validateCondition(field, value[connector.id]);
+        if (message) return `${connector.label || connector.id}: ${message}`;
+      }
+    } else if (field.type === 'condition') {
+      const message = this.validateCondition(field, value);
+      if (message) return message;
+    } else if (field.type !== 'checkbox') {
+      if (field.required && isEmpty(value)) return `${field.label} is required.`;
+      if (!isEmpty(value) && field.pattern && !new RegExp(field.pattern).test(value)) {
+        return field.patternMessage || `${field.label} isn't valid.`;
+      }
+      if (field.maxLength && String(value).length > field.maxLength) {
+        return `${field.label} can't be longer than ${field.maxLength} characters.`;
+      }
+    }
+
+    return field.validate ? (field.validate(value, node) || '') : '';
+  }
+
+  validateCondition(field, value) {
+    const condition = value || FlowPropertiesEditor.createConditionValue();
+    const rows = condition.conditions || [];
+    if (field.required && rows.length === 0) return 'Add at least one condition.';
+
+    for (let i = 0; i < rows.length; i++) {
+      if (!rows[i].left) return `Condition ${i + 1}: choose a resource.`;
+      if (!rows[i].operator) return `Condition ${i + 1}: choose an operator.`;
+    }
+
+    if (condition.logic === 'custom') {
+      const logic = (condition.customLogic || '').trim();
+      if (!logic) return 'Enter the custom condition logic.';
+      try {
+        FlowFormula.evaluateLogic(logic, rows.map(() => true));
+      } catch (e) {
+        if (!(e instanceof FlowFormulaError)) throw e;
+        return `${e.message} (at character ${e.start + 1}).`;
+      }
+    }
+    return '';
+  }
+
+  static createConditionValue() {
+    return { logic: 'and', customLogic: '', conditions: [] };
+  }
+
+  // Dotted paths address object keys and array indexes ("conditions.0.left");
+  // createMissing builds the containers a path runs through when they don't exist yet
+  static getPath(value, path) {
+    return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+  }
+
+  static setPath(value, path, newValue, createMissing = () => ({})) {
+    const keys = path.split('.');
+    let current = value;
+    keys.slice(0, -1).forEach(key => {
+      if (current[key] === undefined || current[key] === null) {
+        current[key] = createMissing();
+      }
+      current = current[key];
+    });
+    current[keys[keys.length - 1]] = newValue;
+    return value;
+  }
+
+  static escape(text) {
+    if (text === undefined || text === null) return '';
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+FlowPropertiesEditor.OPERATORS = [
+  { value: 'EqualTo', label: 'Equals' },
+  { value: 'NotEqualTo', label: 'Does Not Equal' },
+  { value: 'GreaterThan', label: 'Greater Than' },
+  { value: 'GreaterThanOrEqualTo', label: 'Greater Than or Equal' },
+  { value: 'LessThan', label: 'Less Than' },
+  { value: 'LessThanOrEqualTo', label: 'Less Than or Equal' },
+  { value: 'Contains', label: 'Contains' },
+  { value: 'StartsWith', label: 'Starts With' },
+  { value: 'EndsWith', label: 'Ends With' },
+  { value: 'IsNull', label: 'Is Null' },
+  { value: 'IsChanged', label: 'Is Changed' }
+];
+
+// Operators that don't compare against a value
+FlowPropertiesEditor.UNARY_OPERATORS = ['IsNull', 'IsChanged'];
+
+FlowPropertiesEditor.CONDITION_LOGIC = [
+  { value: 'and', label: 'All Conditions Are Met (AND)' },
+  { value: 'or', label: 'Any Condition Is Met (OR)' },
+  { value: 'custom', label: 'Custom Condition Logic Is Met' }
+];
+
+// Used when the host doesn't pass its org's objects
+FlowPropertiesEditor.DEFAULT_RECORD_SCHEMA = {
+  Account: ['Id', 'Name', 'Industry', 'AnnualRevenue', 'OwnerId'],
+  Case: ['Id', 'Subject', 'Status', 'Priority', 'Origin', 'AccountId', 'ContactId', 'OwnerId'],
+  Contact: ['Id', 'FirstName', 'LastName', 'Email', 'AccountId', 'OwnerId'],
+  Task: ['Id', 'Subject', 'Status', 'Priority', 'WhatId', 'WhoId', 'ActivityDate', 'OwnerId']
+};
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowPropertiesEditor = FlowPropertiesEditor;
+}
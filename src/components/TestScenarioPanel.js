@@ -0,0 +1,1263 @@
+/**
+ * Test Scenario Panel Component
+ * Lists a flow's test scenarios in a side panel (see FlowPanel), edits and runs them.
+ * Views: 'list' (every scenario, with the path highlight legend), 'testscenario' (a
+ * scenario's Setup tab), 'testflow' (its Run Details tab, the last run's result and the
+ * run history), 'debug' (the scenario's run paused by the debugger, with the values it
+ * has so far), 'compare' (two of the scenario's runs overlaid on the canvas) and 'log'
+ * (the path of a Salesforce debug log dropped on the canvas, see FlowCanvas.importDebugLog()).
+ * Scenarios live on the canvas (FlowCanvas.getTestScenarios()), so edits can be undone
+ * and are saved with the flow; runs use the canvas's FlowInterpreter via runTests()
+ */
+class TestScenarioPanel {
+  constructor(options = {}) {
+    this.canvas = options.canvas;
+    this.panel = options.panel || null; // FlowPanel to show in, usually the left one
+
+    this.config = {
+      title: options.title || 'Test Scenarios',
+      view: 'list', // 'list', 'testscenario', 'testflow', 'debug', 'compare' or 'log'
+      scenarioId: null, // Scenario shown in the Setup and Run Details tabs
+      compare: null, // { a, b }: ids of the runs the compare view shows (see FlowRunHistory)
+      renamingId: null, // Scenario whose name is being edited in the list
+      errors: {}, // field -> message for the Setup tab, or the list's rename input ('rename')
+      fixtureView: 'form', // How the Setup tab shows the fixtures: 'form' or 'json'
+      notice: '', // Message above the list, e.g. what Generate Scenarios did
+      onViewChange: options.onViewChange || null, // Callback with (view, scenarioId)
+      onRun: options.onRun || null // Callback with ({ scenarioId: result }) after a run
+    };
+
+    // scenarioId -> the last FlowInterpreter result, and every run kept for comparing;
+    // runs aren't part of the flow
+    this.results = {};
+    this.history = new FlowRunHistory();
+
+    this.canvas.setTestScenarioPanel(this);
+    this.attachEventListeners();
+  }
+
+  // Show the panel in the list view, or the given view for a scenario
+  open(view = 'list', scenarioId = null) {
+    this.setView(view, scenarioId, true);
+  }
+
+  close() {
+    if (this.isOpen()) {
+      this.panel.close();
+    }
+    this.canvas.renderLegend();
+  }
+
+  // False once the panel shows something else (e.g. the Toolbox)
+  isOpen() {
+    return !!this.panel && this.panel.isOpen() &&
+      !!this.panel.container.querySelector('.test-scenario-panel');
+  }
+
+  isTestFlowOrScenarioView() {
+    return this.isOpen() && this.config.view !== 'list';
+  }
+
+  // show: open the panel if it shows something else
+  setView(view, scenarioId = this.config.scenarioId, show = false) {
+    const scenario = scenarioId ? this.canvas.getTestScenario(scenarioId) : null;
+    const leavesDebug = this.config.view === 'debug';
+    const leavesCompare = this.config.view === 'compare';
+    const leavesLog = this.config.view === 'log';
+    // Only the debug log view isn't about a scenario
+    this.config.view = scenario || view === 'log' ? view : 'list';
+    this.config.scenarioId = scenario ? scenario.id : null;
+    this.config.renamingId = null;
+    this.config.errors = {};
+    this.config.notice = '';
+    // Leaving the debug view ends debugging
+    if (leavesDebug && this.config.view !== 'debug') {
+      this.canvas.stopDebugging();
+    }
+    if (leavesCompare && this.config.view !== 'compare') {
+      this.config.compare = null;
+      this.canvas.clearRunComparison();
+    }
+    if (leavesLog && this.config.view !== 'log') {
+      this.canvas.clearDebugLog();
+    }
+    // Replays are played from the list view's legend
+    if (this.config.view !== 'list') {
+      this.canvas.stopReplay();
+    }
+    this.render(show);
+
+    // The canvas's legend and node menus depend on the view
+    this.canvas.invalidateMenuCache();
+    this.canvas.renderLegend();
+    // Output Mocked badges and the Outputs tab follow the open scenario
+    this.canvas.updateAllNodeDisplays();
+    this.canvas.refreshPanel();
+    this.config.onViewChange?.(this.config.view, this.config.scenarioId);
+  }
+
+  showList() {
+    this.setView('list', null);
+  }
+
+  showScenario(scenarioId, tab = 'setup') {
+    this.setView(tab === 'rundetails' ? 'testflow' : 'testscenario', scenarioId);
+  }
+
+  // 'setup' or 'rundetails'; only the scenario views have tabs
+  switchTab(tab) {
+    if (this.config.view === 'list') return;
+    this.showScenario(this.config.scenarioId, tab);
+  }
+
+  // Re-render after the scenarios changed outside the panel (undo, import)
+  refresh() {
+    const scenarioIds = new Set(this.canvas.getTestScenarios().map(scenario => scenario.id));
+    Object.keys(this.results).forEach(id => {
+      if (!scenarioIds.has(id)) delete this.results[id];
+    });
+    this.history.prune([...scenarioIds]);
+    if (this.config.scenarioId && !scenarioIds.has(this.config.scenarioId)) {
+      this.showList();
+      return;
+    }
+    this.render();
+  }
+
+  // After the canvas loaded a different flow: the last results, run history and compared
+  // runs are the old flow's, even for scenario ids the new one reuses
+  reset() {
+    this.results = {};
+    this.history.clear();
+    this.config.compare = null;
+    this.showList();
+  }
+
+  // Only an open panel is updated unless show is set. The header (title, Back button)
+  // is re-rendered only when switching between the list and a scenario
+  render(show = false) {
+    if (!this.panel || !(show || this.isOpen())) return;
+    const hasBack = this.config.view !== 'list';
+    if (this.isOpen() && hasBack === !!this.panel.config.onBack) {
+      this.panel.setTitle(this.getTitle());
+      this.panel.setContent(this.getContent());
+      return;
+    }
+    this.panel.open('left', this.getTitle(), this.getContent(), hasBack ? () => this.showList() : null);
+  }
+
+  getTitle() {
+    if (this.config.view === 'log') return 'Debug Log';
+    const scenario = this.getScenario();
+    return scenario ? scenario.name : this.config.title;
+  }
+
+  getScenario() {
+    return this.config.scenarioId ? this.canvas.getTestScenario(this.config.scenarioId) : null;
+  }
+
+  getContent() {
+    if (this.config.view === 'list') return this.getListContent();
+    if (this.config.view === 'compare') return this.getCompareContent();
+    if (this.config.view === 'log') return this.getDebugLogContent();
+    return this.config.view === 'debug' ? this.getDebugContent() : this.getScenarioContent();
+  }
+
+  getListContent() {
+    const escape = FlowPropertiesEditor.escape;
+    const scenarios = this.canvas.getTestScenarios();
+
+    const rows = scenarios.map(scenario => {
+      const id = escape(scenario.id);
+      if (scenario.id === this.config.renamingId) {
+        const error = this.config.errors.rename;
+        return `
+          <li class="test-scenario-item">
+            <div class="slds-form-element test-scenario-rename ${error ? 'slds-has-error' : ''}">
+              <div class="slds-form-element__control">
+                <input type="text" class="slds-input" aria-label="Scenario Name" value="${escape(scenario.name)}"
+                       data-test-scenario-rename="${id}" />
+              </div>
+              ${error ? `<div class="slds-form-element__help">${escape(error)}</div>` : ''}
+            </div>
+          </li>
+        `;
+      }
+      return `
+        <li class="test-scenario-item">
+          <a href="javascript:void(0);" class="test-scenario-name" data-test-scenario-action="open" data-scenario-id="${id}"
+             title="${escape(scenario.description || scenario.name)}">${escape(scenario.name)}</a>
+          ${this.getDraftBadge(scenario)}
+          ${this.getStatusBadge(this.results[scenario.id])}
+          <div class="slds-button-group" role="group">
+            ${this.getIconButton('run', 'right', 'Run', scenario)}
+            ${this.getIconButton('debug', 'bug', 'Debug', scenario)}
+            ${this.getIconButton('rename', 'edit', 'Rename', scenario)}
+            ${this.getIconButton('duplicate', 'copy', 'Duplicate', scenario)}
+            ${this.getIconButton('delete', 'delete', 'Delete', scenario)}
+          </div>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="test-scenario-panel test-scenario-list">
+        <div class="test-scenario-toolbar">
+          <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="new">New Scenario</button>
+          <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="generate">Generate Scenarios</button>
+          <button class="slds-button slds-button_brand" type="button" data-test-scenario-action="run-all" ${scenarios.length === 0 ? 'disabled' : ''}>Run All</button>
+        </div>
+        ${this.config.notice ? `<div class="test-scenario-notice" role="status">${escape(this.config.notice)}</div>` : ''}
+        ${scenarios.length > 0
+          ? `<ul class="test-scenario-items">${rows}</ul>`
+          : '<p class="test-scenario-empty">No test scenarios yet. Create one to run the flow against a triggering record.</p>'}
+      </div>
+    `;
+  }
+
+  getScenarioContent() {
+    const scenario = this.getScenario();
+    const isSetup = this.config.view === 'testscenario';
+    const tab = (name, label, active) => `
+      <li class="slds-tabs_default__item ${active ? 'slds-is-active' : ''}" title="${label}" role="presentation" id="tab-${name}__item">
+        <a class="slds-tabs_default__link" href="javascript:void(0);" role="tab" tabindex="${active ? 0 : -1}"
+           aria-selected="${active}" aria-controls="tab-${name}" data-test-scenario-tab="${name}">${label}</a>
+      </li>
+    `;
+
+    return `
+      <div class="test-scenario-panel test-scenario-detail">
+        <div class="test-scenario-toolbar">
+          ${this.getStatusBadge(this.results[scenario.id])}
+          <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="debug" data-scenario-id="${FlowPropertiesEditor.escape(scenario.id)}">Debug</button>
+          <button class="slds-button slds-button_brand" type="button" data-test-scenario-action="run" data-scenario-id="${FlowPropertiesEditor.escape(scenario.id)}">Run</button>
+        </div>
+        <div class="slds-tabs_default">
+          <ul class="slds-tabs_default__nav" role="tablist">
+            ${tab('setup', 'Setup', isSetup)}
+            ${tab('rundetails', 'Run Details', !isSetup)}
+          </ul>
+          <div id="tab-${isSetup ? 'setup' : 'rundetails'}" class="slds-tabs_default__content" role="tabpanel">
+            ${isSetup ? this.getSetupContent(scenario) : this.getRunDetailsContent(scenario)}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  getSetupContent(scenario) {
+    const escape = FlowPropertiesEditor.escape;
+    const errors = this.config.errors;
+    const field = (name, label, control, required = false) => `
+      <div class="slds-form-element slds-m-bottom_small ${errors[name] ? 'slds-has-error' : ''}">
+        <label class="slds-form-element__label" for="test-scenario-${name}">
+          ${required ? '<abbr class="slds-required" title="required">* </abbr>' : ''}${label}
+        </label>
+        <div class="slds-form-element__control">${control}</div>
+        ${errors[name] ? `<div class="slds-form-element__help">${escape(errors[name])}</div>` : ''}
+      </div>
+    `;
+
+    return `
+      ${scenario.warning ? `<div class="test-scenario-notice test-scenario-notice_warning" role="status">${escape(scenario.warning)}</div>` : ''}
+      ${field('name', 'Scenario Name', `<input type="text" id="test-scenario-name" class="slds-input" value="${escape(scenario.name)}" data-test-scenario-field="name" />`, true)}
+      ${field('description', 'Description', `<textarea id="test-scenario-description" class="slds-textarea" rows="2" data-test-scenario-field="description">${escape(scenario.description || '')}</textarea>`)}
+      ${this.getFixturesContent(scenario)}
+      ${this.getAssertionsContent(scenario)}
+    `;
+  }
+
+  // The state the run starts from (see FlowFixtures), as a form or as JSON. Values that
+  // don't fit are shown next to their input; they are still saved, but input that can't
+  // be parsed isn't
+  getFixturesContent(scenario) {
+    const escape = FlowPropertiesEditor.escape;
+    const context = this.getFixtureContext();
+    const errors = FlowFixtures.validate(scenario, context);
+    Object.keys(this.config.errors).forEach(path => {
+      if (this.config.errors[path]) errors[path] = this.config.errors[path];
+    });
+    const isForm = this.config.fixtureView === 'form';
+    const viewButton = (view, label) => `
+      <button class="slds-button ${this.config.fixtureView === view ? 'slds-button_brand' : 'slds-button_neutral'}" type="button"
+              aria-pressed="${this.config.fixtureView === view}" data-test-scenario-action="fixture-view" data-fixture-view="${view}">${label}</button>
+    `;
+
+    let content;
+    if (isForm) {
+      content = `${this.getRecordFixtureContent(scenario, context, errors)}${this.getInputsFixtureContent(scenario, context, errors)}`;
+    } else {
+      const fixture = { record: scenario.record || {}, priorRecord: scenario.priorRecord || {}, inputs: scenario.inputs || {} };
+      const messages = Object.keys(errors)
+        .filter(path => ['fixture', 'record', 'priorRecord', 'inputs'].includes(path.split('.')[0]) && errors[path])
+        .map(path => `<li>${escape(path === 'fixture' ? errors[path] : `${path}: ${errors[path]}`)}</li>`)
+        .join('');
+      content = `
+        <div class="slds-form-element ${messages ? 'slds-has-error' : ''}">
+          <div class="slds-form-element__control">
+            <textarea class="slds-textarea test-scenario-code" rows="10" aria-label="Fixtures (JSON)" data-fixture-json>${escape(JSON.stringify(fixture, null, 2))}</textarea>
+          </div>
+          ${messages ? `<ul class="slds-form-element__help test-scenario-fixture-errors">${messages}</ul>` : ''}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="test-scenario-fixtures">
+        <div class="test-scenario-section-header">
+          <h4 class="test-scenario-section">Fixtures</h4>
+          <div class="slds-button-group" role="group">
+            ${viewButton('form', 'Form')}
+            ${viewButton('json', 'JSON')}
+          </div>
+        </div>
+        ${content}
+      </div>
+    `;
+  }
+
+  // One row per field of the Start element's object, and any other field the record sets
+  getRecordFixtureContent(scenario, context, errors) {
+    const escape = FlowPropertiesEditor.escape;
+    const objectName = context.startNode ? context.startNode.object : null;
+    const record = scenario.record || {};
+    const priorRecord = scenario.priorRecord || {};
+    const hasPrior = !FlowFixtures.NO_PRIOR_TRIGGERS.includes(context.startNode ? context.startNode.triggerType : null);
+    const schemaFields = objectName ? context.recordSchema[objectName] || null : null;
+
+    const names = [...(schemaFields || [])];
+    Object.keys(record).concat(Object.keys(priorRecord)).forEach(name => {
+      if (!names.some(other => other.toLowerCase() === name.toLowerCase())) names.push(name);
+    });
+
+    const input = (key, name, value) => {
+      const error = errors[`${key}.${name}`];
+      return `
+        <td class="${error ? 'slds-has-error' : ''}">
+          <input type="text" class="slds-input" aria-label="${escape(name)} ${key === 'record' ? 'Value' : 'Prior Value'}"
+                 value="${escape(FlowFixtures.formatValue(value))}" data-fixture-field="${key}" data-fixture-key="${escape(name)}" />
+          ${error ? `<div class="slds-form-element__help">${escape(error)}</div>` : ''}
+        </td>
+      `;
+    };
+    const rows = names.map(name => `
+      <tr>
+        <th scope="row">${escape(name)}</th>
+        ${input('record', name, FlowInterpreter.getField(record, [name]))}
+        ${hasPrior ? input('priorRecord', name, FlowInterpreter.getField(priorRecord, [name])) : ''}
+      </tr>
+    `).join('');
+
+    // Without a schema for the object, fields are added by name
+    const newField = schemaFields ? '' : `
+      <input type="text" class="slds-input test-scenario-fixture-new" aria-label="Add Field" placeholder="Add a field by name"
+             data-fixture-new-field />
+    `;
+    const recordError = errors.record || errors.priorRecord;
+
+    return `
+      <h5 class="test-scenario-subsection">Triggering Record${objectName ? ` (${escape(objectName)})` : ''}</h5>
+      ${recordError ? `<div class="slds-text-color_error slds-m-bottom_x-small">${escape(recordError)}</div>` : ''}
+      ${rows ? `
+        <table class="slds-table slds-table_bordered slds-table_cell-buffer test-scenario-fixture-table">
+          <thead>
+            <tr><th scope="col">Field</th><th scope="col">Value</th>${hasPrior ? '<th scope="col">Prior Value</th>' : ''}</tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      ` : '<p class="test-scenario-empty">The Start element has no object, so there\'s no triggering record.</p>'}
+      ${newField}
+    `;
+  }
+
+  // Values of the flow's variables, constants and record collections at the test start point
+  getInputsFixtureContent(scenario, context, errors) {
+    const escape = FlowPropertiesEditor.escape;
+    const inputs = scenario.inputs || {};
+    const resources = context.resources.getAll().filter(resource => resource.resourceType !== 'formula');
+    // Values for resources that were deleted or became formulas are listed so they can be cleared
+    const orphans = Object.keys(inputs).filter(name => !resources.some(resource => resource.name.toLowerCase() === name.toLowerCase()));
+
+    const rows = resources.map(resource => {
+      const name = resource.name;
+      const key = Object.keys(inputs).find(other => other.toLowerCase() === name.toLowerCase());
+      const value = key === undefined ? undefined : inputs[key];
+      const error = errors[`inputs.${key === undefined ? name : key}`];
+      const isRecord = resource.resourceType === 'recordCollection' || resource.dataType === 'SObject';
+      const attributes = `aria-label="${escape(name)}" data-fixture-field="inputs" data-fixture-key="${escape(name)}"`;
+
+      let control;
+      if (resource.dataType === 'Boolean' && !isRecord) {
+        control = `
+          <div class="slds-select_container">
+            <select class="slds-select" ${attributes}>
+              <option value="">--Default--</option>
+              ${['true', 'false'].map(option => `<option value="${option}" ${FlowFixtures.formatValue(value) === option ? 'selected' : ''}>${option}</option>`).join('')}
+            </select>
+          </div>
+        `;
+      } else if (isRecord) {
+        const placeholder = resource.resourceType === 'recordCollection' ? '[{ "Name": "Acme" }]' : '{ "Name": "Acme" }';
+        control = `<textarea class="slds-textarea test-scenario-code" rows="2" placeholder='${placeholder}' ${attributes}>${escape(value === undefined ? '' : JSON.stringify(value, null, 2))}</textarea>`;
+      } else {
+        control = `<input type="text" class="slds-input" placeholder="Default" value="${escape(FlowFixtures.formatValue(value))}" ${attributes} />`;
+      }
+
+      return `
+        <div class="slds-form-element slds-m-bottom_x-small ${error ? 'slds-has-error' : ''}">
+          <span class="slds-form-element__label">${escape(name)} <span class="test-scenario-fixture-type">${escape(resource.resourceType === 'recordCollection' ? `${resource.objectType || 'Record'} Collection` : resource.dataType || '')}</span></span>
+          <div class="slds-form-element__control">${control}</div>
+          ${error ? `<div class="slds-form-element__help">${escape(error)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+
+    const orphanRows = orphans.map(name => `
+      <div class="slds-form-element slds-m-bottom_x-small slds-has-error">
+        <span class="slds-form-element__label">${escape(name)}</span>
+        <div class="slds-form-element__control">
+          <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="remove-input" data-fixture-key="${escape(name)}">Remove</button>
+        </div>
+        <div class="slds-form-element__help">${escape(errors[`inputs.${name}`] || '')}</div>
+      </div>
+    `).join('');
+
+    return `
+      <h5 class="test-scenario-subsection">Resource Values</h5>
+      ${errors.inputs ? `<div class="slds-text-color_error slds-m-bottom_x-small">${escape(errors.inputs)}</div>` : ''}
+      ${rows || orphanRows
+        ? `${rows}${orphanRows}`
+        : '<p class="test-scenario-empty">The flow has no variables, constants or record collections.</p>'}
+    `;
+  }
+
+  // What the fixtures are checked against (see FlowFixtures.validate())
+  getFixtureContext() {
+    return {
+      startNode: new FlowGraph(this.canvas.config.nodes).getStartNode(),
+      recordSchema: this.canvas.propertiesEditor.recordSchema || {},
+      resources: this.canvas.getResources()
+    };
+  }
+
+  // What the scenario expects (see FlowAssertions); each row shows the inputs its type needs
+  getAssertionsContent(scenario) {
+    const escape = FlowPropertiesEditor.escape;
+    const nodes = this.canvas.config.nodes;
+    const select = (index, name, label, options, value) => `
+      <div class="slds-select_container">
+        <select class="slds-select" aria-label="${label}" data-test-assertion-field="${name}" data-assertion-index="${index}">
+          <option value="">--Select ${label}--</option>
+          ${options.map(option => `<option value="${escape(option.value)}" ${option.value === value ? 'selected' : ''}>${escape(option.label)}</option>`).join('')}
+        </select>
+      </div>
+    `;
+
+    const rows = (scenario.assertions || []).map((assertion, index) => {
+      const type = FlowAssertions.getType(assertion.type);
+      const elements = nodes
+        .filter(node => !type || !type.nodeTypes || type.nodeTypes.includes(node.type))
+        .map(node => ({ value: node.id, label: node.title || node.id }));
+      const node = nodes.find(n => n.id === assertion.nodeId);
+      const fields = node && node.object ? this.canvas.propertiesEditor.recordSchema[node.object] || [] : [];
+
+      return `
+        <li class="test-scenario-assertion">
+          <div class="test-scenario-assertion-inputs">
+            ${select(index, 'type', 'Assertion', FlowAssertions.TYPES.map(({ type: value, label }) => ({ value, label })), assertion.type)}
+            ${type && type.element ? select(index, 'nodeId', 'Element', elements, assertion.nodeId) : ''}
+            ${type && type.field ? `
+              ${fields.length > 0
+                ? select(index, 'field', 'Field', fields.map(name => ({ value: name, label: name })), assertion.field)
+                : `<input type="text" class="slds-input" aria-label="Field" placeholder="Field" value="${escape(assertion.field || '')}" data-test-assertion-field="field" data-assertion-index="${index}" />`}
+              <input type="text" class="slds-input" aria-label="Value" placeholder="Value" value="${escape(assertion.value ?? '')}" data-test-assertion-field="value" data-assertion-index="${index}" />
+            ` : ''}
+          </div>
+          <button class="slds-button slds-button_icon slds-button_icon-border-filled" type="button" title="Remove Assertion"
+                  data-test-scenario-action="remove-assertion" data-assertion-index="${index}">
+            <svg class="slds-button__icon" aria-hidden="true"><use href="#delete"></use></svg>
+            <span class="slds-assistive-text">Remove Assertion ${index + 1}</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+
+    return `
+      <div class="test-scenario-assertions">
+        <h4 class="test-scenario-section">Assertions</h4>
+        ${rows ? `<ul class="test-scenario-assertion-list">${rows}</ul>` : '<p class="test-scenario-empty">Add assertions to check what the run does.</p>'}
+        <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="add-assertion">Add Assertion</button>
+      </div>
+    `;
+  }
+
+  getRunDetailsContent(scenario) {
+    const escape = FlowPropertiesEditor.escape;
+    const result = this.results[scenario.id];
+    if (!result) {
+      return '<p class="test-scenario-empty">Run the scenario to see the path it takes.</p>';
+    }
+
+    const assertions = result.assertions.map(({ assertion, passed, message }) => `
+      <li class="test-scenario-step test-scenario-step_${passed ? 'passed' : 'failed'}">
+        <span class="test-scenario-step-title">${escape(FlowAssertions.describe(assertion, this.canvas.config.nodes))}</span>
+        ${message ? `<span class="test-scenario-step-message">${escape(message)}</span>` : ''}
+      </li>
+    `).join('');
+
+    return `
+      ${result.error ? `<div class="slds-text-color_error slds-m-bottom_small">${escape(result.error)}</div>` : ''}
+      ${assertions ? `
+        <h4 class="test-scenario-section">Assertions</h4>
+        <ul class="test-scenario-steps">${assertions}</ul>
+      ` : ''}
+      <h4 class="test-scenario-section">Path</h4>
+      ${this.getStepsContent(result.steps)}
+      ${this.getHistoryContent(scenario)}
+    `;
+  }
+
+  // The elements a run went through, with the message of each step
+  getStepsContent(steps) {
+    const escape = FlowPropertiesEditor.escape;
+    const items = steps.map(step => {
+      const node = this.canvas.config.nodes.find(n => n.id === step.nodeId);
+      return `
+        <li class="test-scenario-step test-scenario-step_${step.status}">
+          <span class="test-scenario-step-title">${escape(node ? node.title || node.id : step.nodeId)}</span>
+          ${step.message ? `<span class="test-scenario-step-message">${escape(step.message)}</span>` : ''}
+        </li>
+      `;
+    }).join('');
+    return `<ol class="test-scenario-steps">${items}</ol>`;
+  }
+
+  // The path of the debug log dropped on the canvas (see FlowCanvas.importDebugLog()), the
+  // fault message of the element that failed, and the log's elements the canvas doesn't have
+  getDebugLogContent() {
+    const escape = FlowPropertiesEditor.escape;
+    const log = this.canvas.debugLog;
+    const error = this.config.errors.log;
+    if (!log) {
+      return `
+        <div class="test-scenario-panel test-scenario-log">
+          ${error ? `<div class="slds-text-color_error slds-m-bottom_small">${escape(error)}</div>` : ''}
+          <p class="test-scenario-empty">Drop a Salesforce debug log on the canvas to see the path the flow took.</p>
+        </div>
+      `;
+    }
+
+    const { result } = log;
+    const failed = result.steps.find(step => step.status === 'failed');
+    const failedNode = failed ? this.canvas.config.nodes.find(n => n.id === failed.nodeId) : null;
+    const source = [
+      log.fileName,
+      log.flowName ? `interview of ${log.flowName}` : '',
+      log.interviewCount > 1 ? `${log.interviewCount} interviews in the log` : ''
+    ].filter(Boolean).join(', ');
+
+    return `
+      <div class="test-scenario-panel test-scenario-log">
+        <div class="test-scenario-toolbar">
+          ${this.getStatusBadge(result)}
+          <span class="test-scenario-log-source">${escape(source)}</span>
+        </div>
+        ${result.error ? `
+          <div class="test-scenario-log-fault" role="alert">
+            <strong>${escape(failedNode ? failedNode.title || failedNode.id : 'Fault')}</strong>
+            <pre class="test-scenario-log-message">${escape(result.error)}</pre>
+          </div>
+        ` : ''}
+        ${result.unmatched.length > 0 ? `
+          <div class="test-scenario-notice test-scenario-notice_warning" role="status">
+            Not on the canvas: ${escape(result.unmatched.join(', '))}. The path skips them.
+          </div>
+        ` : ''}
+        <h4 class="test-scenario-section">Path</h4>
+        ${this.getStepsContent(result.steps)}
+      </div>
+    `;
+  }
+
+  // Show the imported debug log, or why a dropped log couldn't be read
+  showDebugLog(error = '') {
+    this.setView('log', null, true);
+    if (error) {
+      this.config.errors = { log: error };
+      this.render();
+    }
+  }
+
+  // The scenario's runs, newest first. Earlier runs can be compared with the latest
+  getHistoryContent(scenario) {
+    const runs = this.history.get(scenario.id).reverse();
+    if (runs.length === 0) return '';
+    const version = this.canvas.getFlowVersion();
+    const items = runs.map((run, index) => `
+      <li class="test-scenario-history-item">
+        ${this.getStatusBadge(run)}
+        <span class="test-scenario-history-label">${this.getRunLabel(run, version)}</span>
+        ${index > 0 ? `
+          <button class="slds-button slds-button_neutral slds-button_small" type="button" title="Compare with the latest run"
+                  data-test-scenario-action="compare" data-scenario-id="${FlowPropertiesEditor.escape(scenario.id)}" data-run-id="${run.id}">Compare</button>
+        ` : ''}
+      </li>
+    `).join('');
+
+    return `
+      <h4 class="test-scenario-section">Run History</h4>
+      <ul class="test-scenario-history">${items}</ul>
+    `;
+  }
+
+  // When the run was made and against which flow version (see FlowCanvas.getFlowVersion())
+  getRunLabel(run, currentVersion = this.canvas.getFlowVersion()) {
+    const time = new Date(run.timestamp).toLocaleString();
+    const version = run.flowVersion === currentVersion ? `${run.flowVersion}, current` : run.flowVersion;
+    return FlowPropertiesEditor.escape(`${time} (flow version ${version})`);
+  }
+
+  // Two runs of the open scenario overlaid on the canvas (see FlowCanvas.setRunComparison()):
+  // the elements whose path or outputs changed from Run A to Run B, and the assertions
+  // whose result changed
+  getCompareContent() {
+    const escape = FlowPropertiesEditor.escape;
+    const scenario = this.getScenario();
+    const runs = this.history.get(scenario.id);
+    const a = this.history.getRun(scenario.id, this.config.compare?.a);
+    const b = this.history.getRun(scenario.id, this.config.compare?.b);
+    const toolbar = `
+      <div class="test-scenario-toolbar">
+        <button class="slds-button slds-button_neutral" type="button" data-test-scenario-action="run-details">Run Details</button>
+      </div>
+    `;
+    if (!a || !b) {
+      return `<div class="test-scenario-panel test-scenario-compare">${toolbar}<p class="test-scenario-empty">Run the scenario twice to compare its runs.</p></div>`;
+    }
+
+    const version = this.canvas.getFlowVersion();
+    const select = (side, selected) => `
+      <div class="slds-form-element slds-m-bottom_x-small">
+        <label class="slds-form-element__label" for="test-compare-run-${side}">
+          <span class="test-scenario-compare-swatch test-scenario-compare-swatch_${side}"></span>Run ${side.toUpperCase()}
+        </label>
+        <div class="slds-form-element__control">
+          <div class="slds-select_container">
+            <select id="test-compare-run-${side}" class="slds-select" data-test-compare-run="${side}">
+              ${runs.slice().reverse().map(run => `<option value="${run.id}" ${run.id === selected.id ? 'selected' : ''}>${this.getRunLabel(run, version)}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+      </div>
+    `;
+    const { changes, assertions } = FlowRunHistory.compare(a, b);
+    const labels = { passed: 'Pass', failed: 'Fail', error: 'Error', 'not-run': 'Not Run' };
+    const outputs = values => values === undefined
+      ? '<span class="test-scenario-debug-empty">none</span>'
+      : escape(FlowFixtures.formatValue(values));
+
+    const changeItems = changes.map(change => {
+      const exists = this.canvas.config.nodes.some(n => n.id === change.nodeId);
+      const title = exists
+        ? `<a href="javascript:void(0);" data-test-scenario-action="focus-node" data-node-id="${escape(change.nodeId)}">${escape(change.title)}</a>`
+        : `${escape(change.title)} <span class="test-scenario-fixture-type">Deleted</span>`;
+      return `
+        <li class="test-scenario-step test-scenario-compare-change">
+          <span class="test-scenario-step-title">${title}</span>
+          <span class="test-scenario-step-message">${escape(change.message)}</span>
+          ${change.outputs ? `
+            <div class="test-scenario-compare-outputs">
+              <code>${outputs(change.outputs.a)}</code> → <code>${outputs(change.outputs.b)}</code>
+            </div>
+          ` : ''}
+        </li>
+      `;
+    }).join('');
+    const assertionItems = assertions.map(({ assertion, b: passed }) => `
+      <li class="test-scenario-step test-scenario-step_${passed ? 'passed' : 'failed'}">
+        <span class="test-scenario-step-title">${escape(FlowAssertions.describe(assertion, this.canvas.config.nodes))}</span>
+        <span class="test-scenario-step-message">${passed ? 'Failed in Run A, passes in Run B.' : 'Passed in Run A, fails in Run B.'}</span>
+      </li>
+    `).join('');
+
+    return `
+      <div class="test-scenario-panel test-scenario-compare">
+        ${toolbar}
+        ${select('a', a)}
+        ${select('b', b)}
+        <div class="test-scenario-compare-key">
+          <span><span class="test-scenario-compare-swatch test-scenario-compare-swatch_a"></span>Only Run A</span>
+          <span><span class="test-scenario-compare-swatch test-scenario-compare-swatch_b"></span>Only Run B</span>
+          <span><span class="test-scenario-compare-swatch test-scenario-compare-swatch_both"></span>Both Runs</span>
+        </div>
+        <p class="test-scenario-compare-summary">
+          ${escape(labels[a.status])} → ${escape(labels[b.status])}.
+          ${a.flowVersion === b.flowVersion ? 'Both runs used the same flow version.' : 'The flow changed between the runs.'}
+        </p>
+        ${assertionItems ? `
+          <h4 class="test-scenario-section">Assertions Changed</h4>
+          <ul class="test-scenario-steps">${assertionItems}</ul>
+        ` : ''}
+        <h4 class="test-scenario-section">Changed Elements</h4>
+        ${changeItems
+          ? `<ul class="test-scenario-steps">${changeItems}</ul>`
+          : '<p class="test-scenario-empty">Both runs took the same path with the same outputs.</p>'}
+      </div>
+    `;
+  }
+
+  // Compare two runs of a scenario (run ids from its history). Run B defaults to the
+  // latest run and Run A to the one before it
+  compareRuns(scenarioId, runA = null, runB = null) {
+    const runs = this.history.get(scenarioId);
+    const b = this.history.getRun(scenarioId, runB) || runs[runs.length - 1];
+    const a = this.history.getRun(scenarioId, runA) || runs.filter(run => run !== b).pop();
+    if (!a || !b) return null;
+
+    this.config.compare = { a: a.id, b: b.id };
+    const comparison = this.canvas.setRunComparison(a, b);
+    if (this.config.view === 'compare' && this.config.scenarioId === scenarioId) {
+      this.render();
+    } else {
+      this.setView('compare', scenarioId);
+    }
+    return comparison;
+  }
+
+  // Keep { scenarioId: result } in the run history
+  recordRuns(results) {
+    const flowVersion = this.canvas.getFlowVersion();
+    Object.keys(results).forEach(scenarioId => {
+      this.history.add(scenarioId, results[scenarioId], { flowVersion, nodes: this.canvas.config.nodes });
+    });
+  }
+
+  // Generated scenarios are drafts until they are edited; a warning means the
+  // generator couldn't find inputs for the whole path
+  getDraftBadge(scenario) {
+    if (!scenario.draft) return '';
+    const escape = FlowPropertiesEditor.escape;
+    return scenario.warning
+      ? `<span class="slds-badge slds-theme_warning test-scenario-draft" title="${escape(scenario.warning)}">Needs Inputs</span>`
+      : '<span class="slds-badge slds-badge_lightest test-scenario-draft">Draft</span>';
+  }
+
+  getStatusBadge(result) {
+    if (!result) return '<span class="slds-badge test-scenario-status">Not Run</span>';
+    const labels = { passed: 'Pass', failed: 'Fail', error: 'Error', 'not-run': 'Not Run' };
+    const theme = result.status === 'passed' ? 'slds-theme_success' : result.status === 'not-run' ? '' : 'slds-theme_error';
+    return `<span class="slds-badge test-scenario-status ${theme}">${labels[result.status]}</span>`;
+  }
+
+  // The variables inspector: where the debugger is paused and the values the run has so
+  // far (see FlowCanvas.getDebugState()). The toolbar moves the run on
+  getDebugContent() {
+    const escape = FlowPropertiesEditor.escape;
+    const state = this.canvas.getDebugState();
+    if (!state) {
+      return '<div class="test-scenario-panel test-scenario-debug"><p class="test-scenario-empty">The scenario isn\'t being debugged.</p></div>';
+    }
+    const nodes = this.canvas.config.nodes;
+    const title = nodeId => {
+      const node = nodes.find(n => n.id === nodeId);
+      return escape(node ? node.title || node.id : nodeId);
+    };
+    const value = (text, type = '') => `
+      <td><code class="test-scenario-debug-value">${escape(FlowFixtures.formatValue(text)) || '<span class="test-scenario-debug-empty">null</span>'}</code>${type ? ` <span class="test-scenario-fixture-type">${escape(type)}</span>` : ''}</td>
+    `;
+    const table = (rows, head) => rows ? `
+      <table class="slds-table slds-table_bordered slds-table_cell-buffer test-scenario-debug-table">
+        <thead><tr>${head.map(label => `<th scope="col">${label}</th>`).join('')}</tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    ` : '<p class="test-scenario-empty">None.</p>';
+    const { variables, result } = state;
+
+    const position = state.finished
+      ? `Finished${result.error ? `: ${escape(result.error)}` : '.'}`
+      : `Paused before <strong>${title(state.nodeId)}</strong>, step ${result.steps.length + 1}.`;
+    const lastStep = result.steps[result.steps.length - 1];
+
+    const resourceRows = variables.resources.map(resource => `
+      <tr>
+        <th scope="row">${escape(resource.name)}</th>
+        ${resource.error
+          ? `<td class="slds-text-color_error">${escape(resource.error)}</td>`
+          : value(resource.value, resource.resourceType === 'recordCollection' ? 'Record Collection' : resource.dataType)}
+      </tr>
+    `).join('');
+    const record = variables.record || {};
+    const priorRecord = variables.priorRecord;
+    const fields = Object.keys(record).concat(Object.keys(priorRecord || {}).filter(name => !(name in record)));
+    const recordRows = fields.map(name => `
+      <tr>
+        <th scope="row">${escape(name)}</th>
+        ${value(record[name])}
+        ${priorRecord ? value(priorRecord[name]) : ''}
+      </tr>
+    `).join('');
+    const outputRows = Object.keys(variables.outputs).map(nodeId => `
+      <tr><th scope="row">${title(nodeId)}</th>${value(variables.outputs[nodeId])}</tr>
+    `).join('');
+    const loops = Object.keys(variables.loops).map(loopId => `
+      <li>${title(loopId)}: item ${variables.loops[loopId].index} of ${variables.loops[loopId].count}</li>
+    `).join('');
+
+    return `
+      <div class="test-scenario-panel test-scenario-debug">
+        <div class="test-scenario-toolbar">
+          ${state.finished ? this.getStatusBadge(result) : '<span class="slds-badge slds-theme_warning test-scenario-status">Paused</span>'}
+          <span class="test-scenario-debug-position">${position}</span>
+        </div>
+        ${lastStep && lastStep.message ? `<p class="test-scenario-step-message">${title(lastStep.nodeId)}: ${escape(lastStep.message)}</p>` : ''}
+        <h4 class="test-scenario-section">Resources</h4>
+        ${table(resourceRows, ['Name', 'Value'])}
+        <h4 class="test-scenario-section">Triggering Record</h4>
+        ${table(recordRows, priorRecord ? ['Field', 'Value', 'Prior Value'] : ['Field', 'Value'])}
+        <h4 class="test-scenario-section">Element Outputs</h4>
+        ${table(outputRows, ['Element', 'Outputs'])}
+        ${loops ? `<h4 class="test-scenario-section">Loops</h4><ul class="test-scenario-debug-loops">${loops}</ul>` : ''}
+        <h4 class="test-scenario-section">Breakpoints</h4>
+        ${state.breakpoints.length > 0
+          ? `<ul class="test-scenario-debug-breakpoints">${state.breakpoints.map(nodeId => `<li>${title(nodeId)}</li>`).join('')}</ul>`
+          : '<p class="test-scenario-empty">Add breakpoints from an element\'s menu. Continue runs to the next one.</p>'}
+      </div>
+    `;
+  }
+
+  // Debug a scenario: its run is paused before the first element (see FlowCanvas.startDebugging())
+  debugScenario(scenarioId) {
+    const scenario = this.canvas.getTestScenario(scenarioId);
+    if (!scenario) return null;
+    const state = this.canvas.startDebugging(scenario);
+    this.setView('debug', scenarioId);
+    return state;
+  }
+
+  // The canvas's debug state changed (null once debugging stopped). A finished run's
+  // result is kept like a run's
+  handleDebugChange(state) {
+    if (this.config.view !== 'debug') return;
+    if (!state) {
+      this.setView('testflow', this.config.scenarioId);
+      return;
+    }
+    if (state.finished && state.scenarioId === this.config.scenarioId && this.results[state.scenarioId] !== state.result) {
+      this.results[state.scenarioId] = state.result;
+      this.recordRuns({ [state.scenarioId]: state.result });
+    }
+    this.render();
+  }
+
+  getIconButton(action, icon, label, scenario) {
+    const name = FlowPropertiesEditor.escape(scenario.name);
+    return `
+      <button class="slds-button slds-button_icon slds-button_icon-border-filled" type="button" title="${label}"
+              data-test-scenario-action="${action}" data-scenario-id="${FlowPropertiesEditor.escape(scenario.id)}">
+        <svg class="slds-button__icon" aria-hidden="true"><use href="#${icon}"></use></svg>
+        <span class="slds-assistive-text">${label} ${name}</span>
+      </button>
+    `;
+  }
+
+  // New scenarios get the first free "Scenario N" name
+  createScenario() {
+    const scenario = {
+      id: this.createScenarioId(),
+      name: this.getUniqueName('Scenario'),
+      description: '',
+      record: {},
+      assertions: []
+    };
+    if (!this.canvas.saveTestScenario(scenario)) return null;
+    this.showScenario(scenario.id);
+    return scenario;
+  }
+
+  // One draft scenario per path through the test scope (see FlowPathGenerator), with the
+  // fixtures that take it. Paths without a solution are kept and marked with a warning.
+  // Returns the new scenarios
+  generateScenarios() {
+    const { paths, truncated } = new FlowPathGenerator({
+      nodes: this.canvas.config.nodes,
+      resources: this.canvas.resources,
+      outputs: this.canvas.outputs,
+      startNodeId: this.canvas.testStartPoint,
+      endNodeId: this.canvas.testEndPoint
+    }).generate();
+
+    const scenarios = [];
+    paths.forEach(path => {
+      const scenario = {
+        id: this.createScenarioId(scenarios),
+        name: this.getUniqueName(path.name, scenarios),
+        description: `Generated for the path ${path.name}.`,
+        ...path.fixture,
+        assertions: [],
+        draft: true
+      };
+      if (!path.solved) scenario.warning = path.message;
+      scenarios.push(scenario);
+    });
+    if (!this.canvas.addTestScenarios(scenarios, 'Generate Test Scenarios')) return [];
+
+    const unsolved = scenarios.filter(scenario => scenario.warning).length;
+    this.config.view = 'list';
+    this.config.notice = [
+      `Generated ${scenarios.length} ${scenarios.length === 1 ? 'scenario' : 'scenarios'}.`,
+      unsolved ? `${unsolved} need inputs set by hand.` : '',
+      truncated ? `Only the first ${paths.length} paths were generated.` : ''
+    ].filter(Boolean).join(' ');
+    this.render();
+    return scenarios;
+  }
+
+  // Save a scenario edited in the panel; editing a generated draft makes it a scenario
+  saveScenario(scenario) {
+    const saved = { ...scenario };
+    delete saved.draft;
+    delete saved.warning;
+    return this.canvas.saveTestScenario(saved);
+  }
+
+  // Returns false when another scenario already has the name
+  renameScenario(scenarioId, name) {
+    const scenario = this.canvas.getTestScenario(scenarioId);
+    if (!scenario) return false;
+    const error = this.validateName(name, scenarioId);
+    if (error) {
+      this.config.errors = { ...this.config.errors, rename: error, name: error };
+      this.render();
+      return false;
+    }
+    this.saveScenario({ ...scenario, name });
+    this.config.renamingId = null;
+    this.config.errors = {};
+    this.render();
+    return true;
+  }
+
+  duplicateScenario(scenarioId) {
+    const scenario = this.canvas.getTestScenario(scenarioId);
+    if (!scenario) return null;
+    const copy = {
+      ...JSON.parse(JSON.stringify(scenario)),
+      id: this.createScenarioId(),
+      name: this.getUniqueName(`Copy of ${scenario.name}`)
+    };
+    this.canvas.saveTestScenario(copy);
+    this.render();
+    return copy;
+  }
+
+  deleteScenario(scenarioId) {
+    if (!this.canvas.deleteTestScenario(scenarioId)) return false;
+    delete this.results[scenarioId];
+    this.history.remove(scenarioId);
+    if (this.config.scenarioId === scenarioId) {
+      this.showList();
+    } else {
+      this.render();
+    }
+    return true;
+  }
+
+  // Run scenarios (all of them by default) and show their results
+  runScenarios(scenarioIds = null) {
+    const scenarios = this.canvas.getTestScenarios()
+      .filter(scenario => !scenarioIds || scenarioIds.includes(scenario.id));
+    const results = this.canvas.runTests(scenarios.map(scenario => ({
+      scenarioId: scenario.id,
+      record: scenario.record,
+      priorRecord: scenario.priorRecord,
+      inputs: scenario.inputs,
+      outputs: scenario.outputs,
+      assertions: scenario.assertions
+    })));
+    Object.assign(this.results, results);
+    this.recordRuns(results);
+    this.render();
+    this.config.onRun?.(results);
+    return results;
+  }
+
+  validateName(name, scenarioId) {
+    const trimmed = String(name || '').trim();
+    if (trimmed === '') return 'Enter a scenario name.';
+    const clash = this.canvas.getTestScenarios()
+      .find(other => other.id !== scenarioId && other.name.toLowerCase() === trimmed.toLowerCase());
+    return clash ? `A scenario named "${clash.name}" already exists.` : '';
+  }
+
+  // reserved: scenarios about to be added, whose names count as taken
+  getUniqueName(base, reserved = []) {
+    const names = new Set(this.canvas.getTestScenarios().concat(reserved).map(scenario => scenario.name.toLowerCase()));
+    if (base !== 'Scenario' && !names.has(base.toLowerCase())) return base;
+    let n = 1;
+    while (names.has(`${base} ${n}`.toLowerCase())) n++;
+    return `${base} ${n}`;
+  }
+
+  createScenarioId(reserved = []) {
+    const ids = new Set(this.canvas.getTestScenarios().concat(reserved).map(scenario => scenario.id));
+    let n = ids.size + 1;
+    while (ids.has(`scenario-${n}`)) n++;
+    return `scenario-${n}`;
+  }
+
+  handleAction(button) {
+    const scenarioId = button.dataset.scenarioId;
+    switch (button.dataset.testScenarioAction) {
+      case 'new':
+        this.createScenario();
+        break;
+      case 'generate':
+        this.generateScenarios();
+        break;
+      case 'run-all':
+        this.runScenarios();
+        break;
+      case 'open':
+        this.showScenario(scenarioId);
+        break;
+      case 'run':
+        this.runScenarios([scenarioId]);
+        if (this.config.view !== 'list') this.switchTab('rundetails');
+        break;
+      case 'debug':
+        this.debugScenario(scenarioId);
+        break;
+      case 'compare':
+        this.compareRuns(scenarioId, button.dataset.runId);
+        break;
+      case 'run-details':
+        this.showScenario(this.config.scenarioId, 'rundetails');
+        break;
+      case 'focus-node':
+        this.canvas.focusNode(button.dataset.nodeId);
+        break;
+      case 'rename':
+        this.config.renamingId = scenarioId;
+        this.config.errors = {};
+        this.render();
+        this.panel.container.querySelector('[data-test-scenario-rename]')?.select();
+        break;
+      case 'duplicate':
+        this.duplicateScenario(scenarioId);
+        break;
+      case 'delete':
+        this.deleteScenario(scenarioId);
+        break;
+      case 'add-assertion':
+        this.updateAssertions(assertions => assertions.concat({ id: this.createAssertionId(assertions), type: 'reaches', nodeId: '' }));
+        break;
+      case 'remove-assertion':
+        this.updateAssertions(assertions => assertions.filter((assertion, index) => index !== Number(button.dataset.assertionIndex)));
+        break;
+      case 'fixture-view':
+        this.config.fixtureView = button.dataset.fixtureView;
+        this.config.errors = {};
+        this.render();
+        break;
+      case 'remove-input':
+        this.updateFixture('inputs', button.dataset.fixtureKey, undefined);
+        break;
+    }
+  }
+
+  // Save the open scenario with update(assertions) applied to a copy of its assertions
+  updateAssertions(update) {
+    const scenario = this.getScenario();
+    if (!scenario) return;
+    const assertions = update(JSON.parse(JSON.stringify(scenario.assertions || [])));
+    this.saveScenario({ ...scenario, assertions });
+    this.render();
+  }
+
+  // Changing the type or element clears the inputs that no longer apply
+  handleAssertionChange(input) {
+    const index = Number(input.dataset.assertionIndex);
+    const name = input.dataset.testAssertionField;
+    this.updateAssertions(assertions => {
+      const assertion = { ...assertions[index], [name]: input.value };
+      if (name === 'type') {
+        const type = FlowAssertions.getType(input.value);
+        const node = this.canvas.config.nodes.find(n => n.id === assertion.nodeId);
+        if (!type || !type.element || (type.nodeTypes && node && !type.nodeTypes.includes(node.type))) delete assertion.nodeId;
+        if (!type || !type.field) {
+          delete assertion.field;
+          delete assertion.value;
+        }
+      }
+      if (name === 'nodeId') delete assertion.field;
+      assertions[index] = assertion;
+      return assertions;
+    });
+  }
+
+  createAssertionId(assertions) {
+    const ids = new Set(assertions.map(assertion => assertion.id));
+    let n = assertions.length + 1;
+    while (ids.has(`assertion-${n}`)) n++;
+    return `assertion-${n}`;
+  }
+
+  // Set (or, with undefined, remove) one record field or resource value of the open
+  // scenario's fixtures. Empty records are left out of the scenario
+  updateFixture(key, name, value) {
+    const scenario = this.getScenario();
+    if (!scenario) return;
+    const values = { ...(scenario[key] || {}) };
+    const existing = Object.keys(values).find(other => other.toLowerCase() === name.toLowerCase());
+    if (existing !== undefined) delete values[existing];
+    if (value !== undefined) values[existing === undefined ? name : existing] = value;
+
+    const updated = { ...scenario, [key]: values };
+    if (key === 'priorRecord' && Object.keys(values).length === 0) delete updated.priorRecord;
+    this.config.errors = { ...this.config.errors, [`${key}.${name}`]: '' };
+    this.saveScenario(updated);
+    this.render();
+  }
+
+  // Form inputs: record fields are kept as entered (conditions convert them), resource
+  // values are converted to the resource's type
+  handleFixtureChange(input) {
+    const key = input.dataset.fixtureField;
+    const name = input.dataset.fixtureKey;
+    if (key !== 'inputs') {
+      this.updateFixture(key, name, input.value === '' ? undefined : input.value);
+      return;
+    }
+
+    const resource = this.canvas.getResources().get(name);
+    let value;
+    try {
+      value = resource ? FlowFixtures.parseValue(input.value.trim(), resource) : input.value;
+    } catch (e) {
+      this.config.errors = { ...this.config.errors, [`inputs.${name}`]: `Not valid JSON: ${e.message}` };
+      this.render();
+      return;
+    }
+    this.updateFixture('inputs', name, value);
+  }
+
+  // JSON view: the whole fixture as { record, priorRecord, inputs }
+  handleFixtureJson(textarea) {
+    const scenario = this.getScenario();
+    if (!scenario) return;
+    let fixture;
+    try {
+      fixture = textarea.value.trim() === '' ? {} : JSON.parse(textarea.value);
+    } catch (e) {
+      this.config.errors = { ...this.config.errors, fixture: `Not valid JSON: ${e.message}` };
+      this.render();
+      return;
+    }
+    if (!FlowFixtures.isPlainObject(fixture)) {
+      this.config.errors = { ...this.config.errors, fixture: 'Enter the fixtures as a JSON object: { "record": {}, "priorRecord": {}, "inputs": {} }.' };
+      this.render();
+      return;
+    }
+
+    const updated = { ...scenario, record: fixture.record || {}, inputs: fixture.inputs || {} };
+    if (fixture.priorRecord && !(FlowFixtures.isPlainObject(fixture.priorRecord) && Object.keys(fixture.priorRecord).length === 0)) {
+      updated.priorRecord = fixture.priorRecord;
+    } else {
+      delete updated.priorRecord;
+    }
+    this.config.errors = {};
+    this.saveScenario(updated);
+    this.render();
+  }
+
+  // Setup tab fields are saved on change
+  handleFieldChange(input) {
+    const scenario = this.getScenario();
+    if (!scenario) return;
+    const field = input.dataset.testScenarioField;
+
+    if (field === 'name') {
+      if (this.renameScenario(scenario.id, input.value.trim())) {
+        this.panel.setTitle(this.getTitle());
+      }
+      return;
+    }
+    this.saveScenario({ ...scenario, [field]: input.value });
+  }
+
+  attachEventListeners() {
+    // Delegated: the panel's content is re-rendered on every change
+    document.addEventListener('click', (e) => {
+      const root = e.target.closest('.test-scenario-panel');
+      if (!root) return;
+
+      const tab = e.target.closest('[data-test-scenario-tab]');
+      if (tab) {
+        e.preventDefault();
+        this.switchTab(tab.dataset.testScenarioTab);
+        return;
+      }
+      const button = e.target.closest('[data-test-scenario-action]');
+      if (button && !button.disabled) {
+        e.preventDefault();
+        this.handleAction(button);
+      }
+    });
+
+    document.addEventListener('change', (e) => {
+      const rename = e.target.closest('[data-test-scenario-rename]');
+      if (rename) {
+        this.renameScenario(rename.dataset.testScenarioRename, rename.value.trim());
+        return;
+      }
+      const field = e.target.closest('[data-test-scenario-field]');
+      if (field) {
+        this.handleFieldChange(field);
+        return;
+      }
+      const assertionField = e.target.closest('[data-test-assertion-field]');
+      if (assertionField) {
+        this.handleAssertionChange(assertionField);
+        return;
+      }
+      const fixtureField = e.target.closest('[data-fixture-field]');
+      if (fixtureField) {
+        this.handleFixtureChange(fixtureField);
+        return;
+      }
+      const fixtureJson = e.target.closest('[data-fixture-json]');
+      if (fixtureJson) {
+        this.handleFixtureJson(fixtureJson);
+        return;
+      }
+      const compareRun = e.target.closest('[data-test-compare-run]');
+      if (compareRun) {
+        const runs = { ...this.config.compare, [compareRun.dataset.testCompareRun]: compareRun.value };
+        this.compareRuns(this.config.scenarioId, runs.a, runs.b);
+        return;
+      }
+      const newField = e.target.closest('[data-fixture-new-field]');
+      if (newField && newField.value.trim() !== '') {
+        this.updateFixture('record', newField.value.trim(), '');
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      const rename = e.target.closest?.('[data-test-scenario-rename]');
+      if (!rename) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.renameScenario(rename.dataset.testScenarioRename, rename.value.trim());
+      } else if (e.key === 'Escape') {
+        this.config.renamingId = null;
+        this.config.errors = {};
+        this.render();
+      }
+    });
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.TestScenarioPanel = TestScenarioPanel;
+}
@@ -0,0 +1,94 @@
+/**
+ * Flow Assertions
+ * Expected outcomes of a test scenario, checked against a FlowInterpreter run result.
+ * An assertion is { id, type, nodeId, field, value }; which fields apply depends on
+ * the type (see TYPES)
+ */
+class FlowAssertions {
+  // Returns [{ assertion, passed, message }] in assertion order
+  static evaluate(assertions, result, nodes = []) {
+    return (assertions || []).map(assertion => {
+      const check = FlowAssertions.CHECKS[assertion.type];
+      if (!check) {
+        return { assertion, passed: false, message: `Unknown assertion type "${assertion.type}".` };
+      }
+      const message = check(assertion, result, nodes);
+      return { assertion, passed: message === '', message };
+    });
+  }
+
+  // A run that failed or didn't finish keeps its status; otherwise a failed
+  // assertion fails it
+  static getStatus(runStatus, assertionResults) {
+    if (runStatus === 'failed' || runStatus === 'error') return runStatus;
+    return assertionResults.some(({ passed }) => !passed) ? 'failed' : runStatus;
+  }
+
+  // One-line summary, e.g. 'Update Case sets Status = Escalated'
+  static describe(assertion, nodes = []) {
+    const element = FlowAssertions.getElementName(assertion.nodeId, nodes);
+    switch (assertion.type) {
+      case 'reaches': return `Path reaches ${element}`;
+      case 'skips': return `Path doesn't reach ${element}`;
+      case 'sets': return `${element} sets ${assertion.field || '?'} = ${assertion.value ?? ''}`;
+      case 'no-fault': return 'Flow ends without fault';
+      default: return assertion.type;
+    }
+  }
+
+  static getElementName(nodeId, nodes) {
+    const node = nodes.find(n => n.id === nodeId);
+    return node ? `"${node.title || node.id}"` : 'a deleted element';
+  }
+
+  static getType(type) {
+    return FlowAssertions.TYPES.find(definition => definition.type === type) || null;
+  }
+
+  // The value an element's step wrote to a field (case-insensitive), or undefined
+  static getChange(step, field) {
+    const name = String(field || '').split('.').pop().toLowerCase();
+    const key = Object.keys(step.changes || {}).find(changed => changed.toLowerCase() === name);
+    return key === undefined ? undefined : step.changes[key];
+  }
+}
+
+// element: whether the assertion names an element (nodeId), nodeTypes: the element
+// types it can be (all when missing), field: whether it names a field and an expected value
+FlowAssertions.TYPES = [
+  { type: 'reaches', label: 'Path reaches element', element: true },
+  { type: 'skips', label: 'Path doesn\'t reach element', element: true },
+  { type: 'sets', label: 'Element sets field value', element: true, nodeTypes: ['create', 'update'], field: true },
+  { type: 'no-fault', label: 'Flow ends without fault' }
+];
+
+// type -> check(assertion, result, nodes): a failure message, or '' when the assertion holds
+FlowAssertions.CHECKS = {
+  reaches: (assertion, result, nodes) => result.steps.some(step => step.nodeId === assertion.nodeId)
+    ? ''
+    : `The run didn't reach ${FlowAssertions.getElementName(assertion.nodeId, nodes)}.`,
+
+  skips: (assertion, result, nodes) => result.steps.some(step => step.nodeId === assertion.nodeId)
+    ? `The run went through ${FlowAssertions.getElementName(assertion.nodeId, nodes)}.`
+    : '',
+
+  sets: (assertion, result) => {
+    const steps = result.steps.filter(step => step.nodeId === assertion.nodeId);
+    if (steps.length === 0) return 'The run didn\'t reach the element.';
+    const values = steps.map(step => FlowAssertions.getChange(step, assertion.field)).filter(value => value !== undefined);
+    if (values.length === 0) return `The element didn't set ${assertion.field}.`;
+    const matches = values.some(value => FlowFormula.equals(value, FlowFormula.coerceLike(value, assertion.value ?? '')));
+    return matches ? '' : `${assertion.field} was set to "${FlowFormula.toText(values[values.length - 1])}".`;
+  },
+
+  'no-fault': (assertion, result) => {
+    if (result.status === 'passed') return '';
+    if (result.status === 'not-run') return 'The flow didn\'t run: the triggering record doesn\'t meet the entry conditions.';
+    return result.error || 'The run failed.';
+  }
+};
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowAssertions = FlowAssertions;
+}
@@ -0,0 +1,108 @@
+/**
+ * Flow Clipboard
+ * Serializes flow elements (with any loop body or decision branches they own)
+ * into a portable JSON entry and clones entries back with fresh ids
+ */
+class FlowClipboard {
+  // Capture an element from the graph. Connectors leaving the copied group are
+  // stored with a null target so they can be re-attached wherever it is pasted
+  static createEntry(graph, nodeId) {
+    const subgraph = graph.getElementSubgraph(nodeId);
+    if (!subgraph) return null;
+
+    const copiedIds = new Set(subgraph.nodeIds);
+    const nodes = subgraph.nodeIds.map(id => {
+      const node = JSON.parse(JSON.stringify(graph.getNode(id)));
+      node.connectors = (node.connectors || []).map(connector => ({
+        ...connector,
+        target: copiedIds.has(connector.target) ? connector.target : null
+      }));
+      return node;
+    });
+
+    return {
+      format: FlowClipboard.FORMAT,
+      version: FlowClipboard.VERSION,
+      id: `clip-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      rootId: nodeId,
+      nodes
+    };
+  }
+
+  static stringify(entry) {
+    return JSON.stringify(entry);
+  }
+
+  // Returns the entry, or null when the text is not a flow clipboard entry
+  static parse(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+
+    if (!entry || entry.format !== FlowClipboard.FORMAT || entry.version !== FlowClipboard.VERSION) {
+      return null;
+    }
+    if (!Array.isArray(entry.nodes) || entry.nodes.length === 0 || entry.nodes[0].id !== entry.rootId) {
+      return null;
+    }
+
+    const validNodes = entry.nodes.every(node =>
+      node && typeof node.id === 'string' && typeof node.type === 'string' && Array.isArray(node.connectors)
+    );
+    return validNodes ? entry : null;
+  }
+
+  // Clone the entry's nodes with ids that are not in takenIds
+  // Returns { nodes, idMap } where idMap maps entry ids to the new ids
+  static instantiate(entry, takenIds = []) {
+    const taken = new Set(takenIds);
+    const idMap = {};
+
+    entry.nodes.forEach(node => {
+      const newId = FlowClipboard.generateId(node.id, taken);
+      taken.add(newId);
+      idMap[node.id] = newId;
+    });
+
+    const nodes = entry.nodes.map(node => {
+      const clone = JSON.parse(JSON.stringify(node));
+      const newId = idMap[node.id];
+      clone.id = newId;
+      clone.connectors = clone.connectors.map(connector => ({
+        ...connector,
+        id: connector.id.startsWith(`${node.id}-`)
+          ? newId + connector.id.slice(node.id.length)
+          : FlowGraph.createConnectorId(newId, connector.type),
+        target: connector.target === null ? null : (idMap[connector.target] || null)
+      }));
+      return clone;
+    });
+
+    return { nodes, idMap };
+  }
+
+  // "create-task" becomes "create-task-copy", then "create-task-copy-2", ...
+  static generateId(baseId, taken) {
+    const base = baseId.replace(/-copy(-\d+)?$/, '');
+    let candidate = `${base}-copy`;
+    let counter = 2;
+    while (taken.has(candidate)) {
+      candidate = `${base}-copy-${counter}`;
+      counter++;
+    }
+    return candidate;
+  }
+}
+
+FlowClipboard.FORMAT = 'flow-builder/elements';
+FlowClipboard.VERSION = 1;
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowClipboard = FlowClipboard;
+}
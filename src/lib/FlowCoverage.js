@@ -0,0 +1,96 @@
+/**
+ * Flow Coverage
+ * How many test scenarios went through each element and connector, from the
+ * connector ids of their path highlights (FlowCanvas.pathHighlights), and the
+ * Decision outcomes and loop paths no scenario took
+ */
+class FlowCoverage {
+  // pathHighlights: { scenarioId: { status, connectors, iterations } }. options.scope:
+  // the node ids to report on (see FlowCanvas.getTestScope()), all by default.
+  // Returns { scenarioCount, nodes: { nodeId: count }, connectors: { connectorId: count },
+  // covered, total, percent, gaps: [{ nodeId, connectorId, kind, message }] }
+  static compute(nodes, pathHighlights = {}, options = {}) {
+    const graph = new FlowGraph(nodes);
+    const scope = new Set(options.scope || nodes.map(node => node.id));
+    const highlights = Object.values(pathHighlights);
+
+    const nodeCounts = {};
+    const connectorCounts = {};
+    nodes.filter(node => scope.has(node.id)).forEach(node => {
+      nodeCounts[node.id] = 0;
+      (node.connectors || []).filter(connector => graph.getNode(connector.target)).forEach(connector => {
+        connectorCounts[connector.id] = 0;
+      });
+    });
+
+    // Each scenario counts once, however often its path went through an element
+    highlights.forEach(highlight => {
+      const visitedNodes = new Set();
+      new Set(highlight.connectors).forEach(connectorId => {
+        const found = graph.getConnector(connectorId);
+        if (!found || connectorCounts[connectorId] === undefined) return;
+        connectorCounts[connectorId]++;
+        [found.source, found.connector.target].forEach(nodeId => {
+          if (nodeCounts[nodeId] !== undefined) visitedNodes.add(nodeId);
+        });
+      });
+      visitedNodes.forEach(nodeId => {
+        nodeCounts[nodeId]++;
+      });
+    });
+
+    const counts = Object.values(nodeCounts).concat(Object.values(connectorCounts));
+    const covered = counts.filter(count => count > 0).length;
+    return {
+      scenarioCount: highlights.length,
+      nodes: nodeCounts,
+      connectors: connectorCounts,
+      covered,
+      total: counts.length,
+      percent: counts.length > 0 ? Math.round((covered / counts.length) * 100) : 0,
+      gaps: FlowCoverage.getGaps(graph, nodeCounts, connectorCounts, highlights)
+    };
+  }
+
+  // Decision outcomes no scenario took, and loops whose body never ran, that never
+  // finished, or that always ran at least once (no scenario with an empty collection)
+  static getGaps(graph, nodeCounts, connectorCounts, highlights) {
+    const gaps = [];
+    graph.nodes.filter(node => nodeCounts[node.id] !== undefined).forEach(node => {
+      const name = `"${node.title || node.id}"`;
+      if (node.type === 'decision') {
+        (node.connectors || []).filter(connector => connectorCounts[connector.id] === 0).forEach(connector => {
+          gaps.push({
+            nodeId: node.id,
+            connectorId: connector.id,
+            kind: 'outcome',
+            message: `${name}: no scenario takes the "${connector.label || connector.id}" outcome.`
+          });
+        });
+      }
+
+      if (node.type === 'loop') {
+        const body = graph.getLoopBodyConnector(node.id);
+        const afterLast = graph.getContinuationConnector(node.id);
+        if (body && connectorCounts[body.id] === 0) {
+          gaps.push({ nodeId: node.id, connectorId: body.id, kind: 'loop-body', message: `${name}: no scenario runs the loop body.` });
+        }
+        if (afterLast && connectorCounts[afterLast.id] === 0) {
+          gaps.push({ nodeId: node.id, connectorId: afterLast.id, kind: 'loop-exit', message: `${name}: no scenario finishes the loop.` });
+        }
+        const iterations = highlights
+          .map(highlight => highlight.iterations ? highlight.iterations[node.id] : undefined)
+          .filter(count => count !== undefined);
+        if (iterations.length > 0 && iterations.every(count => count > 0)) {
+          gaps.push({ nodeId: node.id, connectorId: null, kind: 'loop-empty', message: `${name}: no scenario loops over an empty collection.` });
+        }
+      }
+    });
+    return gaps;
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowCoverage = FlowCoverage;
+}
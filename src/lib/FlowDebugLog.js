@@ -0,0 +1,217 @@
+/**
+ * Flow Debug Log
+ * Reads the flow lines of a Salesforce debug log (FLOW_START_INTERVIEW_BEGIN,
+ * FLOW_ELEMENT_BEGIN/END, FLOW_RULE_DETAIL, FLOW_ELEMENT_FAULT, FLOW_ELEMENT_ERROR) and turns
+ * an interview into the path it took on the canvas, matching the log's element API names
+ * to nodes. The path is a run result like FlowInterpreter.run()'s. No DOM access
+ */
+class FlowDebugLog {
+  // Returns the log's flow interviews in the order they started: [{ id, flowName, events }].
+  // events: { kind: 'element', elementType, name, time } when an element began, { kind: 'end',
+  // name, time } when it ended, { kind: 'rule', name, result } for a Decision outcome the
+  // interview checked and { kind: 'fault', elementType, name, message } when an element
+  // failed. time is the line's nanoseconds since the request started. Throws when the log
+  // has no flow elements
+  static parse(text) {
+    const interviews = [];
+    const byId = {};
+    const getInterview = (id, flowName = '') => {
+      if (!byId[id]) {
+        byId[id] = { id, flowName, events: [] };
+        interviews.push(byId[id]);
+      }
+      if (flowName && !byId[id].flowName) byId[id].flowName = flowName;
+      return byId[id];
+    };
+    let current = null; // Faults don't name their interview; they belong to the one running
+
+    FlowDebugLog.getLines(text).forEach(line => {
+      const parts = line.split('|');
+      const index = parts.findIndex(part => /^FLOW_[A-Z_]+$/.test(part));
+      if (index === -1) return;
+      const fields = parts.slice(index + 1).map(field => field.trim());
+      const time = /\((\d+)\)/.exec(parts[0]);
+
+      switch (parts[index]) {
+        case 'FLOW_START_INTERVIEW_BEGIN':
+          current = getInterview(fields[0], fields[1]);
+          break;
+        case 'FLOW_ELEMENT_BEGIN':
+          current = getInterview(fields[0]);
+          current.events.push({ kind: 'element', elementType: fields[1] || '', name: fields[2] || '', time: time ? Number(time[1]) : null });
+          break;
+        case 'FLOW_ELEMENT_END':
+          getInterview(fields[0]).events.push({ kind: 'end', name: fields[2] || '', time: time ? Number(time[1]) : null });
+          break;
+        case 'FLOW_RULE_DETAIL':
+          getInterview(fields[0]).events.push({ kind: 'rule', name: fields[1] || '', result: /^true$/i.test(fields[2] || '') });
+          break;
+        case 'FLOW_ELEMENT_FAULT':
+        case 'FLOW_ELEMENT_ERROR':
+          // The message comes first and may itself hold "|"
+          if (current && fields.length >= 3) {
+            current.events.push({
+              kind: 'fault',
+              elementType: fields[fields.length - 2],
+              name: fields[fields.length - 1],
+              message: fields.slice(0, -2).join('|')
+            });
+          }
+          break;
+      }
+    });
+
+    const found = interviews.filter(interview => interview.events.some(event => event.kind === 'element'));
+    if (found.length === 0) {
+      throw new Error('The debug log has no flow elements. Log the Workflow category at Finer or Finest and run the flow again.');
+    }
+    return found;
+  }
+
+  // The log's lines; a line that doesn't start with a timestamp continues the one before
+  // it (e.g. a fault message over several lines)
+  static getLines(text) {
+    const lines = [];
+    String(text || '').split(/\r?\n/).forEach(line => {
+      if (/^\d{1,2}:\d{2}:\d{2}/.test(line) || lines.length === 0) {
+        lines.push(line);
+      } else if (line.trim() !== '') {
+        lines[lines.length - 1] += `\n${line}`;
+      }
+    });
+    return lines;
+  }
+
+  // The interview of the flow with one of names (e.g. its label and API name), else the first one
+  static findInterview(interviews, names = []) {
+    const wanted = names.filter(Boolean).map(name => name.toLowerCase());
+    return interviews.find(interview => wanted.includes(interview.flowName.toLowerCase())) || interviews[0] || null;
+  }
+
+  // The path an interview took as a run result: { status, runStatus, connectors, steps,
+  // iterations, outputs, assertions, error, unmatched }. The Start element isn't logged, so
+  // the path starts there; an End the last element leads to ends it. A failing element's
+  // step is 'failed' and makes the status 'error'; a step whose element logged its end has
+  // its duration in milliseconds. unmatched lists the log's element names that aren't on
+  // the canvas. flow: { nodes, resources }
+  static toRun(interview, flow = {}) {
+    const nodes = flow.nodes || [];
+    const graph = new FlowGraph(nodes);
+    const names = FlowDebugLog.getNodeNames(nodes, flow.resources || []);
+    const result = {
+      status: 'passed',
+      connectors: [],
+      steps: [],
+      iterations: {},
+      outputs: {},
+      assertions: [],
+      error: null,
+      unmatched: []
+    };
+
+    let step = null;
+    let began = null; // When the step's element began
+    let rules = []; // Outcomes whose rule was true since the last element began
+    const visit = (node, time = null) => {
+      if (step) {
+        const connector = FlowDebugLog.chooseConnector(graph, graph.getNode(step.nodeId), node, rules);
+        if (connector) {
+          step.connectorId = connector.id;
+          result.connectors.push(connector.id);
+        }
+      }
+      step = node ? { nodeId: node.id, connectorId: null, status: 'passed', message: '' } : null;
+      if (step) result.steps.push(step);
+      began = time;
+      rules = [];
+    };
+
+    visit(graph.getStartNode());
+    interview.events.forEach(event => {
+      if (event.kind === 'rule') {
+        if (event.result) rules.push(event.name.toLowerCase());
+        return;
+      }
+      const nodeId = names[event.name.toLowerCase()];
+      if (!nodeId) {
+        if (!result.unmatched.includes(event.name)) result.unmatched.push(event.name);
+        return;
+      }
+      if (event.kind === 'element') {
+        visit(graph.getNode(nodeId), event.time);
+        return;
+      }
+      if (event.kind === 'end') {
+        if (step && step.nodeId === nodeId && began !== null && event.time !== null) {
+          step.duration = Math.round((event.time - began) / 1e4) / 100;
+        }
+        return;
+      }
+      // A fault belongs to the element's latest step
+      const failed = result.steps.slice().reverse().find(candidate => candidate.nodeId === nodeId);
+      if (failed) {
+        failed.status = 'failed';
+        failed.message = event.message;
+      }
+      result.status = 'error';
+      result.error = event.message;
+    });
+
+    // Without a fault the interview went on to the End its last element leads to
+    if (step && step.status !== 'failed') {
+      const connector = FlowDebugLog.chooseConnector(graph, graph.getNode(step.nodeId), null, rules);
+      const target = connector ? graph.getNode(connector.target) : null;
+      if (target && target.type === 'end') visit(target);
+    }
+
+    result.runStatus = result.status;
+    result.connectors.forEach(connectorId => {
+      const found = graph.getConnector(connectorId);
+      if (found && found.connector.type === 'for-each') {
+        result.iterations[found.source] = (result.iterations[found.source] || 0) + 1;
+      } else if (found && found.connector.type === 'after-last') {
+        result.iterations[found.source] = result.iterations[found.source] || 0;
+      }
+    });
+    return result;
+  }
+
+  // The connector from node to next. A Decision takes the outcome whose rule was true
+  // (else its default); with no next, the connector the element would take
+  static chooseConnector(graph, node, next, rules) {
+    if (!node) return null;
+    const connectors = (node.connectors || []).filter(connector => graph.getNode(connector.target));
+    let preferred = null;
+    if (node.type === 'decision') {
+      preferred = connectors.find(connector => connector.type === 'outcome' &&
+        rules.includes(String(connector.ruleName || FlowMetadataXml.toApiName(connector.label || '')).toLowerCase())) ||
+        connectors.find(connector => connector.type === 'default') || null;
+    } else if (node.type === 'loop') {
+      preferred = connectors.find(connector => connector.type === 'after-last') || null;
+    } else {
+      preferred = connectors.find(connector => connector.type === 'next') || null;
+    }
+
+    if (!next) return preferred;
+    if (preferred && preferred.target === next.id) return preferred;
+    return connectors.find(connector => connector.target === next.id) || null;
+  }
+
+  // Lower-cased API name -> node id: the name an imported element kept, the name the
+  // element is written with (see FlowMetadataXml.getApiNames()) and its canvas id
+  static getNodeNames(nodes, resources = []) {
+    const names = {};
+    const apiNames = FlowMetadataXml.getApiNames(nodes, new Set(resources.map(resource => resource.name)));
+    nodes.forEach(node => {
+      [node.id, apiNames[node.id], node.apiName].filter(Boolean).forEach(name => {
+        names[String(name).toLowerCase()] = node.id;
+      });
+    });
+    return names;
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowDebugLog = FlowDebugLog;
+}
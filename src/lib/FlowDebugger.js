@@ -0,0 +1,93 @@
+/**
+ * Flow Debugger
+ * Goes through a FlowInterpreter run one element at a time. The run pauses before
+ * each element it steps to, and Continue runs on until it gets to a breakpoint.
+ * No DOM access; FlowCanvas shows where it is paused
+ */
+class FlowDebugger {
+  // options: { interpreter, runOptions (see FlowInterpreter.run()), breakpoints }. A Set of
+  // breakpoints is kept, not copied, so breakpoints set while debugging count.
+  // The run is paused before its first element
+  constructor(options = {}) {
+    this.interpreter = options.interpreter;
+    this.breakpoints = options.breakpoints instanceof Set ? options.breakpoints : new Set(options.breakpoints || []);
+    this.run = this.interpreter.createRun(options.runOptions || {});
+    this.loopStack = []; // Loops the run is inside, innermost last
+  }
+
+  isFinished() {
+    return this.run.done;
+  }
+
+  // The element the run is paused before, or null once it has finished
+  getCurrentNodeId() {
+    return this.run.node ? this.run.node.id : null;
+  }
+
+  // Run the current element and pause before the next one
+  step() {
+    const node = this.run.node;
+    const step = this.interpreter.step(this.run);
+    if (step && node.type === 'loop') {
+      const connector = this.interpreter.graph.getConnector(step.connectorId);
+      // For Each enters (or stays in) the loop, After Last leaves it
+      this.loopStack = this.loopStack.filter(loopId => loopId !== node.id);
+      if (connector && connector.connector.type === 'for-each') {
+        this.loopStack.push(node.id);
+      }
+    }
+    return step;
+  }
+
+  // The loop Step Over Loop finishes: the current element when it is a loop, else the
+  // innermost loop the run is inside
+  getLoopId() {
+    const node = this.run.node;
+    if (!node) return null;
+    if (node.type === 'loop') return node.id;
+    return this.loopStack.length > 0 ? this.loopStack[this.loopStack.length - 1] : null;
+  }
+
+  // Run the rest of the loop (see getLoopId()) and pause after it, or at a breakpoint
+  // on the way. Steps like step() when the run isn't in a loop
+  stepOverLoop() {
+    const loopId = this.getLoopId();
+    if (!loopId) return this.step();
+
+    const inLoop = () => this.run.node && (this.run.node.id === loopId || this.loopStack.includes(loopId));
+    this.step();
+    while (!this.run.done && inLoop() && !this.isAtBreakpoint()) {
+      this.step();
+    }
+    return this.run.result.steps[this.run.result.steps.length - 1] || null;
+  }
+
+  // Run until the next breakpoint, or to the end
+  continue() {
+    this.step();
+    while (!this.run.done && !this.isAtBreakpoint()) {
+      this.step();
+    }
+    return this.run.result.steps[this.run.result.steps.length - 1] || null;
+  }
+
+  isAtBreakpoint() {
+    return !!this.run.node && this.breakpoints.has(this.run.node.id);
+  }
+
+  // { nodeId, finished, loopId, result, variables } where variables is FlowInterpreter.inspect()
+  getState() {
+    return {
+      nodeId: this.getCurrentNodeId(),
+      finished: this.run.done,
+      loopId: this.getLoopId(),
+      result: this.run.result,
+      variables: this.interpreter.inspect(this.run)
+    };
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowDebugger = FlowDebugger;
+}
@@ -0,0 +1,279 @@
+/**
+ * Flow Document
+ * Versioned, self-contained form of a flow: metadata, nodes with their
+ * connectors, resources, mocked outputs, test points and test scenarios. Older documents are migrated
+ * step by step to SCHEMA_VERSION before they are validated
+ */
+class FlowDocumentError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length > 0 ? `${message}: ${errors.join('; ')}` : message);
+    this.name = 'FlowDocumentError';
+    this.errors = errors; // One message per problem found
+  }
+}
+
+class FlowDocument {
+  static create({ metadata = {}, nodes = [], resources = [], outputs = {}, testStartPoint = null, testEndPoint = null, testScenarios = [] } = {}) {
+    return JSON.parse(JSON.stringify({
+      format: FlowDocument.FORMAT,
+      schemaVersion: FlowDocument.SCHEMA_VERSION,
+      metadata: FlowDocument.createMetadata(metadata),
+      nodes,
+      resources,
+      outputs,
+      test: {
+        startPoint: testStartPoint || null,
+        endPoint: testEndPoint || null,
+        scenarios: testScenarios
+      }
+    }));
+  }
+
+  static createMetadata(metadata = {}) {
+    return { label: '', apiName: '', description: '', ...metadata };
+  }
+
+  static stringify(doc) {
+    return JSON.stringify(doc, null, 2);
+  }
+
+  // Accepts a document object or its JSON text. Returns a migrated copy at
+  // SCHEMA_VERSION, or throws a FlowDocumentError listing what is wrong
+  static parse(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+      try {
+        doc = JSON.parse(input);
+      } catch (e) {
+        throw new FlowDocumentError('Flow document is not valid JSON', [e.message]);
+      }
+    }
+
+    doc = FlowDocument.migrate(JSON.parse(JSON.stringify(doc ?? null)));
+    const errors = FlowDocument.validate(doc);
+    if (errors.length > 0) {
+      throw new FlowDocumentError('Invalid flow document', errors);
+    }
+    return doc;
+  }
+
+  static getSchemaVersion(doc) {
+    // Unversioned snapshots (a bare nodes array or { nodes, outputs, ... }) are version 0
+    if (Array.isArray(doc) || doc.schemaVersion === undefined) return 0;
+    return doc.schemaVersion;
+  }
+
+  static migrate(doc) {
+    if (!doc || typeof doc !== 'object') {
+      throw new FlowDocumentError('Flow document must be an object');
+    }
+
+    let version = FlowDocument.getSchemaVersion(doc);
+    if (!Number.isInteger(version) || version < 0) {
+      throw new FlowDocumentError(`Unknown flow document schema version "${version}"`);
+    }
+    if (version > FlowDocument.SCHEMA_VERSION) {
+      throw new FlowDocumentError(
+        `Flow document schema version ${version} is newer than the supported version ${FlowDocument.SCHEMA_VERSION}`
+      );
+    }
+
+    while (version < FlowDocument.SCHEMA_VERSION) {
+      doc = FlowDocument.MIGRATIONS[version](doc);
+      version++;
+    }
+    return doc;
+  }
+
+  // Returns a list of error messages; empty when the document is valid
+  static validate(doc) {
+    const errors = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+      return ['Flow document must be an object'];
+    }
+
+    if (doc.format !== FlowDocument.FORMAT) {
+      errors.push(`format must be "${FlowDocument.FORMAT}"`);
+    }
+    if (doc.schemaVersion !== FlowDocument.SCHEMA_VERSION) {
+      errors.push(`schemaVersion must be ${FlowDocument.SCHEMA_VERSION}`);
+    }
+    if (!FlowDocument.isPlainObject(doc.metadata)) {
+      errors.push('metadata must be an object');
+    }
+    if (!FlowDocument.isPlainObject(doc.outputs)) {
+      errors.push('outputs must be an object');
+    }
+    if (!FlowDocument.isPlainObject(doc.test)) {
+      errors.push('test must be an object');
+    }
+    if (!Array.isArray(doc.resources)) {
+      errors.push('resources must be an array');
+    } else {
+      const resourceNames = new Set();
+      doc.resources.forEach((resource, index) => {
+        if (!FlowDocument.isPlainObject(resource)) {
+          errors.push(`resources[${index}] must be an object`);
+          return;
+        }
+        if (typeof resource.name !== 'string' || resource.name === '') {
+          errors.push(`resources[${index}].name must be a non-empty string`);
+        } else if (resourceNames.has(resource.name.toLowerCase())) {
+          errors.push(`Duplicate resource name "${resource.name}"`);
+        } else {
+          resourceNames.add(resource.name.toLowerCase());
+        }
+        if (typeof resource.resourceType !== 'string' || resource.resourceType === '') {
+          errors.push(`resources[${index}].resourceType must be a non-empty string`);
+        }
+      });
+    }
+    if (!Array.isArray(doc.nodes)) {
+      errors.push('nodes must be an array');
+      return errors;
+    }
+
+    const nodeIds = new Set();
+    doc.nodes.forEach((node, index) => {
+      if (!FlowDocument.isPlainObject(node)) {
+        errors.push(`nodes[${index}] must be an object`);
+        return;
+      }
+      if (typeof node.id !== 'string' || node.id === '') {
+        errors.push(`nodes[${index}].id must be a non-empty string`);
+      } else if (nodeIds.has(node.id)) {
+        errors.push(`Duplicate node id "${node.id}"`);
+      } else {
+        nodeIds.add(node.id);
+      }
+      if (typeof node.type !== 'string' || node.type === '') {
+        errors.push(`nodes[${index}].type must be a non-empty string`);
+      }
+      if (node.position !== undefined &&
+          !(FlowDocument.isPlainObject(node.position) && Number.isFinite(node.position.x) && Number.isFinite(node.position.y))) {
+        errors.push(`nodes[${index}].position must be { x, y } numbers`);
+      }
+      if (!Array.isArray(node.connectors)) {
+        errors.push(`nodes[${index}].connectors must be an array`);
+      }
+    });
+
+    // Connector targets can point forward, so check them once every node id is known
+    const connectorIds = new Set();
+    doc.nodes.forEach(node => {
+      if (!FlowDocument.isPlainObject(node) || !Array.isArray(node.connectors)) return;
+      node.connectors.forEach((connector, index) => {
+        const path = `Node "${node.id}" connector ${index}`;
+        if (!FlowDocument.isPlainObject(connector)) {
+          errors.push(`${path} must be an object`);
+          return;
+        }
+        if (typeof connector.id !== 'string' || connector.id === '') {
+          errors.push(`${path} must have a non-empty string id`);
+        } else if (connectorIds.has(connector.id)) {
+          errors.push(`Duplicate connector id "${connector.id}"`);
+        } else {
+          connectorIds.add(connector.id);
+        }
+        if (typeof connector.type !== 'string' || connector.type === '') {
+          errors.push(`${path} must have a non-empty string type`);
+        }
+        if (connector.target !== null && !nodeIds.has(connector.target)) {
+          errors.push(`${path} targets unknown node "${connector.target}"`);
+        }
+      });
+    });
+
+    if (FlowDocument.isPlainObject(doc.outputs)) {
+      Object.keys(doc.outputs).forEach(nodeId => {
+        if (!nodeIds.has(nodeId)) {
+          errors.push(`outputs reference unknown node "${nodeId}"`);
+        }
+      });
+    }
+
+    if (FlowDocument.isPlainObject(doc.test)) {
+      ['startPoint', 'endPoint'].forEach(key => {
+        const value = doc.test[key];
+        if (value !== null && value !== undefined && !nodeIds.has(value)) {
+          errors.push(`test.${key} references unknown node "${value}"`);
+        }
+      });
+      if (!Array.isArray(doc.test.scenarios)) {
+        errors.push('test.scenarios must be an array');
+      } else {
+        const scenarioIds = new Set();
+        doc.test.scenarios.forEach((scenario, index) => {
+          if (!FlowDocument.isPlainObject(scenario)) {
+            errors.push(`test.scenarios[${index}] must be an object`);
+            return;
+          }
+          if (typeof scenario.id !== 'string' || scenario.id === '') {
+            errors.push(`test.scenarios[${index}].id must be a non-empty string`);
+          } else if (scenarioIds.has(scenario.id)) {
+            errors.push(`Duplicate test scenario id "${scenario.id}"`);
+          } else {
+            scenarioIds.add(scenario.id);
+          }
+          if (typeof scenario.name !== 'string' || scenario.name.trim() === '') {
+            errors.push(`test.scenarios[${index}].name must be a non-empty string`);
+          }
+          if (scenario.assertions !== undefined && !Array.isArray(scenario.assertions)) {
+            errors.push(`test.scenarios[${index}].assertions must be an array`);
+          }
+          // A scenario's own mocked outputs, over the flow-level outputs
+          if (scenario.outputs !== undefined && !FlowDocument.isPlainObject(scenario.outputs)) {
+            errors.push(`test.scenarios[${index}].outputs must be an object`);
+          } else if (scenario.outputs !== undefined) {
+            Object.keys(scenario.outputs).forEach(nodeId => {
+              if (!nodeIds.has(nodeId)) {
+                errors.push(`test.scenarios[${index}].outputs reference unknown node "${nodeId}"`);
+              }
+            });
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  static isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+FlowDocument.FORMAT = 'flow-builder/flow';
+FlowDocument.SCHEMA_VERSION = 3;
+
+// MIGRATIONS[n] turns a version n document into a version n + 1 document
+FlowDocument.MIGRATIONS = {
+  // Unversioned canvas state: connectors may be missing (legacy flat arrays)
+  // and test points were top-level fields
+  0: (doc) => {
+    const state = Array.isArray(doc) ? { nodes: doc } : doc;
+    const canNormalize = Array.isArray(state.nodes) && state.nodes.every(FlowDocument.isPlainObject);
+    const nodes = canNormalize ? FlowGraph.normalizeNodes(state.nodes) : state.nodes;
+    return {
+      format: FlowDocument.FORMAT,
+      schemaVersion: 1,
+      metadata: FlowDocument.createMetadata(FlowDocument.isPlainObject(state.metadata) ? state.metadata : {}),
+      nodes,
+      outputs: state.outputs || {},
+      test: {
+        startPoint: state.testStartPoint || null,
+        endPoint: state.testEndPoint || null
+      }
+    };
+  },
+  // Resources (variables, constants, formulas, record collections) were added
+  1: (doc) => ({ ...doc, schemaVersion: 2, resources: [] }),
+  // Test scenarios were added
+  2: (doc) => ({ ...doc, schemaVersion: 3, test: { ...doc.test, scenarios: [] } })
+};
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowDocument = FlowDocument;
+  window.FlowDocumentError = FlowDocumentError;
+}
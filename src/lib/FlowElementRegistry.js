@@ -0,0 +1,353 @@
+/**
+ * Flow Element Registry
+ * Element type definitions: how an element looks (icon, color, toolbox category,
+ * default label), what it is configured with (property schema), which connectors
+ * a new element starts with and which outputs it produces
+ */
+class FlowElementRegistry {
+  constructor(definitions = []) {
+    this.types = {}; // type -> definition, in registration order
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  // Add or replace an element type. Missing fields are taken from DEFAULTS
+  register(definition) {
+    if (!definition || typeof definition.type !== 'string' || definition.type === '') {
+      throw new Error('FlowElementRegistry: an element type needs a non-empty "type"');
+    }
+    const registered = {
+      ...FlowElementRegistry.DEFAULTS,
+      label: definition.type,
+      ...definition
+    };
+    if (registered.defaultLabel === null) {
+      registered.defaultLabel = registered.label;
+    }
+    this.types[definition.type] = registered;
+    return registered;
+  }
+
+  unregister(type) {
+    delete this.types[type];
+  }
+
+  get(type) {
+    return this.types[type] || null;
+  }
+
+  getAll() {
+    return Object.values(this.types);
+  }
+
+  findByIcon(icon) {
+    return this.getAll().find(definition => definition.icon === icon) || null;
+  }
+
+  findByMetadataTag(tag) {
+    return this.getAll().find(definition => definition.metadataTag === tag) || null;
+  }
+
+  // Types offered in the toolbox as [{ category, types }], categories in CATEGORIES order
+  getToolboxGroups() {
+    const groups = {};
+    this.getAll().forEach(definition => {
+      if (!definition.toolbox) return;
+      (groups[definition.category] = groups[definition.category] || []).push(definition);
+    });
+    const order = FlowElementRegistry.CATEGORIES;
+    return Object.keys(groups)
+      .sort((a, b) => (order.indexOf(a) + 1 || order.length + 1) - (order.indexOf(b) + 1 || order.length + 1))
+      .map(category => ({ category, types: groups[category] }));
+  }
+
+  // The outputs a node produces, [{ name, label, type }]. A type's outputs can depend
+  // on how the node is configured: outputs(node) then returns them
+  getOutputs(node) {
+    const definition = this.get(node.type);
+    const outputs = definition ? definition.outputs : FlowElementRegistry.DEFAULTS.outputs;
+    return (typeof outputs === 'function' ? outputs(node) : outputs) || [];
+  }
+
+  // A node of the given type with its display fields filled in; overrides win
+  createNode(type, overrides = {}) {
+    const definition = this.get(type);
+    if (!definition) return { type, ...overrides };
+    return {
+      type,
+      title: definition.defaultLabel,
+      subtitle: definition.label,
+      icon: definition.icon,
+      iconBg: definition.iconBg,
+      ...overrides
+    };
+  }
+
+  // The outgoing connectors a freshly inserted node starts with, or null when the
+  // type is unknown (FlowGraph then falls back to its built-in defaults)
+  createConnectors(node, target = null) {
+    const definition = this.get(node.type);
+    if (!definition) return null;
+    return definition.connectors.map(template => {
+      const connector = {
+        id: FlowGraph.createConnectorId(node.id, template.key || template.type),
+        type: template.type,
+        target: template.loopBack ? node.id : target
+      };
+      if (template.label) connector.label = template.label;
+      return connector;
+    });
+  }
+}
+
+FlowElementRegistry.CATEGORIES = ['Interaction', 'Logic', 'Data', 'Actions', 'Flow'];
+
+// Property fields are { name, label, type, required, ... } where name is the node field
+// being edited and type is one of the FlowPropertiesEditor field types:
+// text (multiline, pattern, patternMessage, maxLength), picklist (options, or 'objects'
+// for the record objects), checkbox, record-field (objectProperty: the node field holding
+// the object), condition (perConnector: one condition per connector of that type) and
+// rows (fields: the columns of each row, addLabel). resources: true offers {!resource}
+// references (text and record-field); validate(value, node) adds a custom check
+FlowElementRegistry.COMMON_PROPERTIES = [
+  { name: 'title', label: 'Label', type: 'text', required: true },
+  {
+    name: 'apiName',
+    label: 'API Name',
+    type: 'text',
+    maxLength: 80,
+    pattern: '^[A-Za-z](?!.*__)[A-Za-z0-9_]*[A-Za-z0-9]$|^[A-Za-z]$',
+    patternMessage: 'API Name must start with a letter and contain only letters, numbers and single underscores, and can\'t end with an underscore.',
+    help: 'The element name in Flow metadata.'
+  },
+  { name: 'description', label: 'Description', type: 'text', multiline: true }
+];
+
+// Connector templates are { type, key, label, loopBack }: key makes the connector id
+// ("<node id>-<key>", defaulting to the type) and loopBack points it at the element itself
+FlowElementRegistry.DEFAULTS = {
+  label: '', // Type name, shown as the element's subtitle
+  defaultLabel: null, // Label of a new element (the type label when null)
+  icon: 'add',
+  iconClass: null, // SLDS icon name, e.g. 'standard:record_create'
+  iconBg: '#0176d3',
+  category: 'Actions',
+  toolbox: true, // Offered in the toolbox
+  metadataTag: null, // Flow metadata element (see FlowMetadataXml)
+  properties: FlowElementRegistry.COMMON_PROPERTIES, // Property schema, see COMMON_PROPERTIES
+  connectors: [{ type: 'next' }],
+  // Output shape: [{ name, label, type }], or a function of the node returning it. type is a
+  // resource data type, SObject[] for a list of records or Apex for any JSON value
+  outputs: [
+    { name: 'text', label: 'Text', type: 'String' },
+    { name: 'record', label: 'Record', type: 'SObject' },
+    { name: 'recordCollection', label: 'RecordCollection', type: 'SObject[]' },
+    { name: 'httpCalloutResponse', label: 'HTTPCalloutResponse', type: 'Apex' }
+  ]
+};
+
+FlowElementRegistry.BUILT_IN_TYPES = [
+  {
+    type: 'start',
+    label: 'Start',
+    defaultLabel: 'Record-Triggered Flow',
+    icon: 'play',
+    iconClass: 'utility:play',
+    iconBg: '#0B827C', // SLDS Teal 60
+    category: 'Flow',
+    toolbox: false,
+    properties: [
+      { name: 'object', label: 'Object', type: 'picklist', options: 'objects', required: true },
+      {
+        name: 'triggerType',
+        label: 'Trigger the Flow When',
+        type: 'picklist',
+        required: true,
+        default: 'Create',
+        options: [
+          { value: 'Create', label: 'A record is created' },
+          { value: 'Update', label: 'A record is updated' },
+          { value: 'CreateAndUpdate', label: 'A record is created or updated' },
+          { value: 'Delete', label: 'A record is deleted' }
+        ]
+      },
+      { name: 'entryConditions', label: 'Entry Conditions', type: 'condition', objectProperty: 'object' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'end',
+    label: 'End',
+    icon: 'stop',
+    iconClass: 'utility:stop',
+    iconBg: '#ea001e',
+    category: 'Flow',
+    toolbox: false,
+    properties: [],
+    connectors: [],
+    outputs: []
+  },
+  {
+    type: 'decision',
+    label: 'Decision',
+    defaultLabel: 'New Decision',
+    icon: 'decision',
+    iconClass: 'standard:decision',
+    iconBg: '#ff9a3c',
+    category: 'Logic',
+    metadataTag: 'decisions',
+    properties: [
+      ...FlowElementRegistry.COMMON_PROPERTIES,
+      { name: 'outcomeConditions', label: 'Outcome Conditions', type: 'condition', perConnector: 'outcome' }
+    ],
+    connectors: [
+      { type: 'outcome', key: 'outcome-1', label: 'Outcome 1' },
+      { type: 'default', label: 'Default Outcome' }
+    ],
+    outputs: []
+  },
+  {
+    type: 'loop',
+    label: 'Loop',
+    defaultLabel: 'New Loop',
+    icon: 'loop',
+    iconClass: 'standard:loop',
+    iconBg: '#ff9a3c',
+    category: 'Logic',
+    metadataTag: 'loops',
+    properties: [
+      ...FlowElementRegistry.COMMON_PROPERTIES,
+      { name: 'collection', label: 'Collection Variable', type: 'text', required: true, placeholder: '{!Get_Records}', resources: true },
+      {
+        name: 'iterationOrder',
+        label: 'Direction',
+        type: 'picklist',
+        default: 'Asc',
+        options: [
+          { value: 'Asc', label: 'First item to last item' },
+          { value: 'Desc', label: 'Last item to first item' }
+        ]
+      }
+    ],
+    // A new loop starts with an empty body: "For Each" goes straight back to the loop itself
+    connectors: [
+      { type: 'for-each', label: 'For Each', loopBack: true },
+      { type: 'after-last', label: 'After Last' }
+    ],
+    outputs: [{ name: 'currentItem', label: 'Current Item', type: 'SObject' }]
+  },
+  {
+    type: 'create',
+    label: 'Create Records',
+    defaultLabel: 'New Create Records',
+    icon: 'record_create',
+    iconClass: 'standard:record_create',
+    iconBg: '#ff538a',
+    category: 'Data',
+    metadataTag: 'recordCreates',
+    properties: [
+      ...FlowElementRegistry.COMMON_PROPERTIES,
+      { name: 'object', label: 'Object', type: 'picklist', options: 'objects', required: true },
+      {
+        name: 'fieldValues',
+        label: 'Set Field Values',
+        type: 'rows',
+        addLabel: 'Add Field',
+        fields: [
+          { name: 'field', label: 'Field', type: 'record-field', objectProperty: 'object', required: true },
+          { name: 'value', label: 'Value', type: 'text', resources: true }
+        ]
+      }
+    ],
+    outputs: [{ name: 'id', label: 'Record ID', type: 'Id' }]
+  },
+  {
+    type: 'update',
+    label: 'Update Records',
+    defaultLabel: 'New Update Records',
+    icon: 'record_update',
+    iconClass: 'standard:record_update',
+    iconBg: '#ff538a',
+    category: 'Data',
+    metadataTag: 'recordUpdates',
+    properties: [
+      ...FlowElementRegistry.COMMON_PROPERTIES,
+      { name: 'object', label: 'Object', type: 'picklist', options: 'objects', required: true },
+      { name: 'filters', label: 'Filter Records', type: 'condition', objectProperty: 'object' },
+      {
+        name: 'fieldValues',
+        label: 'Set Field Values',
+        type: 'rows',
+        addLabel: 'Add Field',
+        required: true,
+        fields: [
+          { name: 'field', label: 'Field', type: 'record-field', objectProperty: 'object', required: true },
+          { name: 'value', label: 'Value', type: 'text', resources: true }
+        ]
+      }
+    ],
+    outputs: []
+  },
+  {
+    type: 'action',
+    label: 'Action',
+    defaultLabel: 'New Action',
+    icon: 'custom_notification',
+    iconClass: 'standard:custom_notification',
+    iconBg: '#032d60',
+    category: 'Actions',
+    metadataTag: 'actionCalls',
+    properties: [
+      ...FlowElementRegistry.COMMON_PROPERTIES,
+      { name: 'actionName', label: 'Action', type: 'text', required: true },
+      {
+        name: 'actionType',
+        label: 'Action Type',
+        type: 'picklist',
+        default: 'apex',
+        options: [
+          { value: 'apex', label: 'Apex Action' },
+          { value: 'emailSimple', label: 'Send Email' },
+          { value: 'customNotificationAction', label: 'Send Custom Notification' },
+          { value: 'flow', label: 'Subflow' }
+        ]
+      },
+      {
+        name: 'inputParameters',
+        label: 'Input Values',
+        type: 'rows',
+        addLabel: 'Add Input',
+        fields: [
+          { name: 'name', label: 'Name', type: 'text', required: true },
+          { name: 'value', label: 'Value', type: 'text', resources: true }
+        ]
+      },
+      { name: 'storeOutputAutomatically', label: 'Store output values automatically', type: 'checkbox', default: true }
+    ],
+    outputs: node => FlowElementRegistry.ACTION_OUTPUTS[node.actionType || 'apex'] || FlowElementRegistry.DEFAULTS.outputs
+  },
+  {
+    // Elements imported from Flow metadata that the canvas can't edit (see FlowMetadataXml)
+    type: 'opaque',
+    label: 'Unsupported Element',
+    icon: 'info',
+    iconBg: '#706e6b',
+    category: 'Flow',
+    toolbox: false,
+    outputs: []
+  }
+];
+
+// Outputs of the Action element by action type. Apex actions and subflows return what
+// their class or flow defines, so they keep the default shape
+FlowElementRegistry.ACTION_OUTPUTS = {
+  emailSimple: [],
+  customNotificationAction: []
+};
+
+// The registry the canvas, panels and metadata converter use unless given another one
+FlowElementRegistry.default = new FlowElementRegistry(FlowElementRegistry.BUILT_IN_TYPES);
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowElementRegistry = FlowElementRegistry;
+}
@@ -0,0 +1,128 @@
+/**
+ * Flow Fixtures
+ * The state a test scenario starts from: { record, priorRecord, inputs }. record and
+ * priorRecord are the triggering record after and before the change ({ Field: value }),
+ * inputs sets resource values at the test start point ({ resourceName: value }).
+ * Checks them against the Start element's object and trigger and the resources' types
+ */
+class FlowFixtures {
+  // Returns { path: message } for the problems found, where path is e.g.
+  // 'record.Status' or 'inputs.Count'. context: { startNode, recordSchema, resources }
+  // (resources is a FlowResources)
+  static validate(fixture, context = {}) {
+    const errors = {};
+    const startNode = context.startNode || {};
+    const objectName = startNode.object || null;
+    const fields = objectName && context.recordSchema ? context.recordSchema[objectName] : null;
+
+    ['record', 'priorRecord'].forEach(key => {
+      const record = fixture[key];
+      if (record === undefined || record === null) return;
+      if (!FlowFixtures.isPlainObject(record)) {
+        errors[key] = 'Enter the record as an object of field values.';
+        return;
+      }
+      Object.keys(record).forEach(field => {
+        const message = fields && !fields.some(name => name.toLowerCase() === field.toLowerCase())
+          ? `${objectName} has no field "${field}".`
+          : FlowFixtures.checkFieldValue(record[field]);
+        if (message) errors[`${key}.${field}`] = message;
+      });
+    });
+
+    // Only updated records have values from before the change
+    const priorRecord = fixture.priorRecord;
+    if (FlowFixtures.isPlainObject(priorRecord) && Object.keys(priorRecord).length > 0 &&
+        FlowFixtures.NO_PRIOR_TRIGGERS.includes(startNode.triggerType)) {
+      errors.priorRecord = 'Prior values only exist when the flow runs for updated records.';
+    }
+
+    const inputs = fixture.inputs;
+    if (inputs !== undefined && inputs !== null) {
+      if (!FlowFixtures.isPlainObject(inputs)) {
+        errors.inputs = 'Enter the resource values as an object of values by resource name.';
+      } else {
+        Object.keys(inputs).forEach(name => {
+          const message = FlowFixtures.checkResourceValue(name, inputs[name], context.resources);
+          if (message) errors[`inputs.${name}`] = message;
+        });
+      }
+    }
+    return errors;
+  }
+
+  static checkFieldValue(value) {
+    return value === null || ['string', 'number', 'boolean'].includes(typeof value)
+      ? ''
+      : 'Enter a text, number or true/false value.';
+  }
+
+  // A resource value must fit the resource's data type; formulas are always calculated
+  static checkResourceValue(name, value, resources) {
+    const resource = resources ? resources.get(name) : null;
+    if (!resource) return `There's no resource named "${name}".`;
+    if (resource.resourceType === 'formula') return `${resource.name} is a formula, so its value can't be set.`;
+    if (value === null || value === '') return '';
+
+    if (resource.resourceType === 'recordCollection') {
+      return Array.isArray(value) && value.every(FlowFixtures.isPlainObject)
+        ? ''
+        : 'Enter a list of records, e.g. [{ "Name": "Acme" }].';
+    }
+    return FlowFixtures.checkValue(value, resource.dataType);
+  }
+
+  static checkValue(value, dataType) {
+    switch (dataType) {
+      case 'Number':
+      case 'Currency':
+        return Number.isFinite(typeof value === 'string' && value.trim() !== '' ? Number(value) : value)
+          ? ''
+          : 'Enter a number.';
+      case 'Boolean':
+        return typeof value === 'boolean' || ['true', 'false'].includes(String(value).toLowerCase())
+          ? ''
+          : 'Enter true or false.';
+      case 'Date':
+        return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && FlowFormula.toDate(value)
+          ? ''
+          : 'Enter a date as YYYY-MM-DD.';
+      case 'DateTime':
+        return typeof value === 'string' && FlowFormula.toDate(value) ? '' : 'Enter a date and time, e.g. 2024-05-01T09:30:00Z.';
+      case 'SObject':
+        return FlowFixtures.isPlainObject(value) ? '' : 'Enter a record, e.g. { "Name": "Acme" }.';
+      default:
+        return FlowFixtures.checkFieldValue(value);
+    }
+  }
+
+  // Turn a form input's text into the value stored for a resource of dataType.
+  // Records and collections are entered as JSON; throws a SyntaxError when it isn't valid
+  static parseValue(text, resource) {
+    if (text === '') return undefined;
+    if (resource.resourceType === 'recordCollection' || resource.dataType === 'SObject') return JSON.parse(text);
+    if (resource.dataType === 'Boolean') return text === 'true';
+    if ((resource.dataType === 'Number' || resource.dataType === 'Currency') && Number.isFinite(Number(text))) {
+      return Number(text);
+    }
+    return text;
+  }
+
+  // The text a form input shows for a stored value
+  static formatValue(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  static isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Start element trigger types (see FlowElementRegistry) without a record from before the change
+FlowFixtures.NO_PRIOR_TRIGGERS = ['Create', 'Delete'];
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowFixtures = FlowFixtures;
+}
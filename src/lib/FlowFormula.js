@@ -0,0 +1,736 @@
+/**
+ * Flow Formula
+ * Parser, type checker and evaluator for Salesforce-style formula expressions:
+ * {!resource} merge fields, arithmetic, text (&), comparison and logical operators,
+ * and logical, text, date and math functions. Also evaluates the condition lists
+ * built in the properties panel (see FlowPropertiesEditor). No DOM access, so it
+ * runs anywhere the validator or the simulator does
+ */
+class FlowFormulaError extends Error {
+  // start/end: character offsets of the offending text (end is exclusive)
+  constructor(message, start = 0, end = start, errors = []) {
+    super(message);
+    this.name = 'FlowFormulaError';
+    this.start = start;
+    this.end = end;
+    this.errors = errors.length > 0 ? errors : [{ message, start, end }];
+  }
+}
+
+class FlowFormula {
+  // Returns the expression's syntax tree, or throws a FlowFormulaError
+  static parse(text) {
+    return new FlowFormulaParser(FlowFormula.tokenize(String(text ?? ''))).parseFormula();
+  }
+
+  // Returns { type, errors: [{ message, start, end }] } without evaluating anything.
+  // options.getType(reference) returns a reference's type (see DATA_TYPE_TYPES), or null when
+  // it doesn't exist; without it every reference is of type Any.
+  // options.expectedType reports a formula whose result has another type
+  static check(text, options = {}) {
+    let ast;
+    try {
+      ast = FlowFormula.parse(text);
+    } catch (e) {
+      if (!(e instanceof FlowFormulaError)) throw e;
+      return { type: null, errors: e.errors };
+    }
+
+    const errors = [];
+    const type = FlowFormula.checkNode(ast, options, errors);
+    if (errors.length === 0 && options.expectedType && !FlowFormula.isAssignable(type, options.expectedType)) {
+      errors.push({ message: `Formula result is ${type}, but ${options.expectedType} is expected`, start: ast.start, end: ast.end });
+    }
+    return { type, errors };
+  }
+
+  // Returns the expression's value, or throws a FlowFormulaError.
+  // context.resolve(reference) returns a merge field's value; context.getType is
+  // used for checking as in check(); context.now is the current time for TODAY() and NOW()
+  static evaluate(text, context = {}) {
+    const ast = FlowFormula.parse(text);
+    const errors = [];
+    FlowFormula.checkNode(ast, context, errors);
+    if (errors.length > 0) {
+      throw new FlowFormulaError(errors[0].message, errors[0].start, errors[0].end, errors);
+    }
+    return FlowFormula.evaluateNode(ast, context);
+  }
+
+  // Replace the {!reference} merge fields in text with their values as text
+  static interpolate(text, context = {}) {
+    return String(text ?? '').replace(/\{!\s*([^}]+?)\s*\}/g, (match, reference) =>
+      FlowFormula.toText(FlowFormula.resolve(reference, context)));
+  }
+
+  // Evaluate a condition list: { logic: 'and' | 'or' | 'custom', customLogic,
+  // conditions: [{ left, operator, right }] }. Left is a reference ('Case.Priority'
+  // or '{!name}'); right is a value that may contain merge fields.
+  // context.isChanged(reference) answers IsChanged. Returns { result, results }
+  static evaluateConditions(condition, context = {}) {
+    const rows = (condition && condition.conditions) || [];
+    const results = rows.map(row => FlowFormula.evaluateCondition(row, context));
+    let result;
+    if (rows.length === 0) {
+      result = true;
+    } else if (condition.logic === 'or') {
+      result = results.some(Boolean);
+    } else if (condition.logic === 'custom') {
+      result = FlowFormula.evaluateLogic(condition.customLogic, results);
+    } else {
+      result = results.every(Boolean);
+    }
+    return { result, results };
+  }
+
+  static evaluateCondition({ left, operator, right }, context = {}) {
+    const reference = FlowFormula.getMergeFieldName(left) || left;
+    const value = FlowFormula.resolve(reference, context);
+    const mergeField = FlowFormula.getMergeFieldName(right);
+    const raw = mergeField ? FlowFormula.resolve(mergeField, context) : FlowFormula.interpolate(right, context);
+    const other = FlowFormula.coerceLike(value, raw);
+
+    switch (operator) {
+      case 'EqualTo': return FlowFormula.equals(value, other);
+      case 'NotEqualTo': return !FlowFormula.equals(value, other);
+      case 'GreaterThan': return FlowFormula.compare(value, other) > 0;
+      case 'GreaterThanOrEqualTo': return FlowFormula.compare(value, other) >= 0;
+      case 'LessThan': return FlowFormula.compare(value, other) < 0;
+      case 'LessThanOrEqualTo': return FlowFormula.compare(value, other) <= 0;
+      case 'Contains': return FlowFormula.toText(value).includes(FlowFormula.toText(other));
+      case 'StartsWith': return FlowFormula.toText(value).startsWith(FlowFormula.toText(other));
+      case 'EndsWith': return FlowFormula.toText(value).endsWith(FlowFormula.toText(other));
+      case 'IsNull': return FlowFormula.isBlank(value);
+      case 'IsChanged': return !!(context.isChanged && context.isChanged(reference));
+      default:
+        throw new FlowFormulaError(`Unknown condition operator "${operator}"`);
+    }
+  }
+
+  // Custom condition logic such as "1 AND (2 OR NOT 3)"; results[0] is condition 1
+  static evaluateLogic(logic, results) {
+    const text = String(logic ?? '');
+    const tokens = [];
+    const pattern = /\s*(\d+|AND\b|OR\b|NOT\b|\(|\))/iy;
+    let index = 0;
+    while (text.slice(index).trim() !== '') {
+      pattern.lastIndex = index;
+      const match = pattern.exec(text);
+      if (!match) {
+        const start = text.length - text.slice(index).trimStart().length;
+        throw new FlowFormulaError('Condition logic can only use condition numbers, AND, OR, NOT and parentheses', start, start + 1);
+      }
+      tokens.push({ value: match[1].toUpperCase(), start: pattern.lastIndex - match[1].length });
+      index = pattern.lastIndex;
+    }
+
+    let position = 0;
+    const peek = () => tokens[position] || { value: null, start: text.length };
+    const fail = (message) => {
+      throw new FlowFormulaError(message, peek().start, peek().start + String(peek().value ?? '').length);
+    };
+    const parseOr = () => {
+      let value = parseAnd();
+      while (peek().value === 'OR') { position++; value = parseAnd() || value; }
+      return value;
+    };
+    const parseAnd = () => {
+      let value = parseNot();
+      while (peek().value === 'AND') { position++; value = parseNot() && value; }
+      return value;
+    };
+    const parseNot = () => {
+      if (peek().value === 'NOT') { position++; return !parseNot(); }
+      const token = peek();
+      if (token.value === '(') {
+        position++;
+        const value = parseOr();
+        if (peek().value !== ')') fail('Missing ")" in condition logic');
+        position++;
+        return value;
+      }
+      if (/^\d+$/.test(token.value || '')) {
+        const index = Number(token.value) - 1;
+        if (index < 0 || index >= results.length) fail(`Condition logic refers to condition ${token.value}, which doesn't exist`);
+        position++;
+        return !!results[index];
+      }
+      return fail('Expected a condition number in condition logic');
+    };
+
+    const value = parseOr();
+    if (position < tokens.length) fail(`Unexpected "${peek().value}" in condition logic`);
+    return value;
+  }
+
+  // Resource data types (see FlowResources) as formula types
+  static typeFromDataType(dataType) {
+    return FlowFormula.DATA_TYPE_TYPES[dataType] || 'Any';
+  }
+
+  // '{!name}' -> 'name'; null for anything else
+  static getMergeFieldName(text) {
+    const match = /^\s*\{!\s*([^}]+?)\s*\}\s*$/.exec(String(text ?? ''));
+    return match ? match[1] : null;
+  }
+
+  static tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      const char = text[i];
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+      if (text.startsWith('/*', i)) {
+        const close = text.indexOf('*/', i + 2);
+        if (close < 0) throw new FlowFormulaError('Unterminated comment', i, text.length);
+        i = close + 2;
+        continue;
+      }
+
+      const start = i;
+      if (text.startsWith('{!', i)) {
+        const close = text.indexOf('}', i);
+        if (close < 0) throw new FlowFormulaError('Missing "}" after merge field', i, text.length);
+        const name = text.slice(i + 2, close).trim();
+        if (!name) throw new FlowFormulaError('Empty merge field', i, close + 1);
+        tokens.push({ kind: 'merge', value: name, start, end: close + 1 });
+        i = close + 1;
+      } else if (/[0-9.]/.test(char) && /^(\d+\.?\d*|\.\d+)/.test(text.slice(i))) {
+        const number = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i))[0];
+        tokens.push({ kind: 'number', value: Number(number), start, end: i + number.length });
+        i += number.length;
+      } else if (char === '"' || char === '\'') {
+        let value = '';
+        i++;
+        while (i < text.length && text[i] !== char) {
+          if (text[i] === '\\' && i + 1 < text.length) {
+            const escaped = text[i + 1];
+            value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+            i += 2;
+          } else {
+            value += text[i++];
+          }
+        }
+        if (i >= text.length) throw new FlowFormulaError('Missing closing quote', start, text.length);
+        i++;
+        tokens.push({ kind: 'string', value, start, end: i });
+      } else if (/[A-Za-z_$]/.test(char)) {
+        const name = /^[A-Za-z_$][A-Za-z0-9_$.]*/.exec(text.slice(i))[0];
+        tokens.push({ kind: 'identifier', value: name, start, end: i + name.length });
+        i += name.length;
+      } else {
+        const operator = FlowFormula.OPERATORS.find(op => text.startsWith(op, i));
+        if (!operator) throw new FlowFormulaError(`Unexpected character "${char}"`, i, i + 1);
+        tokens.push({ kind: operator === '(' || operator === ')' || operator === ',' ? operator : 'operator', value: operator, start, end: i + operator.length });
+        i += operator.length;
+      }
+    }
+    tokens.push({ kind: 'end', value: null, start: text.length, end: text.length });
+    return tokens;
+  }
+
+  // Returns the node's type and records problems in errors
+  static checkNode(node, options, errors) {
+    const fail = (message, target = node) => {
+      errors.push({ message, start: target.start, end: target.end });
+      return 'Any';
+    };
+
+    if (node.kind === 'literal') return node.type;
+
+    if (node.kind === 'reference') {
+      if (!options.getType) return 'Any';
+      const type = options.getType(node.name);
+      return type || fail(`Unknown resource {!${node.name}}`);
+    }
+
+    if (node.kind === 'unary') {
+      const type = FlowFormula.checkNode(node.operand, options, errors);
+      const expected = node.operator === '!' ? 'Boolean' : 'Number';
+      if (!FlowFormula.isAssignable(type, expected)) {
+        return fail(`Operator "${node.operator}" expects ${expected}, received ${type}`);
+      }
+      return expected;
+    }
+
+    if (node.kind === 'binary') {
+      const left = FlowFormula.checkNode(node.left, options, errors);
+      const right = FlowFormula.checkNode(node.right, options, errors);
+      const matches = FlowFormula.BINARY_TYPES[node.operator].filter(([l, r]) =>
+        FlowFormula.isAssignable(left, l) && FlowFormula.isAssignable(right, r));
+      if (matches.length === 0) {
+        return fail(`Operator "${node.operator}" can't be used with ${left} and ${right}`);
+      }
+      const results = new Set(matches.map(match => match[2]));
+      return results.size === 1 ? matches[0][2] : 'Any';
+    }
+
+    // Function call
+    const definition = FlowFormula.FUNCTIONS[node.name];
+    if (!definition) {
+      node.args.forEach(arg => FlowFormula.checkNode(arg, options, errors));
+      return fail(`Unknown function ${node.name}`, node.nameToken);
+    }
+    const argTypes = node.args.map(arg => FlowFormula.checkNode(arg, options, errors));
+    const { min, max } = FlowFormula.getArity(definition);
+    if (argTypes.length < min || argTypes.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      // The noun follows the last count named: "at least 1 parameter", "1 to 2 parameters"
+      const count = max === Infinity ? min : max;
+      return fail(`${node.name}() expects ${expected} parameter${count === 1 ? '' : 's'}, received ${argTypes.length}`);
+    }
+    if (definition.check) {
+      return definition.check(argTypes, node, fail);
+    }
+    for (let i = 0; i < argTypes.length; i++) {
+      const expected = i < definition.params.length ? definition.params[i] : definition.rest;
+      if (!FlowFormula.isAssignable(argTypes[i], expected)) {
+        return fail(`${node.name}() parameter ${i + 1} must be ${expected}, received ${argTypes[i]}`, node.args[i]);
+      }
+    }
+    return definition.returns;
+  }
+
+  static getArity(definition) {
+    if (definition.arity) return definition.arity;
+    const min = definition.params.length - (definition.optional || 0) + (definition.rest ? 1 : 0);
+    return { min, max: definition.rest ? Infinity : definition.params.length };
+  }
+
+  // Any and Null fit every type; Any accepts every type
+  static isAssignable(type, expected) {
+    return type === expected || type === 'Any' || type === 'Null' || expected === 'Any';
+  }
+
+  static evaluateNode(node, context) {
+    if (node.kind === 'literal') return node.value;
+
+    if (node.kind === 'reference') {
+      const type = context.getType ? context.getType(node.name) : null;
+      return FlowFormula.toType(FlowFormula.resolve(node.name, context), type);
+    }
+
+    if (node.kind === 'unary') {
+      const value = FlowFormula.evaluateNode(node.operand, context);
+      if (node.operator === '!') return !value;
+      if (value === null) return null;
+      return node.operator === '-' ? -value : value;
+    }
+
+    if (node.kind === 'binary') {
+      // && and || only evaluate their right side when needed
+      if (node.operator === '&&') return !!FlowFormula.evaluateNode(node.left, context) && !!FlowFormula.evaluateNode(node.right, context);
+      if (node.operator === '||') return !!FlowFormula.evaluateNode(node.left, context) || !!FlowFormula.evaluateNode(node.right, context);
+      const left = FlowFormula.evaluateNode(node.left, context);
+      const right = FlowFormula.evaluateNode(node.right, context);
+      return FlowFormula.applyOperator(node, left, right);
+    }
+
+    // Function call: arguments are passed unevaluated so IF, AND, ... can skip branches
+    const args = node.args.map(arg => () => FlowFormula.evaluateNode(arg, context));
+    return FlowFormula.FUNCTIONS[node.name].evaluate(args, context, node);
+  }
+
+  static applyOperator(node, left, right) {
+    const operator = node.operator;
+    if (operator === '&') return FlowFormula.toText(left) + FlowFormula.toText(right);
+    if (operator === '=' || operator === '==') return FlowFormula.equals(left, right);
+    if (operator === '!=' || operator === '<>') return !FlowFormula.equals(left, right);
+    if (left === null || right === null) {
+      return ['<', '<=', '>', '>='].includes(operator) ? false : null;
+    }
+    if (operator === '<') return FlowFormula.compare(left, right) < 0;
+    if (operator === '<=') return FlowFormula.compare(left, right) <= 0;
+    if (operator === '>') return FlowFormula.compare(left, right) > 0;
+    if (operator === '>=') return FlowFormula.compare(left, right) >= 0;
+
+    const isDate = (value) => value instanceof Date;
+    if (operator === '+') {
+      if (isDate(left)) return new Date(left.getTime() + right * FlowFormula.DAY);
+      if (isDate(right)) return new Date(right.getTime() + left * FlowFormula.DAY);
+      return typeof left === 'string' || typeof right === 'string'
+        ? FlowFormula.toText(left) + FlowFormula.toText(right)
+        : left + right;
+    }
+    if (operator === '-') {
+      if (isDate(left) && isDate(right)) return (left.getTime() - right.getTime()) / FlowFormula.DAY;
+      if (isDate(left)) return new Date(left.getTime() - right * FlowFormula.DAY);
+      return left - right;
+    }
+    if (operator === '*') return left * right;
+    if (operator === '^') return Math.pow(left, right);
+    if (right === 0) throw new FlowFormulaError('Division by zero', node.start, node.end);
+    return left / right;
+  }
+
+  static resolve(reference, context) {
+    const value = context.resolve ? context.resolve(reference) : undefined;
+    return value === undefined ? null : value;
+  }
+
+  // Values from resources and records may arrive as text (e.g. '2024-05-01' for a Date)
+  static toType(value, type) {
+    if (value === null || value === undefined) return null;
+    if ((type === 'Date' || type === 'DateTime') && !(value instanceof Date)) return FlowFormula.toDate(value);
+    if (type === 'Number' && typeof value === 'string') return value.trim() === '' ? null : Number(value);
+    if (type === 'Boolean' && typeof value === 'string') return value.toLowerCase() === 'true';
+    return value;
+  }
+
+  // Give a condition's right-hand value the type of its left-hand value
+  static coerceLike(value, other) {
+    if (other === null || other === undefined || typeof other !== 'string') return other ?? null;
+    if (typeof value === 'number') return other.trim() === '' ? null : Number(other);
+    if (typeof value === 'boolean') return other.toLowerCase() === 'true';
+    if (value instanceof Date) return FlowFormula.toDate(other);
+    if (value === null && other === '') return null;
+    return other;
+  }
+
+  static toDate(value) {
+    if (value instanceof Date) return value;
+    const text = String(value).trim();
+    const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    const date = dateOnly
+      ? new Date(Date.UTC(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3])))
+      : new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  static toText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+      const iso = value.toISOString();
+      // Dates are stored at UTC midnight
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.replace(/\.\d{3}Z$/, 'Z');
+    }
+    return String(value);
+  }
+
+  static isBlank(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  static equals(left, right) {
+    if (FlowFormula.isBlank(left) || FlowFormula.isBlank(right)) {
+      return FlowFormula.isBlank(left) && FlowFormula.isBlank(right);
+    }
+    if (left instanceof Date && right instanceof Date) return left.getTime() === right.getTime();
+    return left === right;
+  }
+
+  static compare(left, right) {
+    if (left === null || right === null) return NaN;
+    const a = left instanceof Date ? left.getTime() : left;
+    const b = right instanceof Date ? right.getTime() : right;
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  static today(context) {
+    const now = context.now ? new Date(context.now) : new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+}
+
+// Recursive-descent parser over FlowFormula.tokenize() output. Operator precedence,
+// lowest first: ||, &&, = == != <>, < <= > >=, + - &, * /, unary - + !, ^
+class FlowFormulaParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  fail(message, token = this.peek()) {
+    throw new FlowFormulaError(message, token.start, Math.max(token.end, token.start + 1));
+  }
+
+  parseFormula() {
+    if (this.peek().kind === 'end') this.fail('Formula is empty');
+    const node = this.parseBinary(0);
+    if (this.peek().kind !== 'end') this.fail(`Unexpected "${this.peek().value}"`);
+    return node;
+  }
+
+  parseBinary(level) {
+    const operators = FlowFormula.PRECEDENCE[level];
+    if (!operators) return this.parseUnary();
+    let left = this.parseBinary(level + 1);
+    while (this.peek().kind === 'operator' && operators.includes(this.peek().value)) {
+      const operator = this.next().value;
+      const right = this.parseBinary(level + 1);
+      left = { kind: 'binary', operator, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.kind === 'operator' && ['-', '+', '!'].includes(token.value)) {
+      this.next();
+      const operand = this.parseUnary();
+      return { kind: 'unary', operator: token.value, operand, start: token.start, end: operand.end };
+    }
+    return this.parsePower();
+  }
+
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.peek().kind === 'operator' && this.peek().value === '^') {
+      this.next();
+      const exponent = this.parseUnary();
+      return { kind: 'binary', operator: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    const span = { start: token.start, end: token.end };
+
+    if (token.kind === 'number') return { kind: 'literal', type: 'Number', value: token.value, ...span };
+    if (token.kind === 'string') return { kind: 'literal', type: 'Text', value: token.value, ...span };
+    if (token.kind === 'merge') return { kind: 'reference', name: token.value, ...span };
+
+    if (token.kind === '(') {
+      const node = this.parseBinary(0);
+      if (this.peek().kind !== ')') this.fail('Missing ")"');
+      const close = this.next();
+      return { ...node, start: token.start, end: close.end };
+    }
+
+    if (token.kind === 'identifier') {
+      const upper = token.value.toUpperCase();
+      if (upper === 'TRUE' || upper === 'FALSE') return { kind: 'literal', type: 'Boolean', value: upper === 'TRUE', ...span };
+      if (upper === 'NULL') return { kind: 'literal', type: 'Null', value: null, ...span };
+      if (this.peek().kind !== '(') {
+        this.fail(`Unknown name "${token.value}"; refer to resources as {!${token.value}}`, token);
+      }
+      this.next();
+      const args = [];
+      if (this.peek().kind !== ')') {
+        args.push(this.parseBinary(0));
+        while (this.peek().kind === ',') {
+          this.next();
+          args.push(this.parseBinary(0));
+        }
+      }
+      if (this.peek().kind !== ')') this.fail(`Missing ")" after the parameters of ${upper}()`);
+      const close = this.next();
+      return { kind: 'call', name: upper, nameToken: span, args, start: token.start, end: close.end };
+    }
+
+    if (token.kind === 'end') this.fail('Formula ended unexpectedly', token);
+    return this.fail(`Unexpected "${token.value}"`, token);
+  }
+}
+
+FlowFormula.DAY = 24 * 60 * 60 * 1000;
+
+// Longest first, so "<=" wins over "<"
+FlowFormula.OPERATORS = ['&&', '||', '==', '!=', '<>', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '^', '&', '!', '(', ')', ','];
+FlowFormula.PRECEDENCE = [['||'], ['&&'], ['=', '==', '!=', '<>'], ['<', '<=', '>', '>='], ['+', '-', '&'], ['*', '/']];
+
+// Types: Text, Number, Boolean, Date, DateTime, Record, Null (the NULL literal)
+// and Any (not known until the formula runs)
+FlowFormula.DATA_TYPE_TYPES = {
+  String: 'Text',
+  Number: 'Number',
+  Currency: 'Number',
+  Boolean: 'Boolean',
+  Date: 'Date',
+  DateTime: 'DateTime',
+  SObject: 'Record'
+};
+
+FlowFormula.COMPARABLE_TYPES = ['Text', 'Number', 'Date', 'DateTime'];
+
+// operator -> [[left, right, result]]
+FlowFormula.BINARY_TYPES = {
+  '+': [['Number', 'Number', 'Number'], ['Date', 'Number', 'Date'], ['Number', 'Date', 'Date'],
+    ['DateTime', 'Number', 'DateTime'], ['Number', 'DateTime', 'DateTime'], ['Text', 'Text', 'Text']],
+  '-': [['Number', 'Number', 'Number'], ['Date', 'Number', 'Date'], ['DateTime', 'Number', 'DateTime'],
+    ['Date', 'Date', 'Number'], ['DateTime', 'DateTime', 'Number']],
+  '*': [['Number', 'Number', 'Number']],
+  '/': [['Number', 'Number', 'Number']],
+  '^': [['Number', 'Number', 'Number']],
+  '&': [['Text', 'Text', 'Text']],
+  '&&': [['Boolean', 'Boolean', 'Boolean']],
+  '||': [['Boolean', 'Boolean', 'Boolean']]
+};
+['=', '==', '!=', '<>'].forEach(operator => {
+  FlowFormula.BINARY_TYPES[operator] = FlowFormula.COMPARABLE_TYPES.concat('Boolean').map(type => [type, type, 'Boolean']);
+});
+['<', '<=', '>', '>='].forEach(operator => {
+  FlowFormula.BINARY_TYPES[operator] = FlowFormula.COMPARABLE_TYPES.map(type => [type, type, 'Boolean']);
+});
+
+// Function name -> { params, optional (trailing optional params), rest (type of any
+// further params), returns, evaluate(args, context, node) }. args are functions
+// returning each parameter's value. check(argTypes, node, fail) replaces the
+// parameter checks for functions whose result type depends on their parameters
+FlowFormula.FUNCTIONS = (() => {
+  const value = (args) => args.map(arg => arg());
+  const text = (v) => FlowFormula.toText(v);
+  const number = (fn) => (args) => {
+    const values = value(args);
+    return values.some(v => v === null) ? null : fn(...values);
+  };
+  const date = (fn) => (args) => {
+    const d = args[0]();
+    return d === null ? null : fn(d, ...args.slice(1).map(arg => arg()));
+  };
+  // Branches (IF, CASE, BLANKVALUE) must agree on a type
+  const sameType = (types, node, fail, offset) => {
+    const known = types.filter(type => type !== 'Any' && type !== 'Null');
+    const mismatch = known.findIndex(type => type !== known[0]);
+    if (mismatch >= 0) {
+      const index = types.indexOf(known[mismatch]);
+      return fail(`${node.name}() results must all be ${known[0]}, received ${known[mismatch]}`, node.args[index + offset]);
+    }
+    return known[0] || 'Any';
+  };
+
+  return {
+    // Logical
+    AND: { params: [], rest: 'Boolean', returns: 'Boolean', evaluate: (args) => args.every(arg => !!arg()) },
+    OR: { params: [], rest: 'Boolean', returns: 'Boolean', evaluate: (args) => args.some(arg => !!arg()) },
+    NOT: { params: ['Boolean'], returns: 'Boolean', evaluate: ([a]) => !a() },
+    IF: {
+      params: ['Boolean', 'Any', 'Any'],
+      check: (types, node, fail) => FlowFormula.isAssignable(types[0], 'Boolean')
+        ? sameType(types.slice(1), node, fail, 1)
+        : fail(`IF() parameter 1 must be Boolean, received ${types[0]}`, node.args[0]),
+      evaluate: ([condition, whenTrue, whenFalse]) => (condition() ? whenTrue() : whenFalse())
+    },
+    CASE: {
+      arity: { min: 4, max: Infinity },
+      check: (types, node, fail) => {
+        if (types.length % 2 !== 0) return fail('CASE() needs pairs of values and results, then a default result');
+        for (let i = 1; i < types.length - 1; i += 2) {
+          if (!FlowFormula.isAssignable(types[i], types[0]) && !FlowFormula.isAssignable(types[0], types[i])) {
+            return fail(`CASE() values must be ${types[0]}, received ${types[i]}`, node.args[i]);
+          }
+        }
+        const results = types.filter((type, i) => i > 0 && (i % 2 === 0 || i === types.length - 1));
+        return sameType(results, node, fail, 0);
+      },
+      evaluate: (args) => {
+        const subject = args[0]();
+        for (let i = 1; i < args.length - 1; i += 2) {
+          if (FlowFormula.equals(subject, args[i]())) return args[i + 1]();
+        }
+        return args[args.length - 1]();
+      }
+    },
+    ISBLANK: { params: ['Any'], returns: 'Boolean', evaluate: ([a]) => FlowFormula.isBlank(a()) },
+    ISNULL: { params: ['Any'], returns: 'Boolean', evaluate: ([a]) => a() === null },
+    BLANKVALUE: {
+      params: ['Any', 'Any'],
+      check: (types, node, fail) => sameType(types, node, fail, 0),
+      evaluate: ([a, b]) => {
+        const v = a();
+        return FlowFormula.isBlank(v) ? b() : v;
+      }
+    },
+    NULLVALUE: {
+      params: ['Any', 'Any'],
+      check: (types, node, fail) => sameType(types, node, fail, 0),
+      evaluate: ([a, b]) => {
+        const v = a();
+        return v === null ? b() : v;
+      }
+    },
+
+    // Text
+    LEN: { params: ['Text'], returns: 'Number', evaluate: ([a]) => text(a()).length },
+    LEFT: { params: ['Text', 'Number'], returns: 'Text', evaluate: ([a, n]) => text(a()).slice(0, Math.max(0, n())) },
+    RIGHT: { params: ['Text', 'Number'], returns: 'Text', evaluate: ([a, n]) => (n() > 0 ? text(a()).slice(-n()) : '') },
+    MID: { params: ['Text', 'Number', 'Number'], returns: 'Text', evaluate: ([a, start, length]) => {
+        const from = Math.max(0, start() - 1);
+        return text(a()).slice(from, from + Math.max(0, length()));
+      } },
+    UPPER: { params: ['Text'], returns: 'Text', evaluate: ([a]) => text(a()).toUpperCase() },
+    LOWER: { params: ['Text'], returns: 'Text', evaluate: ([a]) => text(a()).toLowerCase() },
+    TRIM: { params: ['Text'], returns: 'Text', evaluate: ([a]) => text(a()).trim() },
+    CONTAINS: { params: ['Text', 'Text'], returns: 'Boolean', evaluate: ([a, b]) => text(a()).includes(text(b())) },
+    BEGINS: { params: ['Text', 'Text'], returns: 'Boolean', evaluate: ([a, b]) => text(a()).startsWith(text(b())) },
+    FIND: {
+      params: ['Text', 'Text', 'Number'],
+      optional: 1,
+      returns: 'Number',
+      evaluate: ([search, within, start]) => text(within()).indexOf(text(search()), start ? Math.max(0, start() - 1) : 0) + 1
+    },
+    SUBSTITUTE: { params: ['Text', 'Text', 'Text'], returns: 'Text', evaluate: ([a, find, replace]) => text(a()).split(text(find())).join(text(replace())) },
+    LPAD: { params: ['Text', 'Number', 'Text'], optional: 1, returns: 'Text', evaluate: ([a, n, pad]) => text(a()).padStart(n(), pad ? text(pad()) : ' ').slice(0, n()) },
+    RPAD: { params: ['Text', 'Number', 'Text'], optional: 1, returns: 'Text', evaluate: ([a, n, pad]) => text(a()).padEnd(n(), pad ? text(pad()) : ' ').slice(0, n()) },
+    TEXT: { params: ['Any'], returns: 'Text', evaluate: ([a]) => text(a()) },
+    VALUE: {
+      params: ['Text'],
+      returns: 'Number',
+      evaluate: ([a], context, node) => {
+        const v = text(a()).trim();
+        if (v === '') return null;
+        if (Number.isNaN(Number(v))) throw new FlowFormulaError(`VALUE() can't convert "${v}" to a number`, node.start, node.end);
+        return Number(v);
+      }
+    },
+
+    // Date and time
+    TODAY: { params: [], returns: 'Date', evaluate: (args, context) => FlowFormula.today(context) },
+    NOW: { params: [], returns: 'DateTime', evaluate: (args, context) => (context.now ? new Date(context.now) : new Date()) },
+    DATE: { params: ['Number', 'Number', 'Number'], returns: 'Date', evaluate: number((y, m, d) => new Date(Date.UTC(y, m - 1, d))) },
+    DATEVALUE: { params: ['Any'], returns: 'Date', evaluate: date(d => {
+      const v = FlowFormula.toDate(d);
+      return v && new Date(Date.UTC(v.getUTCFullYear(), v.getUTCMonth(), v.getUTCDate()));
+    }) },
+    DATETIMEVALUE: { params: ['Any'], returns: 'DateTime', evaluate: date(d => FlowFormula.toDate(d)) },
+    YEAR: { params: ['Date'], returns: 'Number', evaluate: date(d => d.getUTCFullYear()) },
+    MONTH: { params: ['Date'], returns: 'Number', evaluate: date(d => d.getUTCMonth() + 1) },
+    DAY: { params: ['Date'], returns: 'Number', evaluate: date(d => d.getUTCDate()) },
+    WEEKDAY: { params: ['Date'], returns: 'Number', evaluate: date(d => d.getUTCDay() + 1) },
+    ADDMONTHS: {
+      params: ['Date', 'Number'],
+      returns: 'Date',
+      evaluate: date((d, months) => {
+        // The last day of a month stays the last day (Jan 31 + 1 month = Feb 28/29)
+        const target = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months + 1, 0));
+        return new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(d.getUTCDate(), target.getUTCDate())));
+      })
+    },
+
+    // Math
+    ABS: { params: ['Number'], returns: 'Number', evaluate: number(Math.abs) },
+    CEILING: { params: ['Number'], returns: 'Number', evaluate: number(Math.ceil) },
+    FLOOR: { params: ['Number'], returns: 'Number', evaluate: number(Math.floor) },
+    ROUND: {
+      params: ['Number', 'Number'],
+      returns: 'Number',
+      // Half away from zero, as Salesforce rounds
+      evaluate: number((n, digits) => Math.sign(n) * Math.round(Math.abs(n) * Math.pow(10, digits)) / Math.pow(10, digits))
+    },
+    MOD: { params: ['Number', 'Number'], returns: 'Number', evaluate: number((a, b) => (b === 0 ? null : a % b)) },
+    SQRT: { params: ['Number'], returns: 'Number', evaluate: number(Math.sqrt) },
+    EXP: { params: ['Number'], returns: 'Number', evaluate: number(Math.exp) },
+    LN: { params: ['Number'], returns: 'Number', evaluate: number(Math.log) },
+    LOG: { params: ['Number'], returns: 'Number', evaluate: number(Math.log10) },
+    MAX: { params: [], rest: 'Number', returns: 'Number', evaluate: number(Math.max) },
+    MIN: { params: [], rest: 'Number', returns: 'Number', evaluate: number(Math.min) }
+  };
+})();
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowFormula = FlowFormula;
+  window.FlowFormulaError = FlowFormulaError;
+}
@@ -0,0 +1,445 @@
+/**
+ * Flow Graph
+ * Graph model for flow elements: every node owns its outgoing connectors
+ * ({ id, type, label, target }) and the graph answers traversal questions
+ * (reachability, branch merge points) and performs structural edits in place
+ */
+class FlowGraph {
+  constructor(nodes = []) {
+    // The nodes array is shared with the owner (e.g. FlowCanvas.config.nodes)
+    // so edits made through the graph are visible to it without re-assignment
+    this.nodes = nodes;
+  }
+
+  static createConnectorId(sourceId, key) {
+    return `${sourceId}-${key}`;
+  }
+
+  // Build the outgoing connectors a freshly inserted element starts with
+  // All branches initially point at the same target so they merge right away
+  static createDefaultConnectors(node, target = null) {
+    if (node.type === 'end') {
+      return [];
+    }
+
+    if (node.type === 'decision') {
+      return [
+        { id: FlowGraph.createConnectorId(node.id, 'outcome-1'), type: 'outcome', label: 'Outcome 1', target },
+        { id: FlowGraph.createConnectorId(node.id, 'default'), type: 'default', label: 'Default Outcome', target }
+      ];
+    }
+
+    // A new loop starts with an empty body: "For Each" goes straight back to the loop itself
+    if (node.type === 'loop') {
+      return [
+        { id: FlowGraph.createConnectorId(node.id, 'for-each'), type: 'for-each', label: 'For Each', target: node.id },
+        { id: FlowGraph.createConnectorId(node.id, 'after-last'), type: 'after-last', label: 'After Last', target }
+      ];
+    }
+
+    return [{ id: FlowGraph.createConnectorId(node.id, 'next'), type: 'next', target }];
+  }
+
+  // Accept the legacy flat array format (no connectors anywhere) by linking
+  // the nodes in array order, and make sure every node has a connectors array
+  static normalizeNodes(nodes = []) {
+    const isLegacy = nodes.length > 0 && nodes.every(node => node.connectors === undefined);
+
+    nodes.forEach((node, index) => {
+      if (Array.isArray(node.connectors)) return;
+
+      if (isLegacy && node.type !== 'end' && index < nodes.length - 1) {
+        node.connectors = [{
+          id: FlowGraph.createConnectorId(node.id, 'next'),
+          type: 'next',
+          target: nodes[index + 1].id
+        }];
+      } else {
+        node.connectors = [];
+      }
+    });
+
+    return nodes;
+  }
+
+  getNode(nodeId) {
+    return this.nodes.find(n => n.id === nodeId) || null;
+  }
+
+  getStartNode() {
+    return this.nodes.find(n => n.type === 'start') || this.nodes[0] || null;
+  }
+
+  getConnectors(nodeId) {
+    const node = this.getNode(nodeId);
+    return node && node.connectors ? node.connectors : [];
+  }
+
+  // Returns { connector, source } for a connector id, or null
+  getConnector(connectorId) {
+    for (const node of this.nodes) {
+      const connector = (node.connectors || []).find(c => c.id === connectorId);
+      if (connector) {
+        return { connector, source: node.id };
+      }
+    }
+    return null;
+  }
+
+  // Returns every connector in the graph as { connector, source } pairs
+  getAllConnectors() {
+    const result = [];
+    this.nodes.forEach(node => {
+      (node.connectors || []).forEach(connector => {
+        result.push({ connector, source: node.id });
+      });
+    });
+    return result;
+  }
+
+  getIncomingConnectors(nodeId) {
+    return this.getAllConnectors().filter(({ connector }) => connector.target === nodeId);
+  }
+
+  getSuccessorIds(nodeId) {
+    return this.getConnectors(nodeId)
+      .map(c => c.target)
+      .filter(target => target && this.getNode(target));
+  }
+
+  // Depth-first walk in connector order. Returns node ids in visit order.
+  // options.exclude: ids that are neither visited nor traversed
+  // options.stopAfter: id that is visited but whose outgoing connectors are not followed
+  getReachableNodeIds(fromIds, options = {}) {
+    const exclude = new Set([].concat(options.exclude || []));
+    const visited = new Set();
+    const order = [];
+    const stack = [].concat(fromIds || []).filter(Boolean).reverse();
+
+    while (stack.length > 0) {
+      const nodeId = stack.pop();
+      if (visited.has(nodeId) || exclude.has(nodeId) || !this.getNode(nodeId)) continue;
+      visited.add(nodeId);
+      order.push(nodeId);
+
+      if (nodeId === options.stopAfter) continue;
+
+      const successors = this.getSuccessorIds(nodeId);
+      for (let i = successors.length - 1; i >= 0; i--) {
+        if (!visited.has(successors[i])) {
+          stack.push(successors[i]);
+        }
+      }
+    }
+
+    return order;
+  }
+
+  // Connectors that point back to a node still being walked (loop back-edges)
+  getBackEdgeConnectorIds() {
+    const backEdges = new Set();
+    const state = {}; // nodeId -> 'active' | 'done'
+
+    const visit = (nodeId) => {
+      state[nodeId] = 'active';
+      this.getConnectors(nodeId).forEach(connector => {
+        if (!connector.target || !this.getNode(connector.target)) return;
+        if (state[connector.target] === 'active') {
+          backEdges.add(connector.id);
+        } else if (!state[connector.target]) {
+          visit(connector.target);
+        }
+      });
+      state[nodeId] = 'done';
+    };
+
+    const startNode = this.getStartNode();
+    if (startNode) visit(startNode.id);
+    this.nodes.forEach(node => {
+      if (!state[node.id]) visit(node.id);
+    });
+
+    return backEdges;
+  }
+
+  // Node ids ordered so every element comes after all of its (non back-edge) predecessors
+  getTopologicalOrder() {
+    const backEdges = this.getBackEdgeConnectorIds();
+    const inDegree = {};
+    this.nodes.forEach(node => { inDegree[node.id] = 0; });
+    this.getAllConnectors().forEach(({ connector }) => {
+      if (!backEdges.has(connector.id) && inDegree[connector.target] !== undefined) {
+        inDegree[connector.target]++;
+      }
+    });
+
+    const startNode = this.getStartNode();
+    const queue = this.nodes
+      .filter(node => inDegree[node.id] === 0)
+      .sort((a, b) => (a === startNode ? -1 : b === startNode ? 1 : 0))
+      .map(node => node.id);
+    const order = [];
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      order.push(nodeId);
+      this.getConnectors(nodeId).forEach(connector => {
+        if (backEdges.has(connector.id) || inDegree[connector.target] === undefined) return;
+        inDegree[connector.target]--;
+        if (inDegree[connector.target] === 0) {
+          queue.push(connector.target);
+        }
+      });
+    }
+
+    return order;
+  }
+
+  // The connector that leads "down" past a node once its branches are done
+  getContinuationConnector(nodeId) {
+    const node = this.getNode(nodeId);
+    const connectors = this.getConnectors(nodeId);
+    if (node && node.type === 'loop') {
+      return connectors.find(c => c.type === 'after-last') || null;
+    }
+    return connectors[0] || null;
+  }
+
+  // The connector that starts a loop's body ("For Each")
+  getLoopBodyConnector(loopId) {
+    return this.getConnectors(loopId).find(c => c.type === 'for-each') || null;
+  }
+
+  // Node ids inside a loop body, in order (the back-edge to the loop ends the body)
+  getLoopBodyNodeIds(loopId) {
+    const bodyConnector = this.getLoopBodyConnector(loopId);
+    if (!bodyConnector || !bodyConnector.target || bodyConnector.target === loopId) return [];
+    return this.getReachableNodeIds(bodyConnector.target, { exclude: loopId });
+  }
+
+  // Follow the main line from a node, jumping over nested decisions to their
+  // merge points, and return the ordered list of node ids on that line
+  getMainLine(fromId, visited = new Set()) {
+    const line = [];
+    let currentId = fromId;
+
+    while (currentId && !visited.has(currentId) && this.getNode(currentId)) {
+      visited.add(currentId);
+      line.push(currentId);
+
+      const node = this.getNode(currentId);
+      if (node.type === 'decision') {
+        currentId = this.findMergeNode(currentId, visited);
+      } else {
+        const connector = this.getContinuationConnector(currentId);
+        currentId = connector ? connector.target : null;
+      }
+    }
+
+    return line;
+  }
+
+  // Find the node where the branches of a decision come back together.
+  // Returns null when every branch terminates on its own (e.g. each ends in an End element).
+  findMergeNode(decisionId, visited = new Set()) {
+    const connectors = this.getConnectors(decisionId);
+    if (connectors.length === 0) return null;
+
+    const lines = connectors.map(connector => {
+      if (!connector.target) return [];
+      return this.getMainLine(connector.target, new Set([...visited, decisionId]));
+    });
+
+    // Prefer the node shared by the most branches, then the one earliest on its line
+    let best = null;
+    let bestCount = 1;
+    let bestPosition = Infinity;
+
+    lines.forEach(line => {
+      line.forEach((nodeId, position) => {
+        const count = lines.filter(other => other.includes(nodeId)).length;
+        if (count > bestCount || (count === bestCount && count > 1 && position < bestPosition)) {
+          best = nodeId;
+          bestCount = count;
+          bestPosition = position;
+        }
+      });
+    });
+
+    return best;
+  }
+
+  // Insert a node on a connector: the connector now points at the node and the
+  // node's outgoing connectors take over the connector's old target
+  insertNode(node, connectorId) {
+    const found = this.getConnector(connectorId);
+    if (!found || this.getNode(node.id)) return false;
+
+    const { connector, source } = found;
+    const oldTarget = connector.target;
+
+    if (!Array.isArray(node.connectors) || node.connectors.length === 0) {
+      node.connectors = FlowGraph.createDefaultConnectors(node, oldTarget);
+    }
+    connector.target = node.id;
+
+    const sourceIndex = this.nodes.findIndex(n => n.id === source);
+    this.nodes.splice(sourceIndex + 1, 0, node);
+    return true;
+  }
+
+  // An element together with everything it owns: a loop's body or a decision's
+  // branches up to the merge point. exitTarget is where the element's path continues.
+  getElementSubgraph(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return null;
+
+    if (node.type === 'decision') {
+      const mergeId = this.findMergeNode(nodeId);
+      const branchTargets = this.getConnectors(nodeId).map(c => c.target).filter(Boolean);
+      const inner = this.getReachableNodeIds(branchTargets, { exclude: [nodeId, mergeId].filter(Boolean) });
+      return { nodeIds: [nodeId, ...inner], exitTarget: mergeId };
+    }
+
+    if (node.type === 'loop') {
+      const afterLast = this.getContinuationConnector(nodeId);
+      return {
+        nodeIds: [nodeId, ...this.getLoopBodyNodeIds(nodeId)],
+        exitTarget: afterLast ? afterLast.target : null
+      };
+    }
+
+    const next = this.getContinuationConnector(nodeId);
+    return { nodeIds: [nodeId], exitTarget: next ? next.target : null };
+  }
+
+  // Insert a group of connected nodes on a connector. nodes[0] is the entry point;
+  // connectors with a null target leave the group and continue to the connector's old target
+  insertSubgraph(nodes, connectorId) {
+    const found = this.getConnector(connectorId);
+    if (!found || nodes.length === 0 || nodes.some(n => this.getNode(n.id))) return false;
+
+    const { connector, source } = found;
+    const oldTarget = connector.target;
+
+    nodes.forEach(node => {
+      (node.connectors || []).forEach(c => {
+        if (c.target === null || c.target === undefined) {
+          c.target = oldTarget;
+        }
+      });
+    });
+    connector.target = nodes[0].id;
+
+    const sourceIndex = this.nodes.findIndex(n => n.id === source);
+    this.nodes.splice(sourceIndex + 1, 0, ...nodes);
+    return true;
+  }
+
+  // Take an element and everything it owns out of the graph, reconnecting the
+  // path around it. Returns the removed ids.
+  extractSubgraph(nodeId) {
+    const subgraph = this.getElementSubgraph(nodeId);
+    if (!subgraph) return [];
+
+    const removedIds = new Set(subgraph.nodeIds);
+    this.getIncomingConnectors(nodeId).forEach(({ connector, source }) => {
+      if (!removedIds.has(source)) {
+        connector.target = subgraph.exitTarget;
+      }
+    });
+
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      if (removedIds.has(this.nodes[i].id)) {
+        this.nodes.splice(i, 1);
+      }
+    }
+
+    this.getAllConnectors().forEach(({ connector }) => {
+      if (removedIds.has(connector.target)) {
+        connector.target = null;
+      }
+    });
+
+    return [...removedIds];
+  }
+
+  // Change a node id, along with its connector ids and every connector pointing at it
+  renameNode(oldId, newId) {
+    const node = this.getNode(oldId);
+    if (!node || oldId === newId || this.getNode(newId)) return false;
+
+    node.id = newId;
+    (node.connectors || []).forEach(connector => {
+      if (connector.id.startsWith(`${oldId}-`)) {
+        connector.id = newId + connector.id.slice(oldId.length);
+      }
+    });
+    this.getAllConnectors().forEach(({ connector }) => {
+      if (connector.target === oldId) {
+        connector.target = newId;
+      }
+    });
+    return true;
+  }
+
+  // Remove a node and reconnect its incoming connectors to the path that is kept.
+  // For branching elements only the default path survives (the "After Last" path for
+  // loops); nodes that were only reachable through the other branches - e.g. a loop
+  // body - are removed too. Returns the removed ids.
+  removeNode(nodeId) {
+    const node = this.getNode(nodeId);
+    if (!node) return [];
+
+    const connectors = node.connectors || [];
+    const kept = this.getKeptConnector(node);
+    const keptTarget = kept && kept.target !== nodeId ? kept.target : null;
+
+    const discardedTargets = connectors
+      .filter(c => c !== kept && c.target)
+      .map(c => c.target);
+    const stillReachable = new Set(this.getReachableNodeIds(keptTarget, { exclude: nodeId }));
+    const orphaned = this.getReachableNodeIds(discardedTargets, { exclude: nodeId })
+      .filter(id => !stillReachable.has(id));
+
+    const removedIds = new Set([nodeId, ...orphaned]);
+
+    this.getIncomingConnectors(nodeId).forEach(({ connector, source }) => {
+      if (!removedIds.has(source)) {
+        connector.target = keptTarget;
+      }
+    });
+
+    for (let i = this.nodes.length - 1; i >= 0; i--) {
+      if (removedIds.has(this.nodes[i].id)) {
+        this.nodes.splice(i, 1);
+      }
+    }
+
+    // Any connector still pointing into the removed set is left dangling
+    this.getAllConnectors().forEach(({ connector }) => {
+      if (removedIds.has(connector.target)) {
+        connector.target = null;
+      }
+    });
+
+    return [...removedIds];
+  }
+
+  // The outgoing connector whose path is kept when a node is removed
+  getKeptConnector(node) {
+    const connectors = node.connectors || [];
+    if (node.type === 'decision') {
+      return connectors.find(c => c.type === 'default') || connectors[0] || null;
+    }
+    if (node.type === 'loop') {
+      return connectors.find(c => c.type === 'after-last') || null;
+    }
+    return connectors[0] || null;
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowGraph = FlowGraph;
+}
@@ -0,0 +1,117 @@
+/**
+ * Flow History
+ * Undo/redo command stack. A command is { label, undo, redo, mergeKey } and is pushed
+ * after it has been applied; undo() and redo() replay it in either direction
+ */
+class FlowHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 100;
+    // Milliseconds after which a pushed command no longer merges into the last one
+    this.mergeInterval = options.mergeInterval || 2000;
+    this.onChange = options.onChange || null; // Called with getState() whenever the stacks change
+    this.undoStack = [];
+    this.redoStack = [];
+    // True while a command is being replayed, so the edits it makes aren't recorded again
+    this.applying = false;
+    // True until the next undo, redo, clear or endMerge(), so a pushed command can merge
+    // into the last one
+    this.merging = false;
+    this.pushedAt = 0;
+  }
+
+  // A command pushed within mergeInterval of one with the same mergeKey is merged into
+  // it: one undo goes back to before the first, one redo forward to after the last
+  push(command) {
+    if (this.applying) return;
+
+    const now = Date.now();
+    const last = this.undoStack[this.undoStack.length - 1];
+    const merges = this.merging && last && command.mergeKey && last.mergeKey === command.mergeKey &&
+      now - this.pushedAt <= this.mergeInterval;
+    this.pushedAt = now;
+    if (merges) {
+      last.redo = command.redo;
+      this.notify();
+      return;
+    }
+    this.merging = true;
+    this.undoStack.push(command);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    // A new edit makes the undone commands unreachable
+    this.redoStack = [];
+    this.notify();
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    this.merging = false;
+    this.replay(() => command.undo());
+    this.redoStack.push(command);
+    this.notify();
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    this.merging = false;
+    this.replay(() => command.redo());
+    this.undoStack.push(command);
+    this.notify();
+    return true;
+  }
+
+  replay(fn) {
+    this.applying = true;
+    try {
+      fn();
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  // The next command starts a new undo step, e.g. once another field is focused
+  endMerge() {
+    this.merging = false;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.merging = false;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.notify();
+  }
+
+  getState() {
+    const nextUndo = this.undoStack[this.undoStack.length - 1];
+    const nextRedo = this.redoStack[this.redoStack.length - 1];
+    return {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: nextUndo ? nextUndo.label : null,
+      redoLabel: nextRedo ? nextRedo.label : null
+    };
+  }
+
+  notify() {
+    this.onChange?.(this.getState());
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowHistory = FlowHistory;
+}
@@ -0,0 +1,360 @@
+/**
+ * Flow Interpreter
+ * Runs the flow model locally: follows connectors from the Start element (or a
+ * test start point), evaluates decision outcomes and loops with FlowFormula, and
+ * takes element outputs from the mocked outputs ({ nodeId: { mockOutputs, viewMode,
+ * value, <output>: value } }) instead of calling Salesforce
+ */
+class FlowInterpreter {
+  // options.nodes, options.resources and options.outputs are read, never changed
+  constructor(options = {}) {
+    this.graph = new FlowGraph(options.nodes || []);
+    this.resources = new FlowResources(options.resources || [], {
+      elementNames: this.graph.nodes.map(node => node.apiName || node.id)
+    });
+    this.outputs = options.outputs || {};
+    this.maxSteps = options.maxSteps || FlowInterpreter.MAX_STEPS;
+  }
+
+  // Run the flow once. options: { record, priorRecord, inputs: { resourceName: value },
+  // startNodeId, endNodeId, now }. The run stops after the end point node's outgoing
+  // connector, like getTestScope(). Returns { status: 'passed' | 'failed' | 'error' | 'not-run',
+  // connectors: [ids in traversal order], steps: [{ nodeId, connectorId, status, message, changes? }],
+  // iterations: { loopId: count }, record, outputs: { nodeId: values }, error }
+  run(options = {}) {
+    const run = this.createRun(options);
+    while (!run.done) {
+      this.step(run);
+    }
+    return run.result;
+  }
+
+  // A run that hasn't started yet, to go through one element at a time with step()
+  // (see FlowDebugger). run.node is the element the next step runs, run.result the
+  // result so far (see run()) and run.done is set once it has finished
+  createRun(options = {}) {
+    const startNode = this.graph.getStartNode();
+    const state = {
+      record: FlowInterpreter.clone(options.record || {}),
+      priorRecord: options.priorRecord || null,
+      inputs: options.inputs || {},
+      now: options.now || new Date(),
+      triggerObject: startNode ? startNode.object || null : null,
+      elementOutputs: {},
+      loops: {},
+      faultMessage: ''
+    };
+    const result = {
+      status: 'passed',
+      connectors: [],
+      steps: [],
+      iterations: {},
+      record: state.record,
+      outputs: state.elementOutputs,
+      error: null
+    };
+
+    const node = this.graph.getNode(options.startNodeId) || startNode;
+    if (!node) {
+      Object.assign(result, { status: 'error', error: 'The flow has no Start element.' });
+    }
+    return { options, state, result, node: node || null, done: !node };
+  }
+
+  // Run the run's next element and move on to the one its connector leads to.
+  // Returns the step added to run.result.steps, or null when the run had finished
+  step(run) {
+    const { options, state, result } = run;
+    const node = run.node;
+    if (run.done || !node) return null;
+
+    const finish = () => {
+      run.done = true;
+      run.node = null;
+    };
+    if (result.steps.length >= this.maxSteps) {
+      result.status = 'error';
+      result.error = `The run stopped after ${this.maxSteps} steps. Check the flow for a loop that never ends.`;
+      finish();
+      return null;
+    }
+
+    let step;
+    try {
+      step = this.runNode(node, state, node.id === options.startNodeId);
+    } catch (e) {
+      state.faultMessage = e.message;
+      const failed = { nodeId: node.id, connectorId: null, status: 'failed', message: e.message };
+      result.steps.push(failed);
+      result.status = 'failed';
+      result.error = e.message;
+      finish();
+      return failed;
+    }
+
+    const done = {
+      nodeId: node.id,
+      connectorId: step.connector ? step.connector.id : null,
+      status: step.notRun ? 'not-run' : 'passed',
+      message: step.message,
+      ...(step.changes ? { changes: step.changes } : {})
+    };
+    result.steps.push(done);
+    if (step.notRun) {
+      result.status = 'not-run';
+      finish();
+      return done;
+    }
+    if (!step.connector) {
+      finish();
+      return done;
+    }
+
+    result.connectors.push(step.connector.id);
+    if (step.connector.type === 'for-each') {
+      result.iterations[node.id] = (result.iterations[node.id] || 0) + 1;
+    } else if (node.type === 'loop') {
+      result.iterations[node.id] = result.iterations[node.id] || 0;
+    }
+    if (node.id === options.endNodeId) {
+      finish();
+      return done;
+    }
+
+    run.node = this.graph.getNode(step.connector.target);
+    if (!run.node) finish();
+    return done;
+  }
+
+  // What a run knows so far: { record, priorRecord, resources: [{ name, resourceType,
+  // dataType, value, error? }], outputs: { nodeId: values }, loops: { loopId: { index, count } } }.
+  // Formulas are evaluated now; one that fails has its message as error
+  inspect(run) {
+    const { state } = run;
+    const context = this.createContext(state);
+    const resources = this.resources.getAll().map(resource => {
+      const entry = { name: resource.name, resourceType: resource.resourceType, dataType: resource.dataType };
+      try {
+        entry.value = this.getResourceValue(resource, state, context);
+      } catch (e) {
+        entry.value = undefined;
+        entry.error = e.message;
+      }
+      return entry;
+    });
+    const loops = {};
+    Object.keys(state.loops).forEach(loopId => {
+      loops[loopId] = { index: state.loops[loopId].index, count: state.loops[loopId].items.length };
+    });
+    return { record: state.record, priorRecord: state.priorRecord, resources, outputs: state.elementOutputs, loops };
+  }
+
+  // Run one element: returns { connector, message, notRun, changes }. A missing connector ends the run
+  runNode(node, state, isStartPoint) {
+    const connectors = node.connectors || [];
+    const context = this.createContext(state);
+
+    if (node.type === 'start') {
+      // A test that starts further down has already passed the entry conditions
+      if (!isStartPoint && node.entryConditions && !FlowFormula.evaluateConditions(node.entryConditions, context).result) {
+        return { connector: null, notRun: true, message: 'The triggering record doesn\'t meet the entry conditions.' };
+      }
+      return { connector: connectors[0] || null, message: '' };
+    }
+
+    if (node.type === 'end') {
+      return { connector: null, message: '' };
+    }
+
+    if (node.type === 'decision') {
+      const outcomeConditions = node.outcomeConditions || {};
+      // Outcomes are checked in order; one without conditions never matches
+      const outcome = connectors.find(connector => {
+        const condition = outcomeConditions[connector.id];
+        return connector.type === 'outcome' && condition && (condition.conditions || []).length > 0 &&
+          FlowFormula.evaluateConditions(condition, context).result;
+      });
+      const connector = outcome || connectors.find(c => c.type === 'default') || null;
+      return { connector, message: connector ? `Took the "${connector.label}" outcome.` : '' };
+    }
+
+    if (node.type === 'loop') {
+      return this.runLoop(node, state, context);
+    }
+
+    const changes = this.runRecordElement(node, state, context);
+    return { connector: this.graph.getContinuationConnector(node.id), message: '', changes };
+  }
+
+  // Each visit of a loop hands out the next item; the back-edge brings the run back here
+  runLoop(node, state, context) {
+    let loop = state.loops[node.id];
+    if (!loop) {
+      const reference = FlowFormula.getMergeFieldName(node.collection) || node.collection;
+      const items = reference ? FlowFormula.resolve(reference, context) : null;
+      if (items !== null && !Array.isArray(items)) {
+        throw new Error(`Loop "${node.title || node.id}": ${node.collection} isn't a collection.`);
+      }
+      loop = { items: [...(items || [])], index: 0 };
+      if (node.iterationOrder === 'Desc') loop.items.reverse();
+      state.loops[node.id] = loop;
+    }
+
+    if (loop.index < loop.items.length) {
+      const currentItem = loop.items[loop.index++];
+      state.elementOutputs[node.id] = { currentItem };
+      return {
+        connector: this.graph.getLoopBodyConnector(node.id),
+        message: `Item ${loop.index} of ${loop.items.length}.`
+      };
+    }
+
+    // Done: a later visit (e.g. from an outer loop) starts over
+    delete state.loops[node.id];
+    return { connector: this.graph.getContinuationConnector(node.id), message: `Finished ${loop.items.length} items.` };
+  }
+
+  // Create, update, action and other elements: their outputs are the mocked outputs.
+  // Create and update return the field values they write ({ Field: value }), or null.
+  // Updating the triggering object changes the triggering record for the rest of the run
+  runRecordElement(node, state, context) {
+    state.elementOutputs[node.id] = this.getMockedOutputs(node);
+    if (node.type !== 'create' && node.type !== 'update') return null;
+
+    const filters = node.filters || {};
+    if (node.type === 'update' && (filters.conditions || []).length > 0 &&
+        !FlowFormula.evaluateConditions(filters, context).result) {
+      return null;
+    }
+
+    const changes = {};
+    (node.fieldValues || []).forEach(({ field, value }) => {
+      if (!field) return;
+      const mergeField = FlowFormula.getMergeFieldName(value);
+      changes[String(field).split('.').pop()] = mergeField
+        ? FlowFormula.resolve(mergeField, context)
+        : FlowFormula.interpolate(value, context);
+    });
+    if (node.type === 'update' && node.object && node.object === state.triggerObject) {
+      Object.assign(state.record, changes);
+    }
+    return changes;
+  }
+
+  // The values an element's mocked outputs give, or {} when they aren't mocked.
+  // Read like the Outputs tab reads them (see FlowMockOutputs.getValues())
+  getMockedOutputs(node) {
+    const mocked = this.outputs[node.id];
+    if (!mocked || !mocked.mockOutputs) return {};
+
+    try {
+      return FlowMockOutputs.getValues(mocked);
+    } catch (e) {
+      const title = node.title || node.id;
+      throw new Error(e instanceof SyntaxError
+        ? `"${title}" has mocked outputs that aren't valid JSON: ${e.message}`
+        : `"${title}" has mocked outputs that aren't valid. ${e.message}`);
+    }
+  }
+
+  // The FlowFormula context for the run's current state
+  createContext(state) {
+    const context = {
+      now: state.now,
+      resolve: (reference) => this.resolve(reference, state, context),
+      getType: (reference) => this.resources.getReferenceType(reference) || 'Any',
+      isChanged: (reference) => {
+        if (!state.priorRecord) return false;
+        const [, ...fields] = String(reference).split('.');
+        return !FlowFormula.equals(
+          FlowInterpreter.getField(state.record, fields),
+          FlowInterpreter.getField(state.priorRecord, fields)
+        );
+      }
+    };
+    return context;
+  }
+
+  // A merge field's value: $Record, $Record__Prior and Object.Field (the triggering
+  // object) read the triggering record; then $Flow globals, resources and element outputs
+  resolve(reference, state, context) {
+    const [name, ...fields] = String(reference).split('.');
+    const key = name.toLowerCase();
+
+    if (key === '$record' || (state.triggerObject && key === state.triggerObject.toLowerCase())) {
+      return FlowInterpreter.getField(state.record, fields);
+    }
+    if (key === '$record__prior') {
+      return FlowInterpreter.getField(state.priorRecord, fields);
+    }
+    if (key === '$flow') {
+      return this.resolveGlobal(fields.join('.'), state);
+    }
+
+    const resource = this.resources.get(name);
+    if (resource) {
+      return FlowInterpreter.getField(this.getResourceValue(resource, state, context), fields);
+    }
+
+    const node = this.graph.nodes.find(n => (n.apiName || n.id).toLowerCase() === key);
+    if (node && state.elementOutputs[node.id]) {
+      return FlowInterpreter.getField(state.elementOutputs[node.id], fields);
+    }
+    return undefined;
+  }
+
+  resolveGlobal(name, state) {
+    switch (name) {
+      case 'CurrentDate': return FlowFormula.today({ now: state.now });
+      case 'CurrentDateTime': return new Date(state.now);
+      case 'FaultMessage': return state.faultMessage;
+      case 'CurrentRecord': return FlowInterpreter.getField(state.record, ['Id']);
+      case 'InterviewGuid': return 'local-run';
+      default: return undefined;
+    }
+  }
+
+  // Inputs win over a resource's default value; formulas are evaluated on every read
+  getResourceValue(resource, state, context) {
+    const type = resource.resourceType === 'recordCollection' || resource.dataType === 'SObject'
+      ? null
+      : FlowFormula.typeFromDataType(resource.dataType);
+    const input = Object.keys(state.inputs).find(name => name.toLowerCase() === resource.name.toLowerCase());
+    if (input !== undefined) return FlowFormula.toType(state.inputs[input], type);
+
+    if (resource.resourceType === 'formula') {
+      return FlowFormula.evaluate(resource.value || '', context);
+    }
+    const mergeField = FlowFormula.getMergeFieldName(resource.value);
+    const value = mergeField ? FlowFormula.resolve(mergeField, context) : resource.value;
+    return FlowFormula.toType(value === '' ? null : value, type);
+  }
+
+  // Field names are case-insensitive, as in Salesforce
+  static getField(value, fields) {
+    return fields.reduce((current, field) => {
+      if (current === null || current === undefined || typeof current !== 'object') return undefined;
+      if (field in current) return current[field];
+      const key = Object.keys(current).find(name => name.toLowerCase() === field.toLowerCase());
+      return key === undefined ? undefined : current[key];
+    }, value);
+  }
+
+  static clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+}
+
+// Guards against loops whose collection never runs out (e.g. a back-edge around a decision)
+FlowInterpreter.MAX_STEPS = 2000;
+
+// Element types the interpreter runs itself; every other element returns its mocked outputs
+FlowInterpreter.BUILT_IN_TYPES = ['start', 'end', 'decision', 'loop'];
+
+// Keys of a node's mocked outputs entry that are panel settings, not output values
+FlowInterpreter.MOCK_SETTINGS = ['mockOutputs', 'viewMode', 'value', 'overridden'];
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowInterpreter = FlowInterpreter;
+}
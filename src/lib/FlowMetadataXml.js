@@ -0,0 +1,814 @@
+/**
+ * Flow Metadata XML
+ * Converts Salesforce Flow metadata (.flow-meta.xml) to and from flow documents.
+ * Start, Create Records, Update Records, Action, Decision and Loop elements become
+ * canvas nodes with the settings their property schema edits (see readSettings());
+ * what the canvas doesn't model stays in the node's metadataXml. Any other element
+ * becomes an opaque node that keeps its original XML, so it is written back unchanged.
+ * Variables, constants and formulas become resources (see FlowResources)
+ */
+class FlowMetadataXml {
+  // Returns a flow document (see FlowDocument), or throws a FlowDocumentError.
+  // options.apiName: the flow's API name, which only the file name records
+  // options.registry: element types to map metadata elements to (FlowElementRegistry.default)
+  static parse(xmlText, options = {}) {
+    const registry = options.registry || FlowElementRegistry.default;
+    if (typeof xmlText !== 'string' || xmlText.trim() === '') {
+      throw new FlowDocumentError('Flow metadata is empty');
+    }
+
+    const xml = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const parseError = xml.getElementsByTagName('parsererror')[0];
+    if (parseError) {
+      throw new FlowDocumentError('Flow metadata is not valid XML', [parseError.textContent.trim()]);
+    }
+    const root = xml.documentElement;
+    if (!root || root.localName !== 'Flow') {
+      throw new FlowDocumentError('Flow metadata must have a <Flow> root element');
+    }
+
+    const metadata = { label: '', apiName: options.apiName || '', description: '', unmodeledXml: [] };
+    const elements = [];
+    const resources = [];
+    let startElement = null;
+
+    FlowMetadataXml.childElements(root).forEach(el => {
+      const tag = el.localName;
+      if (FlowMetadataXml.HEADER_FIELDS.includes(tag)) {
+        metadata[tag] = el.textContent;
+      } else if (tag === 'start') {
+        startElement = el;
+      } else if (FlowMetadataXml.RESOURCE_TAGS.includes(tag)) {
+        resources.push(FlowMetadataXml.readResource(el));
+      } else if (FlowMetadataXml.SUPPORTED_TAGS.includes(tag) || FlowMetadataXml.getChild(el, 'locationX')) {
+        // Anything placed on the canvas has a location; resources (variables, formulas, ...) don't
+        elements.push(el);
+      } else {
+        metadata.unmodeledXml.push(FlowMetadataXml.formatElement(el));
+      }
+    });
+
+    // Record-triggered flows refer to the triggering record as $Record; the canvas uses Object.Field
+    const startObject = startElement ? FlowMetadataXml.getChildText(startElement, 'object') : null;
+    const taken = new Set(elements.map(el => FlowMetadataXml.getChildText(el, 'name')));
+    const startId = FlowMetadataXml.uniqueName('start', taken);
+    const endId = FlowMetadataXml.uniqueName('end', taken);
+    let usesEnd = false;
+
+    // Salesforce ends a path by leaving its connector out; the canvas ends it at an End element
+    const target = (el, tag) => {
+      const reference = FlowMetadataXml.getChildText(FlowMetadataXml.getChild(el, tag), 'targetReference');
+      if (reference) return reference;
+      usesEnd = true;
+      return endId;
+    };
+
+    const nodes = [];
+    if (startElement) {
+      nodes.push(registry.createNode('start', {
+        id: startId,
+        title: FlowMetadataXml.getStartTitle(startElement, metadata.processType),
+        position: FlowMetadataXml.getLocation(startElement),
+        metadataXml: FlowMetadataXml.formatElement(startElement),
+        connectors: [{ id: FlowGraph.createConnectorId(startId, 'next'), type: 'next', target: target(startElement, 'connector') }],
+        ...FlowMetadataXml.readSettings('start', startElement, startObject)
+      }));
+    }
+
+    elements.forEach(el => {
+      const tag = el.localName;
+      const name = FlowMetadataXml.getChildText(el, 'name');
+      const definition = FlowMetadataXml.SUPPORTED_TAGS.includes(tag) ? registry.findByMetadataTag(tag) : null;
+      const node = registry.createNode(definition ? definition.type : 'opaque', {
+        id: name,
+        apiName: name,
+        title: FlowMetadataXml.getChildText(el, 'label') || name,
+        position: FlowMetadataXml.getLocation(el),
+        metadataType: tag,
+        metadataXml: FlowMetadataXml.formatElement(el),
+        connectors: []
+      });
+      if (!definition) {
+        node.subtitle = FlowMetadataXml.OPAQUE_LABELS[tag] || tag;
+      } else {
+        Object.assign(node, FlowMetadataXml.readSettings(tag, el, startObject));
+      }
+
+      if (tag === 'decisions') {
+        FlowMetadataXml.getChildren(el, 'rules').forEach(rule => {
+          const ruleName = FlowMetadataXml.getChildText(rule, 'name');
+          node.connectors.push({
+            id: FlowGraph.createConnectorId(name, `outcome-${ruleName}`),
+            type: 'outcome',
+            label: FlowMetadataXml.getChildText(rule, 'label') || ruleName,
+            ruleName,
+            target: target(rule, 'connector')
+          });
+        });
+        node.connectors.push({
+          id: FlowGraph.createConnectorId(name, 'default'),
+          type: 'default',
+          label: FlowMetadataXml.getChildText(el, 'defaultConnectorLabel') || 'Default Outcome',
+          target: target(el, 'defaultConnector')
+        });
+      } else if (tag === 'loops') {
+        // An empty loop body goes straight back to the loop
+        const body = FlowMetadataXml.getChildText(FlowMetadataXml.getChild(el, 'nextValueConnector'), 'targetReference');
+        node.connectors.push(
+          { id: FlowGraph.createConnectorId(name, 'for-each'), type: 'for-each', label: 'For Each', target: body || name },
+          { id: FlowGraph.createConnectorId(name, 'after-last'), type: 'after-last', label: 'After Last', target: target(el, 'noMoreValuesConnector') }
+        );
+      } else {
+        // Only the main connector is drawn; fault and other connectors stay in metadataXml
+        node.connectors.push({ id: FlowGraph.createConnectorId(name, 'next'), type: 'next', target: target(el, 'connector') });
+      }
+
+      nodes.push(node);
+    });
+
+    if (usesEnd) {
+      nodes.push(registry.createNode('end', { id: endId, subtitle: '', connectors: [] }));
+    }
+
+    // Flows built in auto-layout store every element at the same location: lay them out afresh
+    const positioned = nodes.filter(node => node.position);
+    const stacked = positioned.every(node =>
+      node.position.x === positioned[0].position.x && node.position.y === positioned[0].position.y
+    );
+    nodes.forEach(node => {
+      if (!node.position || stacked) delete node.position;
+    });
+
+    return FlowDocument.parse(FlowDocument.create({ metadata, nodes, resources }));
+  }
+
+  // Returns the .flow-meta.xml text for a flow document, or throws a FlowDocumentError
+  static serialize(input, options = {}) {
+    const registry = options.registry || FlowElementRegistry.default;
+    const doc = FlowDocument.parse(input);
+    const metadata = doc.metadata;
+    const nodesById = {};
+    doc.nodes.forEach(node => { nodesById[node.id] = node; });
+
+    const startNode = doc.nodes.find(node => node.type === 'start');
+    const startObject = (startNode && startNode.object) || null;
+    const taken = new Set(doc.resources.map(resource => resource.name));
+    const apiNames = FlowMetadataXml.getApiNames(doc.nodes, taken);
+    // Decision rules share the element namespace
+    doc.nodes.forEach(node => {
+      (node.connectors || []).forEach(connector => {
+        if (connector.ruleName) taken.add(connector.ruleName);
+      });
+    });
+    const targetName = (connector) => {
+      const targetNode = connector && connector.target ? nodesById[connector.target] : null;
+      return targetNode && apiNames[targetNode.id] ? apiNames[targetNode.id] : null;
+    };
+
+    const xml = new DOMParser().parseFromString(`<Flow xmlns="${FlowMetadataXml.NAMESPACE}"/>`, 'application/xml');
+    const entries = [];
+    const errors = [];
+    const writtenRules = new Set();
+
+    doc.nodes.forEach(node => {
+      if (node.type === 'end') return;
+
+      const definition = registry.get(node.type);
+      const tag = node.type === 'start' ? 'start' : (node.metadataType || (definition && definition.metadataTag));
+      if (!tag) {
+        errors.push(`Element "${node.id}" of type "${node.type}" has no Flow metadata equivalent`);
+        return;
+      }
+
+      const el = node.metadataXml
+        ? xml.importNode(FlowMetadataXml.parseFragment(node.metadataXml), true)
+        : xml.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+
+      if (tag !== 'start') {
+        FlowMetadataXml.setChildText(el, 'name', apiNames[node.id]);
+        FlowMetadataXml.setChildText(el, 'label', node.title || apiNames[node.id]);
+      }
+      const position = node.position || { x: 0, y: 0 };
+      FlowMetadataXml.setChildText(el, 'locationX', String(Math.round(position.x)));
+      FlowMetadataXml.setChildText(el, 'locationY', String(Math.round(position.y)));
+
+      if (tag === 'start' || FlowMetadataXml.SUPPORTED_TAGS.includes(tag)) {
+        FlowMetadataXml.writeSettings(tag, el, node, startObject);
+      }
+
+      const connectors = node.connectors || [];
+      if (tag === 'decisions') {
+        FlowMetadataXml.writeDecisionRules(el, connectors.filter(c => c.type === 'outcome'), targetName, taken, writtenRules,
+          { conditions: node.outcomeConditions, startObject });
+        const defaultConnector = connectors.find(c => c.type === 'default');
+        FlowMetadataXml.setConnector(el, 'defaultConnector', targetName(defaultConnector));
+        FlowMetadataXml.setChildText(el, 'defaultConnectorLabel', (defaultConnector && defaultConnector.label) || 'Default Outcome');
+      } else if (tag === 'loops') {
+        const body = connectors.find(c => c.type === 'for-each');
+        FlowMetadataXml.setConnector(el, 'nextValueConnector', body && body.target !== node.id ? targetName(body) : null);
+        FlowMetadataXml.setConnector(el, 'noMoreValuesConnector', targetName(connectors.find(c => c.type === 'after-last')));
+      } else {
+        FlowMetadataXml.setConnector(el, 'connector', targetName(connectors.find(c => c.type === 'next')));
+      }
+
+      entries.push({ tag, xml: FlowMetadataXml.formatElement(el, 1) });
+    });
+
+    doc.resources.forEach(resource => {
+      const el = FlowMetadataXml.writeResource(xml, resource);
+      entries.push({ tag: el.localName, xml: FlowMetadataXml.formatElement(el, 1) });
+    });
+
+    if (errors.length > 0) {
+      throw new FlowDocumentError('Flow cannot be written as Flow metadata', errors);
+    }
+
+    const header = {
+      apiVersion: metadata.apiVersion || FlowMetadataXml.DEFAULT_API_VERSION,
+      description: metadata.description,
+      label: metadata.label || metadata.apiName || 'Flow',
+      processType: metadata.processType || 'AutoLaunchedFlow',
+      status: metadata.status || 'Draft'
+    };
+    Object.keys(header).forEach(tag => {
+      if (header[tag]) {
+        entries.push({ tag, xml: `    <${tag}>${FlowMetadataXml.escape(header[tag])}</${tag}>` });
+      }
+    });
+
+    (metadata.unmodeledXml || []).forEach(text => {
+      const el = FlowMetadataXml.parseFragment(text);
+      entries.push({ tag: el.localName, xml: FlowMetadataXml.formatElement(el, 1) });
+    });
+
+    // Salesforce writes the Flow's children sorted by tag; same-tag entries keep their order
+    const body = entries
+      .map((entry, index) => ({ ...entry, index }))
+      .sort((a, b) => (a.tag < b.tag ? -1 : a.tag > b.tag ? 1 : a.index - b.index))
+      .map(entry => entry.xml)
+      .join('\n');
+    const xsi = body.includes(' xsi:') ? ` xmlns:xsi="${FlowMetadataXml.XSI_NAMESPACE}"` : '';
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<Flow xmlns="${FlowMetadataXml.NAMESPACE}"${xsi}>\n${body}\n</Flow>\n`;
+  }
+
+  // Rewrite a decision's <rules> in outcome order with the outcome's conditions
+  // (options.conditions: the node's outcomeConditions); an outcome without them keeps
+  // its rule's conditions, and one added on the canvas gets a condition-less rule.
+  // writtenRules holds the rule names already used, e.g. by a pasted copy of the decision
+  static writeDecisionRules(el, outcomes, targetName, taken, writtenRules, options = {}) {
+    const conditions = options.conditions || {};
+    const existing = {};
+    FlowMetadataXml.getChildren(el, 'rules').forEach(rule => {
+      existing[FlowMetadataXml.getChildText(rule, 'name')] = rule;
+      el.removeChild(rule);
+    });
+
+    outcomes.forEach(outcome => {
+      let rule = outcome.ruleName ? existing[outcome.ruleName] : null;
+      let ruleName = rule ? outcome.ruleName : null;
+      if (!ruleName || writtenRules.has(ruleName)) {
+        ruleName = FlowMetadataXml.uniqueName(FlowMetadataXml.toApiName(outcome.label || 'Outcome'), taken);
+        taken.add(ruleName);
+      }
+      if (!rule) {
+        rule = el.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, 'rules');
+        FlowMetadataXml.setChildText(rule, 'conditionLogic', 'and');
+      }
+      writtenRules.add(ruleName);
+      if (conditions[outcome.id]) {
+        FlowMetadataXml.writeConditions(rule, conditions[outcome.id], options.startObject);
+      }
+      FlowMetadataXml.setChildText(rule, 'name', ruleName);
+      FlowMetadataXml.setConnector(rule, 'connector', targetName(outcome));
+      FlowMetadataXml.setChildText(rule, 'label', outcome.label || ruleName);
+      FlowMetadataXml.insertChild(el, rule);
+    });
+  }
+
+  // The node properties a supported element's metadata sets (see the property schemas in
+  // FlowElementRegistry); settings the element doesn't have are left out. startObject is
+  // the triggering object: $Record.Field references become Object.Field
+  static readSettings(tag, el, startObject = null) {
+    const text = (child) => FlowMetadataXml.getChildText(el, child);
+    const has = (child) => !!FlowMetadataXml.getChild(el, child);
+    const settings = {};
+
+    if (tag === 'start') {
+      if (has('object')) settings.object = text('object');
+      if (has('recordTriggerType')) settings.triggerType = text('recordTriggerType');
+      if (has('filters')) settings.entryConditions = FlowMetadataXml.readFilters(el, settings.object);
+    } else if (tag === 'decisions') {
+      const name = text('name');
+      settings.outcomeConditions = {};
+      FlowMetadataXml.getChildren(el, 'rules').forEach(rule => {
+        const connectorId = FlowGraph.createConnectorId(name, `outcome-${FlowMetadataXml.getChildText(rule, 'name')}`);
+        settings.outcomeConditions[connectorId] = FlowMetadataXml.readConditions(rule, startObject);
+      });
+    } else if (tag === 'loops') {
+      if (has('collectionReference')) settings.collection = FlowResources.createMergeField(text('collectionReference'));
+      if (has('iterationOrder')) settings.iterationOrder = text('iterationOrder');
+    } else if (tag === 'recordCreates' || tag === 'recordUpdates') {
+      // Updating the triggering record ($Record) updates the start's object
+      const object = has('object') ? text('object') : (text('inputReference') === '$Record' ? startObject : null);
+      if (object) settings.object = object;
+      if (has('inputAssignments')) {
+        settings.fieldValues = FlowMetadataXml.getChildren(el, 'inputAssignments').map(row => ({
+          field: FlowMetadataXml.toCanvasField(FlowMetadataXml.getChildText(row, 'field'), object),
+          value: FlowMetadataXml.readValue(row)
+        }));
+      }
+      if (tag === 'recordUpdates' && has('filters')) settings.filters = FlowMetadataXml.readFilters(el, object);
+    } else if (tag === 'actionCalls') {
+      if (has('actionName')) settings.actionName = text('actionName');
+      if (has('actionType')) settings.actionType = text('actionType');
+      if (has('inputParameters')) {
+        settings.inputParameters = FlowMetadataXml.getChildren(el, 'inputParameters').map(row => ({
+          name: FlowMetadataXml.getChildText(row, 'name') || '',
+          value: FlowMetadataXml.readValue(row)
+        }));
+      }
+      if (has('storeOutputAutomatically')) settings.storeOutputAutomatically = text('storeOutputAutomatically') === 'true';
+    }
+    return settings;
+  }
+
+  // Write the node's settings (see readSettings()) into the element. A setting the node
+  // doesn't have, or that is unchanged, keeps its XML; decision conditions are written
+  // with the rules (see writeDecisionRules())
+  static writeSettings(tag, el, node, startObject = null) {
+    const before = FlowMetadataXml.readSettings(tag, el, startObject);
+    const changed = (property) => node[property] !== undefined &&
+      FlowMetadataXml.stringify(node[property]) !== FlowMetadataXml.stringify(before[property]);
+    const setOrRemove = (child, value) => {
+      if (value !== undefined && value !== null && value !== '') {
+        FlowMetadataXml.setChildText(el, child, String(value));
+      } else if (FlowMetadataXml.getChild(el, child)) {
+        el.removeChild(FlowMetadataXml.getChild(el, child));
+      }
+    };
+
+    if (tag === 'start') {
+      if (changed('object')) setOrRemove('object', node.object);
+      if (changed('triggerType')) setOrRemove('recordTriggerType', node.triggerType);
+      if (changed('entryConditions') || changed('object')) FlowMetadataXml.writeFilters(el, node.entryConditions || before.entryConditions, node.object);
+    } else if (tag === 'loops') {
+      if (changed('collection')) setOrRemove('collectionReference', FlowFormula.getMergeFieldName(node.collection) || node.collection);
+      if (changed('iterationOrder')) setOrRemove('iterationOrder', node.iterationOrder);
+    } else if (tag === 'recordCreates' || tag === 'recordUpdates') {
+      const object = node.object !== undefined ? node.object : before.object;
+      if (changed('object')) {
+        // A different object than the triggering record's is looked up by <object>
+        if (FlowMetadataXml.getChild(el, 'inputReference')) el.removeChild(FlowMetadataXml.getChild(el, 'inputReference'));
+        setOrRemove('object', node.object);
+      }
+      if (changed('fieldValues') || changed('object')) {
+        FlowMetadataXml.writeRows(el, 'inputAssignments', (node.fieldValues || before.fieldValues || []).map(row => ({
+          field: FlowMetadataXml.toMetadataField(row.field, object),
+          value: row.value
+        })));
+      }
+      if (tag === 'recordUpdates' && (changed('filters') || changed('object'))) {
+        FlowMetadataXml.writeFilters(el, node.filters || before.filters, object);
+      }
+    } else if (tag === 'actionCalls') {
+      if (changed('actionName')) setOrRemove('actionName', node.actionName);
+      if (changed('actionType')) setOrRemove('actionType', node.actionType);
+      if (changed('inputParameters')) FlowMetadataXml.writeRows(el, 'inputParameters', node.inputParameters);
+      if (changed('storeOutputAutomatically')) setOrRemove('storeOutputAutomatically', String(!!node.storeOutputAutomatically));
+    }
+  }
+
+  // A decision rule's <conditionLogic> and <conditions> as a condition value:
+  // { logic: 'and' | 'or' | 'custom', customLogic, conditions: [{ left, operator, right }] }
+  static readConditions(rule, startObject = null) {
+    return {
+      ...FlowMetadataXml.readLogic(FlowMetadataXml.getChildText(rule, 'conditionLogic')),
+      conditions: FlowMetadataXml.getChildren(rule, 'conditions').map(row => {
+        const operator = FlowMetadataXml.getChildText(row, 'operator') || '';
+        return {
+          left: FlowMetadataXml.toCanvasReference(FlowMetadataXml.getChildText(row, 'leftValueReference') || '', startObject),
+          operator,
+          right: FlowMetadataXml.UNARY_OPERATORS.includes(operator) ? '' : FlowMetadataXml.readValue(row, 'rightValue')
+        };
+      })
+    };
+  }
+
+  // Unchanged conditions keep their XML
+  static writeConditions(rule, condition, startObject = null) {
+    const before = FlowMetadataXml.readConditions(rule, startObject);
+    const after = { logic: condition.logic || 'and', customLogic: condition.logic === 'custom' ? condition.customLogic || '' : '', conditions: condition.conditions || [] };
+    if (FlowMetadataXml.stringify(before) === FlowMetadataXml.stringify(after)) return;
+
+    const previous = FlowMetadataXml.getChildren(rule, 'conditions');
+    previous.forEach(row => rule.removeChild(row));
+    FlowMetadataXml.setChildText(rule, 'conditionLogic', after.logic === 'custom' ? after.customLogic : after.logic);
+    after.conditions.forEach((item, index) => {
+      const row = rule.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, 'conditions');
+      FlowMetadataXml.setChildText(row, 'leftValueReference', FlowMetadataXml.toMetadataReference(item.left, startObject));
+      FlowMetadataXml.setChildText(row, 'operator', item.operator || 'EqualTo');
+      FlowMetadataXml.writeOperand(row, 'rightValue', item, FlowMetadataXml.getChild(previous[index], 'rightValue'));
+      FlowMetadataXml.insertChild(rule, row);
+    });
+  }
+
+  // Record filters (<filterLogic> and <filters> of the start's entry conditions or an
+  // update) as a condition value; filter fields are fields of object
+  static readFilters(el, object) {
+    return {
+      ...FlowMetadataXml.readLogic(FlowMetadataXml.getChildText(el, 'filterLogic')),
+      conditions: FlowMetadataXml.getChildren(el, 'filters').map(row => {
+        const operator = FlowMetadataXml.getChildText(row, 'operator') || '';
+        return {
+          left: FlowMetadataXml.toCanvasField(FlowMetadataXml.getChildText(row, 'field') || '', object),
+          operator,
+          right: FlowMetadataXml.UNARY_OPERATORS.includes(operator) ? '' : FlowMetadataXml.readValue(row)
+        };
+      })
+    };
+  }
+
+  // Without conditions the filters and their logic are removed
+  static writeFilters(el, condition, object) {
+    const previous = FlowMetadataXml.getChildren(el, 'filters');
+    previous.forEach(row => el.removeChild(row));
+    const rows = (condition && condition.conditions) || [];
+    if (rows.length === 0) {
+      const logic = FlowMetadataXml.getChild(el, 'filterLogic');
+      if (logic) el.removeChild(logic);
+      return;
+    }
+    FlowMetadataXml.setChildText(el, 'filterLogic', condition.logic === 'custom' ? condition.customLogic || '' : condition.logic || 'and');
+    rows.forEach((filter, index) => {
+      const row = el.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, 'filters');
+      FlowMetadataXml.setChildText(row, 'field', FlowMetadataXml.toMetadataField(filter.left, object));
+      FlowMetadataXml.setChildText(row, 'operator', filter.operator || 'EqualTo');
+      FlowMetadataXml.writeOperand(row, 'value', filter, FlowMetadataXml.getChild(previous[index], 'value'));
+      FlowMetadataXml.insertChild(el, row);
+    });
+  }
+
+  // 'and', 'or' or custom logic such as "1 AND (2 OR 3)"
+  static readLogic(text) {
+    const logic = (text || 'and').trim();
+    if (/^(and|or)$/i.test(logic)) return { logic: logic.toLowerCase(), customLogic: '' };
+    return { logic: 'custom', customLogic: logic };
+  }
+
+  // Replace the element's rows (<inputAssignments> { field, value } or <inputParameters>
+  // { name, value }); a row whose value is unchanged keeps its typed <value>
+  static writeRows(el, tag, rows = []) {
+    const keyTag = tag === 'inputAssignments' ? 'field' : 'name';
+    const previous = FlowMetadataXml.getChildren(el, tag);
+    previous.forEach(row => el.removeChild(row));
+    rows.forEach((item, index) => {
+      const row = el.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+      FlowMetadataXml.setChildText(row, keyTag, item[keyTag] || '');
+      const value = FlowMetadataXml.createValue(row.ownerDocument, 'value', item.value, FlowMetadataXml.getChild(previous[index], 'value'));
+      if (value) FlowMetadataXml.insertChild(row, value);
+      FlowMetadataXml.insertChild(el, row);
+    });
+  }
+
+  // A condition's right side. Is Null and Is Changed compare against true
+  static writeOperand(row, tag, condition, previous) {
+    const value = FlowMetadataXml.UNARY_OPERATORS.includes(condition.operator)
+      ? FlowMetadataXml.createValue(row.ownerDocument, tag, 'true', previous, 'booleanValue')
+      : FlowMetadataXml.createValue(row.ownerDocument, tag, condition.right, previous);
+    if (value) FlowMetadataXml.insertChild(row, value);
+  }
+
+  // A <value>-like element holding text: {!name} becomes an <elementReference>, true/false a
+  // <booleanValue>, a number a <numberValue>, anything else a <stringValue>. previous (the
+  // element it replaces) is kept when it holds the same value, e.g. a number as <stringValue>
+  static createValue(xml, tag, text, previous = null, valueTag = null) {
+    if (text === undefined || text === null || text === '') return null;
+    const value = String(text);
+    if (previous && FlowMetadataXml.readValueElement(previous) === value) {
+      return xml.importNode(previous, true);
+    }
+    const el = xml.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+    const reference = FlowFormula.getMergeFieldName(value);
+    const typeTag = valueTag || (reference ? 'elementReference'
+      : /^(true|false)$/.test(value) ? 'booleanValue'
+      : /^-?\d+(\.\d+)?$/.test(value) ? 'numberValue' : 'stringValue');
+    FlowMetadataXml.setChildText(el, typeTag, reference || value);
+    return el;
+  }
+
+  // $Record.Field -> Object.Field when the triggering object is known; other references
+  // (resources, element outputs) -> {!reference}
+  static toCanvasReference(reference, startObject) {
+    if (!reference) return '';
+    const record = /^\$Record\.(.+)$/.exec(reference);
+    if (record && startObject) return `${startObject}.${record[1]}`;
+    if (reference.startsWith('$Record')) return reference;
+    return FlowResources.createMergeField(reference);
+  }
+
+  static toMetadataReference(left, startObject) {
+    const mergeField = FlowFormula.getMergeFieldName(left);
+    if (mergeField) return mergeField;
+    if (startObject && String(left).startsWith(`${startObject}.`)) return `$Record.${String(left).slice(startObject.length + 1)}`;
+    return left || '';
+  }
+
+  // Record fields are Object.Field on the canvas and the bare field name in metadata
+  static toCanvasField(field, object) {
+    return object && field ? `${object}.${field}` : field || '';
+  }
+
+  static toMetadataField(field, object) {
+    const text = String(field || '');
+    if (object && text.startsWith(`${object}.`)) return text.slice(object.length + 1);
+    return text.split('.').pop();
+  }
+
+  // JSON with object keys sorted, to compare settings
+  static stringify(value) {
+    if (value === undefined) return 'undefined';
+    return JSON.stringify(value, (key, item) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+      const sorted = {};
+      Object.keys(item).sort().forEach(name => {
+        sorted[name] = item[name];
+      });
+      return sorted;
+    });
+  }
+
+  // A <variables>, <constants> or <formulas> element as a resource; the element
+  // is kept in metadataXml so settings the resource doesn't model are written back
+  static readResource(el) {
+    const tag = el.localName;
+    const text = (child) => FlowMetadataXml.getChildText(el, child);
+    const dataType = text('dataType') || 'String';
+    const resource = {
+      resourceType: tag === 'constants' ? 'constant' : tag === 'formulas' ? 'formula' : 'variable',
+      name: text('name') || '',
+      dataType,
+      description: text('description') || ''
+    };
+
+    if (tag === 'variables') {
+      if (dataType === 'SObject' && text('isCollection') === 'true') resource.resourceType = 'recordCollection';
+      if (text('objectType')) resource.objectType = text('objectType');
+      resource.isInput = text('isInput') === 'true';
+      resource.isOutput = text('isOutput') === 'true';
+    }
+    if (tag === 'formulas') {
+      resource.value = text('expression') || '';
+    } else if (FlowMetadataXml.readValue(el) !== '') {
+      resource.value = FlowMetadataXml.readValue(el);
+    }
+    resource.metadataXml = FlowMetadataXml.formatElement(el);
+    return resource;
+  }
+
+  static writeResource(xml, resource) {
+    const tag = resource.resourceType === 'constant' ? 'constants'
+      : resource.resourceType === 'formula' ? 'formulas' : 'variables';
+    const el = resource.metadataXml
+      ? xml.importNode(FlowMetadataXml.parseFragment(resource.metadataXml), true)
+      : xml.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+    const setOrRemove = (child, value) => {
+      if (value) {
+        FlowMetadataXml.setChildText(el, child, value);
+      } else if (FlowMetadataXml.getChild(el, child)) {
+        el.removeChild(FlowMetadataXml.getChild(el, child));
+      }
+    };
+
+    FlowMetadataXml.setChildText(el, 'name', resource.name);
+    FlowMetadataXml.setChildText(el, 'dataType', resource.dataType || 'String');
+    setOrRemove('description', resource.description);
+
+    if (tag === 'variables') {
+      // Collections of other data types are only kept from imported metadata
+      if (resource.resourceType === 'recordCollection') {
+        FlowMetadataXml.setChildText(el, 'isCollection', 'true');
+      } else if (!FlowMetadataXml.getChild(el, 'isCollection')) {
+        FlowMetadataXml.setChildText(el, 'isCollection', 'false');
+      }
+      FlowMetadataXml.setChildText(el, 'isInput', String(!!resource.isInput));
+      FlowMetadataXml.setChildText(el, 'isOutput', String(!!resource.isOutput));
+      setOrRemove('objectType', resource.dataType === 'SObject' ? resource.objectType : null);
+    }
+
+    if (tag === 'formulas') {
+      FlowMetadataXml.setChildText(el, 'expression', resource.value || '');
+    } else if ((resource.value || '') !== FlowMetadataXml.readValue(el)) {
+      // An unchanged value keeps its XML, e.g. <value xsi:nil="true"/>
+      const existing = FlowMetadataXml.getChild(el, 'value');
+      if (existing) el.removeChild(existing);
+      if (resource.value) {
+        const reference = /^\{!([^}]+)\}$/.exec(resource.value);
+        const value = xml.createElementNS(FlowMetadataXml.NAMESPACE, 'value');
+        FlowMetadataXml.setChildText(value, reference ? 'elementReference' : FlowMetadataXml.getValueTag(resource.dataType),
+          reference ? reference[1].trim() : resource.value);
+        FlowMetadataXml.insertChild(el, value);
+      }
+    }
+    return el;
+  }
+
+  // <value> (or tag, e.g. <rightValue>) holds one typed child (<stringValue>, <numberValue>,
+  // ...) or an <elementReference>, which is read as a {!name} merge field
+  static readValue(el, tag = 'value') {
+    return FlowMetadataXml.readValueElement(FlowMetadataXml.getChild(el, tag));
+  }
+
+  static readValueElement(valueEl) {
+    const valueChild = FlowMetadataXml.childElements(valueEl)[0];
+    if (!valueChild) return '';
+    return valueChild.localName === 'elementReference'
+      ? FlowResources.createMergeField(valueChild.textContent)
+      : valueChild.textContent;
+  }
+
+  static getValueTag(dataType) {
+    return { Number: 'numberValue', Currency: 'numberValue', Boolean: 'booleanValue', Date: 'dateValue', DateTime: 'dateTimeValue' }[dataType] || 'stringValue';
+  }
+
+  static getStartTitle(startElement, processType) {
+    const triggerType = FlowMetadataXml.getChildText(startElement, 'triggerType');
+    if (triggerType === 'RecordAfterSave' || triggerType === 'RecordBeforeSave' || triggerType === 'RecordBeforeDelete') {
+      return 'Record-Triggered Flow';
+    }
+    if (triggerType === 'Scheduled') return 'Schedule-Triggered Flow';
+    if (triggerType === 'PlatformEvent') return 'Platform Event-Triggered Flow';
+    if (processType === 'Flow') return 'Screen Flow';
+    return 'Autolaunched Flow';
+  }
+
+  static getLocation(el) {
+    const x = Number(FlowMetadataXml.getChildText(el, 'locationX'));
+    const y = Number(FlowMetadataXml.getChildText(el, 'locationY'));
+    if (!FlowMetadataXml.getChild(el, 'locationX') || !Number.isFinite(x) || !Number.isFinite(y)) return undefined;
+    return { x, y };
+  }
+
+  // nodeId -> the API name the element is written with. Canvas ids ("create-task") aren't
+  // valid API names; imported elements keep their own. taken holds the names already used
+  // (resources share the element namespace) and gets the elements' names added
+  static getApiNames(nodes, taken = new Set()) {
+    const apiNames = {};
+    nodes.forEach(node => {
+      if (node.type === 'start' || node.type === 'end') return;
+      apiNames[node.id] = FlowMetadataXml.uniqueName(FlowMetadataXml.toApiName(node.apiName || node.id), taken);
+      taken.add(apiNames[node.id]);
+    });
+    return apiNames;
+  }
+
+  // "Create Task" becomes "Create_Task"; API names start with a letter and use
+  // letters, digits and single underscores
+  static toApiName(text) {
+    let name = String(text).replace(/[^A-Za-z0-9_]/g, '_').replace(/_+/g, '_').replace(/^_|_$/g, '');
+    if (!name) return 'Element';
+    if (!/^[A-Za-z]/.test(name)) name = `X${name}`;
+    return name;
+  }
+
+  // "Check" becomes "Check_2", then "Check_3", ... when taken
+  static uniqueName(base, taken) {
+    if (!taken.has(base)) return base;
+    let counter = 2;
+    while (taken.has(`${base}_${counter}`)) {
+      counter++;
+    }
+    return `${base}_${counter}`;
+  }
+
+  static childElements(el) {
+    return el ? Array.from(el.childNodes).filter(child => child.nodeType === 1) : [];
+  }
+
+  static getChildren(el, tag) {
+    return FlowMetadataXml.childElements(el).filter(child => child.localName === tag);
+  }
+
+  static getChild(el, tag) {
+    return FlowMetadataXml.getChildren(el, tag)[0] || null;
+  }
+
+  static getChildText(el, tag) {
+    const child = FlowMetadataXml.getChild(el, tag);
+    return child ? child.textContent : null;
+  }
+
+  static setChildText(el, tag, value) {
+    let child = FlowMetadataXml.getChild(el, tag);
+    if (!child) {
+      child = el.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+      FlowMetadataXml.insertChild(el, child);
+    }
+    child.textContent = value;
+  }
+
+  // Point a connector element at targetName, or remove it to end the path there.
+  // An existing connector keeps its other children (e.g. isGoTo)
+  static setConnector(el, tag, targetName) {
+    let connector = FlowMetadataXml.getChild(el, tag);
+    if (!targetName) {
+      if (connector) el.removeChild(connector);
+      return;
+    }
+    if (!connector) {
+      connector = el.ownerDocument.createElementNS(FlowMetadataXml.NAMESPACE, tag);
+      FlowMetadataXml.insertChild(el, connector);
+    }
+    FlowMetadataXml.setChildText(connector, 'targetReference', targetName);
+  }
+
+  // Elements start with the LEADING_TAGS in that order (decision rules only with
+  // their name); the rest are sorted by tag
+  static insertChild(el, child) {
+    const leadingTags = el.localName === 'rules' ? ['name'] : FlowMetadataXml.LEADING_TAGS;
+    const rank = (tag) => {
+      const index = leadingTags.indexOf(tag);
+      return index >= 0 ? [0, index, ''] : [1, 0, tag];
+    };
+    const [group, index, tag] = rank(child.localName);
+    const next = FlowMetadataXml.childElements(el).find(sibling => {
+      const [siblingGroup, siblingIndex, siblingTag] = rank(sibling.localName);
+      if (siblingGroup !== group) return siblingGroup > group;
+      return group === 0 ? siblingIndex > index : siblingTag > tag;
+    });
+    el.insertBefore(child, next || null);
+  }
+
+  // Parse one element written by formatElement
+  static parseFragment(text) {
+    const xml = new DOMParser().parseFromString(
+      `<Flow xmlns="${FlowMetadataXml.NAMESPACE}" xmlns:xsi="${FlowMetadataXml.XSI_NAMESPACE}">${text}</Flow>`,
+      'application/xml'
+    );
+    return FlowMetadataXml.childElements(xml.documentElement)[0];
+  }
+
+  // Indent with four spaces per level, as Salesforce does; whitespace between elements is not kept
+  static formatElement(el, depth = 0) {
+    const indent = '    '.repeat(depth);
+    const tag = el.localName;
+    const attributes = Array.from(el.attributes || [])
+      .filter(attr => attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:'))
+      .map(attr => ` ${attr.name}="${FlowMetadataXml.escape(attr.value).replace(/"/g, '&quot;')}"`)
+      .join('');
+    const children = FlowMetadataXml.childElements(el);
+
+    if (children.length === 0) {
+      const text = el.textContent;
+      return text === ''
+        ? `${indent}<${tag}${attributes}/>`
+        : `${indent}<${tag}${attributes}>${FlowMetadataXml.escape(text)}</${tag}>`;
+    }
+    const inner = children.map(child => FlowMetadataXml.formatElement(child, depth + 1)).join('\n');
+    return `${indent}<${tag}${attributes}>\n${inner}\n${indent}</${tag}>`;
+  }
+
+  static escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+}
+
+FlowMetadataXml.NAMESPACE = 'http://soap.sforce.com/2006/04/metadata';
+FlowMetadataXml.XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+FlowMetadataXml.DEFAULT_API_VERSION = '60.0';
+
+// Flow-level fields kept in the document metadata; every other non-element child
+// of <Flow> that isn't a resource (text templates, choices, ...) is kept verbatim
+// in metadata.unmodeledXml
+FlowMetadataXml.HEADER_FIELDS = ['label', 'description', 'apiVersion', 'processType', 'status'];
+FlowMetadataXml.LEADING_TAGS = ['processMetadataValues', 'name', 'label', 'locationX', 'locationY'];
+
+// Elements with connectors the converter models; each maps to the element type
+// registered with that metadataTag (see FlowElementRegistry)
+FlowMetadataXml.SUPPORTED_TAGS = ['recordCreates', 'recordUpdates', 'actionCalls', 'decisions', 'loops'];
+
+// Condition operators that don't compare against a value; the metadata compares them against true
+FlowMetadataXml.UNARY_OPERATORS = ['IsNull', 'IsChanged'];
+
+// Flow resources read into the document's resources (see FlowResources)
+FlowMetadataXml.RESOURCE_TAGS = ['variables', 'constants', 'formulas'];
+
+// Subtitles for elements that are only carried through as opaque nodes
+FlowMetadataXml.OPAQUE_LABELS = {
+  assignments: 'Assignment',
+  screens: 'Screen',
+  recordLookups: 'Get Records',
+  recordDeletes: 'Delete Records',
+  recordRollbacks: 'Roll Back Records',
+  subflows: 'Subflow',
+  waits: 'Wait',
+  collectionProcessors: 'Collection Processor',
+  customErrors: 'Custom Error',
+  transforms: 'Transform',
+  apexPluginCalls: 'Apex Action'
+};
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowMetadataXml = FlowMetadataXml;
+}
@@ -0,0 +1,142 @@
+/**
+ * Flow Mock Outputs
+ * An element's mocked outputs entry ({ mockOutputs, viewMode, value, overridden, ...values })
+ * against the output shape its type declares (FlowElementRegistry.getOutputs()). The
+ * resource view keeps the values by output name, the code view keeps them as JSON in
+ * value; switching views converts one into the other
+ */
+class FlowMockOutputs {
+  // The output values an entry holds, in the view it is in. Throws when the code
+  // view doesn't hold a JSON object (see fromCode())
+  static getValues(entry = {}) {
+    if (entry.viewMode === 'code') return FlowMockOutputs.fromCode(entry.value);
+
+    const values = {};
+    Object.keys(entry)
+      .filter(key => !FlowInterpreter.MOCK_SETTINGS.includes(key))
+      .forEach(key => {
+        values[key] = entry[key];
+      });
+    return values;
+  }
+
+  // The entry in the other view, holding the same values. Throws when they can't be
+  // read (e.g. the code view's JSON isn't valid), so nothing typed is lost
+  static convert(entry = {}, viewMode) {
+    if ((entry.viewMode || 'resource') === viewMode) return entry;
+
+    const values = FlowMockOutputs.getValues(entry);
+    const converted = {};
+    FlowInterpreter.MOCK_SETTINGS
+      .filter(key => key !== 'value' && entry[key] !== undefined)
+      .forEach(key => {
+        converted[key] = entry[key];
+      });
+    converted.viewMode = viewMode;
+    if (viewMode === 'code') {
+      converted.value = FlowMockOutputs.toCode(values);
+    } else {
+      Object.assign(converted, values);
+    }
+    return converted;
+  }
+
+  static toCode(values) {
+    return Object.keys(values).length > 0 ? JSON.stringify(values, null, 2) : '';
+  }
+
+  // Code view JSON as { outputName: value }; empty text is no values. Throws a
+  // SyntaxError for invalid JSON and an Error for JSON that isn't an object
+  static fromCode(text) {
+    if (!text || text.trim() === '') return {};
+    const values = JSON.parse(text);
+    if (!FlowFixtures.isPlainObject(values)) {
+      throw new Error('Enter the outputs as an object of values by output name.');
+    }
+    return values;
+  }
+
+  // Returns { name: message } for the problems found; '' holds problems of the whole entry.
+  // shape: [{ name, label, type }] (see FlowElementRegistry.DEFAULTS.outputs)
+  static validate(entry, shape) {
+    let values;
+    try {
+      values = FlowMockOutputs.getValues(entry);
+    } catch (e) {
+      return { '': e instanceof SyntaxError ? `Enter valid JSON: ${e.message}` : e.message };
+    }
+
+    const errors = {};
+    Object.keys(values).forEach(name => {
+      const output = shape.find(candidate => candidate.name === name);
+      const message = output
+        ? FlowMockOutputs.checkValue(values[name], output.type)
+        : FlowMockOutputs.getUnknownMessage(name, shape);
+      if (message) errors[name] = message;
+    });
+    return errors;
+  }
+
+  static getUnknownMessage(name, shape) {
+    return shape.length > 0
+      ? `"${name}" isn't an output of this element. Its outputs are ${shape.map(output => output.name).join(', ')}.`
+      : `"${name}" isn't an output of this element, which has none.`;
+  }
+
+  // type is an output type: a resource data type, SObject[] for a list of records or
+  // Apex for any JSON value (e.g. an HTTP callout response)
+  static checkValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    switch (type) {
+      case 'Apex':
+        return '';
+      case 'SObject[]':
+        return Array.isArray(value) && value.every(FlowFixtures.isPlainObject)
+          ? ''
+          : 'Enter a list of records, e.g. [{ "Name": "Acme" }].';
+      default:
+        return FlowFixtures.checkValue(value, type);
+    }
+  }
+
+  // Turn a resource view input's text into the value stored for the output.
+  // Records, lists and Apex values are entered as JSON; throws a SyntaxError when it isn't valid
+  static parseValue(text, output) {
+    if (text === '') return undefined;
+    if (FlowMockOutputs.isJsonType(output.type)) return JSON.parse(text);
+    if (output.type === 'Boolean') return text === 'true';
+    if ((output.type === 'Number' || output.type === 'Currency') && Number.isFinite(Number(text))) {
+      return Number(text);
+    }
+    return text;
+  }
+
+  static isJsonType(type) {
+    return ['SObject', 'SObject[]', 'Apex'].includes(type);
+  }
+
+  // A value of the right type for each output, shown as the code view's placeholder
+  static getExample(shape) {
+    const examples = {
+      Number: 0,
+      Currency: 0,
+      Boolean: true,
+      Date: '2024-05-01',
+      DateTime: '2024-05-01T09:30:00Z',
+      Id: '001000000000001AAA',
+      SObject: { Name: 'Acme' },
+      'SObject[]': [{ Name: 'Acme' }],
+      Apex: { statusCode: 200, body: '' }
+    };
+    const values = {};
+    shape.forEach(output => {
+      values[output.name] = examples[output.type] !== undefined ? examples[output.type] : '';
+    });
+    return FlowMockOutputs.toCode(values);
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowMockOutputs = FlowMockOutputs;
+}
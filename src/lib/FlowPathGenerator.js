@@ -0,0 +1,349 @@
+/**
+ * Flow Path Generator
+ * Lists the distinct paths through the flow between the test start and end points,
+ * and looks for fixtures ({ record, priorRecord, inputs }, see FlowFixtures) that take
+ * each one. Candidate values come from the conditions' own operands; every candidate
+ * is checked by running the flow with FlowInterpreter, so a fixture is only returned
+ * when the run really takes the path
+ */
+class FlowPathGenerator {
+  // options: { nodes, resources, outputs, startNodeId, endNodeId, maxPaths }
+  constructor(options = {}) {
+    this.nodes = options.nodes || [];
+    this.graph = new FlowGraph(this.nodes);
+    this.resources = new FlowResources(options.resources || [], {
+      elementNames: this.nodes.map(node => node.apiName || node.id)
+    });
+    this.interpreter = new FlowInterpreter({ nodes: this.nodes, resources: options.resources, outputs: options.outputs });
+    this.startNodeId = options.startNodeId || null;
+    this.endNodeId = options.endNodeId || null;
+    this.maxPaths = options.maxPaths || FlowPathGenerator.MAX_PATHS;
+
+    const startNode = this.graph.getStartNode();
+    this.triggerObject = startNode ? startNode.object || null : null;
+    this.hasPrior = !FlowFixtures.NO_PRIOR_TRIGGERS.includes(startNode ? startNode.triggerType : null);
+  }
+
+  // Returns { paths: [{ name, connectors, choices, fixture, solved, message }], truncated }.
+  // An unsolved path keeps the fixture found so far and says where the search stopped
+  generate() {
+    const { paths, truncated } = this.getPaths();
+    return {
+      paths: paths.map(path => ({ ...path, name: this.getPathName(path), ...this.solve(path) })),
+      truncated
+    };
+  }
+
+  // Every way through the flow: one branch per Decision outcome, and per loop one
+  // branch that runs the body once and one that skips it. Paths stop after the end
+  // point's connector, like the interpreter. Returns { paths: [{ connectors, choices, error }], truncated }
+  // where choices are the branching steps: [{ nodeId, connectorId, index }] (index into connectors)
+  getPaths() {
+    const startNode = this.graph.getNode(this.startNodeId) || this.graph.getStartNode();
+    const paths = [];
+    let truncated = false;
+
+    const walk = (nodeId, connectors, choices, visits, activeLoops) => {
+      if (paths.length >= this.maxPaths) {
+        truncated = true;
+        return;
+      }
+      const node = this.graph.getNode(nodeId);
+      if (!node) {
+        paths.push({ connectors, choices, error: '' });
+        return;
+      }
+      // Only loops may bring a path back to an element, once per item
+      const count = (visits[node.id] || 0) + 1;
+      if (count > FlowPathGenerator.MAX_VISITS) {
+        paths.push({ connectors, choices, error: `The path keeps coming back to "${node.title || node.id}".` });
+        return;
+      }
+
+      let options;
+      let loops = activeLoops;
+      if (node.type === 'decision') {
+        options = (node.connectors || []).filter(connector => connector.type === 'outcome' || connector.type === 'default');
+      } else if (node.type === 'loop') {
+        const body = this.graph.getLoopBodyConnector(node.id);
+        const afterLast = this.graph.getContinuationConnector(node.id);
+        if (activeLoops.includes(node.id)) {
+          options = [afterLast];
+          loops = activeLoops.filter(id => id !== node.id);
+        } else {
+          options = [body, afterLast];
+          loops = activeLoops.concat(node.id);
+        }
+        options = options.filter(Boolean);
+      } else if (node.type === 'start' && node.id !== this.startNodeId) {
+        options = (node.connectors || []).slice(0, 1);
+      } else {
+        options = [this.graph.getContinuationConnector(node.id)].filter(Boolean);
+      }
+
+      if (options.length === 0) {
+        paths.push({ connectors, choices, error: '' });
+        return;
+      }
+      const isChoice = node.type === 'decision' || node.type === 'loop' ||
+        (node.type === 'start' && node.id !== this.startNodeId && node.entryConditions);
+      options.forEach(connector => {
+        const nextConnectors = connectors.concat(connector.id);
+        const nextChoices = isChoice
+          ? choices.concat({ nodeId: node.id, connectorId: connector.id, index: connectors.length })
+          : choices;
+        if (node.id === this.endNodeId) {
+          paths.push({ connectors: nextConnectors, choices: nextChoices, error: '' });
+          return;
+        }
+        // A loop still running takes the body again when the path comes back to it
+        walk(connector.target, nextConnectors, nextChoices, { ...visits, [node.id]: count },
+          connector.type === 'after-last' ? loops.filter(id => id !== node.id) : loops);
+      });
+    };
+
+    if (startNode) walk(startNode.id, [], [], {}, []);
+    return { paths, truncated };
+  }
+
+  // Named after the outcomes it takes, e.g. 'High → Contacts: no items'
+  getPathName(path) {
+    const runningLoops = new Set();
+    const parts = path.choices
+      .map(({ nodeId, connectorId }) => {
+        const node = this.graph.getNode(nodeId);
+        const connector = (node.connectors || []).find(c => c.id === connectorId);
+        if (node.type === 'loop') {
+          // Coming back from the body only finishes the loop
+          if (runningLoops.delete(node.id)) return null;
+          if (connector.type === 'for-each') runningLoops.add(node.id);
+          return `${node.title || node.id}: ${connector.type === 'for-each' ? 'one item' : 'no items'}`;
+        }
+        return node.type === 'decision' ? connector.label || connector.id : null;
+      })
+      .filter(Boolean);
+    return parts.length > 0 ? parts.join(' → ') : 'Main Path';
+  }
+
+  // Fix the inputs one branching step at a time: each step tries the candidates for the
+  // variables its conditions read that earlier steps left open. Returns
+  // { fixture, solved, message }
+  solve(path) {
+    let assignment = {};
+    if (path.error) {
+      return { fixture: this.toFixture(assignment), solved: false, message: path.error };
+    }
+
+    for (const choice of path.choices) {
+      const variables = this.getChoiceVariables(choice).filter(variable => !(variable.key in assignment));
+      const found = FlowPathGenerator.combinations(variables, FlowPathGenerator.MAX_COMBINATIONS)
+        .map(combination => ({ ...assignment, ...combination }))
+        .find(candidate => this.takesPath(candidate, path, choice.index + 1));
+      if (!found) {
+        return { fixture: this.toFixture(assignment), solved: false, message: this.getUnsolvedMessage(choice) };
+      }
+      assignment = found;
+    }
+
+    const fixture = this.toFixture(assignment);
+    return this.takesPath(assignment, path, path.connectors.length)
+      ? { fixture, solved: true, message: '' }
+      : { fixture, solved: false, message: 'The run with these inputs takes another path; check the mocked outputs.' };
+  }
+
+  // Whether the run with the assignment's fixture starts with the path's first length connectors
+  takesPath(assignment, path, length) {
+    let run;
+    try {
+      run = this.interpreter.run({
+        ...this.toFixture(assignment),
+        startNodeId: this.startNodeId,
+        endNodeId: this.endNodeId
+      });
+    } catch (e) {
+      return false;
+    }
+    return path.connectors.slice(0, length).every((connectorId, index) => run.connectors[index] === connectorId);
+  }
+
+  getUnsolvedMessage({ nodeId, connectorId }) {
+    const node = this.graph.getNode(nodeId);
+    const name = `"${node.title || node.id}"`;
+    const connector = (node.connectors || []).find(c => c.id === connectorId);
+    if (node.type === 'start') return `No record found that meets the entry conditions of ${name}.`;
+    if (node.type === 'loop') {
+      return connector.type === 'for-each'
+        ? `Couldn't give ${name} a collection with items.`
+        : `Couldn't give ${name} an empty collection.`;
+    }
+    return `No inputs found that take the "${connector.label || connector.id}" outcome of ${name}.`;
+  }
+
+  // The variables whose values decide the step, each { key, target, path, candidates }:
+  // the Start element's entry conditions, a Decision's outcomes up to the one taken
+  // (earlier ones must not match) or a loop's collection
+  getChoiceVariables({ nodeId, connectorId }) {
+    const node = this.graph.getNode(nodeId);
+    const rows = [];
+    if (node.type === 'start') {
+      rows.push(...((node.entryConditions && node.entryConditions.conditions) || []));
+    } else if (node.type === 'decision') {
+      const connectors = node.connectors || [];
+      const taken = connectors.findIndex(connector => connector.id === connectorId);
+      connectors
+        .filter((connector, index) => connector.type === 'outcome' && (index <= taken || connectors[taken].type === 'default'))
+        .forEach(connector => {
+          const condition = (node.outcomeConditions || {})[connector.id];
+          rows.push(...((condition && condition.conditions) || []));
+        });
+    } else if (node.type === 'loop') {
+      const reference = FlowFormula.getMergeFieldName(node.collection) || node.collection;
+      return this.getVariables(reference).map(variable => ({ ...variable, candidates: [[{}], []] }));
+    }
+
+    const variables = {};
+    const add = (variable, values) => {
+      const existing = variables[variable.key] || { ...variable, candidates: [null] };
+      values.forEach(value => {
+        if (!existing.candidates.some(other => FlowPathGenerator.same(other, value))) existing.candidates.push(value);
+      });
+      variables[variable.key] = existing;
+    };
+    rows.forEach(row => {
+      const reference = FlowFormula.getMergeFieldName(row.left) || row.left;
+      this.getVariables(reference).forEach(variable => {
+        if (row.operator === 'IsChanged') {
+          if (variable.target !== 'record' || !this.hasPrior) return;
+          add(variable, ['Test']);
+          add({ key: `priorRecord.${variable.path.join('.')}`, target: 'priorRecord', path: variable.path }, [FlowPathGenerator.SAME, 'Previous value']);
+          return;
+        }
+        add(variable, FlowPathGenerator.getCandidates(row, variable.type));
+      });
+    });
+    return Object.values(variables);
+  }
+
+  // The fixture values a merge field reads: a field of the triggering record (or its
+  // prior values), or a resource. Formulas read the variables in their expression;
+  // element outputs come from the mocked outputs and can't be set
+  getVariables(reference, seen = new Set()) {
+    if (!reference) return [];
+    const [name, ...fields] = String(reference).split('.');
+    const key = name.toLowerCase();
+
+    if (key === '$record' || (this.triggerObject && key === this.triggerObject.toLowerCase())) {
+      return fields.length > 0 ? [{ key: `record.${fields[0]}`, target: 'record', path: [fields[0]], type: 'Any' }] : [];
+    }
+    if (key === '$record__prior') {
+      return fields.length > 0 && this.hasPrior
+        ? [{ key: `priorRecord.${fields[0]}`, target: 'priorRecord', path: [fields[0]], type: 'Any' }]
+        : [];
+    }
+
+    const resource = this.resources.get(name);
+    if (!resource || seen.has(resource.name)) return [];
+    if (resource.resourceType === 'formula') {
+      seen.add(resource.name);
+      return FlowPathGenerator.getReferences(resource.value).flatMap(inner => this.getVariables(inner, seen));
+    }
+    const path = [resource.name].concat(fields.slice(0, 1));
+    return [{
+      key: `inputs.${path.join('.')}`,
+      target: 'inputs',
+      path,
+      type: this.resources.getReferenceType(path.join('.')) || 'Any'
+    }];
+  }
+
+  // Null (left unset) comes first, so fixtures only set what the path needs
+  toFixture(assignment) {
+    const fixture = { record: {}, priorRecord: {}, inputs: {} };
+    const values = Object.values(assignment);
+    const set = (variable, value) => {
+      const [name, field] = variable.path;
+      const target = fixture[variable.target];
+      if (field === undefined) {
+        target[name] = value;
+      } else {
+        target[name] = { ...(FlowFixtures.isPlainObject(target[name]) ? target[name] : {}), [field]: value };
+      }
+    };
+    values.filter(({ value }) => value !== null && value !== FlowPathGenerator.SAME)
+      .forEach(({ variable, value }) => set(variable, value));
+    // Unchanged prior values copy the record's value, once it is known
+    values.filter(({ value }) => value === FlowPathGenerator.SAME)
+      .forEach(({ variable }) => set(variable, FlowInterpreter.getField(fixture.record, variable.path) ?? null));
+
+    if (Object.keys(fixture.priorRecord).length === 0) delete fixture.priorRecord;
+    return fixture;
+  }
+
+  // Values worth trying for a condition's left side: the right side itself and values
+  // just beside it, so that each operator can come out true or false
+  static getCandidates({ operator, right }, type) {
+    if (operator === 'IsNull') return ['Test'];
+    if (FlowFormula.getMergeFieldName(right)) return type === 'Boolean' ? [true, false] : ['Test'];
+
+    const text = String(right ?? '');
+    if (type === 'Boolean' || ['true', 'false'].includes(text.toLowerCase())) return [true, false];
+    if (text.trim() !== '' && Number.isFinite(Number(text))) {
+      const number = Number(text);
+      return [number, number + 1, number - 1];
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text) && FlowFormula.toDate(text)) {
+      const day = (offset) => {
+        const date = FlowFormula.toDate(text);
+        date.setUTCDate(date.getUTCDate() + offset);
+        return date.toISOString().slice(0, 10);
+      };
+      return [text, day(1), day(-1)];
+    }
+    return text === '' ? ['Test'] : [text, `Not ${text}`];
+  }
+
+  // {!name} merge fields of a formula expression
+  static getReferences(expression) {
+    return (String(expression || '').match(/\{![^}]+\}/g) || [])
+      .map(mergeField => FlowFormula.getMergeFieldName(mergeField))
+      .filter(Boolean);
+  }
+
+  // Every assignment of the variables' candidates, as { key: { variable, value } }, in
+  // candidate order and at most limit of them
+  static combinations(variables, limit) {
+    let result = [{}];
+    for (const variable of variables) {
+      const next = [];
+      for (const combination of result) {
+        for (const value of variable.candidates) {
+          if (next.length >= limit) break;
+          next.push({ ...combination, [variable.key]: { variable, value } });
+        }
+      }
+      result = next;
+    }
+    return result;
+  }
+
+  static same(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+}
+
+// Paths beyond this many aren't listed (generate() reports them as truncated)
+FlowPathGenerator.MAX_PATHS = 50;
+
+// Visits of one element in a path: a loop is visited before and after its body
+FlowPathGenerator.MAX_VISITS = 2;
+
+// Candidate combinations tried for one branching step
+FlowPathGenerator.MAX_COMBINATIONS = 256;
+
+// A prior value that is the same as the record's value (the field didn't change)
+FlowPathGenerator.SAME = { same: true };
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowPathGenerator = FlowPathGenerator;
+}
@@ -0,0 +1,119 @@
+/**
+ * Flow Replay
+ * Plays a run back like a video: it moves along the connectors the run took, in order,
+ * and pauses on each element it gets to. Play, pause, speed and seek (scrub) to a step.
+ * No DOM access; FlowCanvas animates the marker and shows the element's outputs
+ */
+class FlowReplay {
+  // result: a run result (see FlowInterpreter.run()). options: { onChange(state), speed,
+  // moveTime, pauseTime }; moveTime (along a connector) and pauseTime (on an element) are
+  // milliseconds at 1x. The replay starts paused on the run's first element
+  constructor(result, options = {}) {
+    this.result = result;
+    this.steps = result.steps || [];
+    this.onChange = options.onChange || null;
+    this.moveTime = options.moveTime || 600;
+    this.pauseTime = options.pauseTime || 1200;
+    this.speed = options.speed || 1;
+    this.index = 0; // The step of the element the replay is on, or is moving on from
+    this.moving = false; // Whether it is moving along the step's connector to the next element
+    this.playing = false;
+    this.timer = null;
+  }
+
+  isFinished() {
+    return this.index >= this.steps.length - 1;
+  }
+
+  // Play from where the replay is, or from the start once it has finished
+  play() {
+    if (this.playing || this.steps.length < 2) return;
+    if (this.isFinished()) this.index = 0;
+    this.playing = true;
+    this.move();
+  }
+
+  // Pausing while moving goes on to the next element, so the replay is always on one
+  pause() {
+    if (!this.playing) return;
+    this.clearTimer();
+    this.playing = false;
+    if (this.moving) {
+      this.arrive();
+      return;
+    }
+    this.notify();
+  }
+
+  // Applies from the next move or pause
+  setSpeed(speed) {
+    this.speed = speed > 0 ? speed : 1;
+    this.notify();
+  }
+
+  // Go to a step's element; a playing replay goes on from there
+  seek(index) {
+    this.clearTimer();
+    this.index = Math.max(0, Math.min(this.steps.length - 1, Math.round(index) || 0));
+    this.moving = false;
+    if (this.playing && this.isFinished()) this.playing = false;
+    if (this.playing) this.timer = setTimeout(() => this.move(), this.pauseTime / this.speed);
+    this.notify();
+  }
+
+  stop() {
+    this.clearTimer();
+    this.playing = false;
+    this.moving = false;
+  }
+
+  move() {
+    this.timer = null;
+    this.moving = true;
+    this.notify();
+    this.timer = setTimeout(() => this.arrive(), this.moveTime / this.speed);
+  }
+
+  arrive() {
+    this.timer = null;
+    this.index = Math.min(this.index + 1, this.steps.length - 1);
+    this.moving = false;
+    if (this.isFinished()) this.playing = false;
+    if (this.playing) this.timer = setTimeout(() => this.move(), this.pauseTime / this.speed);
+    this.notify();
+  }
+
+  clearTimer() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this.getState());
+  }
+
+  // { index, count, step, nodeId, connectorId, connectors, playing, moving, speed, moveTime }.
+  // nodeId is the element the replay is on (null while moving), connectorId the connector it
+  // is moving along (else null), connectors those it took so far and moveTime how long the
+  // move takes at this speed
+  getState() {
+    const step = this.steps[this.index] || null;
+    return {
+      index: this.index,
+      count: this.steps.length,
+      step,
+      nodeId: step && !this.moving ? step.nodeId : null,
+      connectorId: step && this.moving ? step.connectorId : null,
+      connectors: this.steps.slice(0, this.index).map(taken => taken.connectorId).filter(Boolean),
+      playing: this.playing,
+      moving: this.moving,
+      speed: this.speed,
+      moveTime: this.moveTime / this.speed
+    };
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowReplay = FlowReplay;
+}
@@ -0,0 +1,284 @@
+/**
+ * Flow Resources
+ * Variables, constants, formulas and record collections a flow reads and writes.
+ * A resource is { resourceType, name, dataType, objectType, value, description,
+ * isInput, isOutput }; elements refer to it with {!name} merge fields
+ */
+class FlowResources {
+  // options.elementNames: API names of the flow's elements, which formulas may
+  // also refer to (e.g. {!Get_Account.Name})
+  constructor(resources = [], options = {}) {
+    // The resources array is shared with the owner (e.g. FlowCanvas.resources)
+    // so edits made here are visible to it without re-assignment
+    this.resources = resources;
+    this.elementNames = new Set((options.elementNames || []).map(name => String(name).toLowerCase()));
+  }
+
+  // Resource names are case-insensitive, as in Salesforce
+  get(name) {
+    const key = String(name || '').toLowerCase();
+    return this.resources.find(resource => resource.name.toLowerCase() === key) || null;
+  }
+
+  getAll() {
+    return this.resources;
+  }
+
+  // The formula type (see FlowFormula) of a merge field reference: 'name',
+  // 'name.Field' or a global such as '$Record.Status'. Null when it doesn't exist
+  getReferenceType(reference) {
+    const [name, ...fields] = String(reference).split('.');
+    if (name === '$Flow') {
+      return FlowResources.FLOW_GLOBALS[fields.join('.')] || null;
+    }
+    if (name.startsWith('$')) return 'Any';
+    const resource = this.get(name);
+    if (!resource) return this.elementNames.has(name.toLowerCase()) ? 'Any' : null;
+    if (fields.length > 0) {
+      return resource.dataType === 'SObject' ? 'Any' : null;
+    }
+    return resource.resourceType === 'recordCollection' ? 'Any' : FlowFormula.typeFromDataType(resource.dataType);
+  }
+
+  // Problems with a formula resource's expression: [{ message, start, end }]
+  checkFormula(resource) {
+    return FlowFormula.check(resource.value || '', {
+      getType: (reference) => this.getReferenceType(reference),
+      expectedType: FlowFormula.typeFromDataType(resource.dataType)
+    }).errors;
+  }
+
+  // Resources grouped by type as [{ type, label, resources }], in TYPES order; empty types are left out
+  getGroups() {
+    return FlowResources.TYPES
+      .map(({ type, pluralLabel }) => ({
+        type,
+        label: pluralLabel,
+        resources: this.resources
+          .filter(resource => resource.resourceType === type)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      }))
+      .filter(group => group.resources.length > 0);
+  }
+
+  // Add a resource, or replace the one called originalName. Returns false when
+  // another resource already has the name
+  save(resource, originalName = null) {
+    const existing = originalName ? this.get(originalName) : null;
+    const clash = this.get(resource.name);
+    if (clash && clash !== existing) return false;
+
+    const saved = FlowResources.normalize(resource);
+    if (existing) {
+      this.resources.splice(this.resources.indexOf(existing), 1, saved);
+    } else {
+      this.resources.push(saved);
+    }
+    return true;
+  }
+
+  remove(name) {
+    const resource = this.get(name);
+    if (!resource) return false;
+    this.resources.splice(this.resources.indexOf(resource), 1);
+    return true;
+  }
+
+  // Property schema for the resource form (see FlowPropertiesEditor). Which fields
+  // apply depends on the resource's type and data type
+  getProperties(resource, originalName = null) {
+    const typeInfo = FlowResources.getType(resource.resourceType);
+    const dataTypes = FlowResources.DATA_TYPES.filter(dataType => typeInfo.dataTypes.includes(dataType.value));
+    const isRecord = resource.resourceType === 'recordCollection' || resource.dataType === 'SObject';
+
+    const properties = [
+      {
+        name: 'resourceType',
+        label: 'Resource Type',
+        type: 'picklist',
+        required: true,
+        options: FlowResources.TYPES.map(({ type, label }) => ({ value: type, label }))
+      },
+      {
+        name: 'name',
+        label: 'API Name',
+        type: 'text',
+        required: true,
+        maxLength: 80,
+        pattern: FlowResources.NAME_PATTERN,
+        patternMessage: 'API Name must start with a letter and contain only letters, numbers and single underscores, and can\'t end with an underscore.',
+        validate: (value) => {
+          const clash = this.get(value);
+          const isSelf = clash && originalName && clash.name.toLowerCase() === originalName.toLowerCase();
+          return clash && !isSelf ? `A resource named "${clash.name}" already exists.` : '';
+        }
+      },
+      { name: 'description', label: 'Description', type: 'text', multiline: true }
+    ];
+
+    if (dataTypes.length > 1) {
+      properties.push({ name: 'dataType', label: 'Data Type', type: 'picklist', required: true, options: dataTypes });
+    }
+    if (isRecord) {
+      properties.push({ name: 'objectType', label: 'Object', type: 'picklist', options: 'objects', required: true });
+    }
+    if (typeInfo.valueLabel && !isRecord) {
+      const value = { name: 'value', label: typeInfo.valueLabel, type: 'text', required: typeInfo.valueRequired, resources: true };
+      if (resource.dataType === 'Boolean' && resource.resourceType !== 'formula') {
+        value.type = 'picklist';
+        value.options = [{ value: 'true', label: 'True' }, { value: 'false', label: 'False' }];
+      }
+      if (resource.resourceType === 'formula') {
+        value.multiline = true;
+        value.validate = (expression) => {
+          const [error] = this.checkFormula({ ...resource, value: expression });
+          return error ? `${error.message} (at character ${error.start + 1})` : '';
+        };
+      }
+      properties.push(value);
+    }
+    if (typeInfo.inputOutput) {
+      properties.push(
+        { name: 'isInput', label: 'Available for input', type: 'checkbox' },
+        { name: 'isOutput', label: 'Available for output', type: 'checkbox' }
+      );
+    }
+    return properties;
+  }
+
+  // Drop the fields that don't apply to the resource's type and data type
+  static normalize(resource) {
+    const typeInfo = FlowResources.getType(resource.resourceType);
+    const dataType = typeInfo.dataTypes.includes(resource.dataType) ? resource.dataType : typeInfo.dataTypes[0];
+    const normalized = { ...resource, resourceType: typeInfo.type, dataType };
+
+    if (dataType !== 'SObject') delete normalized.objectType;
+    if (!typeInfo.valueLabel || dataType === 'SObject') delete normalized.value;
+    if (!typeInfo.inputOutput) {
+      delete normalized.isInput;
+      delete normalized.isOutput;
+    }
+    return normalized;
+  }
+
+  static getType(resourceType) {
+    return FlowResources.TYPES.find(({ type }) => type === resourceType) || FlowResources.TYPES[0];
+  }
+
+  static createMergeField(name) {
+    return `{!${name}}`;
+  }
+
+  // Replace references to a resource in any value: {!name} and {!name.Field} merge
+  // fields, and <...Reference>name</...Reference> in stored Flow metadata XML.
+  // Strings are rewritten, arrays and objects are copied
+  static renameReferences(value, oldName, newName) {
+    if (typeof value === 'string') {
+      return FlowResources.getReferencePatterns(oldName).reduce(
+        (text, pattern) => text.replace(pattern, (match, prefix) => `${prefix}${newName}`),
+        value
+      );
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => FlowResources.renameReferences(item, oldName, newName));
+    }
+    if (value && typeof value === 'object') {
+      const renamed = {};
+      Object.keys(value).forEach(key => {
+        renamed[key] = FlowResources.renameReferences(value[key], oldName, newName);
+      });
+      return renamed;
+    }
+    return value;
+  }
+
+  static hasReferences(value, name) {
+    if (typeof value === 'string') {
+      return FlowResources.getReferencePatterns(name).some(pattern => pattern.test(value));
+    }
+    if (Array.isArray(value)) {
+      return value.some(item => FlowResources.hasReferences(item, name));
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).some(key => FlowResources.hasReferences(value[key], name));
+    }
+    return false;
+  }
+
+  // Element connectors (<targetReference>) name elements, not resources
+  static getReferencePatterns(name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return [
+      new RegExp(`(\\{!\\s*)${escaped}(?=[.}\\s])`, 'gi'),
+      new RegExp(`(<(?!targetReference>)\\w*Reference>)${escaped}(?=[.<])`, 'gi')
+    ];
+  }
+}
+
+// $Flow globals formulas can use, with their types
+FlowResources.FLOW_GLOBALS = {
+  CurrentDate: 'Date',
+  CurrentDateTime: 'DateTime',
+  FaultMessage: 'Text',
+  InterviewGuid: 'Text',
+  CurrentRecord: 'Text'
+};
+
+FlowResources.NAME_PATTERN = '^[A-Za-z](?!.*__)[A-Za-z0-9_]*[A-Za-z0-9]$|^[A-Za-z]$';
+
+// Salesforce Flow data types; SObject is a record of objectType
+FlowResources.DATA_TYPES = [
+  { value: 'String', label: 'Text' },
+  { value: 'Number', label: 'Number' },
+  { value: 'Currency', label: 'Currency' },
+  { value: 'Boolean', label: 'Boolean' },
+  { value: 'Date', label: 'Date' },
+  { value: 'DateTime', label: 'Date/Time' },
+  { value: 'SObject', label: 'Record' }
+];
+
+// valueLabel names the value field (none when the type has no value); inputOutput
+// types can be passed in and out of the flow
+FlowResources.TYPES = [
+  {
+    type: 'variable',
+    label: 'Variable',
+    pluralLabel: 'Variables',
+    dataTypes: ['String', 'Number', 'Currency', 'Boolean', 'Date', 'DateTime', 'SObject'],
+    valueLabel: 'Default Value',
+    valueRequired: false,
+    inputOutput: true
+  },
+  {
+    type: 'constant',
+    label: 'Constant',
+    pluralLabel: 'Constants',
+    dataTypes: ['String', 'Number', 'Currency', 'Boolean', 'Date'],
+    valueLabel: 'Value',
+    valueRequired: true,
+    inputOutput: false
+  },
+  {
+    type: 'formula',
+    label: 'Formula',
+    pluralLabel: 'Formulas',
+    dataTypes: ['String', 'Number', 'Currency', 'Boolean', 'Date', 'DateTime'],
+    valueLabel: 'Formula',
+    valueRequired: true,
+    inputOutput: false
+  },
+  {
+    type: 'recordCollection',
+    label: 'Record Collection Variable',
+    pluralLabel: 'Record Collection Variables',
+    dataTypes: ['SObject'],
+    valueLabel: null,
+    valueRequired: false,
+    inputOutput: true
+  }
+];
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowResources = FlowResources;
+}
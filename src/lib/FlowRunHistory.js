@@ -0,0 +1,180 @@
+/**
+ * Flow Run History
+ * The runs of each test scenario, newest last, so a run no longer replaces the one
+ * before it. An entry keeps what the run did against a flow version (see getVersion()):
+ * the path, the element outputs and the assertion results. compare() lists the elements
+ * whose path or outputs differ between two runs. No DOM access; TestScenarioPanel shows
+ * the history and FlowCanvas overlays two runs
+ */
+class FlowRunHistory {
+  constructor(options = {}) {
+    this.limit = options.limit || 20; // Runs kept per scenario; the oldest are dropped
+    this.runs = {}; // scenarioId -> [entry], oldest first
+    this.nextId = 1;
+  }
+
+  // Keep a run's result (see FlowCanvas.getTestResult()). options: { flowVersion, nodes,
+  // timestamp }; nodes give the titles of the elements the run went through, so they
+  // can still be named after an element is deleted. Returns the entry
+  add(scenarioId, result, options = {}) {
+    const copy = JSON.parse(JSON.stringify(result));
+    const titles = {};
+    (options.nodes || []).forEach(node => {
+      if (copy.steps.some(step => step.nodeId === node.id)) titles[node.id] = node.title || node.id;
+    });
+    const entry = {
+      id: `run-${this.nextId++}`,
+      scenarioId,
+      timestamp: options.timestamp || new Date().toISOString(),
+      flowVersion: options.flowVersion || '',
+      status: copy.status,
+      runStatus: copy.runStatus || copy.status,
+      error: copy.error || null,
+      connectors: copy.connectors || [],
+      iterations: copy.iterations || {},
+      steps: copy.steps || [],
+      outputs: copy.outputs || {},
+      assertions: copy.assertions || [],
+      titles
+    };
+
+    const runs = this.runs[scenarioId] || [];
+    runs.push(entry);
+    this.runs[scenarioId] = runs.slice(-this.limit);
+    return entry;
+  }
+
+  // A scenario's runs, oldest first
+  get(scenarioId) {
+    return [...(this.runs[scenarioId] || [])];
+  }
+
+  getRun(scenarioId, runId) {
+    return (this.runs[scenarioId] || []).find(entry => entry.id === runId) || null;
+  }
+
+  getLatest(scenarioId) {
+    const runs = this.runs[scenarioId] || [];
+    return runs[runs.length - 1] || null;
+  }
+
+  remove(scenarioId) {
+    delete this.runs[scenarioId];
+  }
+
+  // Forget every run, e.g. once another flow is loaded
+  clear() {
+    this.runs = {};
+  }
+
+  // Forget the runs of scenarios that no longer exist
+  prune(scenarioIds) {
+    const kept = new Set(scenarioIds);
+    Object.keys(this.runs).forEach(scenarioId => {
+      if (!kept.has(scenarioId)) delete this.runs[scenarioId];
+    });
+  }
+
+  // A short hash of what a run depends on: { nodes, resources, outputs } (the flow's
+  // default mocked outputs). Moving elements on the free-form canvas keeps the version
+  static getVersion(flow = {}) {
+    const nodes = (flow.nodes || []).map(node => {
+      const copy = { ...node };
+      delete copy.position;
+      return copy;
+    });
+    const text = FlowRunHistory.stringify({ nodes, resources: flow.resources || [], outputs: flow.outputs || {} });
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+  }
+
+  // What changed from run a to run b. Returns { changes: [{ nodeId, title, path, outputs,
+  // message }], assertions: [{ assertion, a, b }] }.
+  // changes lists, in the order run b (then run a) got to them, the elements it went through
+  // a different number of times or with a different step status (path) and those whose
+  // outputs differ (outputs: { a, b }). assertions lists the ones that passed in one run only
+  static compare(a, b) {
+    const visits = (run) => {
+      const counts = {};
+      run.steps.forEach(step => {
+        counts[step.nodeId] = counts[step.nodeId] || { count: 0, status: 'passed' };
+        counts[step.nodeId].count++;
+        counts[step.nodeId].status = step.status;
+      });
+      return counts;
+    };
+    const visitsA = visits(a);
+    const visitsB = visits(b);
+    const nodeIds = [...new Set(b.steps.map(step => step.nodeId).concat(a.steps.map(step => step.nodeId)))];
+
+    const changes = [];
+    nodeIds.forEach(nodeId => {
+      const inA = visitsA[nodeId] || { count: 0, status: null };
+      const inB = visitsB[nodeId] || { count: 0, status: null };
+      const path = inA.count !== inB.count || inA.status !== inB.status;
+      const outputsA = a.outputs[nodeId];
+      const outputsB = b.outputs[nodeId];
+      const outputs = FlowRunHistory.stringify(outputsA) !== FlowRunHistory.stringify(outputsB);
+      if (!path && !outputs) return;
+
+      changes.push({
+        nodeId,
+        title: b.titles[nodeId] || a.titles[nodeId] || nodeId,
+        path,
+        outputs: outputs ? { a: outputsA, b: outputsB } : null,
+        message: FlowRunHistory.describeChange(inA, inB, outputs)
+      });
+    });
+
+    const assertions = [];
+    b.assertions.forEach((result, index) => {
+      const before = result.assertion.id
+        ? a.assertions.find(other => other.assertion.id === result.assertion.id)
+        : a.assertions[index];
+      if (before && before.passed !== result.passed) {
+        assertions.push({ assertion: result.assertion, a: before.passed, b: result.passed });
+      }
+    });
+
+    return { changes, assertions };
+  }
+
+  static describeChange(inA, inB, outputsChanged) {
+    const times = (n) => `${n} ${n === 1 ? 'time' : 'times'}`;
+    const labels = { passed: 'Ran', failed: 'Failed', 'not-run': 'Didn\'t run' };
+    let message = '';
+    if (inA.count === 0) {
+      message = 'Only in Run B.';
+    } else if (inB.count === 0) {
+      message = 'Only in Run A.';
+    } else if (inA.count !== inB.count) {
+      message = `Ran ${times(inA.count)} in Run A, ${times(inB.count)} in Run B.`;
+    } else if (inA.status !== inB.status) {
+      message = `${labels[inA.status]} in Run A, ${labels[inB.status].toLowerCase()} in Run B.`;
+    }
+    return [message, outputsChanged ? 'Outputs changed.' : ''].filter(Boolean).join(' ');
+  }
+
+  // JSON with object keys sorted, so values compare the same whatever order they were set in
+  static stringify(value) {
+    if (value === undefined) return 'undefined';
+    return JSON.stringify(value, (key, item) => {
+      if (!FlowFixtures.isPlainObject(item)) return item;
+      const sorted = {};
+      Object.keys(item).sort().forEach(name => {
+        sorted[name] = item[name];
+      });
+      return sorted;
+    });
+  }
+}
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowRunHistory = FlowRunHistory;
+}
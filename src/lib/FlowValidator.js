@@ -0,0 +1,113 @@
+/**
+ * Flow Validator
+ * Rule-based checks on the flow model. A rule is { id, severity, check } where
+ * check(graph, { resources }) returns the problems it found as [{ nodeId, message }]
+ */
+class FlowValidator {
+  constructor(options = {}) {
+    this.rules = options.rules || FlowValidator.DEFAULT_RULES;
+  }
+
+  // Returns [{ ruleId, severity: 'error' | 'warning', nodeId, message }], errors first
+  validate(nodes, resources = []) {
+    const graph = new FlowGraph(nodes);
+    const context = {
+      resources: new FlowResources(resources, { elementNames: nodes.map(node => node.apiName || node.id) })
+    };
+    const issues = [];
+
+    this.rules.forEach(rule => {
+      rule.check(graph, context).forEach(({ nodeId = null, message }) => {
+        issues.push({ ruleId: rule.id, severity: rule.severity, nodeId, message });
+      });
+    });
+
+    // Keep rule order within each severity
+    return issues.filter(issue => issue.severity === 'error')
+      .concat(issues.filter(issue => issue.severity !== 'error'));
+  }
+
+  static getCounts(issues) {
+    return {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity !== 'error').length
+    };
+  }
+}
+
+FlowValidator.DEFAULT_RULES = [
+  {
+    id: 'missing-start',
+    severity: 'error',
+    check: (graph) => graph.nodes.some(node => node.type === 'start')
+      ? []
+      : [{ message: 'The flow has no Start element.' }]
+  },
+  {
+    id: 'missing-end',
+    severity: 'error',
+    check: (graph) => graph.nodes.some(node => node.type === 'end')
+      ? []
+      : [{ message: 'The flow has no End element.' }]
+  },
+  {
+    id: 'missing-label',
+    severity: 'error',
+    check: (graph) => graph.nodes
+      .filter(node => node.type !== 'end' && (typeof node.title !== 'string' || node.title.trim() === ''))
+      .map(node => ({ nodeId: node.id, message: `Element "${node.id}" has no label.` }))
+  },
+  {
+    // API names are set on imported elements and carried over to copies of them
+    id: 'duplicate-api-name',
+    severity: 'error',
+    check: (graph) => {
+      const seen = {};
+      const problems = [];
+      graph.nodes.forEach(node => {
+        if (!node.apiName) return;
+        if (seen[node.apiName]) {
+          problems.push({ nodeId: node.id, message: `"${node.title || node.id}" uses the API name "${node.apiName}", which is already used by "${seen[node.apiName].title || seen[node.apiName].id}".` });
+        } else {
+          seen[node.apiName] = node;
+        }
+      });
+      return problems;
+    }
+  },
+  {
+    id: 'decision-default-outcome',
+    severity: 'error',
+    check: (graph) => graph.nodes
+      .filter(node => node.type === 'decision' && !(node.connectors || []).some(c => c.type === 'default'))
+      .map(node => ({ nodeId: node.id, message: `Decision "${node.title || node.id}" has no default outcome.` }))
+  },
+  {
+    id: 'invalid-formula',
+    severity: 'error',
+    check: (graph, { resources }) => resources.getAll()
+      .filter(resource => resource.resourceType === 'formula')
+      .map(resource => ({ resource, errors: resources.checkFormula(resource) }))
+      .filter(({ errors }) => errors.length > 0)
+      .map(({ resource, errors }) => ({
+        message: `Formula "${resource.name}": ${errors[0].message} (at character ${errors[0].start + 1}).`
+      }))
+  },
+  {
+    id: 'unreachable-element',
+    severity: 'warning',
+    check: (graph) => {
+      const startNode = graph.nodes.find(node => node.type === 'start');
+      if (!startNode) return [];
+      const reachable = new Set(graph.getReachableNodeIds(startNode.id));
+      return graph.nodes
+        .filter(node => !reachable.has(node.id))
+        .map(node => ({ nodeId: node.id, message: `"${node.title || node.id}" can't be reached from the Start element.` }));
+    }
+  }
+];
+
+// Export for use in prototype
+if (typeof window !== 'undefined') {
+  window.FlowValidator = FlowValidator;
+}